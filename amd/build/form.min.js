@@ -5,6 +5,6 @@
  * @copyright  2024 The Open University
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-define("qtype_drawlines/form",["jquery","core/dragdrop","qtype_drawlines/line"],(function($,dragDrop,Line){function LineManager(lineNo){this.lineNo=lineNo,this.svgEl=null,this.line=Line.make(this.getCoordinatesFromForm(this.lineNo),this.getLineType(),this.getLabel()),this.updateCoordinatesFromForm()}LineManager.prototype.displayInitialLine=function(){let defaultstartpoint,defaultendpoint,startCoords,endCoords,coords=this.getCoordinatesFromForm(this.lineNo),linespacing=0;""!==coords[0]&&""!==coords[1]||"choose"===this.getLineType()||(linespacing=0===this.lineNo?0:15*this.lineNo,defaultstartpoint=15*(this.lineNo+1)+linespacing,defaultendpoint=defaultstartpoint+15,startCoords=defaultstartpoint+","+defaultstartpoint+";8",endCoords=defaultendpoint+","+defaultendpoint+";8",drawlinesForm.setFormValue("zonestart",[this.lineNo],startCoords),drawlinesForm.setFormValue("zoneend",[this.lineNo],endCoords)),"choose"===this.getLineType()&&(drawlinesForm.setFormValue("zonestart",[this.lineNo],""),drawlinesForm.setFormValue("zoneend",[this.lineNo],""))},LineManager.prototype.updateCoordinatesFromForm=function(svg){var coordinates=this.getCoordinatesFromForm(this.lineNo);if(this.validateFormCoordinates(this.lineNo)&&this.line.parse(coordinates[0],coordinates[1],1)){if(this.line.getCoordinates()!==coordinates){var currentyActive=this.isActive();this.removeFromSvg(),svg&&(this.addToSvg(svg),currentyActive&&this.setActive())}else this.updateSvgEl();this.setCoordinatesInForm()}},LineManager.prototype.validateFormCoordinates=function(lineNo){var coords=this.getCoordinatesFromForm(lineNo),regexp=/^\d+,\d+;\d+$/;return regexp.test(coords[0])&&regexp.test(coords[1])},LineManager.prototype.setCoordinatesInForm=function(){var linecoords=this.line.getCoordinates();drawlinesForm.setFormValue("zonestart",[this.lineNo],linecoords[0]),drawlinesForm.setFormValue("zoneend",[this.lineNo],linecoords[1])},LineManager.prototype.getCoordinatesFromForm=function(lineNo){return[drawlinesForm.getFormValue("zonestart",[lineNo]),drawlinesForm.getFormValue("zoneend",[lineNo])]},LineManager.prototype.updateLabel=function(){var label=this.getLabel();this.line.labelstart=label[0],this.line.labelmiddle=label[1],this.line.labelend=label[2],this.updateSvgEl()},LineManager.prototype.getLineType=function(){return drawlinesForm.getFormValue("type",[this.lineNo])},LineManager.prototype.getLabel=function(){return[drawlinesForm.getFormValue("labelstart",[this.lineNo]),drawlinesForm.getFormValue("labelmiddle",[this.lineNo]),drawlinesForm.getFormValue("labelend",[this.lineNo])]},LineManager.prototype.updateSvgEl=function(){if(null!==this.svgEl&&this.validateFormCoordinates(this.lineNo)){var img=document.querySelector("fieldset#id_previewareaheader .dropbackground");this.line.updateSvg(this.svgEl,img.naturalWidth,img.naturalHeight);var handles=this.line.getHandlePositions();if(null!==handles){var i=0;for(i=0;i<handles.moveHandles.length;++i)this.svgEl.childNodes[6+i].setAttribute("cx",handles.moveHandles[i].x),this.svgEl.childNodes[6+i].setAttribute("cy",handles.moveHandles[i].y);for(i=0;i<handles.editHandles.length;++i)this.svgEl.childNodes[8+i].setAttribute("x",handles.editHandles[i].x-6),this.svgEl.childNodes[8+i].setAttribute("y",handles.editHandles[i].y-6)}}},LineManager.prototype.changeShape=function(svg){var newLineType=this.getLineType(),currentyActive=this.isActive();newLineType!==this.line.getType()&&(this.removeFromSvg(),"choose"!==newLineType&&(this.line=Line.getSimilar(newLineType,this.line),svg&&(this.addToSvg(svg),currentyActive&&this.setActive())))},LineManager.prototype.isActive=function(){return null!==this.svgEl&&this.svgEl.getAttribute("class").match(/\bactive\b/)},LineManager.prototype.setActive=function(){this.svgEl.setAttribute("class",this.svgEl.getAttribute("class")+" active")},LineManager.prototype.addToSvg=function(svg){if(null!==this.svgEl)throw new Error("this.svgEl already set");if(this.validateFormCoordinates(this.lineNo)){var img=document.querySelector("fieldset#id_previewareaheader .dropbackground");if(this.svgEl=this.line.makeSvg(svg,img.naturalWidth,img.naturalHeight),this.svgEl){this.svgEl.setAttribute("class","dropzone"),this.svgEl.setAttribute("data-dropzone-no",this.lineNo);var handles=this.line.getHandlePositions();null!==handles&&(this.makeMoveHandle(0,handles.moveHandles[0],"handlestart move"),this.makeMoveHandle(1,handles.moveHandles[1],"handleend move"),this.makeEditHandle(0,handles.editHandles[0],"handlestart edit"),this.makeEditHandle(1,handles.editHandles[1],"handleend edit"))}}},LineManager.prototype.makeMoveHandle=function(index,point,handleclass){var moveHandle=Line.createSvgElement(this.svgEl,"circle");moveHandle.setAttribute("cx",point.x),moveHandle.setAttribute("cy",point.y),moveHandle.setAttribute("r",7),moveHandle.setAttribute("class",handleclass),moveHandle.setAttribute("data-move-handle-no",index),moveHandle.setAttribute("tabindex",0)},LineManager.prototype.makeEditHandle=function(index,point,handleclass){var editHandle=Line.createSvgElement(this.svgEl,"rect");editHandle.setAttribute("x",point.x-6),editHandle.setAttribute("y",point.y-6),editHandle.setAttribute("width",11),editHandle.setAttribute("height",11),editHandle.setAttribute("class",handleclass),editHandle.setAttribute("data-edit-handle-no",index),editHandle.setAttribute("tabindex",0)},LineManager.prototype.makeDragProxy=function(x,y){var dragProxy=document.createElement("div");return dragProxy.style.position="absolute",dragProxy.style.top=y+"px",dragProxy.style.left=x+"px",dragProxy.style.width="1px",dragProxy.style.height="1px",document.body.appendChild(dragProxy),dragProxy},LineManager.prototype.handleMouseEvents=function(e,handleIndex,handleType){var info=dragDrop.prepare(e);if(info.start){var changingDropZone=this,lastX=parseInt(info.x),lastY=parseInt(info.y),dragProxy=this.makeDragProxy(info.x,info.y),bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground"),maxX=parseInt(bgImg.width),maxY=parseInt(bgImg.height);dragDrop.start(e,$(dragProxy),(function(pageX,pageY){switch(handleType){case"edit":changingDropZone.line.edit(handleIndex,parseInt(pageX)-lastX,parseInt(pageY)-lastY,maxX,maxY),changingDropZone.line.normalizeShape();break;case"move":changingDropZone.line.move(handleIndex,parseInt(pageX)-lastX,parseInt(pageY)-lastY,maxX,maxY);break;case"line":changingDropZone.line.moveDrags(parseInt(pageX)-lastX,parseInt(pageY)-lastY,maxX,maxY,"")}lastX=pageX,lastY=pageY,changingDropZone.updateSvgEl(),changingDropZone.setCoordinatesInForm()}),(function(){document.body.removeChild(dragProxy)}))}},LineManager.prototype.handleKeyPress=function(event,drag,handleIndex,handleType){var x=0,y=0;switch(event.code){case"ArrowLeft":case"KeyA":x=-1;break;case"ArrowRight":case"KeyD":x=1;break;case"ArrowDown":case"KeyS":y=1;break;case"ArrowUp":case"KeyW":y=-1;break;case"Space":case"Escape":break;default:return}event.preventDefault();var bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground"),maxX=bgImg.width,maxY=bgImg.height;"move"===handleType?this.line.move(handleIndex,parseInt(x),parseInt(y),parseInt(maxX),parseInt(maxY)):"edit"===handleType?(this.line.edit(handleIndex,parseInt(x),parseInt(y),parseInt(maxX),parseInt(maxY)),this.line.normalizeShape()):"line"===handleType&&this.line.moveDrags(parseInt(x),parseInt(y),parseInt(maxX),parseInt(maxY),""),this.updateSvgEl(),this.setCoordinatesInForm(),drag.focus()},LineManager.prototype.removeFromSvg=function(){null!==this.svgEl&&(this.svgEl.parentNode.removeChild(this.svgEl),this.svgEl=null)};const drawlinesForm={fp:null,noOfLines:null,dropZones:[],init:function(){drawlinesForm.noOfLines=drawlinesForm.getFormValue("numberoflines",[]),drawlinesForm.createShapes(),drawlinesForm.fp=drawlinesForm.filePickers(),drawlinesForm.setupEventHandlers(),drawlinesForm.waitForFilePickerToInitialise()},filePickers:function(){var draftItemIdsToName,nameToParentNode;void 0===draftItemIdsToName&&(draftItemIdsToName={},nameToParentNode={},document.querySelectorAll('form.mform[data-qtype="drawlines"] input.filepickerhidden').forEach((function(filepicker){draftItemIdsToName[filepicker.value]=filepicker.name,nameToParentNode[filepicker.name]=filepicker.parentNode})));return{file:function(name){var parentNode=nameToParentNode[name];if(parentNode){var fileAnchor=parentNode.querySelector("div.filepicker-filelist a");if(fileAnchor)return{href:fileAnchor.href,name:fileAnchor.innerHTML}}return{href:null,name:null}},name:function(draftitemid){return draftItemIdsToName[draftitemid]}}},loadPreviewImage:function(){document.getElementById("dlines-droparea")||drawlinesForm.setupPreviewArea();var img=document.querySelector("fieldset#id_previewareaheader .dropbackground");img&&(img.addEventListener("load",(function(){drawlinesForm.afterPreviewImageLoaded()}),{once:!0}),img.src=drawlinesForm.fp.file("bgimage").href)},setupPreviewArea:function(){var previewareaheader=document.querySelector("fieldset#id_previewareaheader");null!==drawlinesForm.fp.file("bgimage").href&&previewareaheader.insertAdjacentHTML("beforeend",'<div class="ddarea que drawlines">  <div id="dlines-droparea" class="droparea">    <img class="dropbackground" />    <div id="dlines-dropzone" class="dropzones"></div>  </div>  <div class="dragitems"></div></div>')},setupEventHandlers:function(){for(var lineSelector="fieldset#id_linexheader_0",lineNo=0;lineNo<drawlinesForm.noOfLines;lineNo++)lineSelector="fieldset#id_linexheader_"+lineNo,document.querySelector(lineSelector).addEventListener("change",(function(e){if(e.target.matches("input, select")){var ids=e.target.name.match(/^([a-z]*)\[(\d+)]$/);if(!e.target.name)return;var dropzoneNo=ids[2],inputType=ids[1],dropZone=drawlinesForm.dropZones[dropzoneNo];switch(inputType){case"zonestart":case"zoneend":dropZone.updateCoordinatesFromForm(drawlinesForm.getSvg());break;case"type":dropZone.displayInitialLine(),dropZone.updateCoordinatesFromForm(drawlinesForm.getSvg()),dropZone.changeShape(drawlinesForm.getSvg());break;case"labelstart":case"labelmiddle":case"labelend":dropZone.updateLabel()}}}));var previewArea=document.querySelector("fieldset#id_previewareaheader");previewArea.addEventListener("click",(function(event){if(event.target.closest("g.dropzone")){var dropzoneElement=event.target.closest("g.dropzone");drawlinesForm.setElementActive(dropzoneElement)}else drawlinesForm.setElementActive(null)})),previewArea.addEventListener("keydown",(function(event){if(event.target.closest("g.dropzone")){var dropzoneElement=event.target.closest("g.dropzone");drawlinesForm.setElementActive(dropzoneElement)}})),previewArea.addEventListener("mousedown",drawlinesForm.handleEventLine),previewArea.addEventListener("touchstart",drawlinesForm.handleEventLine),previewArea.addEventListener("mousedown",drawlinesForm.handleEventMove),previewArea.addEventListener("touchstart",drawlinesForm.handleEventMove),previewArea.addEventListener("mousedown",drawlinesForm.handleEventEdit),previewArea.addEventListener("touchstart",drawlinesForm.handleEventEdit),previewArea.addEventListener("keydown",drawlinesForm.handleKeyPress),previewArea.addEventListener("keypress",drawlinesForm.handleKeyPress)},setElementActive:function(dropzoneElement){let svgElement,activeDropzones;if(null!==dropzoneElement){let dropzoneNo=dropzoneElement.dataset.dropzoneNo;drawlinesForm.dropZones[dropzoneNo].isActive()||(svgElement=drawlinesForm.getSvg(),activeDropzones=svgElement.querySelectorAll(".dropzone.active"),activeDropzones.forEach((function(activeDropzone){activeDropzone.classList.remove("active")})),drawlinesForm.dropZones[dropzoneNo].setActive())}else svgElement=drawlinesForm.getSvg(),activeDropzones=svgElement.querySelectorAll(".dropzone.active"),activeDropzones.forEach((function(activeDropzone){activeDropzone.classList.remove("active")}))},handleEventMove:function(event){var dropzoneNo,handleIndex;event.target.closest(".dropzone .handlestart.move")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex="startcircle",drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,handleIndex,"move")):event.target.closest(".dropzone .handleend.move")&&(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex="endcircle",drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,handleIndex,"move"))},handleEventEdit:function(event){var dropzoneNo,handleIndex;(event.target.closest(".dropzone .handlestart.edit")||event.target.closest(".dropzone .handleend.edit"))&&(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex=event.target.getAttribute("data-edit-handle-no"),drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,handleIndex,"edit"))},handleEventLine:function(event){var dropzoneNo;event.target.closest("g.dropzone.active")&&(dropzoneNo=event.target.closest("g.active").dataset.dropzoneNo,drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,"","line"))},handleKeyPress:function(e){var dropzoneNo,handleIndex,drag;event.target.closest(".dropzone.active .handlestart.move")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex="startcircle",drag=e.target.closest(".dropzone.active .handlestart.move"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,handleIndex,"move")):event.target.closest(".dropzone.active .handleend.move")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex="endcircle",drag=e.target.closest(".dropzone.active .handleend.move"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,handleIndex,"move")):event.target.closest(".dropzone.active .handlestart.edit")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex=event.target.getAttribute("data-edit-handle-no"),drag=e.target.closest(".dropzone.active .handlestart.edit"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,handleIndex,"edit")):event.target.closest(".dropzone.active .handleend.edit")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex=event.target.getAttribute("data-edit-handle-no"),drag=e.target.closest(".dropzone.active .handleend.edit"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,handleIndex,"edit")):e.target.closest("g.dropzone")&&(dropzoneNo=event.target.closest(".dropzone").dataset.dropzoneNo,drag=e.target.closest("g.dropzone.active"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,"","line"))},waitForFilePickerToInitialise:function(){document.querySelectorAll('form.mform[data-qtype="drawlines"]').forEach((function(form){form.addEventListener("change",drawlinesForm.loadPreviewImage)})),document.getElementById("dlines-droparea")||drawlinesForm.setupPreviewArea(),drawlinesForm.loadPreviewImage()},afterPreviewImageLoaded:function(){var bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground");document.getElementById("dlines-dropzone").style.position="relative",document.getElementById("dlines-dropzone").style.top=-1*(bgImg.height+1)+"px",document.getElementById("dlines-droparea").style.height=bgImg.height+20+"px",drawlinesForm.updateSvgDisplay()},updateSvgDisplay:function(){var bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground");if(drawlinesForm.getSvg())for(var lineNo=0;lineNo<drawlinesForm.noOfLines;lineNo++)drawlinesForm.dropZones[lineNo].updateSvgEl();else{document.getElementById("dlines-dropzone").innerHTML='<svg xmlns="http://www.w3.org/2000/svg" class="dropzones" width="'+bgImg.width+'" height="'+bgImg.height+'">viewBox="0 0 '+bgImg.width+" "+bgImg.height+'" </svg>';for(var lines=0;lines<drawlinesForm.noOfLines;lines++)drawlinesForm.dropZones[lines].addToSvg(drawlinesForm.getSvg())}},getSvg:function(){var svg=document.querySelector("fieldset#id_previewareaheader svg");return null===svg?null:svg},toNameWithIndex:function(name,indexes){for(var indexString=name,i=0;i<indexes.length;i++)indexString=indexString+"["+indexes[i]+"]";return indexString},getEl:function(name,indexes){return document.querySelector('form.mform[data-qtype="drawlines"]').elements[this.toNameWithIndex(name,indexes)]},getFormValue:function(name,indexes){return this.getEl(name,indexes).value},setFormValue:function(name,indexes,value){var el=this.getEl(name,indexes);"checkbox"===el.type?el.checked=value:el.value=value},createShapes:function(){for(var lineNo=0;lineNo<drawlinesForm.noOfLines;lineNo++)drawlinesForm.dropZones[lineNo]=new LineManager(lineNo)}};return{init:drawlinesForm.init}}));
+define("qtype_drawlines/form",["jquery","core/dragdrop","qtype_drawlines/line"],(function($,dragDrop,Line){var ZONE_PATTERN="\\d+,\\d+;(\\d+|(ellipse|rectangle):\\d+,\\d+|polygon:\\d+,\\d+(;\\d+,\\d+){2,})";function LineManager(lineNo){this.lineNo=lineNo,this.svgEl=null,this.line=Line.make(this.getCoordinatesFromForm(this.lineNo),this.getLineType(),this.getLabel()),this.updateCoordinatesFromForm()}LineManager.prototype.displayInitialLine=function(){let defaultstartpoint,defaultendpoint,startCoords,endCoords,coords=this.getCoordinatesFromForm(this.lineNo),linespacing=0;""!==coords[0]&&""!==coords[1]||"choose"===this.getLineType()||(linespacing=0===this.lineNo?0:15*this.lineNo,defaultstartpoint=15*(this.lineNo+1)+linespacing,defaultendpoint=defaultstartpoint+15,startCoords=defaultstartpoint+","+defaultstartpoint+";8",endCoords=defaultendpoint+","+defaultendpoint+";8",drawlinesForm.setFormValue("zonestart",[this.lineNo],startCoords),drawlinesForm.setFormValue("zoneend",[this.lineNo],endCoords)),"choose"===this.getLineType()&&(drawlinesForm.setFormValue("zonestart",[this.lineNo],""),drawlinesForm.setFormValue("zoneend",[this.lineNo],"")),this.displayInitialMiddles()},LineManager.prototype.displayInitialMiddles=function(){let coords=this.getCoordinatesFromForm(this.lineNo),lineType=this.getLineType(),middles=""===coords[2].trim()?[]:coords[2].trim().split(/\s+/);if(Line.hasMiddleHandles(lineType)?"linepolyline"!==lineType&&(middles=middles.slice(0,1)):middles=[],Line.hasMiddleHandles(lineType)&&0===middles.length&&""!==coords[0]&&""!==coords[1]){let start=coords[0].split(";")[0].split(","),end=coords[1].split(";")[0].split(",");middles.push(Math.round((parseInt(start[0])+parseInt(end[0]))/2)+","+Math.round((parseInt(start[1])+parseInt(end[1]))/2)+";8")}drawlinesForm.setFormValue("zonemiddle",[this.lineNo],middles.join(" "))},LineManager.prototype.updateCoordinatesFromForm=function(svg){var coordinates=this.getCoordinatesFromForm(this.lineNo);if(this.validateFormCoordinates(this.lineNo)&&this.line.parse(coordinates[0],coordinates[1],1,coordinates[2])){if(this.line.getCoordinates()!==coordinates){var currentyActive=this.isActive();this.removeFromSvg(),svg&&(this.addToSvg(svg),currentyActive&&this.setActive())}else this.updateSvgEl();this.setCoordinatesInForm()}},LineManager.prototype.validateFormCoordinates=function(lineNo){var coords=this.getCoordinatesFromForm(lineNo),regexp=new RegExp("^"+ZONE_PATTERN+"$"),middleregexp=new RegExp("^("+ZONE_PATTERN+"(\\s+"+ZONE_PATTERN+")*)?$");return regexp.test(coords[0])&&regexp.test(coords[1])&&middleregexp.test(coords[2].trim())},LineManager.prototype.setCoordinatesInForm=function(){var linecoords=this.line.getCoordinates();drawlinesForm.setFormValue("zonestart",[this.lineNo],linecoords[0]),drawlinesForm.setFormValue("zoneend",[this.lineNo],linecoords[1]),drawlinesForm.setFormValue("zonemiddle",[this.lineNo],linecoords[2])},LineManager.prototype.getCoordinatesFromForm=function(lineNo){return[drawlinesForm.getFormValue("zonestart",[lineNo]),drawlinesForm.getFormValue("zoneend",[lineNo]),drawlinesForm.getFormValue("zonemiddle",[lineNo])||""]},LineManager.prototype.updateLabel=function(){var label=this.getLabel();this.line.labelstart=label[0],this.line.labelmiddle=label[1],this.line.labelend=label[2],this.updateSvgEl()},LineManager.prototype.getLineType=function(){return drawlinesForm.getFormValue("type",[this.lineNo])},LineManager.prototype.getLabel=function(){return[drawlinesForm.getFormValue("labelstart",[this.lineNo]),drawlinesForm.getFormValue("labelmiddle",[this.lineNo]),drawlinesForm.getFormValue("labelend",[this.lineNo])]},LineManager.prototype.updateSvgEl=function(){if(null!==this.svgEl&&this.validateFormCoordinates(this.lineNo)){var img=document.querySelector("fieldset#id_previewareaheader .dropbackground");this.line.setMeasure(drawlinesForm.getMeasure()),this.line.setZoneKind(drawlinesForm.getFormValue("zonekind",[this.lineNo]),drawlinesForm.getFormValue("zonetolerance",[this.lineNo])),this.line.setStyle(drawlinesForm.getFormValue("colour",[this.lineNo]),drawlinesForm.getFormValue("dashstyle",[this.lineNo]),drawlinesForm.getFormValue("arrowstyle",[this.lineNo])),this.line.updateSvg(this.svgEl,img.naturalWidth,img.naturalHeight),drawlinesForm.placeLabels();var handles=this.line.getHandlePositions();if(null!==handles){var i=0,moveHandles=this.svgEl.querySelectorAll("[data-move-handle-no]"),editHandles=this.svgEl.querySelectorAll("[data-edit-handle-no]");for(i=0;i<handles.moveHandles.length;++i)moveHandles[i].setAttribute("cx",handles.moveHandles[i].x),moveHandles[i].setAttribute("cy",handles.moveHandles[i].y);for(editHandles.length!==handles.editHandles.length&&(editHandles.forEach((function(editHandle){editHandle.parentNode.removeChild(editHandle)})),this.makeEditHandles(handles)),editHandles=this.svgEl.querySelectorAll("[data-edit-handle-no]"),i=0;i<handles.editHandles.length;++i)editHandles[i].setAttribute("x",handles.editHandles[i].x-6),editHandles[i].setAttribute("y",handles.editHandles[i].y-6),editHandles[i].setAttribute("data-zone-shape",handles.zoneShapes[i]);this.updateToleranceHandle()}}},LineManager.prototype.changeShape=function(svg){var newLineType=this.getLineType(),currentyActive=this.isActive();newLineType!==this.line.getType()&&(this.removeFromSvg(),"choose"!==newLineType&&(this.line=Line.getSimilar(newLineType,this.line),svg&&(this.addToSvg(svg),currentyActive&&this.setActive())))},LineManager.prototype.isActive=function(){return null!==this.svgEl&&this.svgEl.getAttribute("class").match(/\bactive\b/)},LineManager.prototype.setActive=function(){this.svgEl.setAttribute("class",this.svgEl.getAttribute("class")+" active")},LineManager.prototype.addToSvg=function(svg){if(null!==this.svgEl)throw new Error("this.svgEl already set");if(this.validateFormCoordinates(this.lineNo)){var img=document.querySelector("fieldset#id_previewareaheader .dropbackground");if(this.line.setMeasure(drawlinesForm.getMeasure()),this.line.setZoneKind(drawlinesForm.getFormValue("zonekind",[this.lineNo]),drawlinesForm.getFormValue("zonetolerance",[this.lineNo])),this.line.setStyle(drawlinesForm.getFormValue("colour",[this.lineNo]),drawlinesForm.getFormValue("dashstyle",[this.lineNo]),drawlinesForm.getFormValue("arrowstyle",[this.lineNo])),this.svgEl=this.line.makeSvg(svg,img.naturalWidth,img.naturalHeight),this.svgEl){drawlinesForm.placeLabels(),this.svgEl.setAttribute("class","dropzone"),this.svgEl.setAttribute("data-dropzone-no",this.lineNo),this.svgEl.querySelector(".rotatehandle").setAttribute("tabindex",0);var handles=this.line.getHandlePositions();if(null!==handles){var i;for(i=0;i<handles.moveHandles.length;i++)this.makeMoveHandle(i,handles.moveHandles[i],this.getHandleClass(i)+" move");this.makeEditHandles(handles);var toleranceHandle=Line.createSvgElement(this.svgEl,"circle");toleranceHandle.setAttribute("r",6),toleranceHandle.setAttribute("class","tolerancehandle"),toleranceHandle.setAttribute("tabindex",0),this.updateToleranceHandle()}}}},LineManager.prototype.makeEditHandles=function(handles){for(var i=0;i<handles.editHandles.length;i++)this.makeEditHandle(handles.zoneNos[i],handles.editHandles[i],this.getHandleClass(handles.zoneNos[i])+" edit",handles.zoneShapes[i],handles.cornerNos[i])},LineManager.prototype.updateToleranceHandle=function(){var toleranceHandle=this.svgEl.querySelector(".tolerancehandle"),point=this.line.getToleranceHandlePoint();toleranceHandle&&(toleranceHandle.style.display=point?"":"none",point&&(toleranceHandle.setAttribute("cx",point.x),toleranceHandle.setAttribute("cy",point.y)))},LineManager.prototype.getHandleClass=function(index){return 0===index?"handlestart":1===index?"handleend":"handlemiddle"},LineManager.prototype.makeMoveHandle=function(index,point,handleclass){var moveHandle=Line.createSvgElement(this.svgEl,"circle");moveHandle.setAttribute("cx",point.x),moveHandle.setAttribute("cy",point.y),moveHandle.setAttribute("r",7),moveHandle.setAttribute("class",handleclass),moveHandle.setAttribute("data-move-handle-no",index),moveHandle.setAttribute("tabindex",0)},LineManager.prototype.makeEditHandle=function(index,point,handleclass,zoneShape,cornerNo){var editHandle=Line.createSvgElement(this.svgEl,"rect");editHandle.setAttribute("x",point.x-6),editHandle.setAttribute("y",point.y-6),editHandle.setAttribute("width",11),editHandle.setAttribute("height",11),editHandle.setAttribute("class",handleclass),editHandle.setAttribute("data-edit-handle-no",index),editHandle.setAttribute("data-zone-shape",zoneShape),null!==cornerNo&&editHandle.setAttribute("data-corner-no",cornerNo),editHandle.setAttribute("tabindex",0)},LineManager.prototype.makeDragProxy=function(x,y){var dragProxy=document.createElement("div");return dragProxy.style.position="absolute",dragProxy.style.top=y+"px",dragProxy.style.left=x+"px",dragProxy.style.width="1px",dragProxy.style.height="1px",document.body.appendChild(dragProxy),dragProxy},LineManager.prototype.handleMouseEvents=function(e,handleIndex,handleType,middleNo){var info=dragDrop.prepare(e);if(info.start){var changingDropZone=this,lastX=parseInt(info.x),lastY=parseInt(info.y),dragProxy=this.makeDragProxy(info.x,info.y),bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground"),maxX=parseInt(bgImg.width),maxY=parseInt(bgImg.height),snap=drawlinesForm.getSnap(),freePoint="rotate"===handleType||"tolerance"===handleType?null:this.line.getHandlePoint("line"===handleType?"line":handleIndex,middleNo),svgRect=drawlinesForm.getSvg().getBoundingClientRect(),originalCoordinates=this.line.getCoordinates(),startAngle=this.line.getAngleTo(new Line.Point(lastX-svgRect.left-window.scrollX,lastY-svgRect.top-window.scrollY));!snap.isEnabled()||"move"!==handleType&&"line"!==handleType||(handleType="snap"+handleType),dragDrop.start(e,$(dragProxy),(function(pageX,pageY){var linePoint=changingDropZone.line.getHandlePoint("line");switch(handleType){case"edit":changingDropZone.line.edit(handleIndex,parseInt(pageX)-lastX,parseInt(pageY)-lastY,maxX,maxY,middleNo),changingDropZone.line.normalizeShape();break;case"move":changingDropZone.line.move(handleIndex,parseInt(pageX)-lastX,parseInt(pageY)-lastY,maxX,maxY,middleNo);break;case"line":changingDropZone.line.moveDrags(parseInt(pageX)-lastX,parseInt(pageY)-lastY,maxX,maxY,"");break;case"snapmove":case"snapline":freePoint.move(parseInt(pageX)-lastX,parseInt(pageY)-lastY),changingDropZone.line.moveSnapped(snap,"snapline"===handleType?"line":handleIndex,freePoint,maxX,maxY,middleNo);break;case"rotate":changingDropZone.line.rotateFrom(originalCoordinates,startAngle,new Line.Point(pageX-svgRect.left-window.scrollX,pageY-svgRect.top-window.scrollY),maxX,maxY);break;case"tolerance":drawlinesForm.setFormValue("zonetolerance",[changingDropZone.lineNo],changingDropZone.line.setToleranceFromPoint(new Line.Point(pageX-svgRect.left-window.scrollX,pageY-svgRect.top-window.scrollY)))}if(lastX=pageX,lastY=pageY,changingDropZone.updateSvgEl(),changingDropZone.setCoordinatesInForm(),"line"===handleType||"snapline"===handleType){var movedPoint=changingDropZone.line.getHandlePoint("line");drawlinesForm.moveOtherSelected(changingDropZone,movedPoint.x-linePoint.x,movedPoint.y-linePoint.y)}}),(function(){document.body.removeChild(dragProxy),drawlinesForm.recordChange()}))}},LineManager.prototype.handleKeyPress=function(event,drag,handleIndex,handleType,middleNo){if("KeyC"===event.code&&!(event.ctrlKey||event.metaKey||event.altKey))return event.preventDefault(),void this.cycleFocus(drag,event.shiftKey);var bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground"),maxX=parseInt(bgImg.width),maxY=parseInt(bgImg.height),bgRatio=bgImg.naturalWidth?bgImg.width/bgImg.naturalWidth:1,snap=drawlinesForm.getSnap(),whichHandle="line"===handleType?"line":handleIndex,linePoint=this.line.getHandlePoint("line"),keyMove=this.line.getKeyboardMove(event,"edit"===handleType?"":whichHandle,middleNo,bgRatio,maxX,maxY);if("rotate"!==handleType&&"tolerance"!==handleType||(keyMove=this.line.getKeyboardRotation(event)),null!==keyMove&&("edit"!==handleType||0!==keyMove.steps)){if(event.preventDefault(),"rotate"===handleType?this.line.rotate(keyMove.degrees,maxX,maxY):"tolerance"===handleType?drawlinesForm.setFormValue("zonetolerance",[this.lineNo],this.line.setTolerance(this.line.zoneTolerance+keyMove.degrees)):!snap.isEnabled()||"move"!==handleType&&"line"!==handleType?"move"===handleType?this.line.move(handleIndex,keyMove.x,keyMove.y,maxX,maxY,middleNo):"edit"===handleType?(this.line.edit(handleIndex,keyMove.x,keyMove.y,maxX,maxY,middleNo),this.line.normalizeShape()):"line"===handleType&&this.line.moveDrags(keyMove.x,keyMove.y,maxX,maxY,""):this.line.moveSnapped(snap,whichHandle,snap.keyboardTarget(this.line.getHandlePoint(whichHandle,middleNo),keyMove),maxX,maxY,middleNo),this.updateSvgEl(),this.setCoordinatesInForm(),"line"===handleType){var movedPoint=this.line.getHandlePoint("line");drawlinesForm.moveOtherSelected(this,movedPoint.x-linePoint.x,movedPoint.y-linePoint.y)}drawlinesForm.recordChange([this.lineNo,handleType,handleIndex,middleNo].join(":")),drag.focus()}},LineManager.prototype.cycleFocus=function(current,backwards){if(null!==this.svgEl){var parts=[this.svgEl].concat(Array.from(this.svgEl.querySelectorAll(".handlestart.move")),Array.from(this.svgEl.querySelectorAll(".handlemiddle.move")),Array.from(this.svgEl.querySelectorAll(".handleend.move")),Array.from(this.svgEl.querySelectorAll(".rotatehandle, .tolerancehandle"))),index=parts.indexOf(current);-1===index&&current.classList.contains("edit")?index=0:index+=backwards?-1:1,parts[(index+parts.length)%parts.length].focus()}},LineManager.prototype.removeFromSvg=function(){null!==this.svgEl&&(this.svgEl.parentNode.removeChild(this.svgEl),this.svgEl=null)},LineManager.prototype.setLineNo=function(lineNo){this.lineNo=lineNo,null!==this.svgEl&&this.svgEl.setAttribute("data-dropzone-no",lineNo)};const drawlinesForm={fp:null,noOfLines:null,dropZones:[],dragJustEnded:!1,undoStack:[],redoStack:[],savedState:null,lastKeyMove:null,lineDefaults:{},lineHideIfs:{},linesToAdd:1,init:function(lineDefaults,lineHideIfs,linesToAdd){drawlinesForm.lineDefaults=lineDefaults||{},drawlinesForm.lineHideIfs=lineHideIfs||{},drawlinesForm.linesToAdd=linesToAdd||1,drawlinesForm.noOfLines=parseInt(drawlinesForm.getFormValue("numberoflines",[])),drawlinesForm.createShapes(),drawlinesForm.clearHistory(),drawlinesForm.setupLineActions(),drawlinesForm.fp=drawlinesForm.filePickers(),drawlinesForm.setupEventHandlers(),drawlinesForm.waitForFilePickerToInitialise()},filePickers:function(){var draftItemIdsToName,nameToParentNode;void 0===draftItemIdsToName&&(draftItemIdsToName={},nameToParentNode={},document.querySelectorAll('form.mform[data-qtype="drawlines"] input.filepickerhidden').forEach((function(filepicker){draftItemIdsToName[filepicker.value]=filepicker.name,nameToParentNode[filepicker.name]=filepicker.parentNode})));return{file:function(name){var parentNode=nameToParentNode[name];if(parentNode){var fileAnchor=parentNode.querySelector("div.filepicker-filelist a");if(fileAnchor)return{href:fileAnchor.href,name:fileAnchor.innerHTML}}return{href:null,name:null}},name:function(draftitemid){return draftItemIdsToName[draftitemid]}}},loadPreviewImage:function(){document.getElementById("dlines-droparea")||drawlinesForm.setupPreviewArea();var img=document.querySelector("fieldset#id_previewareaheader .dropbackground");img&&(img.addEventListener("load",(function(){drawlinesForm.afterPreviewImageLoaded()}),{once:!0}),img.src=drawlinesForm.fp.file("bgimage").href)},setupPreviewArea:function(){var previewareaheader=document.querySelector("fieldset#id_previewareaheader");if(null!==drawlinesForm.fp.file("bgimage").href){previewareaheader.insertAdjacentHTML("beforeend",'<div class="ddarea que drawlines">  <div class="drawlines-toolbar drawlines-history">    <button type="button" class="btn btn-secondary undo" aria-keyshortcuts="Control+Z" disabled>'+M.util.get_string("undo","qtype_drawlines")+'</button>    <button type="button" class="btn btn-secondary redo" aria-keyshortcuts="Control+Y" disabled>'+M.util.get_string("redo","qtype_drawlines")+'</button>  </div>  <div class="drawlines-toolbar drawlines-arrange" role="toolbar" aria-label="'+M.util.get_string("arrangelines","qtype_drawlines")+'">'+["alignstartshorizontally","alignstartsvertically","alignendshorizontally","alignendsvertically","equaliseradii","distributehorizontally","distributevertically"].map((function(action){return'<button type="button" class="btn btn-secondary" data-arrange="'+action+'" disabled>'+M.util.get_string(action,"qtype_drawlines")+"</button>"})).join(" ")+'  </div>  <div id="dlines-droparea" class="droparea">    <img class="dropbackground" />    <div id="dlines-dropzone" class="dropzones"></div>  </div>  <div class="dragitems"></div></div>')}},setupEventHandlers:function(){document.querySelector('form.mform[data-qtype="drawlines"]').addEventListener("change",(function(e){if(e.target.matches('fieldset[id^="id_linexheader_"] input, fieldset[id^="id_linexheader_"] select')){var ids=e.target.name.match(/^([a-z]*)\[(\d+)]$/);if(!ids)return;var dropzoneNo=ids[2],inputType=ids[1],dropZone=drawlinesForm.dropZones[dropzoneNo];switch(drawlinesForm.updateHiddenFields(dropzoneNo),inputType){case"zonestart":case"zoneend":case"zonemiddle":dropZone.updateCoordinatesFromForm(drawlinesForm.getSvg());break;case"type":dropZone.displayInitialLine(),dropZone.updateCoordinatesFromForm(drawlinesForm.getSvg()),dropZone.changeShape(drawlinesForm.getSvg());break;case"labelstart":case"labelmiddle":case"labelend":dropZone.updateLabel();break;case"zonekind":case"zonetolerance":case"colour":case"dashstyle":case"arrowstyle":dropZone.updateSvgEl()}drawlinesForm.recordChange()}})),["scalepixels","scalelength","scaleunit"].forEach((function(name){var el=drawlinesForm.getEl(name,[]);el&&el.addEventListener("change",drawlinesForm.updateMeasurements)}));var previewArea=document.querySelector("fieldset#id_previewareaheader");previewArea.addEventListener("click",(function(event){if(event.target.closest(".drawlines-history"))event.target.closest("button.undo")?drawlinesForm.undo():event.target.closest("button.redo")&&drawlinesForm.redo();else if(event.target.closest(".drawlines-arrange"))event.target.closest("[data-arrange]")&&drawlinesForm.arrangeSelected(event.target.closest("[data-arrange]").dataset.arrange);else if(drawlinesForm.dragJustEnded)drawlinesForm.dragJustEnded=!1;else if(event.target.closest("g.dropzone")){var dropzoneElement=event.target.closest("g.dropzone");event.shiftKey?drawlinesForm.toggleElementActive(dropzoneElement):drawlinesForm.setElementActive(dropzoneElement)}else drawlinesForm.setElementActive(null)})),previewArea.addEventListener("keydown",(function(event){if(event.target.closest("g.dropzone")){var dropzoneElement=event.target.closest("g.dropzone");drawlinesForm.setElementActive(dropzoneElement)}})),["mousedown","touchstart"].forEach((function(eventType){previewArea.addEventListener(eventType,(function(){drawlinesForm.dragJustEnded=!1}))})),previewArea.addEventListener("mousedown",drawlinesForm.handleEventLine),previewArea.addEventListener("touchstart",drawlinesForm.handleEventLine),previewArea.addEventListener("mousedown",drawlinesForm.handleEventMove),previewArea.addEventListener("touchstart",drawlinesForm.handleEventMove),previewArea.addEventListener("mousedown",drawlinesForm.handleEventEdit),previewArea.addEventListener("touchstart",drawlinesForm.handleEventEdit),previewArea.addEventListener("mousedown",drawlinesForm.handleEventDraw),previewArea.addEventListener("touchstart",drawlinesForm.handleEventDraw),previewArea.addEventListener("mousedown",drawlinesForm.handleEventSelect),previewArea.addEventListener("keydown",drawlinesForm.handleHistoryKeys),previewArea.addEventListener("keydown",drawlinesForm.handleKeyPress),previewArea.addEventListener("keypress",drawlinesForm.handleKeyPress)},setElementActive:function(dropzoneElement){let svgElement,activeDropzones;if(null!==dropzoneElement){let dropzoneNo=dropzoneElement.dataset.dropzoneNo;drawlinesForm.dropZones[dropzoneNo].isActive()||(svgElement=drawlinesForm.getSvg(),activeDropzones=svgElement.querySelectorAll(".dropzone.active"),activeDropzones.forEach((function(activeDropzone){activeDropzone.classList.remove("active")})),drawlinesForm.dropZones[dropzoneNo].setActive())}else svgElement=drawlinesForm.getSvg(),activeDropzones=svgElement.querySelectorAll(".dropzone.active"),activeDropzones.forEach((function(activeDropzone){activeDropzone.classList.remove("active")}));drawlinesForm.updateArrangeButtons()},toggleElementActive:function(dropzoneElement){var dropZone=drawlinesForm.dropZones[dropzoneElement.dataset.dropzoneNo];dropZone.isActive()?dropzoneElement.classList.remove("active"):dropZone.setActive(),drawlinesForm.updateArrangeButtons()},getSelectedDropZones:function(){return drawlinesForm.dropZones.filter((function(dropZone){return dropZone&&dropZone.isActive()}))},updateArrangeButtons:function(){var selectedCount=drawlinesForm.getSelectedDropZones().length;document.querySelectorAll("fieldset#id_previewareaheader [data-arrange]").forEach((function(button){button.disabled=selectedCount<(button.dataset.arrange.startsWith("distribute")?3:2)}))},moveOtherSelected:function(movedDropZone,dx,dy){if((0!==dx||0!==dy)&&movedDropZone.isActive()){var bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground");drawlinesForm.getSelectedDropZones().forEach((function(dropZone){dropZone!==movedDropZone&&(dropZone.line.moveDrags(dx,dy,parseInt(bgImg.width),parseInt(bgImg.height)),dropZone.updateSvgEl(),dropZone.setCoordinatesInForm())}))}},arrangeSelected:function(action){var selected=drawlinesForm.getSelectedDropZones(),bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground"),maxX=parseInt(bgImg.width),maxY=parseInt(bgImg.height),first=selected[0];if(!(selected.length<2)){switch(action){case"alignstartshorizontally":case"alignstartsvertically":case"alignendshorizontally":case"alignendsvertically":var whichHandle=action.startsWith("alignstarts")?"startcircle":"endcircle",horizontally=action.endsWith("horizontally"),target=first.line.getHandlePoint(whichHandle);selected.forEach((function(dropZone){var point=dropZone.line.getHandlePoint(whichHandle);dropZone.line.move(whichHandle,horizontally?0:target.x-point.x,horizontally?target.y-point.y:0,maxX,maxY)}));break;case"equaliseradii":selected.forEach((function(dropZone){dropZone.line.copyRadii(first.line)}));break;case"distributehorizontally":case"distributevertically":var axis="distributehorizontally"===action?"x":"y",getCentre=function(dropZone){return(dropZone.line.getHandlePoint("startcircle")[axis]+dropZone.line.getHandlePoint("endcircle")[axis])/2},sorted=selected.slice().sort((function(a,b){return getCentre(a)-getCentre(b)})),from=getCentre(sorted[0]),step=(getCentre(sorted[sorted.length-1])-from)/(sorted.length-1);sorted.forEach((function(dropZone,index){var offset=Math.round(from+index*step-getCentre(dropZone));dropZone.line.moveDrags("x"===axis?offset:0,"y"===axis?offset:0,maxX,maxY)}))}selected.forEach((function(dropZone){dropZone.updateSvgEl(),dropZone.setCoordinatesInForm()})),drawlinesForm.recordChange()}},handleEventMove:function(event){var dropzoneNo,handleIndex;event.target.closest(".dropzone .handlestart.move")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex="startcircle",drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,handleIndex,"move")):event.target.closest(".dropzone .handleend.move")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex="endcircle",drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,handleIndex,"move")):event.target.closest(".dropzone .handlemiddle.move")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex="middlecircle",drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,handleIndex,"move",event.target.getAttribute("data-move-handle-no")-2)):event.target.closest(".dropzone .rotatehandle")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,"","rotate")):event.target.closest(".dropzone .tolerancehandle")&&(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,"","tolerance"))},handleEventEdit:function(event){var dropzoneNo,handleIndex;(event.target.closest(".dropzone .handlestart.edit")||event.target.closest(".dropzone .handleend.edit, .dropzone .handlemiddle.edit"))&&(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex=event.target.getAttribute("data-edit-handle-no"),drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,handleIndex,"edit",drawlinesForm.getCornerNo(event.target)))},handleEventLine:function(event){var dropzoneNo;event.target.closest("g.dropzone.active")&&!event.target.closest(".rotatehandle, .tolerancehandle")&&(dropzoneNo=event.target.closest("g.active").dataset.dropzoneNo,drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event,"","line"))},handleEventDraw:function(event){if(!event.shiftKey&&event.target.closest("svg.dropzones")&&!event.target.closest("g.dropzone")){var info=dragDrop.prepare(event);if(info.start){var svg=drawlinesForm.getSvg(),svgRect=svg.getBoundingClientRect(),bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground"),snap=drawlinesForm.getSnap(),toPoint=function(pageX,pageY){var point=snap.snapPoint(new Line.Point(Math.round(pageX-svgRect.left-window.scrollX),Math.round(pageY-svgRect.top-window.scrollY)));return new Line.Point(Math.min(Math.max(point.x,0),parseInt(bgImg.width)),Math.min(Math.max(point.y,0),parseInt(bgImg.height)))},start=toPoint(info.x,info.y),end=start,lineType=drawlinesForm.getNewLineType(),line=Line.make([start+";8",end+";8",""],lineType,["","",""]),svgEl=line.makeSvg(svg,bgImg.naturalWidth,bgImg.naturalHeight),dragProxy=LineManager.prototype.makeDragProxy(info.x,info.y);svgEl.setAttribute("class","dropzone drawing"),dragDrop.start(event,$(dragProxy),(function(pageX,pageY){end=toPoint(pageX,pageY),line.parse(start+";8",end+";8",1,""),line.updateSvg(svgEl,bgImg.naturalWidth,bgImg.naturalHeight)}),(function(){if(document.body.removeChild(dragProxy),svg.removeChild(svgEl),Math.abs(end.x-start.x)+Math.abs(end.y-start.y)>=10){var lineNo=drawlinesForm.addDrawnLine(lineType,start+";8",end+";8");drawlinesForm.setElementActive(drawlinesForm.dropZones[lineNo].svgEl),drawlinesForm.dragJustEnded=!0}}))}}},handleEventSelect:function(event){if(event.shiftKey&&event.target.closest("svg.dropzones")&&!event.target.closest("g.dropzone")){var info=dragDrop.prepare(event);if(info.start){var svg=drawlinesForm.getSvg(),svgRect=svg.getBoundingClientRect(),toPoint=function(pageX,pageY){return new Line.Point(Math.round(pageX-svgRect.left-window.scrollX),Math.round(pageY-svgRect.top-window.scrollY))},start=toPoint(info.x,info.y),end=start,box=document.createElementNS("http://www.w3.org/2000/svg","rect"),dragProxy=LineManager.prototype.makeDragProxy(info.x,info.y),updateBox=function(){box.setAttribute("x",Math.min(start.x,end.x)),box.setAttribute("y",Math.min(start.y,end.y)),box.setAttribute("width",Math.abs(end.x-start.x)),box.setAttribute("height",Math.abs(end.y-start.y))};box.setAttribute("class","selectionbox"),updateBox(),svg.appendChild(box),dragDrop.start(event,$(dragProxy),(function(pageX,pageY){end=toPoint(pageX,pageY),updateBox()}),(function(){document.body.removeChild(dragProxy),svg.removeChild(box),drawlinesForm.dropZones.forEach((function(dropZone){dropZone.svgEl&&!dropZone.isActive()&&(dropZone.line.getHandlePositions().moveHandles.every((function(point){return point.x>=Math.min(start.x,end.x)&&point.x<=Math.max(start.x,end.x)&&point.y>=Math.min(start.y,end.y)&&point.y<=Math.max(start.y,end.y)}))&&dropZone.setActive())})),drawlinesForm.dragJustEnded=!0,drawlinesForm.updateArrangeButtons()}))}}},getNewLineType:function(){for(var lineNo=drawlinesForm.noOfLines-1;lineNo>=0;lineNo--){var lineType=drawlinesForm.getFormValue("type",[lineNo]);if("choose"!==lineType)return lineType}return"linesegment"},getFreeLineNo:function(){for(var lineNo=0;lineNo<drawlinesForm.noOfLines;lineNo++)if("choose"===drawlinesForm.getFormValue("type",[lineNo])&&""===drawlinesForm.getFormValue("zonestart",[lineNo]))return lineNo;return-1},addDrawnLine:function(lineType,zoneStart,zoneEnd){var lineNo=drawlinesForm.getFreeLineNo();-1===lineNo&&(lineNo=drawlinesForm.appendLine()),drawlinesForm.setFormValue("type",[lineNo],lineType),drawlinesForm.setFormValue("zonestart",[lineNo],zoneStart),drawlinesForm.setFormValue("zoneend",[lineNo],zoneEnd);var dropZone=drawlinesForm.dropZones[lineNo],svg=drawlinesForm.getSvg();return dropZone.displayInitialLine(),dropZone.updateCoordinatesFromForm(svg),dropZone.changeShape(svg),drawlinesForm.recordChange(),lineNo},handleKeyPress:function(e){var dropzoneNo,handleIndex,drag;event.target.closest(".dropzone.active .handlestart.move")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex="startcircle",drag=e.target.closest(".dropzone.active .handlestart.move"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,handleIndex,"move")):event.target.closest(".dropzone.active .handleend.move")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex="endcircle",drag=e.target.closest(".dropzone.active .handleend.move"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,handleIndex,"move")):event.target.closest(".dropzone.active .handlemiddle.move")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex="middlecircle",drag=e.target.closest(".dropzone.active .handlemiddle.move"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,handleIndex,"move",drag.getAttribute("data-move-handle-no")-2)):event.target.closest(".dropzone.active .rotatehandle")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,drag=e.target.closest(".dropzone.active .rotatehandle"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,"","rotate")):event.target.closest(".dropzone.active .tolerancehandle")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,drag=e.target.closest(".dropzone.active .tolerancehandle"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,"","tolerance")):event.target.closest(".dropzone.active .handlestart.edit")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex=event.target.getAttribute("data-edit-handle-no"),drag=e.target.closest(".dropzone.active .handlestart.edit"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,handleIndex,"edit",drawlinesForm.getCornerNo(drag))):event.target.closest(".dropzone.active .handleend.edit")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex=event.target.getAttribute("data-edit-handle-no"),drag=e.target.closest(".dropzone.active .handleend.edit"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,handleIndex,"edit",drawlinesForm.getCornerNo(drag))):event.target.closest(".dropzone.active .handlemiddle.edit")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,handleIndex=event.target.getAttribute("data-edit-handle-no"),drag=e.target.closest(".dropzone.active .handlemiddle.edit"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,handleIndex,"edit",drawlinesForm.getCornerNo(drag))):e.target.closest("g.dropzone")&&(dropzoneNo=event.target.closest(".dropzone").dataset.dropzoneNo,drag=e.target.closest("g.dropzone.active"),drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event,drag,"","line"))},waitForFilePickerToInitialise:function(){document.querySelectorAll('form.mform[data-qtype="drawlines"]').forEach((function(form){form.addEventListener("change",drawlinesForm.loadPreviewImage)})),document.getElementById("dlines-droparea")||drawlinesForm.setupPreviewArea(),drawlinesForm.loadPreviewImage()},afterPreviewImageLoaded:function(){var bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground");document.getElementById("dlines-dropzone").style.position="relative",document.getElementById("dlines-dropzone").style.top=-1*(bgImg.height+1)+"px",document.getElementById("dlines-droparea").style.height=bgImg.height+20+"px",drawlinesForm.updateSvgDisplay()},updateSvgDisplay:function(){var bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground");if(drawlinesForm.getSvg())for(var lineNo=0;lineNo<drawlinesForm.noOfLines;lineNo++)drawlinesForm.dropZones[lineNo].updateSvgEl();else{document.getElementById("dlines-dropzone").innerHTML='<svg xmlns="http://www.w3.org/2000/svg" id="dlines-dropzones" class="dropzones" width="'+bgImg.width+'" height="'+bgImg.height+'">viewBox="0 0 '+bgImg.width+" "+bgImg.height+'" </svg>';for(var lines=0;lines<drawlinesForm.noOfLines;lines++)drawlinesForm.dropZones[lines].addToSvg(drawlinesForm.getSvg())}},getSvg:function(){var svg=document.querySelector("fieldset#id_previewareaheader svg");return null===svg?null:svg},toNameWithIndex:function(name,indexes){for(var indexString=name,i=0;i<indexes.length;i++)indexString=indexString+"["+indexes[i]+"]";return indexString},getEl:function(name,indexes){return document.querySelector('form.mform[data-qtype="drawlines"]').elements[this.toNameWithIndex(name,indexes)]},getFormValue:function(name,indexes){return this.getEl(name,indexes).value},setFormValue:function(name,indexes,value){var el=this.getEl(name,indexes);"checkbox"===el.type?el.checked=value:el.value=value},getSnap:function(){var mode=drawlinesForm.getFormValue("snapmode",[]),origin=(drawlinesForm.getFormValue("snapgridorigin",[])||"0,0").trim(),anchors=(drawlinesForm.getFormValue("snapanchorpoints",[])||"").trim(),pointregexp=/^\d+,\d+$/;return Line.makeSnap({mode:mode,gridspacing:drawlinesForm.getFormValue("snapgridspacing",[]),gridorigin:pointregexp.test(origin)?origin.split(","):[0,0],anchors:""===anchors?[]:anchors.split(/\s+/).filter((function(anchor){return pointregexp.test(anchor)})).map((function(anchor){return anchor.split(",")}))})},getMeasure:function(){return Line.makeMeasure({pixels:drawlinesForm.getFormValue("scalepixels",[]),length:drawlinesForm.getFormValue("scalelength",[]),unit:(drawlinesForm.getFormValue("scaleunit",[])||"").trim()})},placeLabels:function(){var img=document.querySelector("fieldset#id_previewareaheader .dropbackground"),dropZones=drawlinesForm.dropZones.filter((function(dropZone){return dropZone&&dropZone.svgEl}));Line.placeLabels(dropZones.map((function(dropZone){return dropZone.line})),dropZones.map((function(dropZone){return dropZone.svgEl})),img.naturalWidth,img.naturalHeight)},updateMeasurements:function(){drawlinesForm.dropZones.forEach((function(dropZone){dropZone.updateSvgEl()}))},createShapes:function(){for(var lineNo=0;lineNo<drawlinesForm.noOfLines;lineNo++)drawlinesForm.dropZones[lineNo]=new LineManager(lineNo)},getCornerNo:function(editHandle){var cornerNo=editHandle.getAttribute("data-corner-no");return null===cornerNo?void 0:parseInt(cornerNo)},getLineFieldset:function(lineNo){return document.getElementById("id_linexheader_"+lineNo)},setupLineActions:function(){for(var lineNo=0;lineNo<drawlinesForm.noOfLines;lineNo++){var fieldset=drawlinesForm.getLineFieldset(lineNo);(fieldset.querySelector(".fcontainer")||fieldset).insertAdjacentHTML("beforeend",'<div class="lineactions mb-3">  <button type="button" class="btn btn-secondary" data-action="duplicateline">'+M.util.get_string("duplicateline","qtype_drawlines")+'</button>  <button type="button" class="btn btn-secondary" data-action="deleteline">'+M.util.get_string("deleteline","qtype_drawlines")+"</button></div>")}drawlinesForm.updateLineActions(),document.querySelector('form.mform[data-qtype="drawlines"]').addEventListener("click",(function(e){if(e.target.closest('[name="addlines"]')){e.preventDefault();var firstLineNo=drawlinesForm.addLines(drawlinesForm.linesToAdd);drawlinesForm.getEl("type",[firstLineNo]).focus()}else{var button=e.target.closest('[data-action="duplicateline"], [data-action="deleteline"]');if(button){var lineNo=parseInt(button.closest('fieldset[id^="id_linexheader_"]').id.match(/_(\d+)$/)[1]);"duplicateline"===button.dataset.action?(drawlinesForm.duplicateLine(lineNo),drawlinesForm.getEl("type",[lineNo+1]).focus()):(drawlinesForm.deleteLine(lineNo),drawlinesForm.getEl("type",[Math.min(lineNo,drawlinesForm.noOfLines-1)]).focus())}}}))},updateLineActions:function(){document.querySelectorAll('fieldset[id^="id_linexheader_"] [data-action="deleteline"]').forEach((function(button){button.disabled=drawlinesForm.noOfLines<=1}))},addLines:function(count){for(var firstLineNo=drawlinesForm.noOfLines,i=0;i<count;i++)drawlinesForm.appendLine();return drawlinesForm.recordChange(),firstLineNo},appendLine:function(){var lineNo=drawlinesForm.noOfLines;return drawlinesForm.insertLine(lineNo,0),drawlinesForm.resetLine(lineNo),drawlinesForm.dropZones[lineNo]=new LineManager(lineNo),lineNo},duplicateLine:function(lineNo){var newLineNo=lineNo+1;drawlinesForm.insertLine(newLineNo,lineNo);var dropZone=new LineManager(newLineNo),svg=drawlinesForm.getSvg();if(drawlinesForm.dropZones[newLineNo]=dropZone,dropZone.validateFormCoordinates(newLineNo)){if(svg){var bgImg=document.querySelector("fieldset#id_previewareaheader .dropbackground");dropZone.line.moveDrags(10,10,bgImg.naturalWidth,bgImg.naturalHeight),dropZone.setCoordinatesInForm(),"choose"!==dropZone.getLineType()&&(dropZone.addToSvg(svg),drawlinesForm.setElementActive(dropZone.svgEl))}drawlinesForm.recordChange()}else drawlinesForm.recordChange()},deleteLine:function(lineNo){drawlinesForm.noOfLines<=1||(drawlinesForm.removeLine(lineNo),drawlinesForm.recordChange())},removeLine:function(lineNo){drawlinesForm.dropZones[lineNo].removeFromSvg(),drawlinesForm.dropZones.splice(lineNo,1);var fieldset=drawlinesForm.getLineFieldset(lineNo);fieldset.parentNode.removeChild(fieldset);for(var i=lineNo+1;i<drawlinesForm.noOfLines;i++)drawlinesForm.renumberLine(drawlinesForm.getLineFieldset(i),i,i-1),drawlinesForm.dropZones[i-1].setLineNo(i-1);drawlinesForm.setNumberOfLines(drawlinesForm.noOfLines-1),drawlinesForm.getSvg()&&drawlinesForm.placeLabels(),drawlinesForm.updateArrangeButtons()},insertLine:function(lineNo,copyLineNo){var original=drawlinesForm.getLineFieldset(copyLineNo),copy=original.cloneNode(!0),originalFields=original.querySelectorAll("input[name], select[name]");copy.querySelectorAll("input[name], select[name]").forEach((function(el,index){el.value=originalFields[index].value,el.checked=originalFields[index].checked})),copy.querySelectorAll('[id^="collapseElement-"]').forEach((function(toggle){toggle.id="id_linexheader_"+copyLineNo+"toggle"})),copy.querySelectorAll('[id^="yui_"]').forEach((function(el){el.removeAttribute("id")}));for(var i=drawlinesForm.noOfLines-1;i>=lineNo;i--)drawlinesForm.renumberLine(drawlinesForm.getLineFieldset(i),i,i+1),drawlinesForm.dropZones[i].setLineNo(i+1);drawlinesForm.renumberLine(copy,copyLineNo,lineNo);var previous=drawlinesForm.getLineFieldset(lineNo-1)||drawlinesForm.getLineFieldset(lineNo+1);previous.parentNode.insertBefore(copy,lineNo>0?previous.nextSibling:previous),drawlinesForm.dropZones.splice(lineNo,0,null),drawlinesForm.setNumberOfLines(drawlinesForm.noOfLines+1),copy.querySelectorAll(".collapse").forEach((function(container){container.classList.add("show")})),copy.querySelectorAll("[aria-expanded]").forEach((function(toggle){toggle.classList.remove("collapsed"),toggle.setAttribute("aria-expanded","true")})),copy.classList.remove("collapsed"),drawlinesForm.updateHiddenFields(lineNo)},renumberLine:function(fieldset,from,to){var nameRegExp=new RegExp("\\["+from+"\\]$"),idRegExp=new RegExp("_"+from+"(container|toggle|_label)?(?=\\s|$)","g"),idAttributes=["id","for","aria-controls","aria-describedby","aria-labelledby","data-target"];[fieldset].concat(Array.from(fieldset.querySelectorAll("*"))).forEach((function(el){el.hasAttribute("name")&&el.setAttribute("name",el.getAttribute("name").replace(nameRegExp,"["+to+"]")),idAttributes.forEach((function(attribute){el.hasAttribute(attribute)&&el.setAttribute(attribute,el.getAttribute(attribute).replace(idRegExp,"_"+to+"$1"))})),el.hasAttribute("href")&&"#"===el.getAttribute("href").charAt(0)&&el.setAttribute("href",el.getAttribute("href").replace(idRegExp,"_"+to+"$1"))}));for(var node,heading=M.util.get_string("linexheader","qtype_drawlines"),fromHeading=heading.replace("{no}",from+1),walker=document.createTreeWalker(fieldset,NodeFilter.SHOW_TEXT);node=walker.nextNode();)node.parentNode.closest(".fcontainer")||node.nodeValue.trim()!==fromHeading||(node.nodeValue=node.nodeValue.replace(fromHeading,heading.replace("{no}",to+1)))},resetLine:function(lineNo){var fieldset=drawlinesForm.getLineFieldset(lineNo);fieldset.querySelectorAll("input[name], select[name]").forEach((function(el){var field=el.name.replace(/\[\d+]$/,""),hasDefault=drawlinesForm.lineDefaults.hasOwnProperty(field);"hidden"!==el.type&&("checkbox"===el.type?el.checked=hasDefault&&!!parseInt(drawlinesForm.lineDefaults[field]):"SELECT"===el.tagName?el.value=hasDefault?String(drawlinesForm.lineDefaults[field]):el.options[0].value:el.value=hasDefault?String(drawlinesForm.lineDefaults[field]):"",el.classList.remove("is-invalid"))})),fieldset.querySelectorAll(".invalid-feedback").forEach((function(feedback){feedback.textContent=""})),drawlinesForm.updateHiddenFields(lineNo)},updateHiddenFields:function(lineNo){Object.keys(drawlinesForm.lineHideIfs).forEach((function(field){var rule=drawlinesForm.lineHideIfs[field],value=drawlinesForm.getFormValue(rule[0],[lineNo]),el=drawlinesForm.getEl(field,[lineNo]),fitem=el?el.closest(".fitem"):null;fitem&&(fitem.hidden="in"===rule[1]?-1!==rule[2].indexOf(value):String(rule[2])===value)}))},setNumberOfLines:function(noOfLines){drawlinesForm.noOfLines=noOfLines,drawlinesForm.getEl("numberoflines",[]).value=noOfLines,drawlinesForm.updateLineActions()},getLineFields:function(lineNo){return Array.from(drawlinesForm.getLineFieldset(lineNo).querySelectorAll("input[name], select[name]"))},getState:function(){for(var state=[],lineNo=0;lineNo<drawlinesForm.noOfLines;lineNo++)state.push(drawlinesForm.getLineFields(lineNo).map((function(el){return"checkbox"===el.type?el.checked:el.value})));return state},restoreState:function(state){for(var svg=drawlinesForm.getSvg();drawlinesForm.noOfLines>state.length;)drawlinesForm.removeLine(drawlinesForm.noOfLines-1);for(;drawlinesForm.noOfLines<state.length;)drawlinesForm.appendLine();state.forEach((function(values,lineNo){var dropZone=drawlinesForm.dropZones[lineNo];drawlinesForm.getLineFields(lineNo).forEach((function(el,index){"checkbox"===el.type?el.checked=values[index]:el.value=values[index]})),drawlinesForm.updateHiddenFields(lineNo),dropZone.updateCoordinatesFromForm(svg),dropZone.changeShape(svg),dropZone.updateLabel()})),drawlinesForm.updateArrangeButtons()},recordChange:function(keyMove){var now=Date.now(),isSameKeyMove=void 0!==keyMove&&null!==drawlinesForm.lastKeyMove&&drawlinesForm.lastKeyMove.key===keyMove&&now-drawlinesForm.lastKeyMove.time<1e3,state=drawlinesForm.getState();drawlinesForm.lastKeyMove=void 0===keyMove?null:{key:keyMove,time:now},JSON.stringify(state)!==JSON.stringify(drawlinesForm.savedState)&&(isSameKeyMove&&0!==drawlinesForm.undoStack.length||drawlinesForm.undoStack.push(drawlinesForm.savedState),drawlinesForm.savedState=state,drawlinesForm.redoStack=[],drawlinesForm.updateHistoryButtons())},clearHistory:function(){drawlinesForm.undoStack=[],drawlinesForm.redoStack=[],drawlinesForm.savedState=drawlinesForm.getState(),drawlinesForm.lastKeyMove=null,drawlinesForm.updateHistoryButtons()},undo:function(){0!==drawlinesForm.undoStack.length&&(drawlinesForm.redoStack.push(drawlinesForm.getState()),drawlinesForm.restoreState(drawlinesForm.undoStack.pop()),drawlinesForm.savedState=drawlinesForm.getState(),drawlinesForm.lastKeyMove=null,drawlinesForm.updateHistoryButtons())},redo:function(){0!==drawlinesForm.redoStack.length&&(drawlinesForm.undoStack.push(drawlinesForm.getState()),drawlinesForm.restoreState(drawlinesForm.redoStack.pop()),drawlinesForm.savedState=drawlinesForm.getState(),drawlinesForm.lastKeyMove=null,drawlinesForm.updateHistoryButtons())},updateHistoryButtons:function(){var undoButton=document.querySelector("fieldset#id_previewareaheader .drawlines-history .undo"),redoButton=document.querySelector("fieldset#id_previewareaheader .drawlines-history .redo");undoButton&&(undoButton.disabled=0===drawlinesForm.undoStack.length),redoButton&&(redoButton.disabled=0===drawlinesForm.redoStack.length)},handleHistoryKeys:function(e){!e.ctrlKey&&!e.metaKey||e.altKey||e.target.matches("input, select, textarea")||("KeyZ"!==e.code||e.shiftKey?("KeyY"===e.code||"KeyZ"===e.code&&e.shiftKey)&&(e.preventDefault(),drawlinesForm.redo()):(e.preventDefault(),drawlinesForm.undo()))}};return{init:drawlinesForm.init}}));
 
 //# sourceMappingURL=form.min.js.map
\ No newline at end of file
@@ -8,6 +8,6 @@
  * @copyright  2024 The Open University
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-define("qtype_drawlines/line",(function(){function Point(x,y){this.x=x,this.y=y}function Line(x1,y1,startRadius,x2,y2,endRadius,lineType,labelstart,labelmiddle,labelend){this.x1=x1,this.y1=y1,this.x2=x2,this.y2=y2,this.centre1=new Point(x1,y1),this.centre2=new Point(x2,y2),this.startRadius=startRadius,this.endRadius=endRadius,this.lineType=lineType,this.labelstart=labelstart,this.labelmiddle=labelmiddle,this.labelend=labelend}function createSvgElement(svg,tagName){var svgEl=svg.ownerDocument.createElementNS("http://www.w3.org/2000/svg",tagName);return svg.appendChild(svgEl),svgEl}return Point.prototype.toString=function(){return this.x+","+this.y},Point.prototype.move=function(dx,dy){this.x+=dx,this.y+=dy},Point.prototype.offset=function(offsetX,offsetY){return offsetX instanceof Point&&(offsetY=offsetX.y,offsetX=offsetX.x),new Point(this.x+offsetX,this.y+offsetY)},Point.parse=function(coordinates){var bits=coordinates.split(",");if(2!==bits.length)throw new Error(coordinates+" is not a valid point");return new Point(Math.round(bits[0]),Math.round(bits[1]))},Line.prototype=new Line,Line.prototype.getType=function(){return this.lineType},Line.prototype.getCoordinates=function(){return[this.centre1.x+","+this.centre1.y+";"+this.startRadius,this.centre2.x+","+this.centre2.y+";"+this.endRadius]},Line.prototype.makeSvg=function(svg,bgImageWidth,bgImageHeight){!function(svg){if(svg.getElementsByTagName("defs")[0])return;var svgdefsEl=svg.ownerDocument.createElementNS("http://www.w3.org/2000/svg","defs"),svgmarkerEl=svg.ownerDocument.createElementNS("http://www.w3.org/2000/svg","marker");svgmarkerEl.setAttribute("id","arrow"),svgmarkerEl.setAttribute("viewBox","0 0 10 10"),svgmarkerEl.setAttribute("refX","7"),svgmarkerEl.setAttribute("refY","5"),svgmarkerEl.setAttribute("markerWidth","4"),svgmarkerEl.setAttribute("markerHeight","4"),svgmarkerEl.setAttribute("orient","auto-start-reverse");var svgPathEl=svg.ownerDocument.createElementNS("http://www.w3.org/2000/svg","path");svgPathEl.setAttribute("d","M 0 0 L 10 5 L 0 10 z"),svgmarkerEl.appendChild(svgPathEl),svgdefsEl.appendChild(svgmarkerEl),svg.appendChild(svgdefsEl)}(svg);var svgEl=function(svg,tagName){var svgEl=createSvgElement(svg,"g");return svgEl.setAttribute("tabindex","0"),createSvgElement(svgEl,tagName).setAttribute("class","shape"),createSvgElement(svgEl,"circle").setAttribute("class","startcircle shape"),createSvgElement(svgEl,"circle").setAttribute("class","endcircle shape"),createSvgElement(svgEl,"text").setAttribute("class","labelstart shapeLabel"),createSvgElement(svgEl,"text").setAttribute("class","labelmiddle shapeLabel"),createSvgElement(svgEl,"text").setAttribute("class","labelend shapeLabel"),svgEl}(svg,"polyline");return this.updateSvg(svgEl,bgImageWidth,bgImageHeight),svgEl},Line.prototype.updateSvg=function(svgEl,bgImageWidth,bgImageHeight){this.drawLine(svgEl,bgImageWidth,bgImageHeight),svgEl.childNodes[1].setAttribute("cx",this.centre1.x),svgEl.childNodes[1].setAttribute("cy",this.centre1.y),svgEl.childNodes[1].setAttribute("r",Math.abs(this.startRadius)),svgEl.childNodes[2].setAttribute("cx",this.centre2.x),svgEl.childNodes[2].setAttribute("cy",this.centre2.y),svgEl.childNodes[2].setAttribute("r",Math.abs(this.endRadius));var svgClass=svgEl.getAttribute("class");svgClass&&svgClass.includes("placed")&&(svgEl.childNodes[1].setAttribute("tabindex","0"),svgEl.childNodes[2].setAttribute("tabindex","0")),this.updateSvgLabels(svgEl,bgImageWidth,bgImageHeight)},Line.prototype.updateSvgLabels=function(svgEl,bgImageWidth,bgImageHeight){svgEl.childNodes[3].textContent=this.labelstart,this.adjustTextPosition(svgEl.childNodes[3],this.centre1.x,this.centre1.y,bgImageWidth,bgImageHeight),svgEl.childNodes[4].textContent=this.labelmiddle;let middlex=Math.abs((this.centre1.x+this.centre2.x)/2),middley=Math.abs((this.centre1.y+this.centre2.y)/2);this.adjustTextPosition(svgEl.childNodes[4],parseInt(middlex),parseInt(middley),bgImageWidth,bgImageHeight),svgEl.childNodes[5].textContent=this.labelend,this.adjustTextPosition(svgEl.childNodes[5],this.centre2.x,this.centre2.y,bgImageWidth,bgImageHeight)},Line.prototype.adjustTextPosition=function(svgTextEl,linex,liney,bgImageWidth,bgImageHeight){const textWidth=svgTextEl.getBBox().width;svgTextEl.setAttribute("x",linex),svgTextEl.setAttribute("y",liney+20),linex<textWidth/2?svgTextEl.setAttribute("x",Math.abs(parseInt(textWidth/2))):linex+textWidth/2>bgImageWidth&&svgTextEl.setAttribute("x",Math.abs(parseInt(bgImageWidth-textWidth/2))),liney+20>bgImageHeight&&svgTextEl.setAttribute("y",liney-20)},Line.prototype.drawLine=function(svgEl,bgImageWidth,bgImageHeight){svgEl.childNodes[0].style.stroke="#000973",svgEl.childNodes[0].style["stroke-width"]="3",svgEl.childNodes[0].style["stroke-dasharray"]="10,3";var points=this.centre1.x+","+this.centre1.y+" "+this.centre2.x+","+this.centre2.y;switch(svgEl.childNodes[0].setAttribute("points",points),this.lineType){case"linesinglearrow":svgEl.childNodes[0].style["marker-end"]="url(#arrow)",svgEl.childNodes[0].setAttribute("class","shape singlearrow");break;case"linedoublearrows":svgEl.childNodes[0].style["marker-start"]="url(#arrow)",svgEl.childNodes[0].style["marker-end"]="url(#arrow)",svgEl.childNodes[0].setAttribute("class","shape doublearrows");break;case"lineinfinite":var newCoordinates=this.drawInfiniteLine(svgEl.parentNode,bgImageWidth,bgImageHeight),infiniteLine=newCoordinates[0]+","+newCoordinates[1]+" "+points+" "+newCoordinates[2]+","+newCoordinates[3];svgEl.childNodes[0].setAttribute("points",infiniteLine),svgEl.childNodes[0].setAttribute("class","shape infinite")}},Line.prototype.drawInfiniteLine=function(svg,bgImageWidth,bgImageHeight){const dx=this.centre2.x-this.centre1.x,dy=this.centre2.y-this.centre1.y;let xMin,yMin,xMax,yMax;if(0===dx)xMin=xMax=this.centre1.x,yMin=0,yMax=bgImageHeight;else if(0===dy)xMin=0,xMax=bgImageWidth,yMin=yMax=this.centre1.y;else{const slope=dy/dx,intercept=this.centre1.y-slope*this.centre1.x;xMin=-bgImageWidth,yMin=slope*xMin+intercept,xMax=2*bgImageWidth,yMax=slope*xMax+intercept,yMin<0?(yMin=0,xMin=(yMin-intercept)/slope):yMin>bgImageHeight&&(yMin=bgImageHeight,xMin=(yMin-intercept)/slope),yMax<0?(yMax=0,xMax=(yMax-intercept)/slope):yMax>bgImageHeight&&(yMax=bgImageHeight,xMax=(yMax-intercept)/slope)}return[Math.round(xMin),Math.round(yMin),Math.round(xMax),Math.round(yMax)]},Line.prototype.parse=function(startcoordinates,endcoordinates,ratio){var startcoordinatesbits=startcoordinates.split(";"),endcoordinatesbits=endcoordinates.split(";");return this.centre1=Point.parse(startcoordinatesbits[0]),this.centre2=Point.parse(endcoordinatesbits[0]),this.centre1.x=this.centre1.x*parseFloat(ratio),this.centre1.y=this.centre1.y*parseFloat(ratio),this.x1=this.centre1.x*parseFloat(ratio),this.y1=this.centre1.y*parseFloat(ratio),this.x2=this.centre2.x*parseFloat(ratio),this.y2=this.centre2.y*parseFloat(ratio),this.centre2.x=this.centre2.x*parseFloat(ratio),this.centre2.y=this.centre2.y*parseFloat(ratio),this.startRadius=Math.round(startcoordinatesbits[1])*parseFloat(ratio),this.endRadius=Math.round(endcoordinatesbits[1])*parseFloat(ratio),!0},Line.prototype.move=function(whichHandle,dx,dy,maxX,maxY){"startcircle"===whichHandle?(this.centre1.move(dx,dy),this.centre1.x<this.startRadius&&(this.centre1.x=this.startRadius,this.x1=this.startRadius),this.centre1.x>maxX-this.startRadius&&(this.centre1.x=maxX-this.startRadius,this.x1=maxX-this.startRadius),this.centre1.y<this.startRadius&&(this.centre1.y=this.startRadius,this.y1=this.startRadius),this.centre1.y>maxY-this.startRadius&&(this.centre1.y=maxY-this.startRadius,this.y1=maxY-this.startRadius)):(this.centre2.move(dx,dy),this.centre2.x<this.endRadius&&(this.centre2.x=this.endRadius,this.x2=this.endRadius),this.centre2.x>maxX-this.endRadius&&(this.centre2.x=maxX-this.endRadius,this.x2=maxX-this.endRadius),this.centre2.y<this.endRadius&&(this.centre2.y=this.endRadius,this.y2=this.endRadius),this.centre2.y>maxY-this.endRadius&&(this.centre2.y=maxY-this.endRadius,this.y2=maxY-this.endRadius))},Line.prototype.moveDrags=function(dx,dy,maxX,maxY){this.centre1.move(dx,dy),this.centre2.move(dx,dy),this.centre1.x<this.startRadius&&(this.centre1.x=this.startRadius,this.x1=this.startRadius),this.centre1.x>maxX-this.startRadius&&(this.centre1.x=maxX-this.startRadius,this.x1=maxX-this.startRadius),this.centre2.x<this.endRadius&&(this.centre2.x=this.endRadius,this.x2=this.endRadius),this.centre2.x>maxX-this.endRadius&&(this.centre2.x=maxX-this.endRadius,this.x2=maxX-this.endRadius),this.centre1.y<this.startRadius&&(this.centre1.y=this.startRadius,this.y1=this.startRadius),this.centre1.y>maxY-this.startRadius&&(this.centre1.y=maxY-this.startRadius,this.y1=maxY-this.startRadius),this.centre2.y<this.endRadius&&(this.centre2.y=this.endRadius,this.y2=this.endRadius),this.centre2.y>maxY-this.endRadius&&(this.centre2.y=maxY-this.endRadius,this.y2=maxY-this.endRadius)},Line.prototype.addToDropZone=function(eventType,selectedElement,svgDropZones,svgDragsHome,dropX,dropY,bgImageHeight,whichSVG){let classattributes,dropzoneNo=selectedElement.getAttribute("data-dropzone-no"),dropZone=!1;dropZone="mouse"===eventType?this.isInsideSVG(svgDragsHome,dropX,dropY):"DragsSVG"===whichSVG,dropZone?(svgDropZones.appendChild(selectedElement),selectedElement.getAttribute("data-dropzone-no"),selectedElement.childNodes[1].setAttribute("tabindex","0"),selectedElement.childNodes[2].setAttribute("tabindex","0"),this.centre1.y=bgImageHeight-2*this.startRadius,this.y1=bgImageHeight-2*this.startRadius,this.centre2.y=bgImageHeight-2*this.endRadius,this.y2=bgImageHeight-2*this.endRadius,classattributes=selectedElement.getAttribute("class"),classattributes=classattributes.replace("inactive","placed"),selectedElement.setAttribute("class",classattributes)):(svgDragsHome.appendChild(selectedElement),this.centre1.x=50,this.centre1.y=25+50*dropzoneNo,this.y1=25+50*dropzoneNo,this.centre2.x=200,this.centre2.y=25+50*dropzoneNo,this.y2=25+50*dropzoneNo,classattributes=selectedElement.getAttribute("class"),classattributes=classattributes.replace("placed","inactive"),selectedElement.setAttribute("class",classattributes),selectedElement.childNodes[1].setAttribute("tabindex","-1"),selectedElement.childNodes[2].setAttribute("tabindex","-1"))},Line.prototype.isInsideSVG=function(svg,dropX,dropY){const rect=svg.getBoundingClientRect();return dropX>=rect.left&&dropX<=rect.right&&dropY>=rect.top&&dropY<=rect.bottom},Line.prototype.edit=function(handleIndex,dx,dy,maxX,maxY){var limit=0;"0"===handleIndex?(this.startRadius+=dx,limit=Math.min(this.centre1.x,this.centre1.y,maxX-this.centre1.x,maxY-this.centre1.y),this.startRadius>limit&&(this.startRadius=limit),this.startRadius<-limit&&(this.startRadius=-limit)):(this.endRadius+=dx,limit=Math.min(this.centre2.x,this.centre2.y,maxX-this.centre2.x,maxY-this.centre2.y),this.endRadius>limit&&(this.endRadius=limit),this.endRadius<-limit&&(this.endRadius=-limit))},Line.prototype.getHandlePositions=function(){return{moveHandles:[new Point(this.centre1.x,this.centre1.y),new Point(this.centre2.x,this.centre2.y)],editHandles:[this.centre1.offset(this.startRadius,0),this.centre2.offset(this.endRadius,0)]}},Line.prototype.normalizeShape=function(){this.startRadius=Math.abs(this.startRadius),this.endRadius=Math.abs(this.endRadius)},{Point:Point,Line:Line,createSvgElement:createSvgElement,make:function(linecoordinates,lineType,labels){var startcoordinates=linecoordinates[0].split(";"),endcoordinates=linecoordinates[1].split(";"),linestartbits=startcoordinates[0].split(","),lineendbits=endcoordinates[0].split(",");return new Line(parseInt(linestartbits[0]),parseInt(linestartbits[1]),parseInt(startcoordinates[1]),parseInt(lineendbits[0]),parseInt(lineendbits[1]),parseInt(endcoordinates[1]),lineType,labels[0],labels[1],labels[2])},getSimilar:function(lineType,line){return new Line(parseInt(line.x1),parseInt(line.y1),parseInt(line.startRadius),parseInt(line.x2),parseInt(line.y2),parseInt(line.endRadius),lineType,line.labelstart,line.labelmiddle,line.labelend)}}}));
+define("qtype_drawlines/line",(function(){var KEY_STEPS={ArrowLeft:[-1,0],KeyA:[-1,0],ArrowRight:[1,0],KeyD:[1,0],ArrowUp:[0,-1],KeyW:[0,-1],ArrowDown:[0,1],KeyS:[0,1],Space:[0,0],Escape:[0,0]},KEY_JUMPS={Home:[-1,0],End:[1,0],PageUp:[0,-1],PageDown:[0,1]},DASH_PATTERNS={solid:"none",dashed:"10,3",dotted:"1,5"},ARROW_STYLES={filled:{path:"M 0 0 L 10 5 L 0 10 z",filled:!0,refX:7},open:{path:"M 0 0 L 10 5 L 0 10",filled:!1,refX:9},bar:{path:"M 5 0 L 5 10",filled:!1,refX:5}},ROTATE_KEYS={ArrowLeft:-1,ArrowUp:-1,KeyA:-1,KeyW:-1,ArrowRight:1,ArrowDown:1,KeyD:1,KeyS:1};function Point(x,y){this.x=x,this.y=y}function Snap(mode,gridSpacing,gridOrigin,anchors){this.mode=mode||"none",this.gridSpacing=gridSpacing||0,this.gridOrigin=gridOrigin||new Point(0,0),this.anchors=anchors||[]}function Measure(pixels,length,unit){this.pixels=pixels>0&&length>0?pixels:0,this.length=length,this.unit=unit||""}function HomeLayout(sizes,maxWidth,maxHeight){for(var best=arrangeHomes(sizes,Math.max(1,sizes.length)),rows=sizes.length-1;rows>0&&best.height>maxHeight;rows--){var candidate=arrangeHomes(sizes,rows);if(candidate.width>maxWidth)break;best=candidate}this.homes=best.homes,this.width=best.width,this.height=best.height}function Line(x1,y1,startRadius,x2,y2,endRadius,lineType,labelstart,labelmiddle,labelend,middles){this.x1=x1,this.y1=y1,this.x2=x2,this.y2=y2,this.centre1=new Point(x1,y1),this.centre2=new Point(x2,y2),this.startRadius=startRadius,this.endRadius=endRadius,this.startShape=null,this.endShape=null,this.lineType=lineType,this.labelstart=labelstart,this.labelmiddle=labelmiddle,this.labelend=labelend,this.middles=middles||[],this.lockMode="none",this.lockedLength=0,this.lockedDirection=new Point(1,0),this.measure=null,this.zoneKind="position",this.zoneTolerance=0,this.colour="#000973",this.dashStyle="dashed",this.arrowStyle="filled",this.home=null,this.richLabels=["","",""]}function arrangeHomes(sizes,rowsPerColumn){var rowHeights=[],rowTops=[0],homes=[],x=0;sizes.forEach((function(size,lineNo){var row=lineNo%rowsPerColumn;rowHeights[row]=Math.max(rowHeights[row]||0,50+Math.max(0,size.height-20))})),rowHeights.forEach((function(rowHeight,row){rowTops[row+1]=rowTops[row]+rowHeight}));for(var first=0;first<sizes.length;first+=rowsPerColumn){var column=sizes.slice(first,first+rowsPerColumn),left=10,right=10,length=150;column.forEach((function(size){left=Math.max(left,Math.ceil(size.startWidth/2)),right=Math.max(right,Math.ceil(size.endWidth/2)),length=Math.max(length,Math.ceil((size.startWidth+size.endWidth)/2)+10),size.middleWidth>0&&(length=Math.max(length,Math.max(size.startWidth,size.endWidth)+size.middleWidth+20))}));var startX=x+40+left;column.forEach((function(size,row){var y=rowTops[row]+25;homes.push({start:new Point(startX,y),end:new Point(startX+length,y)})})),x=startX+length+right}return{homes:homes,width:x,height:rowTops[rowTops.length-1]}}function measureLabel(svg,text,html){if(!text)return{width:0,height:0};var groupEl=createSvgElement(svg,"g");groupEl.setAttribute("class","dropzone"),createSvgElement(groupEl,"text").setAttribute("class","shapeLabel");var size=getLabelSize(setLabelContent(groupEl,0,text,html||""));return svg.removeChild(groupEl),{width:Math.ceil(size.width),height:Math.ceil(size.height)}}function setLabelContent(svgEl,nodeNo,text,html){var labelEl=svgEl.childNodes[nodeNo],tagName=html?"foreignObject":"text";if(labelEl.tagName!==tagName){var newLabelEl=svgEl.ownerDocument.createElementNS("http://www.w3.org/2000/svg",tagName);newLabelEl.setAttribute("class",labelEl.getAttribute("class").replace(" richlabel","")+(html?" richlabel":"")),newLabelEl.setAttribute("aria-hidden","true"),svgEl.replaceChild(newLabelEl,labelEl),labelEl=newLabelEl}if(html){if(labelEl.getAttribute("data-html")!==html){var contentEl=svgEl.ownerDocument.createElementNS("http://www.w3.org/1999/xhtml","div");contentEl.setAttribute("class","richlabelcontent"),contentEl.innerHTML=html,labelEl.textContent="",labelEl.appendChild(contentEl),labelEl.setAttribute("data-html",html),labelEl.classList.remove("filtered")}}else labelEl.textContent=text;return labelEl}function getDirection(from,to,fallback){var dx=to.x-from.x,dy=to.y-from.y,length=Math.sqrt(dx*dx+dy*dy);return length?new Point(dx/length,dy/length):fallback}function getLabelSize(textEl){var size;if("foreignObject"===textEl.tagName){var contentEl=textEl.firstChild;size={width:contentEl?contentEl.offsetWidth:0,height:contentEl?contentEl.offsetHeight:0}}else size=textEl.getBBox();return size.width?{width:size.width,height:size.height}:{width:8*textEl.textContent.length,height:20}}function positionLabel(textEl,x,y,size){if("foreignObject"!==textEl.tagName)return textEl.setAttribute("x",x),void textEl.setAttribute("y",y);textEl.setAttribute("x",Math.round(x-size.width/2)),textEl.setAttribute("y",Math.round(y-.8*size.height)),textEl.setAttribute("width",Math.ceil(size.width)),textEl.setAttribute("height",Math.ceil(size.height))}function getBox(centre,width,height){return{left:centre.x-width/2,top:centre.y-height/2,right:centre.x+width/2,bottom:centre.y+height/2}}function segmentCrossesBox(from,to,box){for(var dx=to.x-from.x,dy=to.y-from.y,tMin=0,tMax=1,edges=[[-dx,from.x-box.left],[dx,box.right-from.x],[-dy,from.y-box.top],[dy,box.bottom-from.y]],i=0;i<edges.length;i++){var p=edges[i][0],q=edges[i][1];if(0===p){if(q<0)return!1}else p<0?tMin=Math.max(tMin,q/p):tMax=Math.min(tMax,q/p)}return tMin<=tMax}function hasMiddleHandles(lineType){return isCurvedType(lineType)||"linepolyline"===lineType}function isCurvedType(lineType){return"linecurved"===lineType||"linecurvedarrow"===lineType}function parseMiddles(coordinates){return coordinates&&""!==coordinates.trim()?coordinates.trim().split(/\s+/).map(parseZone):[]}function parseZone(zone){var bits=zone.trim().split(";"),centre=parseZonePoint(bits[0]),size=bits.slice(1).join(";").split(":"),shape=null;if("ellipse"===size[0]||"rectangle"===size[0]){var radii=parseZonePoint(size[1]||"");shape={kind:size[0],rx:radii.x,ry:radii.y}}else"polygon"===size[0]&&(shape={kind:size[0],points:(size[1]||"").split(";").map((function(point){return new Point((point=parseZonePoint(point)).x-centre.x,point.y-centre.y)}))});return{centre:centre,radius:shape?getZoneExtent(shape):parseInt(size[0]),shape:shape}}function parseZonePoint(coordinates){var bits=coordinates.split(",");return new Point(parseInt(bits[0]),parseInt(bits[1]))}function formatZone(centre,radius,shape){var size=radius;return shape&&"polygon"===shape.kind?size="polygon:"+shape.points.map((function(point){return Math.round(centre.x+point.x)+","+Math.round(centre.y+point.y)})).join(";"):shape&&(size=shape.kind+":"+Math.round(shape.rx)+","+Math.round(shape.ry)),centre.x+","+centre.y+";"+size}function getZoneExtent(shape){return"polygon"===shape.kind?Math.max.apply(null,shape.points.map((function(point){return Math.max(Math.abs(point.x),Math.abs(point.y))}))):Math.max(Math.abs(shape.rx),Math.abs(shape.ry))}function scaleZoneShape(shape,ratio){return shape?(ratio=void 0===ratio?1:ratio,"polygon"===shape.kind?{kind:shape.kind,points:shape.points.map((function(point){return new Point(point.x*ratio,point.y*ratio)}))}:{kind:shape.kind,rx:shape.rx*ratio,ry:shape.ry*ratio}):null}function copyZoneShape(shape){return scaleZoneShape(shape)}function normalizeZoneShape(shape){shape&&"polygon"!==shape.kind&&(shape.rx=Math.abs(shape.rx),shape.ry=Math.abs(shape.ry))}function resizeZone(centre,radius,shape,dx,dy,maxX,maxY,cornerNo){var limit=Math.min(centre.x,centre.y,maxX-centre.x,maxY-centre.y),clamp=function(value){return Math.min(Math.max(value,-limit),limit)};if(!shape)return clamp(radius+dx);if("polygon"===shape.kind){var corner=shape.points[cornerNo],corners=shape.points.slice();corner&&(corners[cornerNo]=new Point(clamp(corner.x+dx),clamp(corner.y+dy)),function(point,corners){for(var inside=!1,i=0,j=corners.length-1;i<corners.length;j=i++){var p1=corners[j],p2=corners[i];if((point.x-p1.x)*(p2.y-p1.y)==(point.y-p1.y)*(p2.x-p1.x)&&Math.min(p1.x,p2.x)<=point.x&&point.x<=Math.max(p1.x,p2.x)&&Math.min(p1.y,p2.y)<=point.y&&point.y<=Math.max(p1.y,p2.y))return!0;p1.y>point.y!=p2.y>point.y&&point.x<p1.x+(point.y-p1.y)*(p2.x-p1.x)/(p2.y-p1.y)&&(inside=!inside)}return inside}(new Point(0,0),corners)&&(shape.points=corners))}else shape.rx=clamp(shape.rx+dx),shape.ry=clamp(shape.ry+dy);return getZoneExtent(shape)}function distanceSquared(p1,p2){return(p1.x-p2.x)*(p1.x-p2.x)+(p1.y-p2.y)*(p1.y-p2.y)}function clampPoint(point,radius,maxX,maxY){point.x=Math.min(Math.max(point.x,radius),maxX-radius),point.y=Math.min(Math.max(point.y,radius),maxY-radius)}function getCirclePath(centre,radius){return radius<=0?"":(radius=Math.round(10*radius)/10,"M "+(centre.x+radius)+","+centre.y+" A "+radius+","+radius+" 0 1 1 "+(centre.x-radius)+","+centre.y+" A "+radius+","+radius+" 0 1 1 "+(centre.x+radius)+","+centre.y+" Z")}function getZoneShapePath(centre,radius,shape){if(!shape)return getCirclePath(centre,radius);if("polygon"===shape.kind)return"M "+shape.points.map((function(point){return centre.x+point.x+","+(centre.y+point.y)})).join(" L ")+" Z";var rx=Math.abs(shape.rx),ry=Math.abs(shape.ry);return"rectangle"===shape.kind?"M "+(centre.x-rx)+","+(centre.y-ry)+" H "+(centre.x+rx)+" V "+(centre.y+ry)+" H "+(centre.x-rx)+" Z":"M "+(centre.x+rx)+","+centre.y+" A "+rx+","+ry+" 0 1 1 "+(centre.x-rx)+","+centre.y+" A "+rx+","+ry+" 0 1 1 "+(centre.x+rx)+","+centre.y+" Z"}function setHandlesTabIndex(svgEl,tabindex){svgEl.childNodes[1].setAttribute("tabindex",tabindex),svgEl.childNodes[2].setAttribute("tabindex",tabindex),svgEl.childNodes[6].childNodes.forEach((function(middleEl){middleEl.setAttribute("tabindex",tabindex)})),svgEl.childNodes[7].setAttribute("tabindex",tabindex)}function createSvgElement(svg,tagName){var svgEl=svg.ownerDocument.createElementNS("http://www.w3.org/2000/svg",tagName);return svg.appendChild(svgEl),svgEl}return Point.prototype.toString=function(){return this.x+","+this.y},Point.prototype.move=function(dx,dy){this.x+=dx,this.y+=dy},Point.prototype.offset=function(offsetX,offsetY){return offsetX instanceof Point&&(offsetY=offsetX.y,offsetX=offsetX.x),new Point(this.x+offsetX,this.y+offsetY)},Point.parse=function(coordinates){var bits=coordinates.split(",");if(2!==bits.length)throw new Error(coordinates+" is not a valid point");return new Point(Math.round(bits[0]),Math.round(bits[1]))},Snap.prototype.isEnabled=function(){return"grid"===this.mode&&this.gridSpacing>0||"anchors"===this.mode&&this.anchors.length>0},Snap.prototype.snapPoint=function(point){if("grid"===this.mode&&this.gridSpacing>0)return new Point(this.gridOrigin.x+Math.round((point.x-this.gridOrigin.x)/this.gridSpacing)*this.gridSpacing,this.gridOrigin.y+Math.round((point.y-this.gridOrigin.y)/this.gridSpacing)*this.gridSpacing);if("anchors"===this.mode&&this.anchors.length>0){var nearest=this.anchors[0];return this.anchors.forEach((function(anchor){distanceSquared(anchor,point)<distanceSquared(nearest,point)&&(nearest=anchor)})),new Point(nearest.x,nearest.y)}return new Point(point.x,point.y)},Snap.prototype.step=function(point,dx,dy){if("grid"===this.mode&&this.gridSpacing>0)return this.snapPoint(point.offset(dx*this.gridSpacing,dy*this.gridSpacing));if("anchors"===this.mode&&this.anchors.length>0){var next=null;return this.anchors.forEach((function(anchor){(anchor.x-point.x)*dx+(anchor.y-point.y)*dy<=0||(null===next||distanceSquared(anchor,point)<distanceSquared(next,point))&&(next=anchor)})),null===next?new Point(point.x,point.y):new Point(next.x,next.y)}return point.offset(dx,dy)},Snap.prototype.keyboardTarget=function(point,keyMove){if(0===keyMove.steps)return this.snapPoint(point.offset(keyMove.x,keyMove.y));for(var target=point,i=0;i<keyMove.steps;i++)target=this.step(target,keyMove.direction.x,keyMove.direction.y);return target},Measure.prototype.format=function(pixels,bearing){var length=Math.round(pixels),unit=M.util.get_string("measurementpixels","qtype_drawlines");return this.pixels>0&&(length=Math.round(pixels*this.length/this.pixels*10)/10,unit=this.unit),M.util.get_string("measurement","qtype_drawlines",{length:length,unit:unit,bearing:("00"+bearing).slice(-3)}).trim()},HomeLayout.prototype.getHome=function(lineNo){var home=this.homes[lineNo];return{start:new Point(home.start.x,home.start.y),end:new Point(home.end.x,home.end.y)}},Line.prototype=new Line,Line.prototype.getType=function(){return this.lineType},Line.prototype.isCurved=function(){return isCurvedType(this.lineType)},Line.prototype.getCoordinates=function(){return[formatZone(this.centre1,this.startRadius,this.startShape),formatZone(this.centre2,this.endRadius,this.endShape),this.middles.map((function(middle){return formatZone(middle.centre,middle.radius,middle.shape)})).join(" ")]},Line.prototype.getResponseCoordinates=function(svgEl){return this.isCurved()?[this.centre1].concat(this.middles.map((function(middle){return middle.centre})),[this.centre2]).join(" "):svgEl.childNodes[0].getAttribute("points")},Line.prototype.getMiddlePoint=function(){if(this.isCurved()&&this.middles.length){var control=this.middles[0].centre;return new Point((this.centre1.x+2*control.x+this.centre2.x)/4,(this.centre1.y+2*control.y+this.centre2.y)/4)}var points=[this.centre1].concat(this.middles.map((function(middle){return middle.centre})),[this.centre2]),first=points[Math.floor((points.length-1)/2)],second=points[Math.ceil((points.length-1)/2)];return new Point((first.x+second.x)/2,(first.y+second.y)/2)},Line.prototype.makeSvg=function(svg,bgImageWidth,bgImageHeight){var svgEl=function(svg,tagName){var svgEl=createSvgElement(svg,"g");svgEl.setAttribute("tabindex","0"),svgEl.setAttribute("role","group");var lineEl=createSvgElement(svgEl,tagName);lineEl.setAttribute("class","shape"),lineEl.setAttribute("aria-hidden","true");var startcircleEl=createSvgElement(svgEl,"circle");startcircleEl.setAttribute("class","startcircle shape"),startcircleEl.setAttribute("role","button");var endcirleEl=createSvgElement(svgEl,"circle");endcirleEl.setAttribute("class","endcircle shape"),endcirleEl.setAttribute("role","button"),["labelstart","labelmiddle","labelend"].forEach((function(labelClass){var labelEl=createSvgElement(svgEl,"text");labelEl.setAttribute("class",labelClass+" shapeLabel"),labelEl.setAttribute("aria-hidden","true")})),createSvgElement(svgEl,"g").setAttribute("class","middlecircles");var rotateEl=createSvgElement(svgEl,"circle");rotateEl.setAttribute("class","rotatehandle"),rotateEl.setAttribute("role","button");var measurementEl=createSvgElement(svgEl,"text");measurementEl.setAttribute("class","measurement shapeLabel"),measurementEl.setAttribute("aria-hidden","true");var toleranceEl=createSvgElement(svgEl,"path");toleranceEl.setAttribute("class","tolerancezone"),toleranceEl.setAttribute("aria-hidden","true");var zoneShapesEl=createSvgElement(svgEl,"path");return zoneShapesEl.setAttribute("class","zoneshapes"),zoneShapesEl.setAttribute("aria-hidden","true"),svgEl}(svg,this.isCurved()?"path":"polyline");return this.updateSvg(svgEl,bgImageWidth,bgImageHeight),svgEl},Line.prototype.updateSvg=function(svgEl,bgImageWidth,bgImageHeight){this.drawLine(svgEl,bgImageWidth,bgImageHeight),svgEl.childNodes[1].setAttribute("cx",this.centre1.x),svgEl.childNodes[1].setAttribute("cy",this.centre1.y),svgEl.childNodes[1].setAttribute("r",this.startShape?0:Math.abs(this.startRadius)),svgEl.childNodes[2].setAttribute("cx",this.centre2.x),svgEl.childNodes[2].setAttribute("cy",this.centre2.y),svgEl.childNodes[2].setAttribute("r",this.endShape?0:Math.abs(this.endRadius));for(var middleGroup=svgEl.childNodes[6];middleGroup.childNodes.length>this.middles.length;)middleGroup.removeChild(middleGroup.lastChild);for(;middleGroup.childNodes.length<this.middles.length;){var middleEl=createSvgElement(middleGroup,"circle");middleEl.setAttribute("class","middlecircle shape"),middleEl.setAttribute("role","button"),middleEl.setAttribute("data-middle-no",middleGroup.childNodes.length-1)}for(var i=0;i<this.middles.length;i++)middleGroup.childNodes[i].setAttribute("cx",this.middles[i].centre.x),middleGroup.childNodes[i].setAttribute("cy",this.middles[i].centre.y),middleGroup.childNodes[i].setAttribute("r",this.middles[i].shape?0:Math.abs(this.middles[i].radius));var rotatePoint=this.getRotateHandlePoint();svgEl.childNodes[7].setAttribute("cx",rotatePoint.x),svgEl.childNodes[7].setAttribute("cy",rotatePoint.y),svgEl.childNodes[7].setAttribute("r",6),svgEl.childNodes[7].style.display=this.canRotate()?"":"none";var svgClass=svgEl.getAttribute("class");svgClass&&svgClass.includes("placed")&&setHandlesTabIndex(svgEl,"0"),this.updateSvgLabels(svgEl,bgImageWidth,bgImageHeight),svgEl.childNodes[9].setAttribute("d",this.getToleranceZonePath()),svgEl.childNodes[10].setAttribute("d",this.getAllHandles().filter((function(handle){return handle.shape})).map((function(handle){return getZoneShapePath(handle.centre,handle.radius,handle.shape)})).join(" "))},Line.prototype.updateSvgLabels=function(svgEl,bgImageWidth,bgImageHeight){this.adjustTextPosition(setLabelContent(svgEl,3,this.labelstart,this.richLabels[0]),this.centre1.x,this.centre1.y,bgImageWidth,bgImageHeight);let middlePoint=this.getMiddlePoint(),middlex=Math.abs(middlePoint.x),middley=Math.abs(middlePoint.y);this.adjustTextPosition(setLabelContent(svgEl,4,this.labelmiddle,this.richLabels[1]),parseInt(middlex),parseInt(middley),bgImageWidth,bgImageHeight),this.adjustTextPosition(setLabelContent(svgEl,5,this.labelend,this.richLabels[2]),this.centre2.x,this.centre2.y,bgImageWidth,bgImageHeight);var measurementEl=svgEl.childNodes[8];if(measurementEl.textContent=this.getMeasurementText(),""!==measurementEl.textContent){var rotatePoint=this.getRotateHandlePoint(),pivot=this.getPivot();this.adjustTextPosition(measurementEl,Math.round(2*pivot.x-rotatePoint.x),Math.round(2*pivot.y-rotatePoint.y),bgImageWidth,bgImageHeight)}},Line.prototype.adjustTextPosition=function(svgTextEl,linex,liney,bgImageWidth,bgImageHeight){const size=getLabelSize(svgTextEl),textWidth=size.width;let x=linex,y=liney+20;linex<textWidth/2?x=Math.abs(parseInt(textWidth/2)):linex+textWidth/2>bgImageWidth&&(x=Math.abs(parseInt(bgImageWidth-textWidth/2))),liney+20>bgImageHeight&&(y=liney-20),positionLabel(svgTextEl,x,y,size)},Line.prototype.setRichLabels=function(richLabels){this.richLabels=richLabels||["","",""]},Line.prototype.getLabelAnchors=function(){var points=this.getOutline(),last=points.length-1,middle=this.getMiddlePoint(),middleNo=Math.max(1,Math.ceil(last/2)),along=getDirection(this.centre1,this.centre2,new Point(1,0)),startDirection=getDirection(points[0],points[1],along),endDirection=getDirection(points[last-1],points[last],along),anchors=[{nodeNo:3,anchor:this.centre1,direction:startDirection,outwards:new Point(-startDirection.x,-startDirection.y)},{nodeNo:4,anchor:middle,direction:getDirection(points[middleNo-1],points[middleNo],along)},{nodeNo:5,anchor:this.centre2,direction:endDirection,outwards:endDirection}];if(""!==this.getMeasurementText()){var rotatePoint=this.getRotateHandlePoint(),pivot=this.getPivot();anchors.push({nodeNo:8,anchor:new Point(Math.round(2*pivot.x-rotatePoint.x),Math.round(2*pivot.y-rotatePoint.y)),direction:along})}return anchors},Line.prototype.getOutline=function(){if(this.isCurved()){for(var control=this.middles.length?this.middles[0].centre:this.getMiddlePoint(),points=[],i=0;i<=8;i++){var t=i/8;points.push(new Point((1-t)*(1-t)*this.centre1.x+2*t*(1-t)*control.x+t*t*this.centre2.x,(1-t)*(1-t)*this.centre1.y+2*t*(1-t)*control.y+t*t*this.centre2.y))}return points}return[this.centre1].concat(this.middles.map((function(middle){return middle.centre})),[this.centre2])},Line.prototype.drawLine=function(svgEl,bgImageWidth,bgImageHeight){if(svgEl.childNodes[0].style.stroke=this.colour,svgEl.childNodes[0].style["stroke-width"]="3",svgEl.childNodes[0].style["stroke-dasharray"]=DASH_PATTERNS[this.dashStyle],svgEl.childNodes[0].style["stroke-linecap"]="dotted"===this.dashStyle?"round":"",this.isCurved())this.drawCurve(svgEl);else{var points=[this.centre1].concat(this.middles.map((function(middle){return middle.centre})),[this.centre2]).join(" ");switch(svgEl.childNodes[0].setAttribute("points",points),this.lineType){case"linesinglearrow":svgEl.childNodes[0].style["marker-end"]=this.getArrowMarker(svgEl),svgEl.childNodes[0].setAttribute("class","shape singlearrow");break;case"linedoublearrows":svgEl.childNodes[0].style["marker-start"]=this.getArrowMarker(svgEl),svgEl.childNodes[0].style["marker-end"]=this.getArrowMarker(svgEl),svgEl.childNodes[0].setAttribute("class","shape doublearrows");break;case"lineinfinite":var newCoordinates=this.drawInfiniteLine(svgEl.parentNode,bgImageWidth,bgImageHeight),infiniteLine=newCoordinates[0]+","+newCoordinates[1]+" "+points+" "+newCoordinates[2]+","+newCoordinates[3];svgEl.childNodes[0].setAttribute("points",infiniteLine),svgEl.childNodes[0].setAttribute("class","shape infinite");break;case"linepolyline":svgEl.childNodes[0].style.fill="none",svgEl.childNodes[0].setAttribute("class","shape polyline")}}},Line.prototype.drawCurve=function(svgEl){var control=this.middles.length?this.middles[0].centre:this.getMiddlePoint();svgEl.childNodes[0].style.fill="none",svgEl.childNodes[0].setAttribute("d","M "+this.centre1.x+" "+this.centre1.y+" Q "+control.x+" "+control.y+" "+this.centre2.x+" "+this.centre2.y),"linecurvedarrow"===this.lineType?(svgEl.childNodes[0].style["marker-end"]=this.getArrowMarker(svgEl),svgEl.childNodes[0].setAttribute("class","shape curvedarrow")):svgEl.childNodes[0].setAttribute("class","shape curved")},Line.prototype.setStyle=function(colour,dashStyle,arrowStyle){this.colour=/^#[0-9a-f]{6}$/i.test(colour||"")?colour:"#000973",this.dashStyle=DASH_PATTERNS.hasOwnProperty(dashStyle)?dashStyle:"dashed",this.arrowStyle=ARROW_STYLES.hasOwnProperty(arrowStyle)?arrowStyle:"filled"},Line.prototype.getArrowMarker=function(svgEl){return"url(#"+function(svg,arrowStyle,colour){var markerId=(svg.id?svg.id+"-":"")+"arrow-"+arrowStyle+"-"+colour.substring(1).toLowerCase(),style=ARROW_STYLES[arrowStyle],svgdefsEl=svg.getElementsByTagName("defs")[0];svgdefsEl||(svgdefsEl=svg.ownerDocument.createElementNS("http://www.w3.org/2000/svg","defs"),svg.appendChild(svgdefsEl));if(svgdefsEl.querySelector('marker[id="'+markerId+'"]'))return markerId;var svgmarkerEl=svg.ownerDocument.createElementNS("http://www.w3.org/2000/svg","marker");svgmarkerEl.setAttribute("id",markerId),svgmarkerEl.setAttribute("viewBox","0 0 10 10"),svgmarkerEl.setAttribute("refX",style.refX),svgmarkerEl.setAttribute("refY","5"),svgmarkerEl.setAttribute("markerWidth","4"),svgmarkerEl.setAttribute("markerHeight","4"),svgmarkerEl.setAttribute("orient","auto-start-reverse");var svgPathEl=svg.ownerDocument.createElementNS("http://www.w3.org/2000/svg","path");return svgPathEl.setAttribute("d",style.path),svgPathEl.setAttribute("fill",style.filled?colour:"none"),svgPathEl.setAttribute("stroke",style.filled?"none":colour),svgPathEl.setAttribute("stroke-width","2"),svgmarkerEl.appendChild(svgPathEl),svgdefsEl.appendChild(svgmarkerEl),markerId}(svgEl.closest("svg")||svgEl.parentNode,this.arrowStyle,this.colour)+")"},Line.prototype.drawInfiniteLine=function(svg,bgImageWidth,bgImageHeight){const dx=this.centre2.x-this.centre1.x,dy=this.centre2.y-this.centre1.y;let xMin,yMin,xMax,yMax;if(0===dx)xMin=xMax=this.centre1.x,yMin=0,yMax=bgImageHeight;else if(0===dy)xMin=0,xMax=bgImageWidth,yMin=yMax=this.centre1.y;else{const slope=dy/dx,intercept=this.centre1.y-slope*this.centre1.x;xMin=-bgImageWidth,yMin=slope*xMin+intercept,xMax=2*bgImageWidth,yMax=slope*xMax+intercept,yMin<0?(yMin=0,xMin=(yMin-intercept)/slope):yMin>bgImageHeight&&(yMin=bgImageHeight,xMin=(yMin-intercept)/slope),yMax<0?(yMax=0,xMax=(yMax-intercept)/slope):yMax>bgImageHeight&&(yMax=bgImageHeight,xMax=(yMax-intercept)/slope)}return[Math.round(xMin),Math.round(yMin),Math.round(xMax),Math.round(yMax)]},Line.prototype.parse=function(startcoordinates,endcoordinates,ratio,middlecoordinates){var startZone=parseZone(startcoordinates),endZone=parseZone(endcoordinates);return this.centre1=startZone.centre,this.centre2=endZone.centre,this.centre1.x=this.centre1.x*parseFloat(ratio),this.centre1.y=this.centre1.y*parseFloat(ratio),this.x1=this.centre1.x*parseFloat(ratio),this.y1=this.centre1.y*parseFloat(ratio),this.x2=this.centre2.x*parseFloat(ratio),this.y2=this.centre2.y*parseFloat(ratio),this.centre2.x=this.centre2.x*parseFloat(ratio),this.centre2.y=this.centre2.y*parseFloat(ratio),this.startRadius=startZone.radius*parseFloat(ratio),this.endRadius=endZone.radius*parseFloat(ratio),this.startShape=scaleZoneShape(startZone.shape,parseFloat(ratio)),this.endShape=scaleZoneShape(endZone.shape,parseFloat(ratio)),void 0!==middlecoordinates&&(this.middles=parseMiddles(middlecoordinates).map((function(middle){return middle.centre.x=middle.centre.x*parseFloat(ratio),middle.centre.y=middle.centre.y*parseFloat(ratio),middle.radius=middle.radius*parseFloat(ratio),middle.shape=scaleZoneShape(middle.shape,parseFloat(ratio)),middle}))),!0},Line.prototype.getHandlePoint=function(whichHandle,middleNo){return"middlecircle"===whichHandle&&this.middles[middleNo]?new Point(this.middles[middleNo].centre.x,this.middles[middleNo].centre.y):"endcircle"===whichHandle?new Point(this.centre2.x,this.centre2.y):new Point(this.centre1.x,this.centre1.y)},Line.prototype.moveSnapped=function(snap,whichHandle,point,maxX,maxY,middleNo){var target=snap.snapPoint(point),current=this.getHandlePoint(whichHandle,middleNo);"line"===whichHandle?this.moveDrags(target.x-current.x,target.y-current.y,maxX,maxY):this.isLocked()&&"middlecircle"!==whichHandle?this.setEndIfOnImage(whichHandle,this.constrainEnd(whichHandle,target),maxX,maxY):this.move(whichHandle,target.x-current.x,target.y-current.y,maxX,maxY,middleNo)},Line.prototype.getKeyboardMove=function(event,whichHandle,middleNo,bgRatio,maxX,maxY){if(KEY_JUMPS.hasOwnProperty(event.code)){var jump=KEY_JUMPS[event.code],handles=this.getAllHandles();"line"!==whichHandle&&(handles=[{centre:this.getHandlePoint(whichHandle,middleNo),radius:this.getHandleRadius(whichHandle,middleNo)}]);var offsets=handles.map((function(handle){var radius=Math.abs(handle.radius);return new Point(jump[0]<0?radius-handle.centre.x:maxX-radius-handle.centre.x,jump[1]<0?radius-handle.centre.y:maxY-radius-handle.centre.y)})),nearest=function(values){return values.reduce((function(a,b){return Math.abs(a)<Math.abs(b)?a:b}))};return{x:0===jump[0]?0:nearest(offsets.map((function(offset){return offset.x}))),y:0===jump[1]?0:nearest(offsets.map((function(offset){return offset.y}))),direction:new Point(jump[0],jump[1]),steps:0}}if(KEY_STEPS.hasOwnProperty(event.code)){var direction=KEY_STEPS[event.code],size=1;return event.altKey||(size=Math.max(1,Math.round((event.shiftKey?10:1)/(bgRatio||1)))),{x:direction[0]*size,y:direction[1]*size,direction:new Point(direction[0],direction[1]),steps:event.shiftKey?5:1}}return null},Line.prototype.getHandleRadius=function(whichHandle,middleNo){return"middlecircle"===whichHandle&&this.middles[middleNo]?this.middles[middleNo].radius:"endcircle"===whichHandle?this.endRadius:this.startRadius},Line.prototype.setLock=function(mode,zoneStart,zoneEnd){if(this.lockMode="none","length"===mode||"angle"===mode){var start=Point.parse(zoneStart.split(";")[0]),end=Point.parse(zoneEnd.split(";")[0]),length=Math.sqrt(distanceSquared(start,end));0!==length&&(this.lockMode=mode,this.lockedLength=length,this.lockedDirection=new Point((end.x-start.x)/length,(end.y-start.y)/length))}},Line.prototype.isLocked=function(){return"none"!==this.lockMode},Line.prototype.canRotate=function(){return"angle"!==this.lockMode},Line.prototype.getAngle=function(){return Math.round(180*Math.atan2(this.centre1.y-this.centre2.y,this.centre2.x-this.centre1.x)/Math.PI)},Line.prototype.getLength=function(){return Math.sqrt(distanceSquared(this.centre1,this.centre2))},Line.prototype.getBearing=function(){return(Math.round(180*Math.atan2(this.centre2.x-this.centre1.x,this.centre1.y-this.centre2.y)/Math.PI)+360)%360},Line.prototype.setMeasure=function(measure){this.measure=measure},Line.prototype.getMeasurementText=function(){return null===this.measure?"":this.measure.format(this.getLength(),this.getBearing())},Line.prototype.setZoneKind=function(kind,tolerance){this.zoneKind=kind||"position",this.zoneTolerance=Math.max(0,parseFloat(tolerance)||0)},Line.prototype.getToleranceZonePath=function(){var length=this.getLength(),direction=180*Math.atan2(this.centre2.y-this.centre1.y,this.centre2.x-this.centre1.x)/Math.PI,tolerance=Math.min(this.zoneTolerance,179.5);if(0===length)return"";switch(this.zoneKind){case"angle":return this.getWedgePath(direction,tolerance,length);case"parallel":return this.getWedgePath(direction,Math.min(tolerance,90),length)+" "+this.getWedgePath(direction+180,Math.min(tolerance,90),length);case"perpendicular":return this.getWedgePath(direction+90,Math.min(tolerance,90),length)+" "+this.getWedgePath(direction-90,Math.min(tolerance,90),length);case"length":return getCirclePath(this.centre1,length+this.zoneTolerance)+" "+getCirclePath(this.centre1,Math.max(0,length-this.zoneTolerance));default:return""}},Line.prototype.getWedgePath=function(direction,tolerance,radius){var from=(direction-tolerance)*Math.PI/180,to=(direction+tolerance)*Math.PI/180,round=function(value){return Math.round(10*value)/10};return"M "+this.centre1.x+","+this.centre1.y+" L "+round(this.centre1.x+radius*Math.cos(from))+","+round(this.centre1.y+radius*Math.sin(from))+" A "+round(radius)+","+round(radius)+" 0 "+(tolerance>90?1:0)+" 1 "+round(this.centre1.x+radius*Math.cos(to))+","+round(this.centre1.y+radius*Math.sin(to))+" Z"},Line.prototype.getToleranceHandlePoint=function(){var length=this.getLength(),direction=180*Math.atan2(this.centre2.y-this.centre1.y,this.centre2.x-this.centre1.x)/Math.PI,tolerance=Math.min(this.zoneTolerance,179.5),reach=length;if(0===length)return null;switch(this.zoneKind){case"angle":direction+=tolerance;break;case"parallel":direction+=Math.min(tolerance,90);break;case"perpendicular":direction+=90+Math.min(tolerance,90);break;case"length":reach+=this.zoneTolerance;break;default:return null}return new Point(Math.round(10*(this.centre1.x+reach*Math.cos(direction*Math.PI/180)))/10,Math.round(10*(this.centre1.y+reach*Math.sin(direction*Math.PI/180)))/10)},Line.prototype.setTolerance=function(tolerance){var max={angle:180,parallel:90,perpendicular:90}[this.zoneKind];return this.zoneTolerance=Math.max(0,void 0===max?tolerance:Math.min(tolerance,max)),this.zoneTolerance},Line.prototype.setToleranceFromPoint=function(point){var dx=point.x-this.centre1.x,dy=point.y-this.centre1.y;if("length"===this.zoneKind)return this.setTolerance(Math.round(Math.abs(Math.sqrt(dx*dx+dy*dy)-this.getLength())));var difference=180*(Math.atan2(dy,dx)-Math.atan2(this.centre2.y-this.centre1.y,this.centre2.x-this.centre1.x))/Math.PI;return difference=Math.abs((difference%360+540)%360-180),"parallel"===this.zoneKind?difference=Math.min(difference,180-difference):"perpendicular"===this.zoneKind&&(difference=Math.abs(90-difference)),this.setTolerance(Math.round(difference))},Line.prototype.getPivot=function(){return new Point((this.centre1.x+this.centre2.x)/2,(this.centre1.y+this.centre2.y)/2)},Line.prototype.getRotateHandlePoint=function(){var pivot=this.getPivot(),length=Math.sqrt(distanceSquared(this.centre1,this.centre2)),normal=new Point(0,-1);return length>0&&(normal=new Point((this.centre2.y-this.centre1.y)/length,(this.centre1.x-this.centre2.x)/length)),new Point(Math.round(pivot.x+25*normal.x),Math.round(pivot.y+25*normal.y))},Line.prototype.getAngleTo=function(point){var pivot=this.getPivot();return 180*Math.atan2(point.y-pivot.y,point.x-pivot.x)/Math.PI},Line.prototype.getKeyboardRotation=function(event){var direction=ROTATE_KEYS[event.code];if(void 0===direction)return null;var degrees=1;return event.shiftKey?degrees=15:event.altKey&&(degrees=.5),{degrees:direction*degrees,steps:1}},Line.prototype.rotate=function(degrees,maxX,maxY){var pivot=this.getPivot(),cos=Math.cos(degrees*Math.PI/180),sin=Math.sin(degrees*Math.PI/180),handles=this.getAllHandles(),rotated=handles.map((function(handle){var x=handle.centre.x-pivot.x,y=handle.centre.y-pivot.y;return new Point(Math.round(pivot.x+x*cos-y*sin),Math.round(pivot.y+x*sin+y*cos))}));return!!rotated.every((function(point,i){var radius=Math.abs(handles[i].radius);return point.x>=radius&&point.x<=maxX-radius&&point.y>=radius&&point.y<=maxY-radius}))&&(handles.forEach((function(handle,i){handle.centre.x=rotated[i].x,handle.centre.y=rotated[i].y})),this.updateEndCoordinates(),!0)},Line.prototype.rotateFrom=function(originalCoordinates,startAngle,point,maxX,maxY){return this.parse(originalCoordinates[0],originalCoordinates[1],1,originalCoordinates[2]),this.rotate(this.getAngleTo(point)-startAngle,maxX,maxY)},Line.prototype.getAllHandles=function(){return[{centre:this.centre1,radius:this.startRadius,shape:this.startShape},{centre:this.centre2,radius:this.endRadius,shape:this.endShape}].concat(this.middles.map((function(middle){return{centre:middle.centre,radius:middle.radius,shape:middle.shape||null}})))},Line.prototype.updateEndCoordinates=function(){this.x1=this.centre1.x,this.y1=this.centre1.y,this.x2=this.centre2.x,this.y2=this.centre2.y},Line.prototype.constrainEnd=function(whichHandle,point){var other="startcircle"===whichHandle?this.centre2:this.centre1,current=this.getHandlePoint(whichHandle),dx=point.x-other.x,dy=point.y-other.y;if("length"===this.lockMode){var distance=Math.sqrt(dx*dx+dy*dy);return 0===distance?current:new Point(Math.round(other.x+dx*this.lockedLength/distance),Math.round(other.y+dy*this.lockedLength/distance))}if("angle"===this.lockMode){var sign="startcircle"===whichHandle?-1:1,ux=this.lockedDirection.x*sign,uy=this.lockedDirection.y*sign,along=Math.max(1,dx*ux+dy*uy);return new Point(Math.round(other.x+ux*along),Math.round(other.y+uy*along))}return point},Line.prototype.setEndIfOnImage=function(whichHandle,point,maxX,maxY){var centre="startcircle"===whichHandle?this.centre1:this.centre2,radius=Math.abs(this.getHandleRadius(whichHandle));return!(point.x<radius||point.x>maxX-radius||point.y<radius||point.y>maxY-radius)&&(centre.x=point.x,centre.y=point.y,this.updateEndCoordinates(),!0)},Line.prototype.moveLockedEnd=function(whichHandle,dx,dy,maxX,maxY){for(var current=this.getHandlePoint(whichHandle),target=this.constrainEnd(whichHandle,current.offset(dx,dy)),scale=2;scale<=10&&target.x===current.x&&target.y===current.y;scale++)target=this.constrainEnd(whichHandle,current.offset(dx*scale,dy*scale));this.setEndIfOnImage(whichHandle,target,maxX,maxY)},Line.prototype.applyLock=function(maxX,maxY){if(this.isLocked()){var length=Math.sqrt(distanceSquared(this.centre1,this.centre2)),direction=this.lockedDirection;"length"===this.lockMode&&(direction=length>0?new Point((this.centre2.x-this.centre1.x)/length,(this.centre2.y-this.centre1.y)/length):new Point(1,0),length=this.lockedLength),this.centre2.x=Math.round(this.centre1.x+direction.x*length),this.centre2.y=Math.round(this.centre1.y+direction.y*length),this.spaceMiddlesEvenly();var handles=this.getAllHandles(),shift=function(lower,upper){return lower>0?lower:Math.min(0,upper)},dx=shift(Math.max.apply(null,handles.map((function(handle){return Math.abs(handle.radius)-handle.centre.x}))),Math.min.apply(null,handles.map((function(handle){return maxX-Math.abs(handle.radius)-handle.centre.x})))),dy=shift(Math.max.apply(null,handles.map((function(handle){return Math.abs(handle.radius)-handle.centre.y}))),Math.min.apply(null,handles.map((function(handle){return maxY-Math.abs(handle.radius)-handle.centre.y}))));handles.forEach((function(handle){handle.centre.move(dx,dy)})),this.updateEndCoordinates()}},Line.prototype.move=function(whichHandle,dx,dy,maxX,maxY,middleNo){if(!this.isLocked()||"startcircle"!==whichHandle&&"endcircle"!==whichHandle)if("middlecircle"===whichHandle){var middle=this.middles[middleNo];middle&&(middle.centre.move(dx,dy),clampPoint(middle.centre,middle.radius,maxX,maxY))}else"startcircle"===whichHandle?(this.centre1.move(dx,dy),this.centre1.x<this.startRadius&&(this.centre1.x=this.startRadius,this.x1=this.startRadius),this.centre1.x>maxX-this.startRadius&&(this.centre1.x=maxX-this.startRadius,this.x1=maxX-this.startRadius),this.centre1.y<this.startRadius&&(this.centre1.y=this.startRadius,this.y1=this.startRadius),this.centre1.y>maxY-this.startRadius&&(this.centre1.y=maxY-this.startRadius,this.y1=maxY-this.startRadius)):(this.centre2.move(dx,dy),this.centre2.x<this.endRadius&&(this.centre2.x=this.endRadius,this.x2=this.endRadius),this.centre2.x>maxX-this.endRadius&&(this.centre2.x=maxX-this.endRadius,this.x2=maxX-this.endRadius),this.centre2.y<this.endRadius&&(this.centre2.y=this.endRadius,this.y2=this.endRadius),this.centre2.y>maxY-this.endRadius&&(this.centre2.y=maxY-this.endRadius,this.y2=maxY-this.endRadius));else this.moveLockedEnd(whichHandle,dx,dy,maxX,maxY)},Line.prototype.moveDrags=function(dx,dy,maxX,maxY){this.centre1.move(dx,dy),this.centre2.move(dx,dy),this.centre1.x<this.startRadius&&(this.centre1.x=this.startRadius,this.x1=this.startRadius),this.centre1.x>maxX-this.startRadius&&(this.centre1.x=maxX-this.startRadius,this.x1=maxX-this.startRadius),this.centre2.x<this.endRadius&&(this.centre2.x=this.endRadius,this.x2=this.endRadius),this.centre2.x>maxX-this.endRadius&&(this.centre2.x=maxX-this.endRadius,this.x2=maxX-this.endRadius),this.centre1.y<this.startRadius&&(this.centre1.y=this.startRadius,this.y1=this.startRadius),this.centre1.y>maxY-this.startRadius&&(this.centre1.y=maxY-this.startRadius,this.y1=maxY-this.startRadius),this.centre2.y<this.endRadius&&(this.centre2.y=this.endRadius,this.y2=this.endRadius),this.centre2.y>maxY-this.endRadius&&(this.centre2.y=maxY-this.endRadius,this.y2=maxY-this.endRadius),this.middles.forEach((function(middle){middle.centre.move(dx,dy),clampPoint(middle.centre,middle.radius,maxX,maxY)}))},Line.prototype.addToDropZone=function(eventType,selectedElement,svgDropZones,svgDragsHome,dropX,dropY,bgImageHeight,whichSVG,bgImageWidth){let classattributes,dropzoneNo=selectedElement.getAttribute("data-dropzone-no"),dropZone=!1;if(dropZone="mouse"===eventType?this.isInsideSVG(svgDragsHome,dropX,dropY):"DragsSVG"===whichSVG,dropZone)svgDropZones.appendChild(selectedElement),selectedElement.getAttribute("data-dropzone-no"),setHandlesTabIndex(selectedElement,"0"),this.centre1.y=bgImageHeight-2*this.startRadius,this.y1=bgImageHeight-2*this.startRadius,this.centre2.y=bgImageHeight-2*this.endRadius,this.y2=bgImageHeight-2*this.endRadius,this.middles.forEach((function(middle){middle.centre.y=bgImageHeight-2*middle.radius})),bgImageWidth&&this.applyLock(bgImageWidth,bgImageHeight),classattributes=selectedElement.getAttribute("class"),classattributes=classattributes.replace("inactive","placed"),selectedElement.setAttribute("class",classattributes);else{svgDragsHome.appendChild(selectedElement);let home=this.home||{start:new Point(50,25+50*dropzoneNo),end:new Point(200,25+50*dropzoneNo)};this.centre1.x=home.start.x,this.x1=home.start.x,this.centre1.y=home.start.y,this.y1=home.start.y,this.centre2.x=home.end.x,this.x2=home.end.x,this.centre2.y=home.end.y,this.y2=home.end.y,this.spaceMiddlesEvenly(),classattributes=selectedElement.getAttribute("class"),classattributes=classattributes.replace("placed","inactive"),selectedElement.setAttribute("class",classattributes),setHandlesTabIndex(selectedElement,"-1")}},Line.prototype.setHome=function(home){this.home=home},Line.prototype.spaceMiddlesEvenly=function(){for(var count=this.middles.length,i=0;i<count;i++){var fraction=(i+1)/(count+1);this.middles[i].centre.x=Math.round(this.centre1.x+(this.centre2.x-this.centre1.x)*fraction),this.middles[i].centre.y=Math.round(this.centre1.y+(this.centre2.y-this.centre1.y)*fraction)}},Line.prototype.isInsideSVG=function(svg,dropX,dropY){const rect=svg.getBoundingClientRect();return dropX>=rect.left&&dropX<=rect.right&&dropY>=rect.top&&dropY<=rect.bottom},Line.prototype.edit=function(handleIndex,dx,dy,maxX,maxY,cornerNo){if("0"===handleIndex)this.startRadius=resizeZone(this.centre1,this.startRadius,this.startShape,dx,dy,maxX,maxY,cornerNo);else if("1"===handleIndex)this.endRadius=resizeZone(this.centre2,this.endRadius,this.endShape,dx,dy,maxX,maxY,cornerNo);else{var middle=this.middles[parseInt(handleIndex)-2];if(!middle)return;middle.radius=resizeZone(middle.centre,middle.radius,middle.shape,dx,dy,maxX,maxY,cornerNo)}},Line.prototype.getHandlePositions=function(){var positions={moveHandles:[new Point(this.centre1.x,this.centre1.y),new Point(this.centre2.x,this.centre2.y)].concat(this.middles.map((function(middle){return new Point(middle.centre.x,middle.centre.y)}))),editHandles:[],zoneNos:[],zoneShapes:[],cornerNos:[]};return this.getAllHandles().forEach((function(handle,zoneNo){var isPolygon=null!==handle.shape&&"polygon"===handle.shape.kind;(function(centre,radius,shape){if(!shape)return[centre.offset(radius,0)];if("polygon"===shape.kind)return shape.points.map((function(corner){return centre.offset(Math.round(corner.x),Math.round(corner.y))}));return[centre.offset(Math.round(shape.rx),Math.round(shape.ry))]})(handle.centre,handle.radius,handle.shape).forEach((function(point,cornerNo){positions.editHandles.push(point),positions.zoneNos.push(zoneNo),positions.zoneShapes.push(handle.shape?handle.shape.kind:"circle"),positions.cornerNos.push(isPolygon?cornerNo:null)}))})),positions},Line.prototype.copyRadii=function(other){this.startRadius=other.startRadius,this.endRadius=other.endRadius,this.startShape=copyZoneShape(other.startShape),this.endShape=copyZoneShape(other.endShape),this.middles.forEach((function(middle,middleNo){var otherMiddle=other.middles[Math.min(middleNo,other.middles.length-1)];middle.radius=otherMiddle?otherMiddle.radius:other.startRadius,middle.shape=copyZoneShape(otherMiddle?otherMiddle.shape:other.startShape)}))},Line.prototype.normalizeShape=function(){this.startRadius=Math.abs(this.startRadius),this.endRadius=Math.abs(this.endRadius),normalizeZoneShape(this.startShape),normalizeZoneShape(this.endShape),this.middles.forEach((function(middle){middle.radius=Math.abs(middle.radius),normalizeZoneShape(middle.shape)}))},{Point:Point,Line:Line,createSvgElement:createSvgElement,getZonePath:function(zone){var parsed=parseZone(zone);return getZoneShapePath(parsed.centre,parsed.radius,parsed.shape)},hasMiddleHandles:hasMiddleHandles,makeSnap:function(options){if(!options)return new Snap("none");var origin=options.gridorigin||[0,0];return new Snap(options.mode,parseInt(options.gridspacing)||0,new Point(parseInt(origin[0]),parseInt(origin[1])),(options.anchors||[]).map((function(anchor){return new Point(parseInt(anchor[0]),parseInt(anchor[1]))})))},makeMeasure:function(options){return options?new Measure(parseInt(options.pixels)||0,parseFloat(options.length)||0,options.unit):new Measure(0,0,"")},makeHomeLayout:function(svg,labels,maxWidth,maxHeight,richLabels){return new HomeLayout(labels.map((function(lineLabels,lineNo){var lineRichLabels=richLabels&&richLabels[lineNo]||["","",""],start=measureLabel(svg,lineLabels[0],lineRichLabels[0]),middle=measureLabel(svg,lineLabels[1],lineRichLabels[1]),end=measureLabel(svg,lineLabels[2],lineRichLabels[2]);return{startWidth:start.width,middleWidth:middle.width,endWidth:end.width,height:Math.max(start.height,middle.height,end.height)}})),maxWidth,maxHeight)},placeLabels:function(lines,svgEls,bgImageWidth,bgImageHeight){var obstacles=[],outlines=[];lines.forEach((function(line){outlines.push(line.getOutline()),[line.centre1,line.centre2].concat(line.middles.map((function(middle){return middle.centre}))).forEach((function(point){obstacles.push(getBox(point,20,20))}))}));var placed=[];lines.forEach((function(line,lineNo){line.getLabelAnchors().forEach((function(label){var textEl=svgEls[lineNo].childNodes[label.nodeNo];if(textEl.textContent){var size=getLabelSize(textEl),best=null;(function(label,size,bgImageWidth,bgImageHeight){var below=new Point(-label.direction.y,label.direction.x);(below.y<0||0===below.y&&below.x<0)&&(below=new Point(-below.x,-below.y));var sides=[below,new Point(-below.x,-below.y)];label.outwards&&sides.push(label.outwards);for(var centres=[],step=0;step<=4;step++)sides.forEach((function(side){var distance=10+(Math.abs(side.x)*size.width/2+Math.abs(side.y)*size.height/2)+12*step;centres.push(new Point(Math.min(Math.max(label.anchor.x+side.x*distance,size.width/2),bgImageWidth-size.width/2),Math.min(Math.max(label.anchor.y+side.y*distance,size.height/2),bgImageHeight-size.height/2)))}));return centres})(label,size,bgImageWidth,bgImageHeight).some((function(centre){var box=getBox(centre,size.width,size.height),overlaps=placed.concat(obstacles).filter((function(other){return function(box,other){return box.left<other.right&&other.left<box.right&&box.top<other.bottom&&other.top<box.bottom}(box,other)})).length+outlines.filter((function(outline){return function(outline,box){for(var i=1;i<outline.length;i++)if(segmentCrossesBox(outline[i-1],outline[i],box))return!0;return!1}(outline,box)})).length;return(null===best||overlaps<best.overlaps)&&(best={centre:centre,box:box,overlaps:overlaps}),0===overlaps})),positionLabel(textEl,Math.round(best.centre.x),Math.round(best.centre.y+.3*size.height),size),placed.push(best.box)}}))}))},make:function(linecoordinates,lineType,labels){var start=parseZone(linecoordinates[0]),end=parseZone(linecoordinates[1]),line=new Line(start.centre.x,start.centre.y,start.radius,end.centre.x,end.centre.y,end.radius,lineType,labels[0],labels[1],labels[2],parseMiddles(linecoordinates[2]));return line.startShape=start.shape,line.endShape=end.shape,line},getSimilar:function(lineType,line){var middles=[];hasMiddleHandles(lineType)&&(middles=line.middles.map((function(middle){return{centre:new Point(middle.centre.x,middle.centre.y),radius:middle.radius,shape:copyZoneShape(middle.shape)}})),isCurvedType(lineType)&&(middles=middles.slice(0,1)),0===middles.length&&middles.push({centre:line.getMiddlePoint(),radius:parseInt(line.startRadius)}));var similar=new Line(parseInt(line.x1),parseInt(line.y1),parseInt(line.startRadius),parseInt(line.x2),parseInt(line.y2),parseInt(line.endRadius),lineType,line.labelstart,line.labelmiddle,line.labelend,middles);return similar.startShape=copyZoneShape(line.startShape),similar.endShape=copyZoneShape(line.endShape),similar}}}));
 
 //# sourceMappingURL=line.min.js.map
\ No newline at end of file
@@ -5,6 +5,6 @@
  * @copyright  2024 The Open University
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
-define("qtype_drawlines/question",["jquery","core/dragdrop","qtype_drawlines/line","core/key_codes","core_form/changechecker"],(function($,dragDrop,Line){function DrawlinesQuestion(containerId,readOnly,visibleDropZones,questionLines){this.containerId=containerId,this.visibleDropZones=visibleDropZones,this.questionLines=questionLines,M.util.js_pending("qtype_drawlines-init-"+this.containerId),this.lineSVGs=[],this.lines=[],this.svgEl=null,this.isPrinting=!1,readOnly&&this.getRoot().classList.add("qtype_drawlines-readonly");let bgImage=this.bgImage();this.createSvgOnImageLoad(bgImage)}DrawlinesQuestion.prototype.updateCoordinates=function(){for(var line=0;line<this.lineSVGs.length;line++){var coordinates=this.getSVGLineCoordinates(this.lineSVGs[line]);if(!this.lines[line].parse(coordinates[0],coordinates[1],1))return;this.updateSvgEl(line)}},DrawlinesQuestion.prototype.parseCoordinates=function(coordinates,lineType){var bits=coordinates.split(" ");if("lineinfinite"===lineType&&2!==bits.length&&(bits=bits.slice(1,-1)),2!==bits.length)throw new Error(coordinates+" is not a valid point");return bits},DrawlinesQuestion.prototype.drawDropzone=function(){let rootElement=this.getRoot(),bgImage=this.bgImage(),svg=rootElement.querySelector("svg.dropzones");if(rootElement.querySelector(".que-dlines-dropzone").style.position="relative",rootElement.querySelector(".que-dlines-dropzone").style.top=-1*(bgImage.height+1)+"px",rootElement.querySelector(".que-dlines-dropzone").style.height=bgImage.height+"px",rootElement.querySelector(".droparea").style.height=bgImage.height+"px",!svg){rootElement.querySelector(".que-dlines-dropzone").innerHTML='<svg xmlns="http://www.w3.org/2000/svg" class= "dropzones" width="'+bgImage.width+'" height="'+bgImage.height+'" viewBox="0 0 '+bgImage.width+" "+bgImage.height+'" preserveAspectRatio="xMinYMin meet" ></svg>',this.drawSVGLines(this.questionLines)}},DrawlinesQuestion.prototype.drawSVGLines=function(questionLines){let height,startcoordinates,endcoordinates,draginitialcoords,bgImage=this.bgImage(),rootElement=this.getRoot();rootElement.querySelector(".draghomes").innerHTML='<svg xmlns="http://www.w3.org/2000/svg" class="dragshome" width="'+bgImage.width+'" height="'+50*questionLines.length+'"></svg>';let draghomeSvg=rootElement.querySelector(".dragshome"),dropzoneSvg=rootElement.querySelector(".dropzones");for(let line=0;line<this.questionLines.length;line++)if(height=25+50*line,startcoordinates="50,"+height+";10",endcoordinates="200,"+height+";10",draginitialcoords=this.visibleDropZones["c"+line],void 0!==draginitialcoords&&""!==draginitialcoords){var coords=this.parseCoordinates(draginitialcoords,questionLines[line].type);startcoordinates=coords[0]+";10",endcoordinates=coords[1]+";10",this.lines[line]=Line.make([startcoordinates,endcoordinates],questionLines[line].type,[questionLines[line].labelstart,questionLines[line].labelmiddle,questionLines[line].labelend]),this.addToSvg(line,dropzoneSvg)}else this.lines[line]=Line.make([startcoordinates,endcoordinates],questionLines[line].type,[questionLines[line].labelstart,questionLines[line].labelmiddle,questionLines[line].labelend]),this.addToSvg(line,draghomeSvg);M.util.js_complete("qtype_drawlines-init-"+this.containerId)},DrawlinesQuestion.prototype.handleResize=function(){let svgdropzones,svgdraghomes,thisQ=this,bgImg=this.bgImage(),bgRatio=this.bgRatio();thisQ.drawDropzone(),svgdropzones=this.getRoot().querySelector("div.droparea svg.dropzones"),svgdraghomes=this.getRoot().querySelector("div.draghomes svg.dragshome"),svgdropzones.setAttribute("width",bgImg.width),svgdropzones.setAttribute("height",bgImg.height),svgdropzones.setAttribute("viewBox","0 0 "+bgImg.width+" "+bgImg.height),svgdraghomes.setAttribute("width",bgImg.width),svgdraghomes.setAttribute("height",parseInt(50*thisQ.questionLines.length*bgRatio));for(let linenumber=0;linenumber<thisQ.questionLines.length;linenumber++){var svgline=thisQ.getRoot().querySelector(".dropzone.choice"+linenumber);thisQ.handleElementScale(svgline)}},DrawlinesQuestion.prototype.bgRatio=function(){var bgImg=this.bgImage(),bgImgNaturalWidth=bgImg.naturalWidth,bgImgClientWidth=bgImg.width;return 0===bgImgClientWidth?1:bgImgClientWidth/bgImgNaturalWidth},DrawlinesQuestion.prototype.handleElementScale=function(element){var bgRatio=this.bgRatio();this.isPrinting&&(bgRatio=1),element.setAttribute("transform","scale("+bgRatio+")")},DrawlinesQuestion.prototype.getRoot=function(){return document.getElementById(this.containerId)},DrawlinesQuestion.prototype.bgImage=function(){return this.getRoot().querySelector("img.dropbackground")},DrawlinesQuestion.prototype.getSVGLineCoordinates=function(svgEl){return[svgEl.childNodes[1].getAttribute("cx")+","+svgEl.childNodes[1].getAttribute("cy")+";"+svgEl.childNodes[1].getAttribute("r"),svgEl.childNodes[2].getAttribute("cx")+","+svgEl.childNodes[2].getAttribute("cy")+";"+svgEl.childNodes[2].getAttribute("r")]},DrawlinesQuestion.prototype.addToSvg=function(lineNumber,svg){let bgImage=this.bgImage();this.lineSVGs[lineNumber]=this.lines[lineNumber].makeSvg(svg,bgImage.naturalWidth,bgImage.naturalHeight),this.lineSVGs[lineNumber]&&(this.lineSVGs[lineNumber].setAttribute("data-dropzone-no",lineNumber),"dropzones"===svg.getAttribute("class")?this.lineSVGs[lineNumber].setAttribute("class","dropzone choice"+lineNumber+" placed"):this.lineSVGs[lineNumber].setAttribute("class","dropzone choice"+lineNumber+" inactive"))},DrawlinesQuestion.prototype.updateSvgEl=function(dropzoneNo){var bgimage=this.bgImage();this.lines[dropzoneNo].updateSvg(this.lineSVGs[dropzoneNo],bgimage.naturalWidth,bgimage.naturalHeight)},DrawlinesQuestion.prototype.handleCircleMove=function(e,whichHandle,dropzoneNo){var info=dragDrop.prepare(e);if(info.start){var movingDropZone=this,lastX=info.x,lastY=info.y,dragProxy=this.makeDragProxy(info.x,info.y),bgimage=this.bgImage(),maxX=bgimage.naturalWidth,maxY=bgimage.naturalHeight;dragDrop.start(e,$(dragProxy),(function(pageX,pageY){movingDropZone.lines[dropzoneNo].move(whichHandle,parseInt(pageX)-parseInt(lastX),parseInt(pageY)-parseInt(lastY),parseInt(maxX),parseInt(maxY)),lastX=pageX,lastY=pageY,movingDropZone.updateSvgEl(dropzoneNo),movingDropZone.saveCoordsForChoice(dropzoneNo)}),(function(){document.body.removeChild(dragProxy)}))}},DrawlinesQuestion.prototype.handleLineMove=function(e,dropzoneNo){var info=dragDrop.prepare(e);if(!info.start)return;var maxX,maxY,isMoveFromDragsToDropzones,isMoveFromDropzonesToDrags,svgClass,movingDrag=this,lastX=info.x,lastY=info.y,dragProxy=this.makeDragProxy(info.x,info.y),bgImage=this.bgImage(),selectedElement=this.lineSVGs[dropzoneNo];let dropX,dropY;"mousedown"===e.type?(dropX=e.clientX,dropY=e.clientY):"touchstart"===e.type&&(dropX=e.touches[0].clientX,dropY=e.touches[0].clientY),dragDrop.start(e,$(dragProxy),(function(pageX,pageY){var closestSVGs=movingDrag.getSvgsClosestToElement(selectedElement),closeTo=selectedElement.closest("svg");svgClass=closeTo.getAttribute("class"),isMoveFromDragsToDropzones="dragshome"===svgClass,isMoveFromDropzonesToDrags="dropzones"===svgClass&&movingDrag.lines[dropzoneNo].centre1.y>bgImage.naturalHeight-20,(isMoveFromDragsToDropzones||isMoveFromDropzonesToDrags)&&movingDrag.lines[dropzoneNo].addToDropZone("mouse",selectedElement,closestSVGs.svgDropZone,closestSVGs.svgDragsHome,dropX,dropY,bgImage.naturalHeight),closeTo=selectedElement.closest("svg");var dimensions=movingDrag.getSvgDimensionsByClass(closeTo,closeTo.getAttribute("class"));maxX=dimensions.maxX,maxY=dimensions.maxY,"DropZonesSVG"===dimensions.whichSVG&&(movingDrag.lines[dropzoneNo].moveDrags(parseInt(pageX)-parseInt(lastX),parseInt(pageY)-parseInt(lastY),parseInt(maxX),parseInt(maxY)),lastX=pageX,lastY=pageY),movingDrag.updateSvgEl(dropzoneNo),movingDrag.saveCoordsForChoice(dropzoneNo)}),(function(){document.body.removeChild(dragProxy)}))},DrawlinesQuestion.prototype.makeDragProxy=function(x,y){var dragProxy=document.createElement("div");return dragProxy.style.position="absolute",dragProxy.style.top=y+"px",dragProxy.style.left=x+"px",dragProxy.style.width="1px",dragProxy.style.height="1px",document.body.appendChild(dragProxy),dragProxy},DrawlinesQuestion.prototype.saveCoordsForChoice=function(choiceNo){let imageCoords=[];var items=this.getRoot().querySelector("svg g.choice"+choiceNo),gEleClassAttributes="";items&&(imageCoords=items.querySelector("polyline").getAttribute("points"),gEleClassAttributes=items.getAttribute("class")),""!==gEleClassAttributes&&gEleClassAttributes.includes("placed")?this.getRoot().querySelector("input.choice"+choiceNo).value=imageCoords:""!==gEleClassAttributes&&gEleClassAttributes.includes("inactive")&&(this.getRoot().querySelector("input.choice"+choiceNo).value="")},DrawlinesQuestion.prototype.handleKeyPress=function(e,drag,dropzoneNo,activeElement){var dropzoneElement,x=0,y=0,question=questionManager.getQuestionForEvent(e);switch(dropzoneElement=drag.closest("g"),e.code){case"ArrowLeft":case"KeyA":x=-1;break;case"ArrowRight":case"KeyD":x=1;break;case"ArrowDown":case"KeyS":y=1;break;case"ArrowUp":case"KeyW":y=-1;break;case"Space":case"Escape":break;default:return}e.preventDefault();var maxX,maxY,whichSVG,closeTo=drag.closest("svg"),svgClass=closeTo.getAttribute("class"),bgImage=this.bgImage(),closestSVGs=this.getSvgsClosestToElement(drag),isMoveFromDragsToDropzones="dragshome"===svgClass,isMoveFromDropzonesToDrags="dropzones"===svgClass&&question.lines[dropzoneNo].centre1.y>bgImage.naturalHeight-20;isMoveFromDragsToDropzones?question.lines[dropzoneNo].addToDropZone("keyboard",dropzoneElement,closestSVGs.svgDropZone,closestSVGs.svgDragsHome,null,null,bgImage.naturalHeight,"DragsSVG"):isMoveFromDropzonesToDrags&&question.lines[dropzoneNo].addToDropZone("keyboard",dropzoneElement,closestSVGs.svgDropZone,closestSVGs.svgDragsHome,null,null,null,"DropZonesSVG"),closeTo=drag.closest("svg");var dimensions=question.getSvgDimensionsByClass(closeTo,closeTo.getAttribute("class"));maxX=dimensions.maxX,maxY=dimensions.maxY,whichSVG=dimensions.whichSVG,"line"===activeElement&&"DropZonesSVG"===whichSVG?question.lines[dropzoneNo].moveDrags(parseInt(x),parseInt(y),parseInt(maxX),parseInt(maxY)):question.lines[dropzoneNo].move(activeElement,parseInt(x),parseInt(y),parseInt(maxX),parseInt(maxY)),question.updateSvgEl(dropzoneNo),this.saveCoordsForChoice(dropzoneNo),drag.focus()},DrawlinesQuestion.prototype.getSvgDimensionsByClass=function(dragSVG,className){let bgImg=this.bgImage();return{maxX:bgImg.naturalWidth,maxY:bgImg.naturalHeight,whichSVG:"dragshome"===className?"DragsSVG":"DropZonesSVG"}},DrawlinesQuestion.prototype.getSvgsClosestToElement=function(dragElement){var svgDragsHome,svgDropZone,svgElement=dragElement.closest("svg");return"dragshome"===svgElement.getAttribute("class")?(svgDragsHome=svgElement,svgDropZone=svgElement.closest(".ddarea").querySelector(".dropzones")):(svgDropZone=svgElement,svgDragsHome=svgElement.closest(".ddarea").querySelector(".dragshome")),{svgDropZone:svgDropZone,svgDragsHome:svgDragsHome}},DrawlinesQuestion.prototype.createSvgOnImageLoad=function(img){img?img.complete&&0!==img.naturalHeight?this.drawDropzone():img.addEventListener("load",(()=>this.drawDropzone())):window.console.error("Image with id '".concat(img,"' not found."))};var questionManager={eventHandlersInitialised:!1,lineEventHandlersInitialised:{},isPrinting:!1,isKeyboardNavigation:!1,questions:{},noOfLines:null,dropZones:[],questionLines:[],init:function(containerId,readOnly,visibleDropZones,questionLines){if(questionManager.questions[containerId]=new DrawlinesQuestion(containerId,readOnly,visibleDropZones,questionLines),questionManager.questions[containerId].updateCoordinates(),!questionManager.eventHandlersInitialised){const dropareaimages=document.querySelectorAll(".drawlines .droparea img");questionManager.checkAllImagesLoaded(dropareaimages).then((dropareaimages=>(questionManager.setupEventHandlers(),questionManager.eventHandlersInitialised=!0,dropareaimages))).catch((error=>window.console.error(error)))}if(!questionManager.lineEventHandlersInitialised.hasOwnProperty(containerId)){questionManager.lineEventHandlersInitialised[containerId]=!0;var questionContainer=document.getElementById(containerId);if(questionContainer.classList.contains("drawlines")&&!questionContainer.classList.contains("qtype_drawlines-readonly")){var dropArea=questionContainer.querySelector(".droparea");dropArea.addEventListener("mousedown",questionManager.handleDropZoneEventMove),dropArea.addEventListener("touchstart",questionManager.handleDropZoneEventMove),dropArea.addEventListener("keydown",questionManager.handleKeyPress),dropArea.addEventListener("keypress",questionManager.handleKeyPress),dropArea.addEventListener("focusin",(function(e){questionManager.handleKeyboardFocus(e,!0)})),dropArea.addEventListener("focusout",(function(e){questionManager.handleKeyboardFocus(e,!1)}));var drags=questionContainer.querySelector(".draghomes");drags.addEventListener("mousedown",questionManager.handleDragHomeEventMove),drags.addEventListener("touchstart",questionManager.handleDragHomeEventMove),drags.addEventListener("keydown",questionManager.handleKeyPress),drags.addEventListener("keypress",questionManager.handleKeyPress),drags.addEventListener("focusin",(function(e){questionManager.handleKeyboardFocus(e,!0)})),drags.addEventListener("focusout",(function(e){questionManager.handleKeyboardFocus(e,!1)}))}}},checkAllImagesLoaded:function(images){const promises=Array.from(images).map((img=>new Promise(((resolve,reject)=>{img.complete&&0!==img.naturalHeight?resolve(img):(img.addEventListener("load",(()=>resolve(img)),{once:!0}),img.addEventListener("error",(()=>reject(new Error("Failed to load image: ".concat(img.src)))),{once:!0}))}))));return Promise.all(promises)},setupEventHandlers:function(){window.addEventListener("resize",(function(){questionManager.handleWindowResize(!1)})),window.addEventListener("beforeprint",(function(){questionManager.isPrinting=!0,questionManager.handleWindowResize(questionManager.isPrinting)})),window.addEventListener("afterprint",(function(){questionManager.isPrinting=!1,questionManager.handleWindowResize(questionManager.isPrinting)})),setTimeout((function(){questionManager.fixLayoutIfThingsMoved()}),100)},fixLayoutIfThingsMoved:function(){questionManager.isKeyboardNavigation||this.handleWindowResize(questionManager.isPrinting),setTimeout((function(){questionManager.fixLayoutIfThingsMoved(questionManager.isPrinting)}),100)},handleDropZoneEventMove:function(event){var dropzoneNo,question=questionManager.getQuestionForEvent(event);event.target.closest(".dropzone .startcircle.shape")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,question.handleCircleMove(event,"startcircle",dropzoneNo)):event.target.closest(".dropzone .endcircle.shape")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,question.handleCircleMove(event,"endcircle",dropzoneNo)):event.target.closest("polyline.shape")&&(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,question.handleLineMove(event,dropzoneNo))},handleDragHomeEventMove:function(event){let dropzoneElement,dropzoneNo,question=questionManager.getQuestionForEvent(event);event.target.closest("g")&&(dropzoneElement=event.target.closest("g"),dropzoneNo=dropzoneElement.dataset.dropzoneNo,question.handleLineMove(event,dropzoneNo),question.saveCoordsForChoice(dropzoneNo))},handleKeyPress:function(e){var dropzoneElement,dropzoneNo,drag,activeElement,question=questionManager.getQuestionForEvent(e);e.target.closest(".dropzone circle.startcircle")?(dropzoneNo=(dropzoneElement=e.target.closest(".dropzone")).dataset.dropzoneNo,drag=e.target.closest(".dropzone circle.startcircle"),activeElement="startcircle"):e.target.closest(".dropzone circle.endcircle")?(drag=e.target.closest(".dropzone circle.endcircle"),dropzoneNo=(dropzoneElement=e.target.closest(".dropzone")).dataset.dropzoneNo,activeElement="endcircle"):e.target.closest("g.dropzone")&&(drag=e.target.closest("g.dropzone"),dropzoneNo=(dropzoneElement=e.target.closest(".dropzone")).dataset.dropzoneNo,activeElement="line"),question&&dropzoneElement&&question.handleKeyPress(e,drag,dropzoneNo,activeElement)},handleWindowResize:function(isPrinting){for(var containerId in questionManager.questions)questionManager.questions.hasOwnProperty(containerId)&&(questionManager.questions[containerId].isPrinting=isPrinting,questionManager.questions[containerId].handleResize())},handleKeyboardFocus:function(e,isNavigating){questionManager.isKeyboardNavigation=isNavigating},getQuestionForEvent:function(e){var containerId=$(e.currentTarget).closest(".que.drawlines").attr("id");return questionManager.questions[containerId]}};return{init:questionManager.init}}));
+define("qtype_drawlines/question",["jquery","core/dragdrop","qtype_drawlines/line","core_filters/events","core/key_codes","core_form/changechecker"],(function($,dragDrop,Line,FilterEvents){var DRAG_START_EVENTS=window.PointerEvent?["pointerdown"]:["mousedown","touchstart"];function DrawlinesQuestion(containerId,readOnly,visibleDropZones,questionLines,snapOptions,landmarks,measurementOptions,lineResults,showZones,dragHomes,richLabels){var thisQ=this;this.containerId=containerId,this.visibleDropZones=visibleDropZones,this.questionLines=questionLines,this.snap=Line.makeSnap(snapOptions),this.landmarks=landmarks||[],this.measure=measurementOptions&&measurementOptions.show?Line.makeMeasure(measurementOptions):null,this.lineResults=lineResults||{},this.showZones=Boolean(showZones),this.dragHomes=dragHomes||questionLines.map((function(questionLine,lineNo){return[lineNo]})),this.richLabels=richLabels||[],this.labelResizeObserver=new ResizeObserver((function(){thisQ.updateLabels()})),this.undoStack=[],this.redoStack=[],this.lastKeyMove=null,this.zoom={scale:1,x:0,y:0},this.pinch=null,this.panning=!1,this.gesture=null,M.util.js_pending("qtype_drawlines-init-"+this.containerId),this.lineSVGs=[],this.lines=[],this.homeLayout=null,this.svgEl=null,this.isPrinting=!1,readOnly&&this.getRoot().classList.add("qtype_drawlines-readonly");let bgImage=this.bgImage();thisQ.createSvgOnImageLoad(bgImage)}function makePointerTracker(x,y){var lastX=x,lastY=y,leftX=0,leftY=0;return function(pageX,pageY,scale){leftX+=(pageX-lastX)/scale,leftY+=(pageY-lastY)/scale,lastX=pageX,lastY=pageY;var move=new Line.Point(Math.round(leftX),Math.round(leftY));return leftX-=move.x,leftY-=move.y,move}}DrawlinesQuestion.prototype.updateCoordinates=function(){for(var line=0;line<this.lineSVGs.length;line++){var coordinates=this.getSVGLineCoordinates(this.lineSVGs[line]);if(!this.lines[line].parse(coordinates[0],coordinates[1],1,coordinates[2]))return;this.updateSvgEl(line)}},DrawlinesQuestion.prototype.parseCoordinates=function(coordinates,lineType){var bits=coordinates.split(" ");if("lineinfinite"===lineType&&2!==bits.length&&(bits=bits.slice(1,-1)),Line.hasMiddleHandles(lineType)&&bits.length>2)return[bits[0],bits[bits.length-1],bits.slice(1,-1).join(" ")];if(2!==bits.length)throw new Error(coordinates+" is not a valid point");return bits.concat([""])},DrawlinesQuestion.prototype.getInitialMiddleCoordinates=function(questionLine,home){if(!Line.hasMiddleHandles(questionLine.type))return"";var count=1;"linepolyline"===questionLine.type&&questionLine.zonemiddle&&(count=Math.max(1,questionLine.zonemiddle.trim().split(/\s+/).length));for(var middles=[],i=1;i<=count;i++)middles.push(Math.round(home.start.x+(home.end.x-home.start.x)*i/(count+1))+","+Math.round(home.start.y+(home.end.y-home.start.y)*i/(count+1))+";10");return middles.join(" ")},DrawlinesQuestion.prototype.drawDropzone=function(){let rootElement=this.getRoot(),bgImage=this.bgImage(),svg=rootElement.querySelector("svg.dropzones");if(rootElement.querySelector(".que-dlines-dropzone").style.position="relative",rootElement.querySelector(".que-dlines-dropzone").style.top=-1*(bgImage.height+1)+"px",rootElement.querySelector(".que-dlines-dropzone").style.height=bgImage.height+"px",rootElement.querySelector(".droparea").style.height=bgImage.height+"px",!svg){rootElement.querySelector(".que-dlines-dropzone").innerHTML='<svg xmlns="http://www.w3.org/2000/svg" id="'+this.containerId+'-dropzones" class= "dropzones" width="'+bgImage.width+'" height="'+bgImage.height+'" viewBox="0 0 '+bgImage.width+" "+bgImage.height+'" preserveAspectRatio="xMinYMin meet" ></svg>',this.drawSVGLines(this.questionLines)}},DrawlinesQuestion.prototype.drawSVGLines=function(questionLines){let home,startcoordinates,endcoordinates,middlecoordinates,draginitialcoords,bgImage=this.bgImage(),rootElement=this.getRoot();rootElement.querySelector(".draghomes").innerHTML='<svg xmlns="http://www.w3.org/2000/svg" id="'+this.containerId+'-dragshome" class="dragshome" width="'+bgImage.width+'"></svg>';let draghomeSvg=rootElement.querySelector(".dragshome"),dropzoneSvg=rootElement.querySelector(".dropzones");this.homeLayout=Line.makeHomeLayout(draghomeSvg,this.dragHomes.map((function(lineNos){var questionLine=questionLines[lineNos[0]];return[questionLine.labelstart,questionLine.labelmiddle,questionLine.labelend]})),bgImage.naturalWidth,bgImage.naturalHeight,this.dragHomes.map((function(lineNos){return this.richLabels[lineNos[0]]}),this)),draghomeSvg.setAttribute("height",parseInt(this.homeLayout.height*this.bgRatio())),this.drawCorrectAnswer(dropzoneSvg),this.drawCorrectZones(dropzoneSvg);let homeNos=[],lineOrder=[];this.dragHomes.forEach((function(lineNos,homeNo){lineNos.forEach((function(lineNo){homeNos[lineNo]=homeNo,lineOrder.push(lineNo)}))}));for(let line of lineOrder)if(home=this.homeLayout.getHome(homeNos[line]),startcoordinates=home.start.x+","+home.start.y+";10",endcoordinates=home.end.x+","+home.end.y+";10",middlecoordinates=this.getInitialMiddleCoordinates(questionLines[line],home),draginitialcoords=this.visibleDropZones["c"+line],void 0!==draginitialcoords&&""!==draginitialcoords){var coords=this.parseCoordinates(draginitialcoords,questionLines[line].type);startcoordinates=coords[0]+";10",endcoordinates=coords[1]+";10",middlecoordinates=""===coords[2]?"":coords[2].split(" ").join(";10 ")+";10",this.lines[line]=Line.make([startcoordinates,endcoordinates,middlecoordinates],questionLines[line].type,[questionLines[line].labelstart,questionLines[line].labelmiddle,questionLines[line].labelend]),this.lines[line].setLock(questionLines[line].lockmode,questionLines[line].zonestart,questionLines[line].zoneend),this.lines[line].setMeasure(this.measure),this.lines[line].setStyle(questionLines[line].colour,questionLines[line].dashstyle,questionLines[line].arrowstyle),this.lines[line].setRichLabels(this.richLabels[line]),this.lines[line].setHome(home),this.addToSvg(line,dropzoneSvg)}else this.lines[line]=Line.make([startcoordinates,endcoordinates,middlecoordinates],questionLines[line].type,[questionLines[line].labelstart,questionLines[line].labelmiddle,questionLines[line].labelend]),this.lines[line].setLock(questionLines[line].lockmode,questionLines[line].zonestart,questionLines[line].zoneend),this.lines[line].setMeasure(this.measure),this.lines[line].setStyle(questionLines[line].colour,questionLines[line].dashstyle,questionLines[line].arrowstyle),this.lines[line].setRichLabels(this.richLabels[line]),this.lines[line].setHome(home),this.addToSvg(line,draghomeSvg);this.updateHomeCopies(),this.updateToolbarButtons(),M.util.js_complete("qtype_drawlines-init-"+this.containerId)},DrawlinesQuestion.prototype.handleResize=function(){let svgdropzones,svgdraghomes,thisQ=this,bgImg=this.bgImage(),bgRatio=this.bgRatio();thisQ.drawDropzone(),svgdropzones=this.getRoot().querySelector("div.droparea svg.dropzones"),svgdraghomes=this.getRoot().querySelector("div.draghomes svg.dragshome"),svgdropzones.setAttribute("width",bgImg.width),svgdropzones.setAttribute("height",bgImg.height),svgdropzones.setAttribute("viewBox","0 0 "+bgImg.width+" "+bgImg.height),svgdraghomes.setAttribute("width",bgImg.width),svgdraghomes.setAttribute("height",parseInt(thisQ.homeLayout.height*bgRatio));for(let linenumber=0;linenumber<thisQ.questionLines.length;linenumber++){var svgline=thisQ.getRoot().querySelector(".dropzone.choice"+linenumber);thisQ.handleElementScale(svgline)}svgdropzones.querySelectorAll(".correctanswer, .correctzones").forEach((function(layer){thisQ.handleElementScale(layer)})),bgImg.style.transformOrigin="0 0",bgImg.style.transform=this.isZoomed()?"scale("+this.zoom.scale+") translate("+-this.zoom.x*bgRatio+"px, "+-this.zoom.y*bgRatio+"px)":"",this.getRoot().querySelector(".droparea").classList.toggle("zoomed",this.isZoomed())},DrawlinesQuestion.prototype.bgRatio=function(){var bgImg=this.bgImage(),bgImgNaturalWidth=bgImg.naturalWidth,bgImgClientWidth=bgImg.width;return 0===bgImgClientWidth?1:bgImgClientWidth/bgImgNaturalWidth},DrawlinesQuestion.prototype.handleElementScale=function(element){var transform,bgRatio=this.bgRatio();this.isPrinting&&(bgRatio=1),transform="scale("+bgRatio+")",this.isZoomed()&&element.closest("svg.dropzones")&&(transform+=" scale("+this.zoom.scale+") translate("+-this.zoom.x+" "+-this.zoom.y+")"),element.setAttribute("transform",transform)},DrawlinesQuestion.prototype.isZoomed=function(){return!this.isPrinting&&this.zoom.scale>1},DrawlinesQuestion.prototype.getScreenScale=function(element){var scale=this.bgRatio();return this.isZoomed()&&element.closest("svg.dropzones")&&(scale*=this.zoom.scale),scale},DrawlinesQuestion.prototype.clientToImage=function(clientX,clientY){var svgRect=this.getRoot().querySelector("svg.dropzones").getBoundingClientRect(),scale=this.bgRatio()*(this.isZoomed()?this.zoom.scale:1);return new Line.Point((clientX-svgRect.left)/scale+this.zoom.x,(clientY-svgRect.top)/scale+this.zoom.y)},DrawlinesQuestion.prototype.setZoom=function(scale,centre){var bgImage=this.bgImage(),width=bgImage.naturalWidth,height=bgImage.naturalHeight;centre||(centre=new Line.Point(this.zoom.x+width/this.zoom.scale/2,this.zoom.y+height/this.zoom.scale/2));var across=(centre.x-this.zoom.x)*this.zoom.scale/width,down=(centre.y-this.zoom.y)*this.zoom.scale/height;this.zoom.scale=Math.min(4,Math.max(1,scale)),this.panTo(centre.x-across*width/this.zoom.scale,centre.y-down*height/this.zoom.scale)},DrawlinesQuestion.prototype.panTo=function(x,y){var bgImage=this.bgImage();this.zoom.x=Math.min(Math.max(0,x),bgImage.naturalWidth*(1-1/this.zoom.scale)),this.zoom.y=Math.min(Math.max(0,y),bgImage.naturalHeight*(1-1/this.zoom.scale)),this.handleResize(),this.updateZoomButtons()},DrawlinesQuestion.prototype.keepInView=function(point){if(this.isZoomed()){var bgImage=this.bgImage(),width=bgImage.naturalWidth/this.zoom.scale,height=bgImage.naturalHeight/this.zoom.scale,x=Math.max(Math.min(this.zoom.x,point.x-20),point.x+20-width),y=Math.max(Math.min(this.zoom.y,point.y-20),point.y+20-height);x===this.zoom.x&&y===this.zoom.y||this.panTo(x,y)}},DrawlinesQuestion.prototype.updateZoomButtons=function(){var root=this.getRoot(),buttons={zoomin:this.zoom.scale>=4,zoomout:this.zoom.scale<=1,zoomreset:this.zoom.scale<=1};Object.keys(buttons).forEach((function(name){var button=root.querySelector(".drawlines-zoom button."+name);button&&(button.disabled=buttons[name])}))},DrawlinesQuestion.prototype.handlePanMove=function(e){var info=this.prepareDrag(e);if(info.start){var panningQ=this,pointer=makePointerTracker(info.x,info.y);this.panning=!0,this.startDrag(e,info,(function(pageX,pageY){var move=pointer(pageX,pageY,panningQ.bgRatio()*panningQ.zoom.scale);null===panningQ.pinch&&panningQ.panTo(panningQ.zoom.x-move.x,panningQ.zoom.y-move.y)}),(function(){panningQ.panning=!1}))}},DrawlinesQuestion.prototype.startPinch=function(touches){var middleX=(touches[0].clientX+touches[1].clientX)/2,middleY=(touches[0].clientY+touches[1].clientY)/2;this.pinch={distance:Math.hypot(touches[0].clientX-touches[1].clientX,touches[0].clientY-touches[1].clientY),scale:this.zoom.scale,point:this.clientToImage(middleX,middleY)}},DrawlinesQuestion.prototype.movePinch=function(touches){var distance=Math.hypot(touches[0].clientX-touches[1].clientX,touches[0].clientY-touches[1].clientY),middleX=(touches[0].clientX+touches[1].clientX)/2,middleY=(touches[0].clientY+touches[1].clientY)/2,svgRect=this.getRoot().querySelector("svg.dropzones").getBoundingClientRect();if(0!==this.pinch.distance){this.zoom.scale=Math.min(4,Math.max(1,this.pinch.scale*distance/this.pinch.distance));var scale=this.bgRatio()*this.zoom.scale;this.panTo(this.pinch.point.x-(middleX-svgRect.left)/scale,this.pinch.point.y-(middleY-svgRect.top)/scale)}},DrawlinesQuestion.prototype.getRoot=function(){return document.getElementById(this.containerId)},DrawlinesQuestion.prototype.bgImage=function(){return this.getRoot().querySelector("img.dropbackground")},DrawlinesQuestion.prototype.getSVGLineCoordinates=function(svgEl){return[svgEl.childNodes[1].getAttribute("cx")+","+svgEl.childNodes[1].getAttribute("cy")+";"+svgEl.childNodes[1].getAttribute("r"),svgEl.childNodes[2].getAttribute("cx")+","+svgEl.childNodes[2].getAttribute("cy")+";"+svgEl.childNodes[2].getAttribute("r"),Array.from(svgEl.querySelectorAll(".middlecircle")).map((function(circle){return circle.getAttribute("cx")+","+circle.getAttribute("cy")+";"+circle.getAttribute("r")})).join(" ")]},DrawlinesQuestion.prototype.addToSvg=function(lineNumber,svg){let bgImage=this.bgImage();this.lineSVGs[lineNumber]=this.lines[lineNumber].makeSvg(svg,bgImage.naturalWidth,bgImage.naturalHeight),this.lineSVGs[lineNumber]&&(this.lineSVGs[lineNumber].setAttribute("data-dropzone-no",lineNumber),"dropzones"===svg.getAttribute("class")?(this.lineSVGs[lineNumber].setAttribute("class","dropzone choice"+lineNumber+" placed"+(this.isLineReversed(lineNumber)?" reversed":"")),this.showLineResult(lineNumber)):this.lineSVGs[lineNumber].setAttribute("class","dropzone choice"+lineNumber+" inactive"),document.getElementById(this.containerId+"-instructions")&&this.lineSVGs[lineNumber].setAttribute("aria-describedby",this.containerId+"-instructions"),this.updateAccessibility(lineNumber))},DrawlinesQuestion.prototype.isLineReversed=function(lineNo){var result=this.getLineResult(lineNo);return null!==result&&result.reversed},DrawlinesQuestion.prototype.getLineResult=function(lineNo){return this.lineResults[lineNo]||null},DrawlinesQuestion.prototype.showLineResult=function(lineNo){var result=this.getLineResult(lineNo),svgEl=this.lineSVGs[lineNo];if(null!==result&&svgEl){svgEl.classList.add("result-"+result.state);var handles=[["startcircle",result.start],["endcircle",result.end]];svgEl.querySelectorAll(".middlecircle").forEach((function(middleEl){handles.push([middleEl,result.middles[middleEl.dataset.middleNo]])})),handles.forEach((function(handle){var handleEl="string"==typeof handle[0]?svgEl.querySelector("."+handle[0]):handle[0],iconEl=Line.createSvgElement(svgEl,"text");handleEl.classList.add(handle[1]?"result-correct":"result-incorrect"),iconEl.setAttribute("class","resulticon "+(handle[1]?"result-correct":"result-incorrect")),iconEl.setAttribute("aria-hidden","true"),iconEl.setAttribute("x",parseFloat(handleEl.getAttribute("cx"))+10),iconEl.setAttribute("y",parseFloat(handleEl.getAttribute("cy"))-10),iconEl.textContent=handle[1]?"✓":"✗"}))}},DrawlinesQuestion.prototype.drawCorrectAnswer=function(svg){var compare=this.getRoot().querySelector(".drawlines-compare"),bgImage=this.bgImage();if(compare){var layerEl=Line.createSvgElement(svg,"g");layerEl.setAttribute("class","correctanswer"),layerEl.setAttribute("aria-hidden","true"),svg.insertBefore(layerEl,svg.firstChild),this.questionLines.forEach((function(questionLine,lineNo){var line=Line.make([questionLine.zonestart,questionLine.zoneend,questionLine.zonemiddle||""],questionLine.type,[questionLine.labelstart,questionLine.labelmiddle,questionLine.labelend]);line.setStyle(questionLine.colour,questionLine.dashstyle,questionLine.arrowstyle),line.setRichLabels(this.richLabels[lineNo]);var lineEl=line.makeSvg(svg,bgImage.naturalWidth,bgImage.naturalHeight);lineEl&&(lineEl.removeAttribute("tabindex"),lineEl.removeAttribute("role"),lineEl.setAttribute("class","correctanswerline"),layerEl.appendChild(lineEl),this.filterRichLabels(lineEl))}),this);var pressed=compare.querySelector('button[aria-pressed="true"]');this.showComparison(pressed?pressed.dataset.compare:"response")}},DrawlinesQuestion.prototype.showComparison=function(show){var root=this.getRoot();root.classList.remove("drawlines-compare-response","drawlines-compare-correct","drawlines-compare-both"),root.classList.add("drawlines-compare-"+show),root.querySelectorAll(".drawlines-compare button").forEach((function(button){button.setAttribute("aria-pressed",button.dataset.compare===show?"true":"false")}))},DrawlinesQuestion.prototype.drawCorrectZones=function(svg){if(this.showZones){var zonesEl=Line.createSvgElement(svg,"g");zonesEl.setAttribute("class","correctzones"),zonesEl.setAttribute("aria-hidden","true"),svg.insertBefore(zonesEl,svg.firstChild),this.questionLines.forEach((function(questionLine){var lineEl,zones=[questionLine.zonestart,questionLine.zoneend].concat(""===(questionLine.zonemiddle||"").trim()?[]:questionLine.zonemiddle.trim().split(/\s+/)),line=Line.make([questionLine.zonestart,questionLine.zoneend,""],questionLine.type,["","",""]),kind=questionLine.zonekind||"position";"position"===kind?zones.forEach((function(zone){var zoneEl=Line.createSvgElement(zonesEl,"path");zoneEl.setAttribute("class","correctzone"),zoneEl.setAttribute("d",Line.getZonePath(zone))})):(line.setZoneKind(kind,questionLine.zonetolerance),Line.createSvgElement(zonesEl,"path").setAttribute("d",line.getToleranceZonePath()),zonesEl.lastChild.setAttribute("class","correctzone tolerancezone")),(lineEl=Line.createSvgElement(zonesEl,"polyline")).setAttribute("class","correctline"),lineEl.setAttribute("points",[zones[0]].concat(zones.slice(2),[zones[1]]).map((function(zone){return zone.split(";")[0]})).join(" "));var numberEl=Line.createSvgElement(zonesEl,"text");numberEl.setAttribute("class","correctzonenumber"),numberEl.setAttribute("x",line.centre1.x),numberEl.setAttribute("y",line.centre1.y),numberEl.textContent=questionLine.number}))}},DrawlinesQuestion.prototype.updateSvgEl=function(dropzoneNo){var bgimage=this.bgImage();this.lines[dropzoneNo].updateSvg(this.lineSVGs[dropzoneNo],bgimage.naturalWidth,bgimage.naturalHeight),this.handleElementScale(this.lineSVGs[dropzoneNo]),this.updateAccessibility(dropzoneNo),this.filterRichLabels(this.lineSVGs[dropzoneNo]),this.placeLabels()},DrawlinesQuestion.prototype.filterRichLabels=function(svgEl){var labelEls=Array.from(svgEl.querySelectorAll(".richlabel:not(.filtered)"));0!==labelEls.length&&(labelEls.forEach((function(labelEl){labelEl.classList.add("filtered"),this.labelResizeObserver.observe(labelEl.firstChild)}),this),FilterEvents.notifyFilterContentUpdated(labelEls))},DrawlinesQuestion.prototype.updateLabels=function(){var bgimage=this.bgImage();this.lines.forEach((function(line,lineNo){this.lineSVGs[lineNo]&&line.updateSvgLabels(this.lineSVGs[lineNo],bgimage.naturalWidth,bgimage.naturalHeight)}),this),this.placeLabels()},DrawlinesQuestion.prototype.placeLabels=function(){for(var bgimage=this.bgImage(),lines=[],svgEls=[],lineNo=0;lineNo<this.lines.length;lineNo++)this.lineSVGs[lineNo]&&this.isLinePlaced(lineNo)&&(lines.push(this.lines[lineNo]),svgEls.push(this.lineSVGs[lineNo]));Line.placeLabels(lines,svgEls,bgimage.naturalWidth,bgimage.naturalHeight)},DrawlinesQuestion.prototype.getLineName=function(lineNo){var questionLine=this.questionLines[lineNo],richLabels=this.richLabels[lineNo]||[],labels=[questionLine.labelstart,questionLine.labelmiddle,questionLine.labelend].map((function(label,labelNo){return richLabels[labelNo]?(new DOMParser).parseFromString(richLabels[labelNo],"text/html").body.textContent:label})).filter((function(label){return label&&""!==label.trim()}));return 0===labels.length?M.util.get_string("linename","qtype_drawlines",questionLine.number):M.util.get_string("linenamewithlabels","qtype_drawlines",{number:questionLine.number,labels:labels.join(", ")})},DrawlinesQuestion.prototype.getLandmarkAt=function(point){return this.landmarks.find((function(landmark){return landmark.x===point.x&&landmark.y===point.y}))||null},DrawlinesQuestion.prototype.describePoint=function(point){var landmark=this.getLandmarkAt(point);return landmark?M.util.get_string("ariapositionlandmark","qtype_drawlines",landmark):M.util.get_string("ariaposition","qtype_drawlines",{x:point.x,y:point.y})},DrawlinesQuestion.prototype.describe=function(lineNo,whichHandle,middleNo){var line=this.lines[lineNo],lineName=this.getLineName(lineNo);if(!this.isLinePlaced(lineNo))return M.util.get_string("arialinenotplaced","qtype_drawlines",lineName);switch(whichHandle){case"startcircle":case"endcircle":return M.util.get_string("startcircle"===whichHandle?"ariastarthandle":"ariaendhandle","qtype_drawlines",{line:lineName,position:this.describePoint(line.getHandlePoint(whichHandle))});case"rotatehandle":return M.util.get_string("ariarotatehandle","qtype_drawlines",{line:lineName,angle:line.getAngle()});case"middlecircle":return M.util.get_string("ariamiddlehandle","qtype_drawlines",{line:lineName,point:parseInt(middleNo)+1,position:this.describePoint(line.getHandlePoint(whichHandle,middleNo))});default:this.isLineReversed(lineNo)&&(lineName=M.util.get_string("ariareversed","qtype_drawlines",lineName));var result=this.getLineResult(lineNo);return(M.util.get_string("arialine","qtype_drawlines",{line:lineName,start:this.describePoint(line.getHandlePoint("startcircle")),end:this.describePoint(line.getHandlePoint("endcircle"))})+" "+line.getMeasurementText()+(null===result?"":" "+M.util.get_string(result.state,"question"))).trim()}},DrawlinesQuestion.prototype.updateAccessibility=function(lineNo){var svgEl=this.lineSVGs[lineNo];if(svgEl){svgEl.setAttribute("aria-label",this.describe(lineNo,"line")),svgEl.childNodes[1].setAttribute("aria-label",this.describe(lineNo,"startcircle")),svgEl.childNodes[2].setAttribute("aria-label",this.describe(lineNo,"endcircle")),svgEl.childNodes[7].setAttribute("aria-label",this.describe(lineNo,"rotatehandle")),svgEl.querySelectorAll(".middlecircle").forEach((function(middleEl){middleEl.setAttribute("aria-label",this.describe(lineNo,"middlecircle",middleEl.dataset.middleNo))}),this);var isPlaced=this.isLinePlaced(lineNo);this.getRoot().querySelectorAll('select.landmark[data-line-no="'+lineNo+'"]').forEach((function(select){var landmark=this.getLandmarkAt(this.lines[lineNo].getHandlePoint(select.dataset.handle));select.value=isPlaced?landmark?landmark.x+","+landmark.y:"other":""}),this)}},DrawlinesQuestion.prototype.announce=function(message){var announcer=this.getRoot().querySelector(".drawlines-announcer");announcer&&(announcer.textContent=message)},DrawlinesQuestion.prototype.moveToLandmark=function(lineNo,whichHandle,value){var stateBefore=this.getState(),line=this.lines[lineNo],svgEl=this.lineSVGs[lineNo],bgImage=this.bgImage(),wasPlaced=this.isLinePlaced(lineNo);if(""===value)this.returnLineHome(lineNo);else{var coords=value.split(",").map(Number),target=new Line.Point(coords[0],coords[1]);if(!wasPlaced){var closestSVGs=this.getSvgsClosestToElement(svgEl);line.addToDropZone("keyboard",svgEl,closestSVGs.svgDropZone,closestSVGs.svgDragsHome,null,null,bgImage.naturalHeight,"DragsSVG",bgImage.naturalWidth)}var current=line.getHandlePoint(whichHandle);line.move(whichHandle,target.x-current.x,target.y-current.y,bgImage.naturalWidth,bgImage.naturalHeight),line.spaceMiddlesEvenly(),this.updateSvgEl(lineNo),this.saveCoordsForChoice(lineNo)}this.recordMove(stateBefore),this.updateToolbarButtons(),this.announceMove(lineNo,wasPlaced,whichHandle)},DrawlinesQuestion.prototype.announceMove=function(lineNo,wasPlaced,whichHandle,middleNo){var isPlaced=this.isLinePlaced(lineNo);wasPlaced&&!isPlaced?this.announce(M.util.get_string("ariareturnedhome","qtype_drawlines",this.getLineName(lineNo))):!wasPlaced&&isPlaced?this.announce(M.util.get_string("ariaplaced","qtype_drawlines",this.getLineName(lineNo))+" "+this.describe(lineNo,whichHandle,middleNo)):this.announce(this.describe(lineNo,whichHandle,middleNo))},DrawlinesQuestion.prototype.getState=function(){return this.lines.map((function(line,lineNo){return{placed:this.isLinePlaced(lineNo),coordinates:line.getCoordinates()}}),this)},DrawlinesQuestion.prototype.isLinePlaced=function(lineNo){return this.lineSVGs[lineNo].getAttribute("class").includes("placed")},DrawlinesQuestion.prototype.restoreState=function(state){var bgImage=this.bgImage();state.forEach((function(lineState,lineNo){var svgEl=this.lineSVGs[lineNo];if(lineState.placed!==this.isLinePlaced(lineNo)){var closestSVGs=this.getSvgsClosestToElement(svgEl);this.lines[lineNo].addToDropZone("keyboard",svgEl,closestSVGs.svgDropZone,closestSVGs.svgDragsHome,null,null,bgImage.naturalHeight,lineState.placed?"DragsSVG":"DropZonesSVG")}var coordinates=lineState.coordinates;this.lines[lineNo].parse(coordinates[0],coordinates[1],1,coordinates[2]),this.updateSvgEl(lineNo),this.saveCoordsForChoice(lineNo)}),this)},DrawlinesQuestion.prototype.recordMove=function(stateBefore,keyMove){var now=Date.now(),isSameKeyMove=void 0!==keyMove&&null!==this.lastKeyMove&&this.lastKeyMove.key===keyMove&&now-this.lastKeyMove.time<1e3;this.lastKeyMove=void 0===keyMove?null:{key:keyMove,time:now},JSON.stringify(stateBefore)!==JSON.stringify(this.getState())&&(isSameKeyMove&&0!==this.undoStack.length||this.undoStack.push(stateBefore),this.redoStack=[],this.updateToolbarButtons())},DrawlinesQuestion.prototype.undo=function(){0!==this.undoStack.length&&(this.redoStack.push(this.getState()),this.restoreState(this.undoStack.pop()),this.lastKeyMove=null,this.updateToolbarButtons())},DrawlinesQuestion.prototype.redo=function(){0!==this.redoStack.length&&(this.undoStack.push(this.getState()),this.restoreState(this.redoStack.pop()),this.lastKeyMove=null,this.updateToolbarButtons())},DrawlinesQuestion.prototype.returnLineHome=function(lineNo){var svgEl=this.lineSVGs[lineNo];if(svgEl&&this.isLinePlaced(lineNo)){var closestSVGs=this.getSvgsClosestToElement(svgEl);this.lines[lineNo].addToDropZone("keyboard",svgEl,closestSVGs.svgDropZone,closestSVGs.svgDragsHome,null,null,this.bgImage().naturalHeight,"DropZonesSVG"),this.updateSvgEl(lineNo),this.saveCoordsForChoice(lineNo)}},DrawlinesQuestion.prototype.returnLineToHomeWithUndo=function(lineNo){var stateBefore=this.getState(),wasPlaced=this.isLinePlaced(lineNo);this.returnLineHome(lineNo),this.recordMove(stateBefore),this.updateToolbarButtons(),this.announceMove(lineNo,wasPlaced,"line"),this.lineSVGs[this.getShownCopy(lineNo)].focus()},DrawlinesQuestion.prototype.resetAllLines=function(){for(var stateBefore=this.getState(),lineNo=0;lineNo<this.lines.length;lineNo++)this.returnLineHome(lineNo);this.recordMove(stateBefore),this.updateToolbarButtons()},DrawlinesQuestion.prototype.updateToolbarButtons=function(){var undoButton=this.getRoot().querySelector(".drawlines-toolbar .undo"),redoButton=this.getRoot().querySelector(".drawlines-toolbar .redo"),resetButton=this.getRoot().querySelector(".drawlines-toolbar .resetall");undoButton&&(undoButton.disabled=0===this.undoStack.length),redoButton&&(redoButton.disabled=0===this.redoStack.length),resetButton&&(resetButton.disabled=!this.lineSVGs.some((function(svgEl,lineNo){return svgEl&&this.isLinePlaced(lineNo)}),this))},DrawlinesQuestion.prototype.handleCircleMove=function(e,whichHandle,dropzoneNo,middleNo){var info=this.prepareDrag(e);if(info.start){var movingDropZone=this,pointer=makePointerTracker(info.x,info.y),bgimage=this.bgImage(),maxX=bgimage.naturalWidth,maxY=bgimage.naturalHeight,freePoint=this.lines[dropzoneNo].getHandlePoint(whichHandle,middleNo);this.beginGesture(),this.startDrag(e,info,(function(pageX,pageY){var move=pointer(pageX,pageY,movingDropZone.getScreenScale(movingDropZone.lineSVGs[dropzoneNo]));movingDropZone.snap.isEnabled()||movingDropZone.lines[dropzoneNo].isLocked()&&"middlecircle"!==whichHandle?(freePoint.move(move.x,move.y),movingDropZone.lines[dropzoneNo].moveSnapped(movingDropZone.snap,whichHandle,freePoint,parseInt(maxX),parseInt(maxY),middleNo)):movingDropZone.lines[dropzoneNo].move(whichHandle,move.x,move.y,parseInt(maxX),parseInt(maxY),middleNo),movingDropZone.updateSvgEl(dropzoneNo),movingDropZone.saveCoordsForChoice(dropzoneNo)}),(function(){movingDropZone.endGesture()}))}},DrawlinesQuestion.prototype.handleRotateMove=function(e,dropzoneNo){var info=this.prepareDrag(e);if(info.start){var rotatingDropZone=this,line=this.lines[dropzoneNo],bgimage=this.bgImage(),toImagePoint=function(pageX,pageY){return rotatingDropZone.clientToImage(pageX-window.scrollX,pageY-window.scrollY)},startAngle=line.getAngleTo(toImagePoint(info.x,info.y)),originalCoordinates=line.getCoordinates();this.beginGesture(),this.startDrag(e,info,(function(pageX,pageY){line.rotateFrom(originalCoordinates,startAngle,toImagePoint(pageX,pageY),bgimage.naturalWidth,bgimage.naturalHeight),rotatingDropZone.updateSvgEl(dropzoneNo),rotatingDropZone.saveCoordsForChoice(dropzoneNo)}),(function(){rotatingDropZone.endGesture()}))}},DrawlinesQuestion.prototype.handleLineMove=function(e,dropzoneNo){var info=this.prepareDrag(e);if(!info.start)return;var maxX,maxY,isMoveFromDragsToDropzones,isMoveFromDropzonesToDrags,svgClass,movingDrag=this,pointer=makePointerTracker(info.x,info.y),whichSVG="",bgImage=this.bgImage(),freePoint=null,selectedElement=this.lineSVGs[dropzoneNo];let dropX,dropY;"pointerdown"===e.type||"mousedown"===e.type?(dropX=e.clientX,dropY=e.clientY):"touchstart"===e.type&&(dropX=e.changedTouches[0].clientX,dropY=e.changedTouches[0].clientY),this.beginGesture(),this.startDrag(e,info,(function(pageX,pageY){var closestSVGs=movingDrag.getSvgsClosestToElement(selectedElement),closeTo=selectedElement.closest("svg");svgClass=closeTo.getAttribute("class"),isMoveFromDragsToDropzones="dragshome"===svgClass,isMoveFromDropzonesToDrags="dropzones"===svgClass&&movingDrag.lines[dropzoneNo].centre1.y>bgImage.naturalHeight-20,(isMoveFromDragsToDropzones||isMoveFromDropzonesToDrags)&&(movingDrag.lines[dropzoneNo].addToDropZone("mouse",selectedElement,closestSVGs.svgDropZone,closestSVGs.svgDragsHome,dropX,dropY,bgImage.naturalHeight,null,bgImage.naturalWidth),freePoint=null,isMoveFromDragsToDropzones&&movingDrag.keepInView(movingDrag.lines[dropzoneNo].getHandlePoint("line"))),closeTo=selectedElement.closest("svg");var dimensions=movingDrag.getSvgDimensionsByClass(closeTo,closeTo.getAttribute("class"));if(maxX=dimensions.maxX,maxY=dimensions.maxY,"DropZonesSVG"===(whichSVG=dimensions.whichSVG)&&movingDrag.snap.isEnabled()){null===freePoint&&(freePoint=movingDrag.lines[dropzoneNo].getHandlePoint("line"));var snapMove=pointer(pageX,pageY,movingDrag.getScreenScale(selectedElement));freePoint.move(snapMove.x,snapMove.y),movingDrag.lines[dropzoneNo].moveSnapped(movingDrag.snap,"line",freePoint,parseInt(maxX),parseInt(maxY))}else if("DropZonesSVG"===whichSVG){var move=pointer(pageX,pageY,movingDrag.getScreenScale(selectedElement));movingDrag.lines[dropzoneNo].moveDrags(move.x,move.y,parseInt(maxX),parseInt(maxY))}movingDrag.updateSvgEl(dropzoneNo),movingDrag.saveCoordsForChoice(dropzoneNo)}),(function(){movingDrag.endGesture()}))},DrawlinesQuestion.prototype.prepareDrag=function(e){return"pointerdown"!==e.type?dragDrop.prepare(e):(e.preventDefault(),{start:0===e.button,x:e.pageX,y:e.pageY})},DrawlinesQuestion.prototype.startDrag=function(e,info,onMove,onEnd){if("pointerdown"!==e.type){var dragProxy=this.makeDragProxy(info.x,info.y);dragDrop.start(e,$(dragProxy),onMove,(function(){document.body.removeChild(dragProxy),onEnd()}))}else!function(pointerId,onMove,onEnd){var move=function(e){e.pointerId===pointerId&&(e.preventDefault(),onMove(e.pageX,e.pageY))},end=function(e){e.pointerId===pointerId&&(document.removeEventListener("pointermove",move),document.removeEventListener("pointerup",end),document.removeEventListener("pointercancel",end),onEnd())};document.addEventListener("pointermove",move),document.addEventListener("pointerup",end),document.addEventListener("pointercancel",end)}(e.pointerId,onMove,onEnd)},DrawlinesQuestion.prototype.beginGesture=function(){null===this.gesture&&(this.gesture={stateBefore:this.getState(),pointers:0}),this.gesture.pointers+=1},DrawlinesQuestion.prototype.endGesture=function(){this.gesture.pointers-=1,0===this.gesture.pointers&&(this.recordMove(this.gesture.stateBefore),this.gesture=null)},DrawlinesQuestion.prototype.makeDragProxy=function(x,y){var dragProxy=document.createElement("div");return dragProxy.style.position="absolute",dragProxy.style.top=y+"px",dragProxy.style.left=x+"px",dragProxy.style.width="1px",dragProxy.style.height="1px",document.body.appendChild(dragProxy),dragProxy},DrawlinesQuestion.prototype.saveCoordsForChoice=function(choiceNo){let imageCoords=[];var items=this.getRoot().querySelector("svg g.choice"+choiceNo),gEleClassAttributes="";items&&(imageCoords=this.lines[choiceNo].getResponseCoordinates(items),gEleClassAttributes=items.getAttribute("class")),""!==gEleClassAttributes&&gEleClassAttributes.includes("placed")?this.getRoot().querySelector("input.choice"+choiceNo).value=imageCoords:""!==gEleClassAttributes&&gEleClassAttributes.includes("inactive")&&(this.getRoot().querySelector("input.choice"+choiceNo).value=""),this.updateHomeCopies()},DrawlinesQuestion.prototype.updateHomeCopies=function(){var draghomeSvg=this.getRoot().querySelector("svg.dragshome"),homeEls=[];if(draghomeSvg){this.dragHomes.forEach((function(lineNos){var isCopyShown=!1;lineNos.forEach((function(lineNo){var svgEl=this.lineSVGs[lineNo];svgEl&&(this.isLinePlaced(lineNo)?svgEl.classList.remove("hiddencopy"):(svgEl.classList.toggle("hiddencopy",isCopyShown),isCopyShown=!0,homeEls.push(svgEl)))}),this)}),this);var currentEls=Array.from(draghomeSvg.querySelectorAll("g.dropzone"));if(homeEls.some((function(svgEl,i){return currentEls[i]!==svgEl}))){var focusedEl=document.activeElement;homeEls.forEach((function(svgEl){draghomeSvg.appendChild(svgEl)})),-1!==homeEls.indexOf(focusedEl)&&focusedEl.focus()}}},DrawlinesQuestion.prototype.getShownCopy=function(lineNo){return this.lineSVGs[lineNo].classList.contains("hiddencopy")?this.dragHomes.find((function(lineNos){return-1!==lineNos.indexOf(Number(lineNo))})).find((function(copyNo){return!this.isLinePlaced(copyNo)&&!this.lineSVGs[copyNo].classList.contains("hiddencopy")}),this):lineNo},DrawlinesQuestion.prototype.handleKeyPress=function(e,drag,dropzoneNo,activeElement,middleNo){var dropzoneElement,question=questionManager.getQuestionForEvent(e),line=question.lines[dropzoneNo],bgImage=this.bgImage();if(dropzoneElement=drag.closest("g.dropzone"),!e.ctrlKey&&!e.metaKey){switch(e.code){case"Delete":case"Backspace":return e.preventDefault(),void question.returnLineToHomeWithUndo(dropzoneNo);case"KeyC":return e.preventDefault(),void question.cycleFocus(dropzoneNo,drag,e.shiftKey)}if("rotatehandle"!==activeElement){if(null!==line.getKeyboardMove(e,activeElement,middleNo,1,bgImage.naturalWidth,bgImage.naturalHeight)){e.preventDefault();var maxX,maxY,whichSVG,stateBefore=question.getState(),wasPlaced=question.isLinePlaced(dropzoneNo),closeTo=drag.closest("svg"),svgClass=closeTo.getAttribute("class"),closestSVGs=this.getSvgsClosestToElement(drag),isMoveFromDragsToDropzones="dragshome"===svgClass,isMoveFromDropzonesToDrags="dropzones"===svgClass&&question.lines[dropzoneNo].centre1.y>bgImage.naturalHeight-20;isMoveFromDragsToDropzones?question.lines[dropzoneNo].addToDropZone("keyboard",dropzoneElement,closestSVGs.svgDropZone,closestSVGs.svgDragsHome,null,null,bgImage.naturalHeight,"DragsSVG",bgImage.naturalWidth):isMoveFromDropzonesToDrags&&question.lines[dropzoneNo].addToDropZone("keyboard",dropzoneElement,closestSVGs.svgDropZone,closestSVGs.svgDragsHome,null,null,null,"DropZonesSVG"),closeTo=drag.closest("svg");var dimensions=question.getSvgDimensionsByClass(closeTo,closeTo.getAttribute("class"));maxX=dimensions.maxX,maxY=dimensions.maxY,whichSVG=dimensions.whichSVG;var keyMove=line.getKeyboardMove(e,activeElement,middleNo,question.getScreenScale(drag),parseInt(maxX),parseInt(maxY));!question.snap.isEnabled()||"line"===activeElement&&"DropZonesSVG"!==whichSVG?"line"===activeElement&&"DropZonesSVG"===whichSVG?line.moveDrags(keyMove.x,keyMove.y,parseInt(maxX),parseInt(maxY)):line.move(activeElement,keyMove.x,keyMove.y,parseInt(maxX),parseInt(maxY),middleNo):line.moveSnapped(question.snap,activeElement,question.snap.keyboardTarget(line.getHandlePoint(activeElement,middleNo),keyMove),parseInt(maxX),parseInt(maxY),middleNo),question.updateSvgEl(dropzoneNo),"DropZonesSVG"===whichSVG&&question.keepInView(line.getHandlePoint(activeElement,middleNo)),this.saveCoordsForChoice(dropzoneNo),question.recordMove(stateBefore,dropzoneNo+" "+activeElement+" "+middleNo),question.announceMove(dropzoneNo,wasPlaced,activeElement,middleNo),drag.focus()}}else question.rotateWithKeyboard(e,dropzoneNo,drag)}},DrawlinesQuestion.prototype.rotateWithKeyboard=function(e,lineNo,drag){var line=this.lines[lineNo],bgImage=this.bgImage(),rotation=line.getKeyboardRotation(e);if(null!==rotation&&this.isLinePlaced(lineNo)){e.preventDefault();var stateBefore=this.getState();line.rotate(rotation.degrees,bgImage.naturalWidth,bgImage.naturalHeight),this.updateSvgEl(lineNo),this.saveCoordsForChoice(lineNo),this.recordMove(stateBefore,lineNo+" rotatehandle"),this.announce(this.describe(lineNo,"rotatehandle")),drag.focus()}},DrawlinesQuestion.prototype.cycleFocus=function(lineNo,current,backwards){var svgEl=this.lineSVGs[lineNo];if(this.isLinePlaced(lineNo)){var parts=[svgEl,svgEl.childNodes[1]].concat(Array.from(svgEl.querySelectorAll(".middlecircle")),[svgEl.childNodes[2]]);this.lines[lineNo].canRotate()&&parts.push(svgEl.childNodes[7]);var index=parts.indexOf(current)+(backwards?-1:1);parts[(index+parts.length)%parts.length].focus()}},DrawlinesQuestion.prototype.getSvgDimensionsByClass=function(dragSVG,className){let bgImg=this.bgImage();return{maxX:bgImg.naturalWidth,maxY:bgImg.naturalHeight,whichSVG:"dragshome"===className?"DragsSVG":"DropZonesSVG"}},DrawlinesQuestion.prototype.getSvgsClosestToElement=function(dragElement){var svgDragsHome,svgDropZone,svgElement=dragElement.closest("svg");return"dragshome"===svgElement.getAttribute("class")?(svgDragsHome=svgElement,svgDropZone=svgElement.closest(".ddarea").querySelector(".dropzones")):(svgDropZone=svgElement,svgDragsHome=svgElement.closest(".ddarea").querySelector(".dragshome")),{svgDropZone:svgDropZone,svgDragsHome:svgDragsHome}},DrawlinesQuestion.prototype.createSvgOnImageLoad=function(img){img?img.complete&&0!==img.naturalHeight?this.drawDropzone():img.addEventListener("load",(()=>this.drawDropzone())):window.console.error("Image with id '".concat(img,"' not found."))};var questionManager={eventHandlersInitialised:!1,lineEventHandlersInitialised:{},isPrinting:!1,isKeyboardNavigation:!1,questions:{},noOfLines:null,dropZones:[],questionLines:[],init:function(containerId,readOnly,visibleDropZones,questionLines,snapOptions,landmarks,measurementOptions,lineResults,showZones,dragHomes,richLabels){if(questionManager.questions[containerId]=new DrawlinesQuestion(containerId,readOnly,visibleDropZones,questionLines,snapOptions,landmarks,measurementOptions,lineResults,showZones,dragHomes,richLabels),questionManager.questions[containerId].updateCoordinates(),!questionManager.eventHandlersInitialised){const dropareaimages=document.querySelectorAll(".drawlines .droparea img");questionManager.checkAllImagesLoaded(dropareaimages).then((dropareaimages=>(questionManager.setupEventHandlers(),questionManager.eventHandlersInitialised=!0,dropareaimages))).catch((error=>window.console.error(error)))}if(!questionManager.lineEventHandlersInitialised.hasOwnProperty(containerId)){questionManager.lineEventHandlersInitialised[containerId]=!0;var questionContainer=document.getElementById(containerId);if(questionContainer.classList.contains("drawlines")&&!questionContainer.classList.contains("qtype_drawlines-readonly")){var dropArea=questionContainer.querySelector(".droparea");DRAG_START_EVENTS.forEach((function(type){dropArea.addEventListener(type,questionManager.handleDropZoneEventMove)})),dropArea.addEventListener("keydown",questionManager.handleKeyPress),dropArea.addEventListener("keypress",questionManager.handleKeyPress),dropArea.addEventListener("focusin",(function(e){questionManager.handleKeyboardFocus(e,!0)})),dropArea.addEventListener("focusout",(function(e){questionManager.handleKeyboardFocus(e,!1)}));var drags=questionContainer.querySelector(".draghomes");DRAG_START_EVENTS.forEach((function(type){drags.addEventListener(type,questionManager.handleDragHomeEventMove)})),drags.addEventListener("keydown",questionManager.handleKeyPress),drags.addEventListener("keypress",questionManager.handleKeyPress),drags.addEventListener("focusin",(function(e){questionManager.handleKeyboardFocus(e,!0)})),drags.addEventListener("focusout",(function(e){questionManager.handleKeyboardFocus(e,!1)})),questionContainer.addEventListener("keydown",questionManager.handleHistoryKeys);var toolbar=questionContainer.querySelector(".drawlines-toolbar");toolbar&&toolbar.addEventListener("click",questionManager.handleToolbarClick),dropArea.addEventListener("contextmenu",questionManager.handleDropZoneContextMenu),(landmarks=questionContainer.querySelector(".drawlines-landmarks"))&&landmarks.addEventListener("change",questionManager.handleLandmarkChange)}var zoom=questionContainer.querySelector(".drawlines-zoom"),zoomArea=questionContainer.querySelector(".droparea");zoom&&zoom.addEventListener("click",questionManager.handleZoomClick),zoomArea.addEventListener("wheel",questionManager.handleZoomWheel,{passive:!1}),zoomArea.addEventListener("touchstart",questionManager.handlePinch,{passive:!1}),zoomArea.addEventListener("touchmove",questionManager.handlePinch,{passive:!1}),zoomArea.addEventListener("touchend",questionManager.handlePinch),zoomArea.addEventListener("touchcancel",questionManager.handlePinch),DRAG_START_EVENTS.forEach((function(type){zoomArea.addEventListener(type,questionManager.handlePanStart)}));var compare=questionContainer.querySelector(".drawlines-compare");compare&&compare.addEventListener("click",questionManager.handleCompareClick)}},checkAllImagesLoaded:function(images){const promises=Array.from(images).map((img=>new Promise(((resolve,reject)=>{img.complete&&0!==img.naturalHeight?resolve(img):(img.addEventListener("load",(()=>resolve(img)),{once:!0}),img.addEventListener("error",(()=>reject(new Error("Failed to load image: ".concat(img.src)))),{once:!0}))}))));return Promise.all(promises)},setupEventHandlers:function(){window.addEventListener("resize",(function(){questionManager.handleWindowResize(!1)})),window.addEventListener("beforeprint",(function(){questionManager.isPrinting=!0,questionManager.handleWindowResize(questionManager.isPrinting)})),window.addEventListener("afterprint",(function(){questionManager.isPrinting=!1,questionManager.handleWindowResize(questionManager.isPrinting)})),setTimeout((function(){questionManager.fixLayoutIfThingsMoved()}),100)},fixLayoutIfThingsMoved:function(){questionManager.isKeyboardNavigation||this.handleWindowResize(questionManager.isPrinting),setTimeout((function(){questionManager.fixLayoutIfThingsMoved(questionManager.isPrinting)}),100)},handleDropZoneEventMove:function(event){var dropzoneNo,question=questionManager.getQuestionForEvent(event);event.target.closest(".dropzone .startcircle.shape")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,question.handleCircleMove(event,"startcircle",dropzoneNo)):event.target.closest(".dropzone .endcircle.shape")?(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,question.handleCircleMove(event,"endcircle",dropzoneNo)):event.target.closest(".dropzone .middlecircle.shape")?(dropzoneNo=event.target.closest("g.dropzone").dataset.dropzoneNo,question.handleCircleMove(event,"middlecircle",dropzoneNo,event.target.closest(".middlecircle").dataset.middleNo)):event.target.closest(".dropzone .rotatehandle")?(dropzoneNo=event.target.closest("g.dropzone").dataset.dropzoneNo,question.handleRotateMove(event,dropzoneNo)):event.target.closest("polyline.shape, path.shape")&&(dropzoneNo=event.target.closest("g").dataset.dropzoneNo,question.handleLineMove(event,dropzoneNo))},handleDragHomeEventMove:function(event){let dropzoneElement,dropzoneNo,question=questionManager.getQuestionForEvent(event);event.target.closest("g.dropzone")&&(dropzoneElement=event.target.closest("g.dropzone"),dropzoneNo=dropzoneElement.dataset.dropzoneNo,question.handleLineMove(event,dropzoneNo),question.saveCoordsForChoice(dropzoneNo))},handleKeyPress:function(e){var dropzoneElement,dropzoneNo,drag,activeElement,middleNo,question=questionManager.getQuestionForEvent(e);e.target.closest(".dropzone circle.startcircle")?(dropzoneNo=(dropzoneElement=e.target.closest(".dropzone")).dataset.dropzoneNo,drag=e.target.closest(".dropzone circle.startcircle"),activeElement="startcircle"):e.target.closest(".dropzone circle.endcircle")?(drag=e.target.closest(".dropzone circle.endcircle"),dropzoneNo=(dropzoneElement=e.target.closest(".dropzone")).dataset.dropzoneNo,activeElement="endcircle"):e.target.closest(".dropzone circle.middlecircle")?(drag=e.target.closest(".dropzone circle.middlecircle"),dropzoneNo=(dropzoneElement=e.target.closest("g.dropzone")).dataset.dropzoneNo,activeElement="middlecircle",middleNo=drag.dataset.middleNo):e.target.closest(".dropzone circle.rotatehandle")?(drag=e.target.closest(".dropzone circle.rotatehandle"),dropzoneNo=(dropzoneElement=e.target.closest("g.dropzone")).dataset.dropzoneNo,activeElement="rotatehandle"):e.target.closest("g.dropzone")&&(drag=e.target.closest("g.dropzone"),dropzoneNo=(dropzoneElement=e.target.closest(".dropzone")).dataset.dropzoneNo,activeElement="line"),question&&dropzoneElement&&question.handleKeyPress(e,drag,dropzoneNo,activeElement,middleNo)},handleHistoryKeys:function(e){if((e.ctrlKey||e.metaKey)&&!e.altKey){var question=questionManager.getQuestionForEvent(e);question&&("KeyZ"!==e.code||e.shiftKey?("KeyY"===e.code||"KeyZ"===e.code&&e.shiftKey)&&(e.preventDefault(),question.redo()):(e.preventDefault(),question.undo()))}},handleToolbarClick:function(e){var question=questionManager.getQuestionForEvent(e);question&&(e.target.closest("button.undo")?question.undo():e.target.closest("button.redo")?question.redo():e.target.closest("button.resetall")&&question.resetAllLines())},handleZoomClick:function(e){var question=questionManager.getQuestionForEvent(e);question&&(e.target.closest("button.zoomin")?question.setZoom(1.5*question.zoom.scale):e.target.closest("button.zoomout")?question.setZoom(question.zoom.scale/1.5):e.target.closest("button.zoomreset")&&question.setZoom(1))},handleZoomWheel:function(e){var question=questionManager.getQuestionForEvent(e);question&&(e.ctrlKey||e.metaKey)&&(e.preventDefault(),question.setZoom(question.zoom.scale*Math.pow(1.5,-e.deltaY/100),question.clientToImage(e.clientX,e.clientY)))},handlePinch:function(e){var question=questionManager.getQuestionForEvent(e);question&&(2===e.touches.length?null===question.pinch&&Array.from(e.touches).some((function(touch){return touch.target.closest&&touch.target.closest("g.dropzone")}))||(e.preventDefault(),"touchstart"===e.type||null===question.pinch?question.startPinch(e.touches):question.movePinch(e.touches)):question.pinch=null)},handlePanStart:function(e){var question=questionManager.getQuestionForEvent(e);!question||!question.isZoomed()||question.panning||e.target.closest("g.dropzone")||e.touches&&e.touches.length>1||question.handlePanMove(e)},handleCompareClick:function(e){var question=questionManager.getQuestionForEvent(e),button=e.target.closest("button[data-compare]");question&&button&&question.showComparison(button.dataset.compare)},handleLandmarkChange:function(e){var question=questionManager.getQuestionForEvent(e),select=e.target.closest("select.landmark");question&&select&&"other"!==select.value&&question.moveToLandmark(select.dataset.lineNo,select.dataset.handle,select.value)},handleDropZoneContextMenu:function(e){var question=questionManager.getQuestionForEvent(e),dropzoneElement=e.target.closest("g.dropzone");question&&dropzoneElement&&(e.preventDefault(),question.returnLineToHomeWithUndo(dropzoneElement.dataset.dropzoneNo))},handleWindowResize:function(isPrinting){for(var containerId in questionManager.questions)questionManager.questions.hasOwnProperty(containerId)&&(questionManager.questions[containerId].isPrinting=isPrinting,questionManager.questions[containerId].handleResize())},handleKeyboardFocus:function(e,isNavigating){questionManager.isKeyboardNavigation=isNavigating},getQuestionForEvent:function(e){var containerId=$(e.currentTarget).closest(".que.drawlines").attr("id");return questionManager.questions[containerId]}};return{init:questionManager.init}}));
 
 //# sourceMappingURL=question.min.js.map
\ No newline at end of file
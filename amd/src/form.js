@@ -23,6 +23,15 @@
 
 define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop, Line,) {
 
+    /** @var {int} how far the pointer has to be dragged on the preview to draw a new line, rather than just click. */
+    var MIN_DRAWN_LINE_LENGTH = 10;
+
+    /** @var {int} how far a duplicated line is moved from the line it copies, so that both can be seen. */
+    var DUPLICATE_LINE_OFFSET = 10;
+
+    /** @var {String} one zone: 'x,y;r', 'x,y;ellipse:rx,ry', 'x,y;rectangle:rx,ry' or 'x,y;polygon:x1,y1;x2,y2;x3,y3...'. */
+    var ZONE_PATTERN = '\\d+,\\d+;(\\d+|(ellipse|rectangle):\\d+,\\d+|polygon:\\d+,\\d+(;\\d+,\\d+){2,})';
+
     /**
      * Create the manager object that deals with keeping everything synchronised for one line.
      *
@@ -62,6 +71,29 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
             drawlinesForm.setFormValue('zonestart', [this.lineNo], '');
             drawlinesForm.setFormValue('zoneend', [this.lineNo], '');
         }
+        this.displayInitialMiddles();
+    };
+
+    /**
+     * Set the middle handles in the form to match the selected line type.
+     * Curves get exactly one control handle, polylines at least one vertex, other types none.
+     */
+    LineManager.prototype.displayInitialMiddles = function() {
+        let coords = this.getCoordinatesFromForm(this.lineNo),
+            lineType = this.getLineType(),
+            middles = coords[2].trim() === '' ? [] : coords[2].trim().split(/\s+/);
+        if (!Line.hasMiddleHandles(lineType)) {
+            middles = [];
+        } else if (lineType !== 'linepolyline') {
+            middles = middles.slice(0, 1);
+        }
+        if (Line.hasMiddleHandles(lineType) && middles.length === 0 && coords[0] !== '' && coords[1] !== '') {
+            let start = coords[0].split(';')[0].split(','),
+                end = coords[1].split(';')[0].split(',');
+            middles.push(Math.round((parseInt(start[0]) + parseInt(end[0])) / 2) + ',' +
+                Math.round((parseInt(start[1]) + parseInt(end[1])) / 2) + ';8');
+        }
+        drawlinesForm.setFormValue('zonemiddle', [this.lineNo], middles.join(' '));
     };
 
     /**
@@ -77,7 +109,7 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
             return;
         }
         // We don't need to scale the shape for editing form.
-        if (!this.line.parse(coordinates[0], coordinates[1], 1)) {
+        if (!this.line.parse(coordinates[0], coordinates[1], 1, coordinates[2])) {
             // Invalid coordinates. Don't update the preview.
             return;
         }
@@ -101,15 +133,17 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
     };
 
     /**
-     * Validates if the given coordinates are in the correct format 'x,y;r'.
+     * Validates if the given coordinates are in the correct format 'x,y;r', or one of the other zone shapes.
+     * The middle handles may be empty or a space separated list of zones.
      *
      * @param {int} lineNo The lineNo of the form.
      * @returns {boolean} True if the coordinates are valid, otherwise false.
      */
     LineManager.prototype.validateFormCoordinates = function(lineNo) {
         var coords = this.getCoordinatesFromForm(lineNo);
-        var regexp = /^\d+,\d+;\d+$/;
-        return regexp.test(coords[0]) && regexp.test(coords[1]);
+        var regexp = new RegExp('^' + ZONE_PATTERN + '$');
+        var middleregexp = new RegExp('^(' + ZONE_PATTERN + '(\\s+' + ZONE_PATTERN + ')*)?$');
+        return regexp.test(coords[0]) && regexp.test(coords[1]) && middleregexp.test(coords[2].trim());
     };
 
     /**
@@ -119,6 +153,7 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
         var linecoords = this.line.getCoordinates();
         drawlinesForm.setFormValue('zonestart', [this.lineNo], linecoords[0]);
         drawlinesForm.setFormValue('zoneend', [this.lineNo], linecoords[1]);
+        drawlinesForm.setFormValue('zonemiddle', [this.lineNo], linecoords[2]);
     };
 
     /**
@@ -130,7 +165,8 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
     LineManager.prototype.getCoordinatesFromForm = function(lineNo) {
         var zonestart = drawlinesForm.getFormValue('zonestart', [lineNo]);
         var zoneend = drawlinesForm.getFormValue('zoneend', [lineNo]);
-        return [zonestart, zoneend];
+        var zonemiddle = drawlinesForm.getFormValue('zonemiddle', [lineNo]) || '';
+        return [zonestart, zoneend, zonemiddle];
     };
 
     /**
@@ -147,7 +183,8 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
     /**
      * Returns the selected type of line in the form.
      *
-     * @returns {String} 'linesegment','linesinglearrow', 'linedoublearrows', 'lineinfinite'.
+     * @returns {String} 'linesegment','linesinglearrow', 'linedoublearrows', 'lineinfinite', 'linecurved',
+     *      'linecurvedarrow', 'linepolyline'.
      */
     LineManager.prototype.getLineType = function() {
         return drawlinesForm.getFormValue('type', [this.lineNo]);
@@ -177,7 +214,14 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
             return;
         }
         var img = document.querySelector('fieldset#id_previewareaheader .dropbackground');
+        this.line.setMeasure(drawlinesForm.getMeasure());
+        this.line.setZoneKind(drawlinesForm.getFormValue('zonekind', [this.lineNo]),
+            drawlinesForm.getFormValue('zonetolerance', [this.lineNo]));
+        this.line.setStyle(drawlinesForm.getFormValue('colour', [this.lineNo]),
+            drawlinesForm.getFormValue('dashstyle', [this.lineNo]),
+            drawlinesForm.getFormValue('arrowstyle', [this.lineNo]));
         this.line.updateSvg(this.svgEl, img.naturalWidth, img.naturalHeight);
+        drawlinesForm.placeLabels();
 
         // Adjust handles.
         var handles = this.line.getHandlePositions();
@@ -185,20 +229,29 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
             return;
         }
 
-        // Move handle.
-        // The shape + its labels are the first few children of svgEl.
-        // Then comes the move handle followed by the edit handles.
-        var i = 0;
+        // Move handles.
+        var i = 0,
+            moveHandles = this.svgEl.querySelectorAll('[data-move-handle-no]'),
+            editHandles = this.svgEl.querySelectorAll('[data-edit-handle-no]');
         for (i = 0; i < handles.moveHandles.length; ++i) {
-            this.svgEl.childNodes[6 + i].setAttribute('cx', handles.moveHandles[i].x);
-            this.svgEl.childNodes[6 + i].setAttribute('cy', handles.moveHandles[i].y);
+            moveHandles[i].setAttribute('cx', handles.moveHandles[i].x);
+            moveHandles[i].setAttribute('cy', handles.moveHandles[i].y);
         }
 
-        // Edit handles.
+        // Edit handles. Zones that changed shape, for example to match other lines, may need a different number.
+        if (editHandles.length !== handles.editHandles.length) {
+            editHandles.forEach(function(editHandle) {
+                editHandle.parentNode.removeChild(editHandle);
+            });
+            this.makeEditHandles(handles);
+        }
+        editHandles = this.svgEl.querySelectorAll('[data-edit-handle-no]');
         for (i = 0; i < handles.editHandles.length; ++i) {
-            this.svgEl.childNodes[8 + i].setAttribute('x', handles.editHandles[i].x - 6);
-            this.svgEl.childNodes[8 + i].setAttribute('y', handles.editHandles[i].y - 6);
+            editHandles[i].setAttribute('x', handles.editHandles[i].x - 6);
+            editHandles[i].setAttribute('y', handles.editHandles[i].y - 6);
+            editHandles[i].setAttribute('data-zone-shape', handles.zoneShapes[i]);
         }
+        this.updateToleranceHandle();
     };
 
     /**
@@ -255,12 +308,20 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
             return;
         }
         var img = document.querySelector('fieldset#id_previewareaheader .dropbackground');
+        this.line.setMeasure(drawlinesForm.getMeasure());
+        this.line.setZoneKind(drawlinesForm.getFormValue('zonekind', [this.lineNo]),
+            drawlinesForm.getFormValue('zonetolerance', [this.lineNo]));
+        this.line.setStyle(drawlinesForm.getFormValue('colour', [this.lineNo]),
+            drawlinesForm.getFormValue('dashstyle', [this.lineNo]),
+            drawlinesForm.getFormValue('arrowstyle', [this.lineNo]));
         this.svgEl = this.line.makeSvg(svg, img.naturalWidth, img.naturalHeight);
         if (!this.svgEl) {
             return;
         }
+        drawlinesForm.placeLabels();
         this.svgEl.setAttribute('class', 'dropzone');
         this.svgEl.setAttribute('data-dropzone-no', this.lineNo);
+        this.svgEl.querySelector('.rotatehandle').setAttribute('tabindex', 0);
 
         // Add handles.
         var handles = this.line.getHandlePositions();
@@ -269,12 +330,63 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
         }
 
         // Add handles to the line points.
-        this.makeMoveHandle(0, handles.moveHandles[0], "handlestart move");
-        this.makeMoveHandle(1, handles.moveHandles[1], "handleend move");
+        var i;
+        for (i = 0; i < handles.moveHandles.length; i++) {
+            this.makeMoveHandle(i, handles.moveHandles[i], this.getHandleClass(i) + " move");
+        }
+
+        // Add edithandles to the zones to set the start, end and middle size.
+        this.makeEditHandles(handles);
+
+        // Add the handle that changes the tolerance, when the line is graded by its angle or its length.
+        var toleranceHandle = Line.createSvgElement(this.svgEl, 'circle');
+        toleranceHandle.setAttribute('r', 6);
+        toleranceHandle.setAttribute('class', 'tolerancehandle');
+        toleranceHandle.setAttribute('tabindex', 0);
+        this.updateToleranceHandle();
+    };
+
+    /**
+     * Add the handles that change the size of the zones, or move the corners of polygon zones.
+     *
+     * @param {Object} handles as returned by {@link Line.getHandlePositions}.
+     */
+    LineManager.prototype.makeEditHandles = function(handles) {
+        for (var i = 0; i < handles.editHandles.length; i++) {
+            this.makeEditHandle(handles.zoneNos[i], handles.editHandles[i], this.getHandleClass(handles.zoneNos[i]) + " edit",
+                handles.zoneShapes[i], handles.cornerNos[i]);
+        }
+    };
+
+    /**
+     * Put the tolerance handle on the edge of the wedge or the band, or hide it when the line is graded by position.
+     */
+    LineManager.prototype.updateToleranceHandle = function() {
+        var toleranceHandle = this.svgEl.querySelector('.tolerancehandle'),
+            point = this.line.getToleranceHandlePoint();
+        if (!toleranceHandle) {
+            return;
+        }
+        toleranceHandle.style.display = point ? '' : 'none';
+        if (point) {
+            toleranceHandle.setAttribute('cx', point.x);
+            toleranceHandle.setAttribute('cy', point.y);
+        }
+    };
 
-        // Add edithandles to the circles to set the start and end radius.
-        this.makeEditHandle(0, handles.editHandles[0], "handlestart edit");
-        this.makeEditHandle(1, handles.editHandles[1], "handleend edit");
+    /**
+     * Get the class for a handle, depending on the point of the line it belongs to.
+     *
+     * @param {int} index the handle index. 0 for the start, 1 for the end, then the middle handles.
+     * @returns {String} 'handlestart', 'handleend' or 'handlemiddle'.
+     */
+    LineManager.prototype.getHandleClass = function(index) {
+        if (index === 0) {
+            return 'handlestart';
+        } else if (index === 1) {
+            return 'handleend';
+        }
+        return 'handlemiddle';
     };
 
     /**
@@ -300,8 +412,10 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
      * @param {int} index the handle index.
      * @param {Point} point the point at which to add the handle.
      * @param {String} handleclass the class attribute to add to the handle.
+     * @param {String} zoneShape the shape of the zone the handle resizes, 'circle', 'ellipse', 'rectangle' or 'polygon'.
+     * @param {int|null} cornerNo the corner the handle moves, when the zone is a polygon.
      */
-    LineManager.prototype.makeEditHandle = function(index, point, handleclass) {
+    LineManager.prototype.makeEditHandle = function(index, point, handleclass, zoneShape, cornerNo) {
         var editHandle = Line.createSvgElement(this.svgEl, 'rect');
         editHandle.setAttribute('x', point.x - 6);
         editHandle.setAttribute('y', point.y - 6);
@@ -309,6 +423,10 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
         editHandle.setAttribute('height', 11);
         editHandle.setAttribute('class', handleclass);
         editHandle.setAttribute('data-edit-handle-no', index);
+        editHandle.setAttribute('data-zone-shape', zoneShape);
+        if (cornerNo !== null) {
+            editHandle.setAttribute('data-corner-no', cornerNo);
+        }
         editHandle.setAttribute('tabindex', 0);
     };
 
@@ -336,8 +454,10 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
      * @param {Event} e Event object
      * @param {String} handleIndex
      * @param {String} handleType
+     * @param {int} [middleNo] which middle handle is being moved, when handleIndex is middlecircle,
+     *      or which corner of a polygon zone, for edit handles.
      */
-    LineManager.prototype.handleMouseEvents = function(e, handleIndex, handleType) {
+    LineManager.prototype.handleMouseEvents = function(e, handleIndex, handleType, middleNo) {
         var info = dragDrop.prepare(e);
         if (!info.start) {
             return;
@@ -349,30 +469,65 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
             dragProxy = this.makeDragProxy(info.x, info.y),
             bgImg = document.querySelector('fieldset#id_previewareaheader .dropbackground'),
             maxX = parseInt(bgImg.width),
-            maxY = parseInt(bgImg.height);
+            maxY = parseInt(bgImg.height),
+            snap = drawlinesForm.getSnap(),
+            // Where the handle would be without snapping.
+            freePoint = handleType === 'rotate' || handleType === 'tolerance' ? null :
+                this.line.getHandlePoint(handleType === 'line' ? 'line' : handleIndex, middleNo),
+            // For rotating, where the line started, and the angle to the pointer at the start.
+            svgRect = drawlinesForm.getSvg().getBoundingClientRect(),
+            originalCoordinates = this.line.getCoordinates(),
+            startAngle = this.line.getAngleTo(new Line.Point(lastX - svgRect.left - window.scrollX,
+                lastY - svgRect.top - window.scrollY));
+
+        if (snap.isEnabled() && (handleType === 'move' || handleType === 'line')) {
+            handleType = 'snap' + handleType;
+        }
 
         dragDrop.start(e, $(dragProxy), function(pageX, pageY) {
+            var linePoint = changingDropZone.line.getHandlePoint('line');
             switch (handleType) {
                 case 'edit':
                     changingDropZone.line.edit(handleIndex, parseInt(pageX) - lastX,
-                        parseInt(pageY) - lastY, maxX, maxY);
+                        parseInt(pageY) - lastY, maxX, maxY, middleNo);
                     changingDropZone.line.normalizeShape();
                     break;
                 case 'move':
                     changingDropZone.line.move(handleIndex, parseInt(pageX) - lastX,
-                        parseInt(pageY) - lastY, maxX, maxY);
+                        parseInt(pageY) - lastY, maxX, maxY, middleNo);
                     break;
                 case 'line':
                     changingDropZone.line.moveDrags(
                         parseInt(pageX) - lastX, parseInt(pageY) - lastY, maxX, maxY, '');
                     break;
+                case 'snapmove':
+                case 'snapline':
+                    freePoint.move(parseInt(pageX) - lastX, parseInt(pageY) - lastY);
+                    changingDropZone.line.moveSnapped(snap, handleType === 'snapline' ? 'line' : handleIndex,
+                        freePoint, maxX, maxY, middleNo);
+                    break;
+                case 'rotate':
+                    changingDropZone.line.rotateFrom(originalCoordinates, startAngle, new Line.Point(
+                        pageX - svgRect.left - window.scrollX, pageY - svgRect.top - window.scrollY), maxX, maxY);
+                    break;
+                case 'tolerance':
+                    drawlinesForm.setFormValue('zonetolerance', [changingDropZone.lineNo],
+                        changingDropZone.line.setToleranceFromPoint(new Line.Point(
+                            pageX - svgRect.left - window.scrollX, pageY - svgRect.top - window.scrollY)));
+                    break;
             }
             lastX = pageX;
             lastY = pageY;
             changingDropZone.updateSvgEl();
             changingDropZone.setCoordinatesInForm();
+            if (handleType === 'line' || handleType === 'snapline') {
+                // The other selected lines move with this one.
+                var movedPoint = changingDropZone.line.getHandlePoint('line');
+                drawlinesForm.moveOtherSelected(changingDropZone, movedPoint.x - linePoint.x, movedPoint.y - linePoint.y);
+            }
         }, function() {
             document.body.removeChild(dragProxy);
+            drawlinesForm.recordChange();
         });
     };
 
@@ -383,53 +538,87 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
      * @param {SVGElement} drag SVG element being dragged.
      * @param {String} handleIndex which line handle was moved.
      * @param {String} handleType the type of handle - edit, move or line.
+     * @param {int} [middleNo] which middle handle is being moved, when handleIndex is middlecircle,
+     *      or which corner of a polygon zone, for edit handles.
      */
-    LineManager.prototype.handleKeyPress = function(event, drag, handleIndex, handleType) {
-        var x = 0,
-            y = 0;
-        switch (event.code) {
-            case 'ArrowLeft':
-            case 'KeyA': // A.
-                x = -1;
-                break;
-            case 'ArrowRight':
-            case 'KeyD': // D.
-                x = 1;
-                break;
-            case 'ArrowDown':
-            case 'KeyS': // S.
-                y = 1;
-                break;
-            case 'ArrowUp':
-            case 'KeyW': // W.
-                y = -1;
-                break;
-            case 'Space':
-            case 'Escape':
-                break;
-            default:
-                return; // Ingore other keys.
+    LineManager.prototype.handleKeyPress = function(event, drag, handleIndex, handleType, middleNo) {
+        if (event.code === 'KeyC' && !(event.ctrlKey || event.metaKey || event.altKey)) {
+            // Move the focus between the whole line and its handles.
+            event.preventDefault();
+            this.cycleFocus(drag, event.shiftKey);
+            return;
         }
-        event.preventDefault();
 
         // Get the dimensions of the selected element's svg.
         var bgImg = document.querySelector('fieldset#id_previewareaheader .dropbackground'),
-            maxX = bgImg.width,
-            maxY = bgImg.height;
+            maxX = parseInt(bgImg.width),
+            maxY = parseInt(bgImg.height),
+            bgRatio = bgImg.naturalWidth ? bgImg.width / bgImg.naturalWidth : 1,
+            snap = drawlinesForm.getSnap(),
+            whichHandle = handleType === 'line' ? 'line' : handleIndex,
+            linePoint = this.line.getHandlePoint('line'),
+            keyMove = this.line.getKeyboardMove(event, handleType === 'edit' ? '' : whichHandle, middleNo,
+                bgRatio, maxX, maxY);
+        if (handleType === 'rotate' || handleType === 'tolerance') {
+            keyMove = this.line.getKeyboardRotation(event);
+        }
+        if (keyMove === null || (handleType === 'edit' && keyMove.steps === 0)) {
+            return; // Ingore other keys, and don't let the jumps to the edge change the size of a zone.
+        }
+        event.preventDefault();
 
-        if (handleType === 'move') {
-            this.line.move(handleIndex, parseInt(x), parseInt(y), parseInt(maxX), parseInt(maxY));
+        if (handleType === 'rotate') {
+            this.line.rotate(keyMove.degrees, maxX, maxY);
+        } else if (handleType === 'tolerance') {
+            drawlinesForm.setFormValue('zonetolerance', [this.lineNo],
+                this.line.setTolerance(this.line.zoneTolerance + keyMove.degrees));
+        } else if (snap.isEnabled() && (handleType === 'move' || handleType === 'line')) {
+            // Move the handle, or the whole line, to the next grid or anchor point.
+            this.line.moveSnapped(snap, whichHandle,
+                snap.keyboardTarget(this.line.getHandlePoint(whichHandle, middleNo), keyMove), maxX, maxY, middleNo);
+        } else if (handleType === 'move') {
+            this.line.move(handleIndex, keyMove.x, keyMove.y, maxX, maxY, middleNo);
         } else if (handleType === 'edit') {
-            this.line.edit(handleIndex, parseInt(x), parseInt(y), parseInt(maxX), parseInt(maxY));
+            this.line.edit(handleIndex, keyMove.x, keyMove.y, maxX, maxY, middleNo);
             this.line.normalizeShape();
         } else if (handleType === 'line') {
-            this.line.moveDrags(parseInt(x), parseInt(y), parseInt(maxX), parseInt(maxY), '');
+            this.line.moveDrags(keyMove.x, keyMove.y, maxX, maxY, '');
         }
         this.updateSvgEl();
         this.setCoordinatesInForm();
+        if (handleType === 'line') {
+            var movedPoint = this.line.getHandlePoint('line');
+            drawlinesForm.moveOtherSelected(this, movedPoint.x - linePoint.x, movedPoint.y - linePoint.y);
+        }
+        drawlinesForm.recordChange([this.lineNo, handleType, handleIndex, middleNo].join(':'));
         drag.focus();
     };
 
+    /**
+     * Move the keyboard focus on to the next part of the line in the preview: the whole line, then the handles
+     * that move its start, any middle points and its end.
+     *
+     * @param {SVGElement} current the part of the line that has the focus.
+     * @param {boolean} backwards whether to move to the previous part instead.
+     */
+    LineManager.prototype.cycleFocus = function(current, backwards) {
+        if (this.svgEl === null) {
+            return;
+        }
+        var parts = [this.svgEl].concat(Array.from(this.svgEl.querySelectorAll('.handlestart.move')),
+            Array.from(this.svgEl.querySelectorAll('.handlemiddle.move')),
+            Array.from(this.svgEl.querySelectorAll('.handleend.move')),
+            Array.from(this.svgEl.querySelectorAll('.rotatehandle, .tolerancehandle')));
+        var index = parts.indexOf(current);
+        if (index === -1 && current.classList.contains('edit')) {
+            // From a handle that changes the size of a zone, go back to the whole line.
+            index = 0;
+        } else {
+            index += backwards ? -1 : 1;
+        }
+        parts[(index + parts.length) % parts.length].focus();
+    };
+
     /**
      * Remove this line from an SVG image.
      */
@@ -440,6 +629,18 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
         }
     };
 
+    /**
+     * Change the number of this line, after lines before it were added or deleted.
+     *
+     * @param {int} lineNo the new index of this line in the form.
+     */
+    LineManager.prototype.setLineNo = function(lineNo) {
+        this.lineNo = lineNo;
+        if (this.svgEl !== null) {
+            this.svgEl.setAttribute('data-dropzone-no', lineNo);
+        }
+    };
+
     /**
      * Singleton object for managing all the parts of the form.
      */
@@ -460,12 +661,62 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
          */
         dropZones: [],
 
+        /**
+         * @var {boolean} whether a line was just drawn, or lines selected by dragging a box, so the click that ends
+         *      the drag changes nothing. The next mousedown clears it, in case the drag ended outside the preview.
+         */
+        dragJustEnded: false,
+
+        /**
+         * @var {Array[][]} the states of the lines to go back to with undo, latest last. See {@link getState}.
+         */
+        undoStack: [],
+
+        /**
+         * @var {Array[][]} the states of the lines that were undone, to go forward to with redo, latest last.
+         */
+        redoStack: [],
+
+        /**
+         * @var {Array[]|null} the state of the lines when the last change was recorded.
+         */
+        savedState: null,
+
+        /**
+         * @var {Object|null} the last keyboard move, with properties key and time, so that repeats are undone together.
+         */
+        lastKeyMove: null,
+
+        /**
+         * @var {Object} the default values of the fields of a new line, by field name.
+         */
+        lineDefaults: {},
+
+        /**
+         * @var {Object} the hideif rules of the fields of a line, by field name, e.g. ['zonekind', 'eq', 'position'].
+         */
+        lineHideIfs: {},
+
+        /**
+         * @var {int} how many lines the 'Blanks for more lines' button adds.
+         */
+        linesToAdd: 1,
+
         /**
          * Init method.
+         *
+         * @param {Object} lineDefaults the default values of the fields of a new line, by field name.
+         * @param {Object} lineHideIfs the hideif rules of the fields of a line, by field name.
+         * @param {int} linesToAdd how many lines the 'Blanks for more lines' button adds.
          */
-        init: function() {
-            drawlinesForm.noOfLines = drawlinesForm.getFormValue('numberoflines', []);
+        init: function(lineDefaults, lineHideIfs, linesToAdd) {
+            drawlinesForm.lineDefaults = lineDefaults || {};
+            drawlinesForm.lineHideIfs = lineHideIfs || {};
+            drawlinesForm.linesToAdd = linesToAdd || 1;
+            drawlinesForm.noOfLines = parseInt(drawlinesForm.getFormValue('numberoflines', []));
             drawlinesForm.createShapes();
+            drawlinesForm.clearHistory();
+            drawlinesForm.setupLineActions();
             drawlinesForm.fp = drawlinesForm.filePickers();
             drawlinesForm.setupEventHandlers();
             drawlinesForm.waitForFilePickerToInitialise();
@@ -529,8 +780,23 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
         setupPreviewArea: function() {
             var previewareaheader = document.querySelector('fieldset#id_previewareaheader');
             if (drawlinesForm.fp.file('bgimage').href !== null) {
+                var arrangeButtons = ['alignstartshorizontally', 'alignstartsvertically', 'alignendshorizontally',
+                    'alignendsvertically', 'equaliseradii', 'distributehorizontally', 'distributevertically'];
                 previewareaheader.insertAdjacentHTML('beforeend',
                     '<div class="ddarea que drawlines">' +
+                    '  <div class="drawlines-toolbar drawlines-history">' +
+                    '    <button type="button" class="btn btn-secondary undo" aria-keyshortcuts="Control+Z" disabled>' +
+                    M.util.get_string('undo', 'qtype_drawlines') + '</button>' +
+                    '    <button type="button" class="btn btn-secondary redo" aria-keyshortcuts="Control+Y" disabled>' +
+                    M.util.get_string('redo', 'qtype_drawlines') + '</button>' +
+                    '  </div>' +
+                    '  <div class="drawlines-toolbar drawlines-arrange" role="toolbar" aria-label="' +
+                    M.util.get_string('arrangelines', 'qtype_drawlines') + '">' +
+                    arrangeButtons.map(function(action) {
+                        return '<button type="button" class="btn btn-secondary" data-arrange="' + action + '" disabled>' +
+                            M.util.get_string(action, 'qtype_drawlines') + '</button>';
+                    }).join(' ') +
+                    '  </div>' +
                     '  <div id="dlines-droparea" class="droparea">' +
                     '    <img class="dropbackground" />' +
                     '    <div id="dlines-dropzone" class="dropzones"></div>' +
@@ -545,49 +811,81 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
          */
         setupEventHandlers: function() {
             // Changes to Drop zones section: shape, coordinates and marker.
-            var lineSelector = 'fieldset#id_linexheader_' + '0';
-
-            for (var lineNo = 0; lineNo < drawlinesForm.noOfLines; lineNo++) {
-                lineSelector = 'fieldset#id_linexheader_' + lineNo;
-                document.querySelector(lineSelector).addEventListener('change', function(e) {
-                    if (e.target.matches('input, select')) {
-                        var ids = e.target.name.match(/^([a-z]*)\[(\d+)]$/);
-                        var id = e.target.name;
-                        if (!id) {
-                            return;
-                        }
-                        var dropzoneNo = ids[2],
-                            inputType = ids[1],
-                            dropZone = drawlinesForm.dropZones[dropzoneNo];
-
-                        switch (inputType) {
-                            case 'zonestart':
-                            case 'zoneend':
-                                dropZone.updateCoordinatesFromForm(drawlinesForm.getSvg());
-                                break;
-
-                            case 'type':
-                                dropZone.displayInitialLine();
-                                dropZone.updateCoordinatesFromForm(drawlinesForm.getSvg());
-                                dropZone.changeShape(drawlinesForm.getSvg());
-                                break;
-
-                            case 'labelstart':
-                            case 'labelmiddle':
-                            case 'labelend':
-                                dropZone.updateLabel();
-                                break;
-                        }
+            // The listener is on the form, so that it also works for lines added later.
+            var form = document.querySelector('form.mform[data-qtype="drawlines"]');
+            form.addEventListener('change', function(e) {
+                if (e.target.matches('fieldset[id^="id_linexheader_"] input, fieldset[id^="id_linexheader_"] select')) {
+                    var ids = e.target.name.match(/^([a-z]*)\[(\d+)]$/);
+                    if (!ids) {
+                        return;
                     }
-                });
-            }
+                    var dropzoneNo = ids[2],
+                        inputType = ids[1],
+                        dropZone = drawlinesForm.dropZones[dropzoneNo];
+                    drawlinesForm.updateHiddenFields(dropzoneNo);
+
+                    switch (inputType) {
+                        case 'zonestart':
+                        case 'zoneend':
+                        case 'zonemiddle':
+                            dropZone.updateCoordinatesFromForm(drawlinesForm.getSvg());
+                            break;
+
+                        case 'type':
+                            dropZone.displayInitialLine();
+                            dropZone.updateCoordinatesFromForm(drawlinesForm.getSvg());
+                            dropZone.changeShape(drawlinesForm.getSvg());
+                            break;
+
+                        case 'labelstart':
+                        case 'labelmiddle':
+                        case 'labelend':
+                            dropZone.updateLabel();
+                            break;
+
+                        case 'zonekind':
+                        case 'zonetolerance':
+                        case 'colour':
+                        case 'dashstyle':
+                        case 'arrowstyle':
+                            dropZone.updateSvgEl();
+                            break;
+                    }
+                    drawlinesForm.recordChange();
+                }
+            });
+
+            // Changes to the scale change the measurements in the preview.
+            ['scalepixels', 'scalelength', 'scaleunit'].forEach(function(name) {
+                var el = drawlinesForm.getEl(name, []);
+                if (el) {
+                    el.addEventListener('change', drawlinesForm.updateMeasurements);
+                }
+            });
 
             // Click to toggle graphical editing.
             var previewArea = document.querySelector('fieldset#id_previewareaheader');
+            // Shift-click adds a line to the lines being edited, or takes it out.
             previewArea.addEventListener('click', function(event) {
-                if (event.target.closest('g.dropzone')) {
+                if (event.target.closest('.drawlines-history')) {
+                    if (event.target.closest('button.undo')) {
+                        drawlinesForm.undo();
+                    } else if (event.target.closest('button.redo')) {
+                        drawlinesForm.redo();
+                    }
+                } else if (event.target.closest('.drawlines-arrange')) {
+                    if (event.target.closest('[data-arrange]')) {
+                        drawlinesForm.arrangeSelected(event.target.closest('[data-arrange]').dataset.arrange);
+                    }
+                } else if (drawlinesForm.dragJustEnded) {
+                    drawlinesForm.dragJustEnded = false;
+                } else if (event.target.closest('g.dropzone')) {
                     var dropzoneElement = event.target.closest('g.dropzone');
-                    drawlinesForm.setElementActive(dropzoneElement);
+                    if (event.shiftKey) {
+                        drawlinesForm.toggleElementActive(dropzoneElement);
+                    } else {
+                        drawlinesForm.setElementActive(dropzoneElement);
+                    }
                 } else {
                     drawlinesForm.setElementActive(null);
                 }
@@ -600,13 +898,22 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
             });
 
             // Add event listeners to the 'previewArea'.
+            ['mousedown', 'touchstart'].forEach(function(eventType) {
+                previewArea.addEventListener(eventType, function() {
+                    drawlinesForm.dragJustEnded = false;
+                });
+            });
             previewArea.addEventListener('mousedown', drawlinesForm.handleEventLine);
             previewArea.addEventListener('touchstart', drawlinesForm.handleEventLine);
             previewArea.addEventListener('mousedown', drawlinesForm.handleEventMove);
             previewArea.addEventListener('touchstart', drawlinesForm.handleEventMove);
             previewArea.addEventListener('mousedown', drawlinesForm.handleEventEdit);
             previewArea.addEventListener('touchstart', drawlinesForm.handleEventEdit);
+            previewArea.addEventListener('mousedown', drawlinesForm.handleEventDraw);
+            previewArea.addEventListener('touchstart', drawlinesForm.handleEventDraw);
+            previewArea.addEventListener('mousedown', drawlinesForm.handleEventSelect);
             // Add keyboard events.
+            previewArea.addEventListener('keydown', drawlinesForm.handleHistoryKeys);
             previewArea.addEventListener('keydown', drawlinesForm.handleKeyPress);
             previewArea.addEventListener('keypress', drawlinesForm.handleKeyPress);
         },
@@ -638,6 +945,129 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
                     activeDropzone.classList.remove('active');
                 });
             }
+            drawlinesForm.updateArrangeButtons();
+        },
+
+        /**
+         * Add a line to the lines being edited, or take it out if it is already one of them.
+         *
+         * @param {SVGElement} dropzoneElement SVG element of the line.
+         */
+        toggleElementActive: function(dropzoneElement) {
+            var dropZone = drawlinesForm.dropZones[dropzoneElement.dataset.dropzoneNo];
+            if (dropZone.isActive()) {
+                dropzoneElement.classList.remove('active');
+            } else {
+                dropZone.setActive();
+            }
+            drawlinesForm.updateArrangeButtons();
+        },
+
+        /**
+         * Get the lines being edited in the preview.
+         *
+         * @return {LineManager[]} the lines, in the order of the form.
+         */
+        getSelectedDropZones: function() {
+            return drawlinesForm.dropZones.filter(function(dropZone) {
+                return dropZone && dropZone.isActive();
+            });
+        },
+
+        /**
+         * Enable the buttons to arrange the selected lines when there are enough lines selected.
+         */
+        updateArrangeButtons: function() {
+            var selectedCount = drawlinesForm.getSelectedDropZones().length;
+            document.querySelectorAll('fieldset#id_previewareaheader [data-arrange]').forEach(function(button) {
+                button.disabled = selectedCount < (button.dataset.arrange.startsWith('distribute') ? 3 : 2);
+            });
+        },
+
+        /**
+         * Move the other selected lines by the same amount as a line that was just moved.
+         *
+         * @param {LineManager} movedDropZone the line that was moved.
+         * @param {int} dx how far it moved across.
+         * @param {int} dy how far it moved down.
+         */
+        moveOtherSelected: function(movedDropZone, dx, dy) {
+            if ((dx === 0 && dy === 0) || !movedDropZone.isActive()) {
+                return;
+            }
+            var bgImg = document.querySelector('fieldset#id_previewareaheader .dropbackground');
+            drawlinesForm.getSelectedDropZones().forEach(function(dropZone) {
+                if (dropZone !== movedDropZone) {
+                    dropZone.line.moveDrags(dx, dy, parseInt(bgImg.width), parseInt(bgImg.height));
+                    dropZone.updateSvgEl();
+                    dropZone.setCoordinatesInForm();
+                }
+            });
+        },
+
+        /**
+         * Line up, size or space out the selected lines.
+         *
+         * Lines are lined up with, and given the zone sizes of, the first selected line in the form.
+         * Spacing them out keeps the two outermost lines where they are.
+         *
+         * @param {String} action one of the data-arrange values of the buttons, e.g. 'alignstartshorizontally'.
+         */
+        arrangeSelected: function(action) {
+            var selected = drawlinesForm.getSelectedDropZones(),
+                bgImg = document.querySelector('fieldset#id_previewareaheader .dropbackground'),
+                maxX = parseInt(bgImg.width),
+                maxY = parseInt(bgImg.height),
+                first = selected[0];
+            if (selected.length < 2) {
+                return;
+            }
+
+            switch (action) {
+                case 'alignstartshorizontally':
+                case 'alignstartsvertically':
+                case 'alignendshorizontally':
+                case 'alignendsvertically':
+                    var whichHandle = action.startsWith('alignstarts') ? 'startcircle' : 'endcircle',
+                        horizontally = action.endsWith('horizontally'),
+                        target = first.line.getHandlePoint(whichHandle);
+                    selected.forEach(function(dropZone) {
+                        var point = dropZone.line.getHandlePoint(whichHandle);
+                        dropZone.line.move(whichHandle, horizontally ? 0 : target.x - point.x,
+                            horizontally ? target.y - point.y : 0, maxX, maxY);
+                    });
+                    break;
+
+                case 'equaliseradii':
+                    selected.forEach(function(dropZone) {
+                        dropZone.line.copyRadii(first.line);
+                    });
+                    break;
+
+                case 'distributehorizontally':
+                case 'distributevertically':
+                    var axis = action === 'distributehorizontally' ? 'x' : 'y',
+                        getCentre = function(dropZone) {
+                            return (dropZone.line.getHandlePoint('startcircle')[axis] +
+                                dropZone.line.getHandlePoint('endcircle')[axis]) / 2;
+                        },
+                        sorted = selected.slice().sort(function(a, b) {
+                            return getCentre(a) - getCentre(b);
+                        }),
+                        from = getCentre(sorted[0]),
+                        step = (getCentre(sorted[sorted.length - 1]) - from) / (sorted.length - 1);
+                    sorted.forEach(function(dropZone, index) {
+                        var offset = Math.round(from + index * step - getCentre(dropZone));
+                        dropZone.line.moveDrags(axis === 'x' ? offset : 0, axis === 'y' ? offset : 0, maxX, maxY);
+                    });
+                    break;
+            }
+
+            selected.forEach(function(dropZone) {
+                dropZone.updateSvgEl();
+                dropZone.setCoordinatesInForm();
+            });
+            drawlinesForm.recordChange();
         },
 
         /**
@@ -657,6 +1087,20 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
                 handleIndex = 'endcircle';
                 drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event, handleIndex, 'move');
+            } else if (event.target.closest('.dropzone .handlemiddle.move')) {
+                dropzoneElement = event.target.closest('g');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                handleIndex = 'middlecircle';
+                drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event, handleIndex, 'move',
+                    event.target.getAttribute('data-move-handle-no') - 2);
+            } else if (event.target.closest('.dropzone .rotatehandle')) {
+                dropzoneElement = event.target.closest('g');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event, '', 'rotate');
+            } else if (event.target.closest('.dropzone .tolerancehandle')) {
+                dropzoneElement = event.target.closest('g');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event, '', 'tolerance');
             }
         },
 
@@ -671,12 +1115,14 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
                 dropzoneElement = event.target.closest('g');
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
                 handleIndex = event.target.getAttribute('data-edit-handle-no');
-                drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event, handleIndex, 'edit');
-            } else if (event.target.closest('.dropzone .handleend.edit')) {
+                drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event, handleIndex, 'edit',
+                    drawlinesForm.getCornerNo(event.target));
+            } else if (event.target.closest('.dropzone .handleend.edit, .dropzone .handlemiddle.edit')) {
                 dropzoneElement = event.target.closest('g');
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
                 handleIndex = event.target.getAttribute('data-edit-handle-no');
-                drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event, handleIndex, 'edit');
+                drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event, handleIndex, 'edit',
+                    drawlinesForm.getCornerNo(event.target));
             }
         },
 
@@ -687,13 +1133,176 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
          */
         handleEventLine: function(event) {
             var dropzoneElement, dropzoneNo;
-            if (event.target.closest('g.dropzone.active')) {
+            if (event.target.closest('g.dropzone.active') && !event.target.closest('.rotatehandle, .tolerancehandle')) {
                 dropzoneElement = event.target.closest('g.active');
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
                 drawlinesForm.dropZones[dropzoneNo].handleMouseEvents(event, '', 'line');
             }
         },
 
+        /**
+         * Handle events that start drawing a new line, by dragging across the preview image away from the lines.
+         *
+         * @param {Event} event
+         */
+        handleEventDraw: function(event) {
+            if (event.shiftKey || !event.target.closest('svg.dropzones') || event.target.closest('g.dropzone')) {
+                return;
+            }
+            var info = dragDrop.prepare(event);
+            if (!info.start) {
+                return;
+            }
+
+            var svg = drawlinesForm.getSvg(),
+                svgRect = svg.getBoundingClientRect(),
+                bgImg = document.querySelector('fieldset#id_previewareaheader .dropbackground'),
+                snap = drawlinesForm.getSnap(),
+                toPoint = function(pageX, pageY) {
+                    var point = snap.snapPoint(new Line.Point(Math.round(pageX - svgRect.left - window.scrollX),
+                        Math.round(pageY - svgRect.top - window.scrollY)));
+                    return new Line.Point(Math.min(Math.max(point.x, 0), parseInt(bgImg.width)),
+                        Math.min(Math.max(point.y, 0), parseInt(bgImg.height)));
+                },
+                start = toPoint(info.x, info.y),
+                end = start,
+                lineType = drawlinesForm.getNewLineType(),
+                line = Line.make([start + ';8', end + ';8', ''], lineType, ['', '', '']),
+                svgEl = line.makeSvg(svg, bgImg.naturalWidth, bgImg.naturalHeight),
+                dragProxy = LineManager.prototype.makeDragProxy(info.x, info.y);
+            svgEl.setAttribute('class', 'dropzone drawing');
+
+            dragDrop.start(event, $(dragProxy), function(pageX, pageY) {
+                end = toPoint(pageX, pageY);
+                line.parse(start + ';8', end + ';8', 1, '');
+                line.updateSvg(svgEl, bgImg.naturalWidth, bgImg.naturalHeight);
+            }, function() {
+                document.body.removeChild(dragProxy);
+                svg.removeChild(svgEl);
+                if (Math.abs(end.x - start.x) + Math.abs(end.y - start.y) >= MIN_DRAWN_LINE_LENGTH) {
+                    var lineNo = drawlinesForm.addDrawnLine(lineType, start + ';8', end + ';8');
+                    drawlinesForm.setElementActive(drawlinesForm.dropZones[lineNo].svgEl);
+                    drawlinesForm.dragJustEnded = true;
+                }
+            });
+        },
+
+        /**
+         * Handle events that select lines, by shift-dragging a box around them on the preview image.
+         *
+         * @param {Event} event
+         */
+        handleEventSelect: function(event) {
+            if (!event.shiftKey || !event.target.closest('svg.dropzones') || event.target.closest('g.dropzone')) {
+                return;
+            }
+            var info = dragDrop.prepare(event);
+            if (!info.start) {
+                return;
+            }
+
+            var svg = drawlinesForm.getSvg(),
+                svgRect = svg.getBoundingClientRect(),
+                toPoint = function(pageX, pageY) {
+                    return new Line.Point(Math.round(pageX - svgRect.left - window.scrollX),
+                        Math.round(pageY - svgRect.top - window.scrollY));
+                },
+                start = toPoint(info.x, info.y),
+                end = start,
+                box = document.createElementNS('http://www.w3.org/2000/svg', 'rect'),
+                dragProxy = LineManager.prototype.makeDragProxy(info.x, info.y),
+                updateBox = function() {
+                    box.setAttribute('x', Math.min(start.x, end.x));
+                    box.setAttribute('y', Math.min(start.y, end.y));
+                    box.setAttribute('width', Math.abs(end.x - start.x));
+                    box.setAttribute('height', Math.abs(end.y - start.y));
+                };
+            box.setAttribute('class', 'selectionbox');
+            updateBox();
+            svg.appendChild(box);
+
+            dragDrop.start(event, $(dragProxy), function(pageX, pageY) {
+                end = toPoint(pageX, pageY);
+                updateBox();
+            }, function() {
+                document.body.removeChild(dragProxy);
+                svg.removeChild(box);
+                // Select the lines with all their points in the box.
+                drawlinesForm.dropZones.forEach(function(dropZone) {
+                    if (!dropZone.svgEl || dropZone.isActive()) {
+                        return;
+                    }
+                    var inBox = dropZone.line.getHandlePositions().moveHandles.every(function(point) {
+                        return point.x >= Math.min(start.x, end.x) && point.x <= Math.max(start.x, end.x) &&
+                            point.y >= Math.min(start.y, end.y) && point.y <= Math.max(start.y, end.y);
+                    });
+                    if (inBox) {
+                        dropZone.setActive();
+                    }
+                });
+                drawlinesForm.dragJustEnded = true;
+                drawlinesForm.updateArrangeButtons();
+            });
+        },
+
+        /**
+         * Get the type for a line drawn on the preview: the type of the last line that has one, or a line segment.
+         *
+         * @return {String} the line type.
+         */
+        getNewLineType: function() {
+            for (var lineNo = drawlinesForm.noOfLines - 1; lineNo >= 0; lineNo--) {
+                var lineType = drawlinesForm.getFormValue('type', [lineNo]);
+                if (lineType !== 'choose') {
+                    return lineType;
+                }
+            }
+            return 'linesegment';
+        },
+
+        /**
+         * Get the first line in the form that has not been set up yet.
+         *
+         * @return {int} the line number, or -1 if all the lines are used.
+         */
+        getFreeLineNo: function() {
+            for (var lineNo = 0; lineNo < drawlinesForm.noOfLines; lineNo++) {
+                if (drawlinesForm.getFormValue('type', [lineNo]) === 'choose' &&
+                        drawlinesForm.getFormValue('zonestart', [lineNo]) === '') {
+                    return lineNo;
+                }
+            }
+            return -1;
+        },
+
+        /**
+         * Fill in the first unused line in the form with a line drawn on the preview.
+         *
+         * If all the lines are used, a new line is added to the form.
+         *
+         * @param {String} lineType the type of the line.
+         * @param {String} zoneStart the start zone in 'x,y;r' format.
+         * @param {String} zoneEnd the end zone in 'x,y;r' format.
+         * @return {int} the number of the line.
+         */
+        addDrawnLine: function(lineType, zoneStart, zoneEnd) {
+            var lineNo = drawlinesForm.getFreeLineNo();
+            if (lineNo === -1) {
+                // Adding the line and drawing it are undone together.
+                lineNo = drawlinesForm.appendLine();
+            }
+            drawlinesForm.setFormValue('type', [lineNo], lineType);
+            drawlinesForm.setFormValue('zonestart', [lineNo], zoneStart);
+            drawlinesForm.setFormValue('zoneend', [lineNo], zoneEnd);
+            var dropZone = drawlinesForm.dropZones[lineNo],
+                svg = drawlinesForm.getSvg();
+            dropZone.displayInitialLine();
+            dropZone.updateCoordinatesFromForm(svg);
+            dropZone.changeShape(svg);
+            drawlinesForm.recordChange();
+            return lineNo;
+        },
+
         /**
          * Handle key down / press events on lines.
          *
@@ -716,20 +1325,50 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
                 handleIndex = 'endcircle';
                 drag = e.target.closest('.dropzone.active .handleend.move');
                 drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event, drag, handleIndex, 'move');
+            } else if (event.target.closest('.dropzone.active .handlemiddle.move')) {
+                // Handle moving one of the middle circles of a line.
+                dropzoneElement = event.target.closest('g');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                handleIndex = 'middlecircle';
+                drag = e.target.closest('.dropzone.active .handlemiddle.move');
+                drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event, drag, handleIndex, 'move',
+                    drag.getAttribute('data-move-handle-no') - 2);
+            } else if (event.target.closest('.dropzone.active .rotatehandle')) {
+                // Handle rotating a line.
+                dropzoneElement = event.target.closest('g');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                drag = e.target.closest('.dropzone.active .rotatehandle');
+                drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event, drag, '', 'rotate');
+            } else if (event.target.closest('.dropzone.active .tolerancehandle')) {
+                // Handle changing the tolerance of a line graded by its angle or its length.
+                dropzoneElement = event.target.closest('g');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                drag = e.target.closest('.dropzone.active .tolerancehandle');
+                drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event, drag, '', 'tolerance');
             } else if (event.target.closest('.dropzone.active .handlestart.edit')) {
                 // Handle editing radius for start point of a line.
                 dropzoneElement = event.target.closest('g');
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
                 handleIndex = event.target.getAttribute('data-edit-handle-no');
                 drag = e.target.closest('.dropzone.active .handlestart.edit');
-                drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event, drag, handleIndex, 'edit');
+                drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event, drag, handleIndex, 'edit',
+                    drawlinesForm.getCornerNo(drag));
             } else if (event.target.closest('.dropzone.active .handleend.edit')) {
                 // Handle editing radius for end point of a line.
                 dropzoneElement = event.target.closest('g');
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
                 handleIndex = event.target.getAttribute('data-edit-handle-no');
                 drag = e.target.closest('.dropzone.active .handleend.edit');
-                drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event, drag, handleIndex, 'edit');
+                drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event, drag, handleIndex, 'edit',
+                    drawlinesForm.getCornerNo(drag));
+            } else if (event.target.closest('.dropzone.active .handlemiddle.edit')) {
+                // Handle editing radius for a middle point of a line.
+                dropzoneElement = event.target.closest('g');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                handleIndex = event.target.getAttribute('data-edit-handle-no');
+                drag = e.target.closest('.dropzone.active .handlemiddle.edit');
+                drawlinesForm.dropZones[dropzoneNo].handleKeyPress(event, drag, handleIndex, 'edit',
+                    drawlinesForm.getCornerNo(drag));
             } else if (e.target.closest('g.dropzone')) {
                 // Handle moving entire line.
                 dropzoneElement = event.target.closest('.dropzone');
@@ -787,7 +1426,7 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
             } else {
                 // Create.
                 document.getElementById('dlines-dropzone').innerHTML =
-                    '<svg xmlns="http://www.w3.org/2000/svg" class="dropzones" ' +
+                    '<svg xmlns="http://www.w3.org/2000/svg" id="dlines-dropzones" class="dropzones" ' +
                     'width="' + bgImg.width + '" ' +
                     'height="' + bgImg.height + '">' +
                     'viewBox="0 0 ' + bgImg.width + ' ' + bgImg.height + '" ' +
@@ -853,6 +1492,65 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
             }
         },
 
+        /**
+         * Get the snapping settings from the form, so that the preview snaps like the question does.
+         *
+         * @returns {Object} the snapping settings, see {@link Line.makeSnap}.
+         */
+        getSnap: function() {
+            var mode = drawlinesForm.getFormValue('snapmode', []),
+                origin = (drawlinesForm.getFormValue('snapgridorigin', []) || '0,0').trim(),
+                anchors = (drawlinesForm.getFormValue('snapanchorpoints', []) || '').trim(),
+                pointregexp = /^\d+,\d+$/;
+            return Line.makeSnap({
+                mode: mode,
+                gridspacing: drawlinesForm.getFormValue('snapgridspacing', []),
+                gridorigin: pointregexp.test(origin) ? origin.split(',') : [0, 0],
+                anchors: anchors === '' ? [] : anchors.split(/\s+/).filter(function(anchor) {
+                    return pointregexp.test(anchor);
+                }).map(function(anchor) {
+                    return anchor.split(',');
+                })
+            });
+        },
+
+        /**
+         * Get the scale from the form, so that the preview always shows the measurements of the lines.
+         *
+         * @returns {Object} the scale, see {@link Line.makeMeasure}.
+         */
+        getMeasure: function() {
+            return Line.makeMeasure({
+                pixels: drawlinesForm.getFormValue('scalepixels', []),
+                length: drawlinesForm.getFormValue('scalelength', []),
+                unit: (drawlinesForm.getFormValue('scaleunit', []) || '').trim()
+            });
+        },
+
+        /**
+         * Move the labels of the lines in the preview so that they do not cover each other.
+         */
+        placeLabels: function() {
+            var img = document.querySelector('fieldset#id_previewareaheader .dropbackground'),
+                dropZones = drawlinesForm.dropZones.filter(function(dropZone) {
+                    return dropZone && dropZone.svgEl;
+                });
+            Line.placeLabels(dropZones.map(function(dropZone) {
+                return dropZone.line;
+            }), dropZones.map(function(dropZone) {
+                return dropZone.svgEl;
+            }), img.naturalWidth, img.naturalHeight);
+        },
+
+        /**
+         * Update the measurements shown in the preview, after the scale has changed.
+         */
+        updateMeasurements: function() {
+            drawlinesForm.dropZones.forEach(function(dropZone) {
+                dropZone.updateSvgEl();
+            });
+        },
+
         /**
          * Create the shape representation of each dropZone.
          */
@@ -862,6 +1560,459 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
             }
         },
 
+        /**
+         * Get which corner of a polygon zone an edit handle moves.
+         *
+         * @param {SVGElement} editHandle the edit handle.
+         * @return {int|undefined} the corner number, or undefined if the zone is not a polygon.
+         */
+        getCornerNo: function(editHandle) {
+            var cornerNo = editHandle.getAttribute('data-corner-no');
+            return cornerNo === null ? undefined : parseInt(cornerNo);
+        },
+
+        /**
+         * Get the fieldset holding the fields of one line.
+         *
+         * @param {int} lineNo the line number.
+         * @return {HTMLFieldSetElement|null} the fieldset.
+         */
+        getLineFieldset: function(lineNo) {
+            return document.getElementById('id_linexheader_' + lineNo);
+        },
+
+        /**
+         * Add the duplicate and delete buttons to each line, and handle them and the button to add more lines.
+         */
+        setupLineActions: function() {
+            for (var lineNo = 0; lineNo < drawlinesForm.noOfLines; lineNo++) {
+                var fieldset = drawlinesForm.getLineFieldset(lineNo),
+                    container = fieldset.querySelector('.fcontainer') || fieldset;
+                container.insertAdjacentHTML('beforeend',
+                    '<div class="lineactions mb-3">' +
+                    '  <button type="button" class="btn btn-secondary" data-action="duplicateline">' +
+                    M.util.get_string('duplicateline', 'qtype_drawlines') + '</button>' +
+                    '  <button type="button" class="btn btn-secondary" data-action="deleteline">' +
+                    M.util.get_string('deleteline', 'qtype_drawlines') + '</button>' +
+                    '</div>');
+            }
+            drawlinesForm.updateLineActions();
+
+            var form = document.querySelector('form.mform[data-qtype="drawlines"]');
+            form.addEventListener('click', function(e) {
+                if (e.target.closest('[name="addlines"]')) {
+                    // Add the lines here, rather than reloading the form.
+                    e.preventDefault();
+                    var firstLineNo = drawlinesForm.addLines(drawlinesForm.linesToAdd);
+                    drawlinesForm.getEl('type', [firstLineNo]).focus();
+                    return;
+                }
+                var button = e.target.closest('[data-action="duplicateline"], [data-action="deleteline"]');
+                if (!button) {
+                    return;
+                }
+                var lineNo = parseInt(button.closest('fieldset[id^="id_linexheader_"]').id.match(/_(\d+)$/)[1]);
+                if (button.dataset.action === 'duplicateline') {
+                    drawlinesForm.duplicateLine(lineNo);
+                    drawlinesForm.getEl('type', [lineNo + 1]).focus();
+                } else {
+                    drawlinesForm.deleteLine(lineNo);
+                    drawlinesForm.getEl('type', [Math.min(lineNo, drawlinesForm.noOfLines - 1)]).focus();
+                }
+            });
+        },
+
+        /**
+         * Only allow a line to be deleted while there is more than one.
+         */
+        updateLineActions: function() {
+            document.querySelectorAll('fieldset[id^="id_linexheader_"] [data-action="deleteline"]').forEach(function(button) {
+                button.disabled = drawlinesForm.noOfLines <= 1;
+            });
+        },
+
+        /**
+         * Add blank lines to the end of the form.
+         *
+         * @param {int} count how many lines to add.
+         * @return {int} the number of the first line added.
+         */
+        addLines: function(count) {
+            var firstLineNo = drawlinesForm.noOfLines;
+            for (var i = 0; i < count; i++) {
+                drawlinesForm.appendLine();
+            }
+            drawlinesForm.recordChange();
+            return firstLineNo;
+        },
+
+        /**
+         * Add one blank line to the end of the form, without recording it for undo.
+         *
+         * @return {int} the number of the line added.
+         */
+        appendLine: function() {
+            var lineNo = drawlinesForm.noOfLines;
+            drawlinesForm.insertLine(lineNo, 0);
+            drawlinesForm.resetLine(lineNo);
+            drawlinesForm.dropZones[lineNo] = new LineManager(lineNo);
+            return lineNo;
+        },
+
+        /**
+         * Add a copy of a line straight after it, moved a little so that both lines can be seen in the preview.
+         *
+         * @param {int} lineNo the line to copy.
+         */
+        duplicateLine: function(lineNo) {
+            var newLineNo = lineNo + 1;
+            drawlinesForm.insertLine(newLineNo, lineNo);
+            var dropZone = new LineManager(newLineNo),
+                svg = drawlinesForm.getSvg();
+            drawlinesForm.dropZones[newLineNo] = dropZone;
+            if (!dropZone.validateFormCoordinates(newLineNo)) {
+                drawlinesForm.recordChange();
+                return;
+            }
+            if (svg) {
+                var bgImg = document.querySelector('fieldset#id_previewareaheader .dropbackground');
+                dropZone.line.moveDrags(DUPLICATE_LINE_OFFSET, DUPLICATE_LINE_OFFSET,
+                    bgImg.naturalWidth, bgImg.naturalHeight);
+                dropZone.setCoordinatesInForm();
+                if (dropZone.getLineType() !== 'choose') {
+                    dropZone.addToSvg(svg);
+                    drawlinesForm.setElementActive(dropZone.svgEl);
+                }
+            }
+            drawlinesForm.recordChange();
+        },
+
+        /**
+         * Delete a line, and number the lines after it one less.
+         *
+         * @param {int} lineNo the line to delete.
+         */
+        deleteLine: function(lineNo) {
+            if (drawlinesForm.noOfLines <= 1) {
+                return;
+            }
+            drawlinesForm.removeLine(lineNo);
+            drawlinesForm.recordChange();
+        },
+
+        /**
+         * Remove the fields and the preview of a line, without recording it for undo.
+         *
+         * @param {int} lineNo the line to remove.
+         */
+        removeLine: function(lineNo) {
+            drawlinesForm.dropZones[lineNo].removeFromSvg();
+            drawlinesForm.dropZones.splice(lineNo, 1);
+            var fieldset = drawlinesForm.getLineFieldset(lineNo);
+            fieldset.parentNode.removeChild(fieldset);
+            for (var i = lineNo + 1; i < drawlinesForm.noOfLines; i++) {
+                drawlinesForm.renumberLine(drawlinesForm.getLineFieldset(i), i, i - 1);
+                drawlinesForm.dropZones[i - 1].setLineNo(i - 1);
+            }
+            drawlinesForm.setNumberOfLines(drawlinesForm.noOfLines - 1);
+            if (drawlinesForm.getSvg()) {
+                drawlinesForm.placeLabels();
+            }
+            drawlinesForm.updateArrangeButtons();
+        },
+
+        /**
+         * Add the fields for a new line to the form, copied from another line, and number the lines after it one more.
+         *
+         * The caller must add the LineManager for the new line to dropZones.
+         *
+         * @param {int} lineNo the number of the new line.
+         * @param {int} copyLineNo the line to copy the fields and their values from.
+         */
+        insertLine: function(lineNo, copyLineNo) {
+            var original = drawlinesForm.getLineFieldset(copyLineNo),
+                copy = original.cloneNode(true),
+                originalFields = original.querySelectorAll('input[name], select[name]');
+            // Not all browsers copy the current values of the fields with the elements.
+            copy.querySelectorAll('input[name], select[name]').forEach(function(el, index) {
+                el.value = originalFields[index].value;
+                el.checked = originalFields[index].checked;
+            });
+            copy.querySelectorAll('[id^="collapseElement-"]').forEach(function(toggle) {
+                toggle.id = 'id_linexheader_' + copyLineNo + 'toggle';
+            });
+            copy.querySelectorAll('[id^="yui_"]').forEach(function(el) {
+                el.removeAttribute('id');
+            });
+            for (var i = drawlinesForm.noOfLines - 1; i >= lineNo; i--) {
+                drawlinesForm.renumberLine(drawlinesForm.getLineFieldset(i), i, i + 1);
+                drawlinesForm.dropZones[i].setLineNo(i + 1);
+            }
+            drawlinesForm.renumberLine(copy, copyLineNo, lineNo);
+            var previous = drawlinesForm.getLineFieldset(lineNo - 1) || drawlinesForm.getLineFieldset(lineNo + 1);
+            previous.parentNode.insertBefore(copy, lineNo > 0 ? previous.nextSibling : previous);
+            drawlinesForm.dropZones.splice(lineNo, 0, null);
+            drawlinesForm.setNumberOfLines(drawlinesForm.noOfLines + 1);
+
+            // Show the fields of the new line.
+            copy.querySelectorAll('.collapse').forEach(function(container) {
+                container.classList.add('show');
+            });
+            copy.querySelectorAll('[aria-expanded]').forEach(function(toggle) {
+                toggle.classList.remove('collapsed');
+                toggle.setAttribute('aria-expanded', 'true');
+            });
+            copy.classList.remove('collapsed');
+            drawlinesForm.updateHiddenFields(lineNo);
+        },
+
+        /**
+         * Change the names, ids and heading of the fields of a line to those of another line number.
+         *
+         * @param {HTMLFieldSetElement} fieldset the fieldset holding the fields of the line.
+         * @param {int} from the current line number.
+         * @param {int} to the new line number.
+         */
+        renumberLine: function(fieldset, from, to) {
+            var nameRegExp = new RegExp('\\[' + from + '\\]$'),
+                idRegExp = new RegExp('_' + from + '(container|toggle|_label)?(?=\\s|$)', 'g'),
+                idAttributes = ['id', 'for', 'aria-controls', 'aria-describedby', 'aria-labelledby', 'data-target'];
+            [fieldset].concat(Array.from(fieldset.querySelectorAll('*'))).forEach(function(el) {
+                if (el.hasAttribute('name')) {
+                    el.setAttribute('name', el.getAttribute('name').replace(nameRegExp, '[' + to + ']'));
+                }
+                idAttributes.forEach(function(attribute) {
+                    if (el.hasAttribute(attribute)) {
+                        el.setAttribute(attribute, el.getAttribute(attribute).replace(idRegExp, '_' + to + '$1'));
+                    }
+                });
+                if (el.hasAttribute('href') && el.getAttribute('href').charAt(0) === '#') {
+                    el.setAttribute('href', el.getAttribute('href').replace(idRegExp, '_' + to + '$1'));
+                }
+            });
+
+            // The heading, which is outside the container of the fields.
+            var heading = M.util.get_string('linexheader', 'qtype_drawlines'),
+                fromHeading = heading.replace('{no}', from + 1),
+                walker = document.createTreeWalker(fieldset, NodeFilter.SHOW_TEXT),
+                node;
+            while ((node = walker.nextNode())) {
+                if (!node.parentNode.closest('.fcontainer') && node.nodeValue.trim() === fromHeading) {
+                    node.nodeValue = node.nodeValue.replace(fromHeading, heading.replace('{no}', to + 1));
+                }
+            }
+        },
+
+        /**
+         * Set the fields of a line to the values for a new line, and clear any errors.
+         *
+         * @param {int} lineNo the line number.
+         */
+        resetLine: function(lineNo) {
+            var fieldset = drawlinesForm.getLineFieldset(lineNo);
+            fieldset.querySelectorAll('input[name], select[name]').forEach(function(el) {
+                var field = el.name.replace(/\[\d+]$/, ''),
+                    hasDefault = drawlinesForm.lineDefaults.hasOwnProperty(field);
+                if (el.type === 'hidden') {
+                    return;
+                } else if (el.type === 'checkbox') {
+                    el.checked = hasDefault && !!parseInt(drawlinesForm.lineDefaults[field]);
+                } else if (el.tagName === 'SELECT') {
+                    el.value = hasDefault ? String(drawlinesForm.lineDefaults[field]) : el.options[0].value;
+                } else {
+                    el.value = hasDefault ? String(drawlinesForm.lineDefaults[field]) : '';
+                }
+                el.classList.remove('is-invalid');
+            });
+            fieldset.querySelectorAll('.invalid-feedback').forEach(function(feedback) {
+                feedback.textContent = '';
+            });
+            drawlinesForm.updateHiddenFields(lineNo);
+        },
+
+        /**
+         * Hide the fields of a line that do not apply, following the hideif rules of the form.
+         *
+         * The form only sets up these rules for the lines it was loaded with, so this does it for all lines.
+         *
+         * @param {int} lineNo the line number.
+         */
+        updateHiddenFields: function(lineNo) {
+            Object.keys(drawlinesForm.lineHideIfs).forEach(function(field) {
+                var rule = drawlinesForm.lineHideIfs[field],
+                    value = drawlinesForm.getFormValue(rule[0], [lineNo]),
+                    el = drawlinesForm.getEl(field, [lineNo]),
+                    fitem = el ? el.closest('.fitem') : null;
+                if (fitem) {
+                    fitem.hidden = rule[1] === 'in' ? rule[2].indexOf(value) !== -1 : String(rule[2]) === value;
+                }
+            });
+        },
+
+        /**
+         * Record the number of lines, in the form as well, so that all the lines are saved.
+         *
+         * @param {int} noOfLines the number of lines.
+         */
+        setNumberOfLines: function(noOfLines) {
+            drawlinesForm.noOfLines = noOfLines;
+            drawlinesForm.getEl('numberoflines', []).value = noOfLines;
+            drawlinesForm.updateLineActions();
+        },
+
+        /**
+         * Get the fields of a line, in the order they are in the form, which is the same for every line.
+         *
+         * @param {int} lineNo the line number.
+         * @return {HTMLElement[]} the inputs and selects of the line.
+         */
+        getLineFields: function(lineNo) {
+            return Array.from(drawlinesForm.getLineFieldset(lineNo).querySelectorAll('input[name], select[name]'));
+        },
+
+        /**
+         * Get the current state of all the lines, as recorded for undo.
+         *
+         * @return {Array[]} for each line, the values of all its fields. There is one entry for each line on the form.
+         */
+        getState: function() {
+            var state = [];
+            for (var lineNo = 0; lineNo < drawlinesForm.noOfLines; lineNo++) {
+                state.push(drawlinesForm.getLineFields(lineNo).map(function(el) {
+                    return el.type === 'checkbox' ? el.checked : el.value;
+                }));
+            }
+            return state;
+        },
+
+        /**
+         * Put all the lines back in a previous state, keeping the form and the preview in sync.
+         *
+         * Lines are added to or removed from the end of the form, so that there are as many as in the state.
+         *
+         * @param {Array[]} state as returned by {@link getState}.
+         */
+        restoreState: function(state) {
+            var svg = drawlinesForm.getSvg();
+            while (drawlinesForm.noOfLines > state.length) {
+                drawlinesForm.removeLine(drawlinesForm.noOfLines - 1);
+            }
+            while (drawlinesForm.noOfLines < state.length) {
+                drawlinesForm.appendLine();
+            }
+            state.forEach(function(values, lineNo) {
+                var dropZone = drawlinesForm.dropZones[lineNo];
+                drawlinesForm.getLineFields(lineNo).forEach(function(el, index) {
+                    if (el.type === 'checkbox') {
+                        el.checked = values[index];
+                    } else {
+                        el.value = values[index];
+                    }
+                });
+                drawlinesForm.updateHiddenFields(lineNo);
+                dropZone.updateCoordinatesFromForm(svg);
+                dropZone.changeShape(svg);
+                dropZone.updateLabel();
+            });
+            drawlinesForm.updateArrangeButtons();
+        },
+
+        /**
+         * Add the state before a change to the undo history, if the change did anything.
+         *
+         * Repeated key presses on the same line or handle are recorded as a single change, so that they can be
+         * undone in one go.
+         *
+         * @param {String} [keyMove] identifies the line and handle, when the change was made using the keyboard.
+         */
+        recordChange: function(keyMove) {
+            var now = Date.now(),
+                isSameKeyMove = keyMove !== undefined && drawlinesForm.lastKeyMove !== null &&
+                    drawlinesForm.lastKeyMove.key === keyMove && now - drawlinesForm.lastKeyMove.time < 1000,
+                state = drawlinesForm.getState();
+            drawlinesForm.lastKeyMove = keyMove === undefined ? null : {key: keyMove, time: now};
+            if (JSON.stringify(state) === JSON.stringify(drawlinesForm.savedState)) {
+                return;
+            }
+            if (!isSameKeyMove || drawlinesForm.undoStack.length === 0) {
+                drawlinesForm.undoStack.push(drawlinesForm.savedState);
+            }
+            drawlinesForm.savedState = state;
+            drawlinesForm.redoStack = [];
+            drawlinesForm.updateHistoryButtons();
+        },
+
+        /**
+         * Start the undo history, when the form is loaded.
+         */
+        clearHistory: function() {
+            drawlinesForm.undoStack = [];
+            drawlinesForm.redoStack = [];
+            drawlinesForm.savedState = drawlinesForm.getState();
+            drawlinesForm.lastKeyMove = null;
+            drawlinesForm.updateHistoryButtons();
+        },
+
+        /**
+         * Undo the last change.
+         */
+        undo: function() {
+            if (drawlinesForm.undoStack.length === 0) {
+                return;
+            }
+            drawlinesForm.redoStack.push(drawlinesForm.getState());
+            drawlinesForm.restoreState(drawlinesForm.undoStack.pop());
+            drawlinesForm.savedState = drawlinesForm.getState();
+            drawlinesForm.lastKeyMove = null;
+            drawlinesForm.updateHistoryButtons();
+        },
+
+        /**
+         * Redo the last change that was undone.
+         */
+        redo: function() {
+            if (drawlinesForm.redoStack.length === 0) {
+                return;
+            }
+            drawlinesForm.undoStack.push(drawlinesForm.getState());
+            drawlinesForm.restoreState(drawlinesForm.redoStack.pop());
+            drawlinesForm.savedState = drawlinesForm.getState();
+            drawlinesForm.lastKeyMove = null;
+            drawlinesForm.updateHistoryButtons();
+        },
+
+        /**
+         * Enable the undo and redo buttons when there is something to undo or redo.
+         */
+        updateHistoryButtons: function() {
+            var undoButton = document.querySelector('fieldset#id_previewareaheader .drawlines-history .undo'),
+                redoButton = document.querySelector('fieldset#id_previewareaheader .drawlines-history .redo');
+            if (undoButton) {
+                undoButton.disabled = drawlinesForm.undoStack.length === 0;
+            }
+            if (redoButton) {
+                redoButton.disabled = drawlinesForm.redoStack.length === 0;
+            }
+        },
+
+        /**
+         * Handle the undo (Ctrl+Z) and redo (Ctrl+Y or Ctrl+Shift+Z) keyboard shortcuts in the preview.
+         *
+         * @param {KeyboardEvent} e
+         */
+        handleHistoryKeys: function(e) {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || e.target.matches('input, select, textarea')) {
+                return;
+            }
+            if (e.code === 'KeyZ' && !e.shiftKey) {
+                e.preventDefault();
+                drawlinesForm.undo();
+            } else if (e.code === 'KeyY' || (e.code === 'KeyZ' && e.shiftKey)) {
+                e.preventDefault();
+                drawlinesForm.redo();
+            }
+        },
+
     };
 
     /**
@@ -870,7 +2021,9 @@ define(['jquery', 'core/dragdrop', 'qtype_drawlines/line'], function($, dragDrop
     return {
         /**
          * Initialise the form javascript features.
-         * @param {Object} maxBgimageSize object with two properties: width and height.
+         * @param {Object} lineDefaults the default values of the fields of a new line, by field name.
+         * @param {Object} lineHideIfs the hideif rules of the fields of a line, by field name.
+         * @param {int} linesToAdd how many lines the 'Blanks for more lines' button adds.
          */
         init: drawlinesForm.init
     };
@@ -30,6 +30,110 @@ define(function() {
 
     "use strict";
 
+    /**
+     * @var {Object} the keys that move a handle, or the whole line, one step, and the direction they move it in.
+     */
+    var KEY_STEPS = {
+        ArrowLeft: [-1, 0],
+        KeyA: [-1, 0],
+        ArrowRight: [1, 0],
+        KeyD: [1, 0],
+        ArrowUp: [0, -1],
+        KeyW: [0, -1],
+        ArrowDown: [0, 1],
+        KeyS: [0, 1],
+        // Space and Escape do not move anything, but they do move lines between the drag home area and the image.
+        Space: [0, 0],
+        Escape: [0, 0],
+    };
+
+    /**
+     * @var {Object} the keys that move a handle, or the whole line, as far as possible in one direction.
+     */
+    var KEY_JUMPS = {
+        Home: [-1, 0],
+        End: [1, 0],
+        PageUp: [0, -1],
+        PageDown: [0, 1],
+    };
+
+    /** @var {int} how many screen pixels one step moves, while Shift is held down. */
+    var LARGE_KEY_STEP = 10;
+
+    /** @var {int} how many grid spacings or anchor points one step moves while snapping, while Shift is held down. */
+    var LARGE_SNAP_STEPS = 5;
+
+    /** @var {String} the colour of the lines, unless another colour is chosen for the line. */
+    var DEFAULT_COLOUR = '#000973';
+
+    /** @var {Object} the stroke-dasharray for each dash style. */
+    var DASH_PATTERNS = {
+        solid: 'none',
+        dashed: '10,3',
+        dotted: '1,5'
+    };
+
+    /** @var {Object} the path drawn in a 10 by 10 box, and whether it is filled, for each arrowhead style. */
+    var ARROW_STYLES = {
+        filled: {path: 'M 0 0 L 10 5 L 0 10 z', filled: true, refX: 7},
+        open: {path: 'M 0 0 L 10 5 L 0 10', filled: false, refX: 9},
+        bar: {path: 'M 5 0 L 5 10', filled: false, refX: 5}
+    };
+
+    /** @var {int} the distance from the middle of the line to the handle for rotating it. */
+    var ROTATE_HANDLE_DISTANCE = 25;
+
+    /** @var {Object} the keys that rotate the line, anticlockwise (-1) or clockwise (1) on the screen. */
+    var ROTATE_KEYS = {
+        ArrowLeft: -1,
+        ArrowUp: -1,
+        KeyA: -1,
+        KeyW: -1,
+        ArrowRight: 1,
+        ArrowDown: 1,
+        KeyD: 1,
+        KeyS: 1,
+    };
+
+    /** @var {int} how many degrees one key press rotates the line, while Shift is held down. */
+    var LARGE_ROTATE_STEP = 15;
+
+    /** @var {int} the shortest a line waiting in the drag home area is. */
+    var HOME_LINE_LENGTH = 150;
+
+    /** @var {int} the height of a row of lines in the drag home area, when the labels are no taller than HOME_LABEL_HEIGHT. */
+    var HOME_ROW_HEIGHT = 50;
+
+    /** @var {int} the height of a label that fits in a row of HOME_ROW_HEIGHT. */
+    var HOME_LABEL_HEIGHT = 20;
+
+    /** @var {int} the radius of the handles of the lines in the drag home area. */
+    var HOME_HANDLE_RADIUS = 10;
+
+    /** @var {int} the space before the first column of lines in the drag home area, and between the columns. */
+    var HOME_COLUMN_GAP = 40;
+
+    /** @var {int} the smallest space between two labels of one line in the drag home area. */
+    var HOME_LABEL_GAP = 10;
+
+    /** @var {int} the width to allow for each character of a label, when it cannot be measured. */
+    var HOME_CHARACTER_WIDTH = 8;
+
+    /** @var {int} the space between a placed label and its line. */
+    var LABEL_GAP = 10;
+
+    /** @var {int} how much further from its line a label is moved each time, to get out of the way of another. */
+    var LABEL_STEP = 12;
+
+    /** @var {int} how many times a label may be moved further from its line, on each side. */
+    var LABEL_MAX_STEPS = 4;
+
+    /** @var {int} the space kept clear around the ends of a line, for its handles and arrowheads. */
+    var LABEL_END_CLEARANCE = 10;
+
+    /** @var {Number} how far below the middle of a label its baseline is, as a fraction of its height. */
+    var LABEL_BASELINE = 0.3;
+
     /**
      * A point, with x and y coordinates.
      *
@@ -91,6 +195,176 @@ define(function() {
         return new Point(Math.round(bits[0]), Math.round(bits[1]));
     };
 
+    /**
+     * Snap constructor. Class to represent how the line handles snap to a grid or to anchor points while moved.
+     *
+     * @param {String} mode 'none', 'grid' or 'anchors'.
+     * @param {int} gridSpacing the distance between the grid points.
+     * @param {Point} gridOrigin one of the grid points.
+     * @param {Point[]} anchors the points the handles snap to in 'anchors' mode.
+     * @constructor
+     */
+    function Snap(mode, gridSpacing, gridOrigin, anchors) {
+        this.mode = mode || 'none';
+        this.gridSpacing = gridSpacing || 0;
+        this.gridOrigin = gridOrigin || new Point(0, 0);
+        this.anchors = anchors || [];
+    }
+
+    /**
+     * Whether the handles snap at all.
+     *
+     * @return {boolean}
+     */
+    Snap.prototype.isEnabled = function() {
+        return (this.mode === 'grid' && this.gridSpacing > 0) || (this.mode === 'anchors' && this.anchors.length > 0);
+    };
+
+    /**
+     * Get the point a handle dragged to this point snaps to.
+     *
+     * @param {Point} point the unsnapped position.
+     * @return {Point} the nearest grid or anchor point, or a copy of the point if snapping is off.
+     */
+    Snap.prototype.snapPoint = function(point) {
+        if (this.mode === 'grid' && this.gridSpacing > 0) {
+            return new Point(
+                this.gridOrigin.x + Math.round((point.x - this.gridOrigin.x) / this.gridSpacing) * this.gridSpacing,
+                this.gridOrigin.y + Math.round((point.y - this.gridOrigin.y) / this.gridSpacing) * this.gridSpacing);
+        }
+        if (this.mode === 'anchors' && this.anchors.length > 0) {
+            var nearest = this.anchors[0];
+            this.anchors.forEach(function(anchor) {
+                if (distanceSquared(anchor, point) < distanceSquared(nearest, point)) {
+                    nearest = anchor;
+                }
+            });
+            return new Point(nearest.x, nearest.y);
+        }
+        return new Point(point.x, point.y);
+    };
+
+    /**
+     * Get the point a handle moves to when it is moved one step using the keyboard.
+     *
+     * On a grid a step is one grid spacing. With anchors, the handle moves to the nearest anchor in the given direction.
+     *
+     * @param {Point} point the current position.
+     * @param {int} dx -1, 0 or 1, the horizontal direction.
+     * @param {int} dy -1, 0 or 1, the vertical direction.
+     * @return {Point} the new position.
+     */
+    Snap.prototype.step = function(point, dx, dy) {
+        if (this.mode === 'grid' && this.gridSpacing > 0) {
+            return this.snapPoint(point.offset(dx * this.gridSpacing, dy * this.gridSpacing));
+        }
+        if (this.mode === 'anchors' && this.anchors.length > 0) {
+            var next = null;
+            this.anchors.forEach(function(anchor) {
+                if ((anchor.x - point.x) * dx + (anchor.y - point.y) * dy <= 0) {
+                    return;
+                }
+                if (next === null || distanceSquared(anchor, point) < distanceSquared(next, point)) {
+                    next = anchor;
+                }
+            });
+            return next === null ? new Point(point.x, point.y) : new Point(next.x, next.y);
+        }
+        return point.offset(dx, dy);
+    };
+
+    /**
+     * Get the point a handle moves to when a key is pressed, see {@link Line.getKeyboardMove}.
+     *
+     * @param {Point} point the current position.
+     * @param {Object} keyMove how the key moves the handle.
+     * @return {Point} the new position.
+     */
+    Snap.prototype.keyboardTarget = function(point, keyMove) {
+        if (keyMove.steps === 0) {
+            return this.snapPoint(point.offset(keyMove.x, keyMove.y));
+        }
+        var target = point;
+        for (var i = 0; i < keyMove.steps; i++) {
+            target = this.step(target, keyMove.direction.x, keyMove.direction.y);
+        }
+        return target;
+    };
+
+    /**
+     * Measure constructor. Class to represent the scale used to show how long the lines are.
+     *
+     * @param {int} pixels the number of pixels on the background image that are length units in real life,
+     *      or 0 to measure in pixels.
+     * @param {number} length the real length those pixels represent.
+     * @param {String} unit the unit of the real length, for example 'km'.
+     * @constructor
+     */
+    function Measure(pixels, length, unit) {
+        this.pixels = pixels > 0 && length > 0 ? pixels : 0;
+        this.length = length;
+        this.unit = unit || '';
+    }
+
+    /**
+     * Describe a length and a bearing, in the units of this scale.
+     *
+     * @param {number} pixels the length in pixels on the background image.
+     * @param {int} bearing the bearing in degrees.
+     * @return {String} the text to show, for example '12.5 km, bearing 045°'.
+     */
+    Measure.prototype.format = function(pixels, bearing) {
+        var length = Math.round(pixels),
+            unit = M.util.get_string('measurementpixels', 'qtype_drawlines');
+        if (this.pixels > 0) {
+            length = Math.round(pixels * this.length / this.pixels * 10) / 10;
+            unit = this.unit;
+        }
+        return M.util.get_string('measurement', 'qtype_drawlines', {
+            length: length,
+            unit: unit,
+            bearing: ('00' + bearing).slice(-3)
+        }).trim();
+    };
+
+    /**
+     * Where the lines wait in the drag home area, before they are put on the image.
+     *
+     * The lines go in columns, top to bottom and then left to right, which is also their order for the
+     * keyboard. Each line is long enough, and each row tall enough, that the labels do not overlap.
+     * There is only one column, unless that would be taller than maxHeight, then there are as many
+     * columns as fit in maxWidth.
+     *
+     * @param {Object[]} sizes for each line, the startWidth, middleWidth, endWidth and height of its labels.
+     * @param {int} maxWidth the width of the drag home area.
+     * @param {int} maxHeight how tall one column may be, while there is room for another column.
+     * @constructor
+     */
+    function HomeLayout(sizes, maxWidth, maxHeight) {
+        var best = arrangeHomes(sizes, Math.max(1, sizes.length));
+        for (var rows = sizes.length - 1; rows > 0 && best.height > maxHeight; rows--) {
+            var candidate = arrangeHomes(sizes, rows);
+            if (candidate.width > maxWidth) {
+                break;
+            }
+            best = candidate;
+        }
+        this.homes = best.homes;
+        this.width = best.width;
+        this.height = best.height;
+    }
+
+    /**
+     * Get where a line starts and ends when it is in the drag home area.
+     *
+     * @param {int} lineNo the number of the line.
+     * @return {Object} with fields start {Point} and end {Point}.
+     */
+    HomeLayout.prototype.getHome = function(lineNo) {
+        var home = this.homes[lineNo];
+        return {start: new Point(home.start.x, home.start.y), end: new Point(home.end.x, home.end.y)};
+    };
+
     /**
      * Line constructor. Class to represent the different types of drop zone shapes.
      *
@@ -104,9 +378,11 @@ define(function() {
      * @param {String} [labelstart] start label of a line.
      * @param {String} [labelmiddle] middle label of a line.
      * @param {String} [labelend] end label of a line.
+     * @param {Object[]} [middles] the handles between the start and the end of the line (curve control point
+     *      or polyline vertices). Objects have fields centre {Point}, radius {int} and optionally shape {Object}.
      * @constructor
      */
-    function Line(x1, y1, startRadius, x2, y2, endRadius, lineType, labelstart, labelmiddle, labelend) {
+    function Line(x1, y1, startRadius, x2, y2, endRadius, lineType, labelstart, labelmiddle, labelend, middles) {
         this.x1 = x1;
         this.y1 = y1;
 
@@ -119,23 +395,55 @@ define(function() {
         this.startRadius = startRadius;
         this.endRadius = endRadius;
 
+        // The shapes of zones that are not circles. See parseZone.
+        this.startShape = null;
+        this.endShape = null;
+
         this.lineType = lineType;
 
         this.labelstart = labelstart;
         this.labelmiddle = labelmiddle;
         this.labelend = labelend;
+
+        this.middles = middles || [];
+
+        this.lockMode = 'none';
+        this.lockedLength = 0;
+        this.lockedDirection = new Point(1, 0);
+
+        this.measure = null;
+
+        this.zoneKind = 'position';
+        this.zoneTolerance = 0;
+
+        this.colour = DEFAULT_COLOUR;
+        this.dashStyle = 'dashed';
+        this.arrowStyle = 'filled';
+
+        this.home = null;
+
+        this.richLabels = ['', '', ''];
     }
     Line.prototype = new Line();
 
     /**
      * Get the type of shape.
      *
-     * @return {String} 'linesinglearrow', 'linedoublearrows', 'lineinfinite'.
+     * @return {String} 'linesinglearrow', 'linedoublearrows', 'lineinfinite', 'linecurved', 'linecurvedarrow', 'linepolyline'.
      */
     Line.prototype.getType = function() {
         return this.lineType;
     };
 
+    /**
+     * Whether the line is drawn as a quadratic Bézier curve, using the first middle handle as control point.
+     *
+     * @return {boolean}
+     */
+    Line.prototype.isCurved = function() {
+        return isCurvedType(this.lineType);
+    };
+
     /**
      * Get the string representation of this shape.
      *
@@ -143,11 +451,52 @@ define(function() {
      */
     Line.prototype.getCoordinates = function() {
         return [
-            this.centre1.x + ',' + this.centre1.y + ';' + this.startRadius,
-            this.centre2.x + ',' + this.centre2.y + ';' + this.endRadius
+            formatZone(this.centre1, this.startRadius, this.startShape),
+            formatZone(this.centre2, this.endRadius, this.endShape),
+            this.middles.map(function(middle) {
+                return formatZone(middle.centre, middle.radius, middle.shape);
+            }).join(' ')
         ];
     };
 
+    /**
+     * Get the response string for this line, as saved in the hidden input of the question.
+     *
+     * The format is 'x1,y1 x2,y2' for straight lines, 'x1,y1 mx,my ... x2,y2' for curves and polylines,
+     * and for infinite lines the points where the line leaves the image are added at either end.
+     *
+     * @param {SVGElement} svgEl the SVG representation of this shape.
+     * @return {String} the coordinates of the line.
+     */
+    Line.prototype.getResponseCoordinates = function(svgEl) {
+        if (this.isCurved()) {
+            return [this.centre1].concat(this.middles.map(function(middle) {
+                return middle.centre;
+            }), [this.centre2]).join(' ');
+        }
+        return svgEl.childNodes[0].getAttribute('points');
+    };
+
+    /**
+     * Get the point at which the middle label is displayed.
+     *
+     * @return {Point} the middle of the line.
+     */
+    Line.prototype.getMiddlePoint = function() {
+        if (this.isCurved() && this.middles.length) {
+            // The point on the curve at t = 0.5.
+            var control = this.middles[0].centre;
+            return new Point((this.centre1.x + 2 * control.x + this.centre2.x) / 4,
+                (this.centre1.y + 2 * control.y + this.centre2.y) / 4);
+        }
+        var points = [this.centre1].concat(this.middles.map(function(middle) {
+            return middle.centre;
+        }), [this.centre2]);
+        var first = points[Math.floor((points.length - 1) / 2)],
+            second = points[Math.ceil((points.length - 1) / 2)];
+        return new Point((first.x + second.x) / 2, (first.y + second.y) / 2);
+    };
+
     /**
      * Create the svg group with line.
      *
@@ -157,8 +506,7 @@ define(function() {
      * @return {SVGElement} SVG representation of this shape.
      */
     Line.prototype.makeSvg = function(svg, bgImageWidth, bgImageHeight) {
-        addLineArrow(svg);
-        var svgEl = createSvgShapeGroup(svg, 'polyline');
+        var svgEl = createSvgShapeGroup(svg, this.isCurved() ? 'path' : 'polyline');
         this.updateSvg(svgEl, bgImageWidth, bgImageHeight);
         return svgEl;
     };
@@ -174,22 +522,51 @@ define(function() {
         // Set line attributes.
         this.drawLine(svgEl, bgImageWidth, bgImageHeight);
 
-        // Set start and end circle attributes.
+        // Set start and end circle attributes. Zones of other shapes are drawn by the zone shapes path instead.
         svgEl.childNodes[1].setAttribute('cx', this.centre1.x);
         svgEl.childNodes[1].setAttribute('cy', this.centre1.y);
-        svgEl.childNodes[1].setAttribute('r', Math.abs(this.startRadius));
+        svgEl.childNodes[1].setAttribute('r', this.startShape ? 0 : Math.abs(this.startRadius));
 
         svgEl.childNodes[2].setAttribute('cx', this.centre2.x);
         svgEl.childNodes[2].setAttribute('cy', this.centre2.y);
-        svgEl.childNodes[2].setAttribute('r', Math.abs(this.endRadius));
+        svgEl.childNodes[2].setAttribute('r', this.endShape ? 0 : Math.abs(this.endRadius));
+
+        // Set the middle circle attributes, adding or removing circles if the number of handles changed.
+        var middleGroup = svgEl.childNodes[6];
+        while (middleGroup.childNodes.length > this.middles.length) {
+            middleGroup.removeChild(middleGroup.lastChild);
+        }
+        while (middleGroup.childNodes.length < this.middles.length) {
+            var middleEl = createSvgElement(middleGroup, 'circle');
+            middleEl.setAttribute('class', 'middlecircle shape');
+            middleEl.setAttribute('role', 'button');
+            middleEl.setAttribute('data-middle-no', middleGroup.childNodes.length - 1);
+        }
+        for (var i = 0; i < this.middles.length; i++) {
+            middleGroup.childNodes[i].setAttribute('cx', this.middles[i].centre.x);
+            middleGroup.childNodes[i].setAttribute('cy', this.middles[i].centre.y);
+            middleGroup.childNodes[i].setAttribute('r', this.middles[i].shape ? 0 : Math.abs(this.middles[i].radius));
+        }
+
+        // Set the rotate handle attributes, and hide it if the angle of the line is locked.
+        var rotatePoint = this.getRotateHandlePoint();
+        svgEl.childNodes[7].setAttribute('cx', rotatePoint.x);
+        svgEl.childNodes[7].setAttribute('cy', rotatePoint.y);
+        svgEl.childNodes[7].setAttribute('r', 6);
+        svgEl.childNodes[7].style.display = this.canRotate() ? '' : 'none';
 
         // If the svg g element is already placed in dropzone, then add the keyboard support.
         var svgClass = svgEl.getAttribute('class');
         if (svgClass && svgClass.includes('placed')) {
-            svgEl.childNodes[1].setAttribute('tabindex', '0');
-            svgEl.childNodes[2].setAttribute('tabindex', '0');
+            setHandlesTabIndex(svgEl, '0');
         }
         this.updateSvgLabels(svgEl, bgImageWidth, bgImageHeight);
+        svgEl.childNodes[9].setAttribute('d', this.getToleranceZonePath());
+        svgEl.childNodes[10].setAttribute('d', this.getAllHandles().filter(function(handle) {
+            return handle.shape;
+        }).map(function(handle) {
+            return getZoneShapePath(handle.centre, handle.radius, handle.shape);
+        }).join(' '));
     };
 
     /**
@@ -201,18 +578,27 @@ define(function() {
      */
     Line.prototype.updateSvgLabels = function(svgEl, bgImageWidth, bgImageHeight) {
         // Set start and end label attributes.
-        svgEl.childNodes[3].textContent = this.labelstart;
-        this.adjustTextPosition(svgEl.childNodes[3], this.centre1.x, this.centre1.y,
-            bgImageWidth, bgImageHeight);
-
-        svgEl.childNodes[4].textContent = this.labelmiddle;
-        let middlex = Math.abs((this.centre1.x + this.centre2.x) / 2);
-        let middley = Math.abs((this.centre1.y + this.centre2.y) / 2);
-        this.adjustTextPosition(svgEl.childNodes[4], parseInt(middlex), parseInt(middley), bgImageWidth, bgImageHeight);
-
-        svgEl.childNodes[5].textContent = this.labelend;
-        this.adjustTextPosition(svgEl.childNodes[5], this.centre2.x, this.centre2.y,
-            bgImageWidth, bgImageHeight);
+        this.adjustTextPosition(setLabelContent(svgEl, 3, this.labelstart, this.richLabels[0]),
+            this.centre1.x, this.centre1.y, bgImageWidth, bgImageHeight);
+
+        let middlePoint = this.getMiddlePoint();
+        let middlex = Math.abs(middlePoint.x);
+        let middley = Math.abs(middlePoint.y);
+        this.adjustTextPosition(setLabelContent(svgEl, 4, this.labelmiddle, this.richLabels[1]),
+            parseInt(middlex), parseInt(middley), bgImageWidth, bgImageHeight);
+
+        this.adjustTextPosition(setLabelContent(svgEl, 5, this.labelend, this.richLabels[2]),
+            this.centre2.x, this.centre2.y, bgImageWidth, bgImageHeight);
+
+        // The measurements go on the other side of the line from the rotate handle, clear of the middle label.
+        var measurementEl = svgEl.childNodes[8];
+        measurementEl.textContent = this.getMeasurementText();
+        if (measurementEl.textContent !== '') {
+            var rotatePoint = this.getRotateHandlePoint(),
+                pivot = this.getPivot();
+            this.adjustTextPosition(measurementEl, Math.round(2 * pivot.x - rotatePoint.x),
+                Math.round(2 * pivot.y - rotatePoint.y), bgImageWidth, bgImageHeight);
+        }
     };
 
     /**
@@ -228,23 +614,85 @@ define(function() {
         const padding = 20;
 
         // Text element dimensions.
-        const bbox = svgTextEl.getBBox();
-        const textWidth = bbox.width;
+        const size = getLabelSize(svgTextEl);
+        const textWidth = size.width;
 
-        svgTextEl.setAttribute('x', linex);
-        svgTextEl.setAttribute('y', liney + padding);
+        let x = linex;
+        let y = liney + padding;
 
         // Recalculate the position of x and y coordinates of text, to make sure the text content is fully displayed.
         if (linex < textWidth / 2) {
-            svgTextEl.setAttribute('x', Math.abs(parseInt(textWidth / 2)));
+            x = Math.abs(parseInt(textWidth / 2));
         } else if ((linex + (textWidth / 2)) > bgImageWidth) {
-            svgTextEl.setAttribute('x', Math.abs(parseInt(bgImageWidth - (textWidth / 2))));
+            x = Math.abs(parseInt(bgImageWidth - (textWidth / 2)));
         }
 
         if (liney + padding > bgImageHeight) {
             // Adjust if the line is very near to the bottom of the svg.
-            svgTextEl.setAttribute('y', liney - padding);
+            y = liney - padding;
+        }
+        positionLabel(svgTextEl, x, y, size);
+    };
+
+    /**
+     * Set the labels that are shown as HTML, rather than as plain text.
+     *
+     * @param {String[]} [richLabels] the start, middle and end labels as HTML, or '' for those shown as plain text.
+     */
+    Line.prototype.setRichLabels = function(richLabels) {
+        this.richLabels = richLabels || ['', '', ''];
+    };
+
+
+    /**
+     * Get where the labels of this line are shown, and which way the line goes there.
+     *
+     * @return {Object[]} for each label, with fields nodeNo (the child of the svg g element it is),
+     *      anchor {Point} and direction {Point}, a unit vector along the line. Labels at the ends of the line
+     *      also have the field outwards {Point}, the unit vector pointing away from the line.
+     */
+    Line.prototype.getLabelAnchors = function() {
+        var points = this.getOutline(),
+            last = points.length - 1,
+            middle = this.getMiddlePoint(),
+            middleNo = Math.max(1, Math.ceil(last / 2)),
+            along = getDirection(this.centre1, this.centre2, new Point(1, 0)),
+            startDirection = getDirection(points[0], points[1], along),
+            endDirection = getDirection(points[last - 1], points[last], along),
+            anchors = [
+                {nodeNo: 3, anchor: this.centre1, direction: startDirection,
+                    outwards: new Point(-startDirection.x, -startDirection.y)},
+                {nodeNo: 4, anchor: middle, direction: getDirection(points[middleNo - 1], points[middleNo], along)},
+                {nodeNo: 5, anchor: this.centre2, direction: endDirection, outwards: endDirection}
+            ];
+        if (this.getMeasurementText() !== '') {
+            var rotatePoint = this.getRotateHandlePoint(),
+                pivot = this.getPivot();
+            anchors.push({nodeNo: 8, anchor: new Point(Math.round(2 * pivot.x - rotatePoint.x),
+                Math.round(2 * pivot.y - rotatePoint.y)), direction: along});
+        }
+        return anchors;
+    };
+
+    /**
+     * Get the points the line goes through, close enough together to follow curves.
+     *
+     * @return {Point[]} the points, from the start to the end of the line.
+     */
+    Line.prototype.getOutline = function() {
+        if (this.isCurved()) {
+            var control = this.middles.length ? this.middles[0].centre : this.getMiddlePoint(),
+                points = [];
+            for (var i = 0; i <= 8; i++) {
+                var t = i / 8;
+                points.push(new Point((1 - t) * (1 - t) * this.centre1.x + 2 * t * (1 - t) * control.x + t * t * this.centre2.x,
+                    (1 - t) * (1 - t) * this.centre1.y + 2 * t * (1 - t) * control.y + t * t * this.centre2.y));
+            }
+            return points;
         }
+        return [this.centre1].concat(this.middles.map(function(middle) {
+            return middle.centre;
+        }), [this.centre2]);
     };
 
     /**
@@ -256,23 +704,31 @@ define(function() {
      */
     Line.prototype.drawLine = function(svgEl, bgImageWidth, bgImageHeight) {
         // Set attributes for the polyline.
-        svgEl.childNodes[0].style.stroke = "#000973";
+        svgEl.childNodes[0].style.stroke = this.colour;
         svgEl.childNodes[0].style['stroke-width'] = "3";
-        svgEl.childNodes[0].style['stroke-dasharray'] = "10,3";
+        svgEl.childNodes[0].style['stroke-dasharray'] = DASH_PATTERNS[this.dashStyle];
+        svgEl.childNodes[0].style['stroke-linecap'] = this.dashStyle === 'dotted' ? 'round' : '';
 
-        var points = this.centre1.x + "," + this.centre1.y + " " + this.centre2.x + "," + this.centre2.y;
+        if (this.isCurved()) {
+            this.drawCurve(svgEl);
+            return;
+        }
+
+        var points = [this.centre1].concat(this.middles.map(function(middle) {
+            return middle.centre;
+        }), [this.centre2]).join(' ');
         svgEl.childNodes[0].setAttribute('points', points);
 
         // Set attributes to display line based on linetype.
         switch (this.lineType) {
             case 'linesinglearrow':
-                svgEl.childNodes[0].style['marker-end'] = "url(#arrow)";
+                svgEl.childNodes[0].style['marker-end'] = this.getArrowMarker(svgEl);
                 svgEl.childNodes[0].setAttribute('class', 'shape singlearrow');
                 break;
 
             case 'linedoublearrows':
-                svgEl.childNodes[0].style['marker-start'] = "url(#arrow)";
-                svgEl.childNodes[0].style['marker-end'] = "url(#arrow)";
+                svgEl.childNodes[0].style['marker-start'] = this.getArrowMarker(svgEl);
+                svgEl.childNodes[0].style['marker-end'] = this.getArrowMarker(svgEl);
                 svgEl.childNodes[0].setAttribute('class', 'shape doublearrows');
                 break;
 
@@ -283,9 +739,56 @@ define(function() {
                 svgEl.childNodes[0].setAttribute('points', infiniteLine);
                 svgEl.childNodes[0].setAttribute('class', 'shape infinite');
                 break;
+
+            case 'linepolyline':
+                svgEl.childNodes[0].style.fill = 'none';
+                svgEl.childNodes[0].setAttribute('class', 'shape polyline');
+                break;
+        }
+    };
+
+    /**
+     * Update svg path attributes for the curved line types.
+     *
+     * @param {SVGElement} svgEl the SVG representation of the shape.
+     */
+    Line.prototype.drawCurve = function(svgEl) {
+        var control = this.middles.length ? this.middles[0].centre : this.getMiddlePoint();
+        svgEl.childNodes[0].style.fill = 'none';
+        svgEl.childNodes[0].setAttribute('d', 'M ' + this.centre1.x + ' ' + this.centre1.y +
+            ' Q ' + control.x + ' ' + control.y + ' ' + this.centre2.x + ' ' + this.centre2.y);
+        if (this.lineType === 'linecurvedarrow') {
+            svgEl.childNodes[0].style['marker-end'] = this.getArrowMarker(svgEl);
+            svgEl.childNodes[0].setAttribute('class', 'shape curvedarrow');
+        } else {
+            svgEl.childNodes[0].setAttribute('class', 'shape curved');
         }
     };
 
+    /**
+     * Set how the line looks.
+     *
+     * @param {String} [colour] the colour in '#rrggbb' format, or empty for the default colour.
+     * @param {String} [dashStyle] 'solid', 'dashed' or 'dotted'.
+     * @param {String} [arrowStyle] the arrowheads of arrow line types, 'filled', 'open' or 'bar'.
+     */
+    Line.prototype.setStyle = function(colour, dashStyle, arrowStyle) {
+        this.colour = /^#[0-9a-f]{6}$/i.test(colour || '') ? colour : DEFAULT_COLOUR;
+        this.dashStyle = DASH_PATTERNS.hasOwnProperty(dashStyle) ? dashStyle : 'dashed';
+        this.arrowStyle = ARROW_STYLES.hasOwnProperty(arrowStyle) ? arrowStyle : 'filled';
+    };
+
+    /**
+     * Get the arrowhead for this line, adding the marker for its style and colour to the SVG if it is not there yet.
+     *
+     * @param {SVGElement} svgEl the SVG representation of the shape.
+     * @return {String} the value for the marker-start or marker-end style.
+     */
+    Line.prototype.getArrowMarker = function(svgEl) {
+        var svg = svgEl.closest('svg') || svgEl.parentNode;
+        return 'url(#' + addLineArrow(svg, this.arrowStyle, this.colour) + ')';
+    };
+
     /**
      * Get the minimum and maximum endpoints of the line to draw an infinite line.
      *
@@ -343,16 +846,17 @@ define(function() {
     /**
      * Parse the coordinates from the string representation.
      *
-     * @param {String} startcoordinates "x1,y1;radius".
-     * @param {String} endcoordinates "x1,y1;radius".
+     * @param {String} startcoordinates "x1,y1;radius", or one of the other zone shapes of parseZone.
+     * @param {String} endcoordinates "x1,y1;radius", or one of the other zone shapes of parseZone.
      * @param {float} ratio .
-     * @return {boolean} True if the coordinates are valid and parsed. Throws an exception if input point is not valid.
+     * @param {String} [middlecoordinates] "x1,y1;radius x2,y2;radius ..." for the handles between start and end.
+     * @return {boolean} True if the coordinates are parsed. They should be checked before, as in validateFormCoordinates.
      */
-    Line.prototype.parse = function(startcoordinates, endcoordinates, ratio) {
-        var startcoordinatesbits = startcoordinates.split(';');
-        var endcoordinatesbits = endcoordinates.split(';');
-        this.centre1 = Point.parse(startcoordinatesbits[0]);
-        this.centre2 = Point.parse(endcoordinatesbits[0]);
+    Line.prototype.parse = function(startcoordinates, endcoordinates, ratio, middlecoordinates) {
+        var startZone = parseZone(startcoordinates);
+        var endZone = parseZone(endcoordinates);
+        this.centre1 = startZone.centre;
+        this.centre2 = endZone.centre;
         this.centre1.x = this.centre1.x * parseFloat(ratio);
         this.centre1.y = this.centre1.y * parseFloat(ratio);
         this.x1 = this.centre1.x * parseFloat(ratio);
@@ -361,111 +865,740 @@ define(function() {
         this.y2 = this.centre2.y * parseFloat(ratio);
         this.centre2.x = this.centre2.x * parseFloat(ratio);
         this.centre2.y = this.centre2.y * parseFloat(ratio);
-        this.startRadius = Math.round(startcoordinatesbits[1]) * parseFloat(ratio);
-        this.endRadius = Math.round(endcoordinatesbits[1]) * parseFloat(ratio);
+        this.startRadius = startZone.radius * parseFloat(ratio);
+        this.endRadius = endZone.radius * parseFloat(ratio);
+        this.startShape = scaleZoneShape(startZone.shape, parseFloat(ratio));
+        this.endShape = scaleZoneShape(endZone.shape, parseFloat(ratio));
+        if (middlecoordinates !== undefined) {
+            this.middles = parseMiddles(middlecoordinates).map(function(middle) {
+                middle.centre.x = middle.centre.x * parseFloat(ratio);
+                middle.centre.y = middle.centre.y * parseFloat(ratio);
+                middle.radius = middle.radius * parseFloat(ratio);
+                middle.shape = scaleZoneShape(middle.shape, parseFloat(ratio));
+                return middle;
+            });
+        }
 
         return true;
     };
 
     /**
-     * Move the entire shape by this offset.
+     * Get the position of one of the handles.
      *
-     * @param {String} whichHandle which circle handle was moved, i.e., startcircle or endcircle.
-     * @param {int} dx x offset.
-     * @param {int} dy y offset.
-     * @param {int} maxX ensure that after editing, the shape lies between 0 and maxX on the x-axis.
-     * @param {int} maxY ensure that after editing, the shape lies between 0 and maxX on the y-axis.
+     * @param {String} whichHandle startcircle, endcircle, middlecircle or line. The start is used for the whole line.
+     * @param {int} [middleNo] which middle handle, when whichHandle is middlecircle.
+     * @return {Point} a copy of the position of the handle.
      */
-    Line.prototype.move = function(whichHandle, dx, dy, maxX, maxY) {
-        if (whichHandle === 'startcircle') {
-            this.centre1.move(dx, dy);
-            if (this.centre1.x < this.startRadius) {
-                this.centre1.x = this.startRadius;
-                this.x1 = this.startRadius;
-            }
-            if (this.centre1.x > maxX - this.startRadius) {
-                this.centre1.x = maxX - this.startRadius;
-                this.x1 = maxX - this.startRadius;
-            }
-            if (this.centre1.y < this.startRadius) {
-                this.centre1.y = this.startRadius;
-                this.y1 = this.startRadius;
-            }
-            if (this.centre1.y > maxY - this.startRadius) {
-                this.centre1.y = maxY - this.startRadius;
-                this.y1 = maxY - this.startRadius;
-            }
-        } else {
-            this.centre2.move(dx, dy);
-            if (this.centre2.x < this.endRadius) {
-                this.centre2.x = this.endRadius;
-                this.x2 = this.endRadius;
-            }
-            if (this.centre2.x > maxX - this.endRadius) {
-                this.centre2.x = maxX - this.endRadius;
-                this.x2 = maxX - this.endRadius;
-            }
-            if (this.centre2.y < this.endRadius) {
-                this.centre2.y = this.endRadius;
-                this.y2 = this.endRadius;
-            }
-            if (this.centre2.y > maxY - this.endRadius) {
-                this.centre2.y = maxY - this.endRadius;
-                this.y2 = maxY - this.endRadius;
-            }
+    Line.prototype.getHandlePoint = function(whichHandle, middleNo) {
+        if (whichHandle === 'middlecircle' && this.middles[middleNo]) {
+            return new Point(this.middles[middleNo].centre.x, this.middles[middleNo].centre.y);
+        } else if (whichHandle === 'endcircle') {
+            return new Point(this.centre2.x, this.centre2.y);
         }
+        return new Point(this.centre1.x, this.centre1.y);
     };
 
     /**
-     * Move the line end points by this offset.
+     * Move a handle, or the whole line, so that the handle ends up on the snapped position of a point.
      *
-     * @param {int} dx x offset.
-     * @param {int} dy y offset.
+     * @param {Snap} snap the snapping settings.
+     * @param {String} whichHandle startcircle, endcircle, middlecircle or line to move the whole line by its start.
+     * @param {Point} point where the handle would be without snapping.
      * @param {int} maxX ensure that after editing, the shape lies between 0 and maxX on the x-axis.
      * @param {int} maxY ensure that after editing, the shape lies between 0 and maxX on the y-axis.
+     * @param {int} [middleNo] which middle handle, when whichHandle is middlecircle.
      */
-    Line.prototype.moveDrags = function(dx, dy, maxX, maxY) {
-        // Move the lines in the dropzones.
-        this.centre1.move(dx, dy);
-        this.centre2.move(dx, dy);
-        if (this.centre1.x < this.startRadius) {
-            this.centre1.x = this.startRadius;
-            this.x1 = this.startRadius;
-        }
-        if (this.centre1.x > maxX - this.startRadius) {
-            this.centre1.x = maxX - this.startRadius;
-            this.x1 = maxX - this.startRadius;
-        }
-        if (this.centre2.x < this.endRadius) {
-            this.centre2.x = this.endRadius;
-            this.x2 = this.endRadius;
-        }
-        if (this.centre2.x > maxX - this.endRadius) {
-            this.centre2.x = maxX - this.endRadius;
-            this.x2 = maxX - this.endRadius;
-        }
-        if (this.centre1.y < this.startRadius) {
-            this.centre1.y = this.startRadius;
-            this.y1 = this.startRadius;
-        }
-        if (this.centre1.y > maxY - this.startRadius) {
-            this.centre1.y = maxY - this.startRadius;
-            this.y1 = maxY - this.startRadius;
+    Line.prototype.moveSnapped = function(snap, whichHandle, point, maxX, maxY, middleNo) {
+        var target = snap.snapPoint(point),
+            current = this.getHandlePoint(whichHandle, middleNo);
+        if (whichHandle === 'line') {
+            this.moveDrags(target.x - current.x, target.y - current.y, maxX, maxY);
+        } else if (this.isLocked() && whichHandle !== 'middlecircle') {
+            this.setEndIfOnImage(whichHandle, this.constrainEnd(whichHandle, target), maxX, maxY);
+        } else {
+            this.move(whichHandle, target.x - current.x, target.y - current.y, maxX, maxY, middleNo);
         }
-        if (this.centre2.y < this.endRadius) {
-            this.centre2.y = this.endRadius;
-            this.y2 = this.endRadius;
+    };
+
+    /**
+     * Work out how far a key press moves a handle, or the whole line.
+     *
+     * The arrow keys (or W, A, S and D) move one screen pixel, or LARGE_KEY_STEP screen pixels while Shift is
+     * held down, so moving feels the same however much the image is scaled. Alt moves one pixel of the image,
+     * which is the finest step possible, and is less than a screen pixel when the image is shown smaller than
+     * its real size. Home, End, Page up and Page down move as far as possible while keeping the handle,
+     * or the whole line, on the image.
+     *
+     * @param {KeyboardEvent} event the key press.
+     * @param {String} whichHandle startcircle, endcircle, middlecircle or line to move the whole line.
+     * @param {int} [middleNo] which middle handle, when whichHandle is middlecircle.
+     * @param {number} bgRatio the size the image is shown at, divided by its real size.
+     * @param {int} maxX the width of the image.
+     * @param {int} maxY the height of the image.
+     * @return {Object|null} with fields x and y, the offset to move by, direction, a Point with the direction of
+     *      a step, and steps, the number of steps to take while snapping, which is 0 for the keys that jump.
+     *      Null if the key does not move anything.
+     */
+    Line.prototype.getKeyboardMove = function(event, whichHandle, middleNo, bgRatio, maxX, maxY) {
+        if (KEY_JUMPS.hasOwnProperty(event.code)) {
+            var jump = KEY_JUMPS[event.code],
+                handles = this.getAllHandles();
+            if (whichHandle !== 'line') {
+                handles = [{
+                    centre: this.getHandlePoint(whichHandle, middleNo),
+                    radius: this.getHandleRadius(whichHandle, middleNo)
+                }];
+            }
+            // Go as far as the handle that is nearest to the edge of the image can go.
+            var offsets = handles.map(function(handle) {
+                var radius = Math.abs(handle.radius);
+                return new Point(
+                    jump[0] < 0 ? radius - handle.centre.x : maxX - radius - handle.centre.x,
+                    jump[1] < 0 ? radius - handle.centre.y : maxY - radius - handle.centre.y
+                );
+            });
+            var nearest = function(values) {
+                return values.reduce(function(a, b) {
+                    return Math.abs(a) < Math.abs(b) ? a : b;
+                });
+            };
+            return {
+                x: jump[0] === 0 ? 0 : nearest(offsets.map(function(offset) {
+                    return offset.x;
+                })),
+                y: jump[1] === 0 ? 0 : nearest(offsets.map(function(offset) {
+                    return offset.y;
+                })),
+                direction: new Point(jump[0], jump[1]),
+                steps: 0
+            };
         }
-        if (this.centre2.y > maxY - this.endRadius) {
-            this.centre2.y = maxY - this.endRadius;
-            this.y2 = maxY - this.endRadius;
+        if (KEY_STEPS.hasOwnProperty(event.code)) {
+            var direction = KEY_STEPS[event.code],
+                size = 1;
+            if (!event.altKey) {
+                size = Math.max(1, Math.round((event.shiftKey ? LARGE_KEY_STEP : 1) / (bgRatio || 1)));
+            }
+            return {
+                x: direction[0] * size,
+                y: direction[1] * size,
+                direction: new Point(direction[0], direction[1]),
+                steps: event.shiftKey ? LARGE_SNAP_STEPS : 1
+            };
         }
+        return null;
     };
 
     /**
-     * Move the g element between the dropzones and dragHomes.
+     * Get the radius of one of the handles.
      *
-     * @param {String} eventType Whether it's a mouse event or a keyboard event.
+     * @param {String} whichHandle startcircle, endcircle or middlecircle.
+     * @param {int} [middleNo] which middle handle, when whichHandle is middlecircle.
+     * @return {int} the radius.
+     */
+    Line.prototype.getHandleRadius = function(whichHandle, middleNo) {
+        if (whichHandle === 'middlecircle' && this.middles[middleNo]) {
+            return this.middles[middleNo].radius;
+        } else if (whichHandle === 'endcircle') {
+            return this.endRadius;
+        }
+        return this.startRadius;
+    };
+
+    /**
+     * Lock the length or the angle of the line, so moving one end keeps the length, or the angle, the same.
+     *
+     * The locked length and angle are those of the line from the centre of the start zone to the centre
+     * of the end zone, so that the line can still be placed correctly.
+     *
+     * @param {String} mode 'none', 'length' or 'angle'.
+     * @param {String} zoneStart the start zone in 'x,y;r' format.
+     * @param {String} zoneEnd the end zone in 'x,y;r' format.
+     */
+    Line.prototype.setLock = function(mode, zoneStart, zoneEnd) {
+        this.lockMode = 'none';
+        if (mode !== 'length' && mode !== 'angle') {
+            return;
+        }
+        var start = Point.parse(zoneStart.split(';')[0]),
+            end = Point.parse(zoneEnd.split(';')[0]),
+            length = Math.sqrt(distanceSquared(start, end));
+        if (length === 0) {
+            return;
+        }
+        this.lockMode = mode;
+        this.lockedLength = length;
+        this.lockedDirection = new Point((end.x - start.x) / length, (end.y - start.y) / length);
+    };
+
+    /**
+     * Whether the length or the angle of this line is locked.
+     *
+     * @return {boolean}
+     */
+    Line.prototype.isLocked = function() {
+        return this.lockMode !== 'none';
+    };
+
+    /**
+     * Whether this line can be rotated, which it can unless its angle is locked.
+     *
+     * @return {boolean}
+     */
+    Line.prototype.canRotate = function() {
+        return this.lockMode !== 'angle';
+    };
+
+    /**
+     * Get the angle of the line from its start to its end, anticlockwise from the x-axis.
+     *
+     * @return {int} the angle in degrees, between -180 and 180.
+     */
+    Line.prototype.getAngle = function() {
+        return Math.round(Math.atan2(this.centre1.y - this.centre2.y, this.centre2.x - this.centre1.x) * 180 / Math.PI);
+    };
+
+    /**
+     * Get the length of the line, from its start to its end.
+     *
+     * @return {number} the length in pixels.
+     */
+    Line.prototype.getLength = function() {
+        return Math.sqrt(distanceSquared(this.centre1, this.centre2));
+    };
+
+    /**
+     * Get the compass bearing of the line from its start to its end, clockwise from straight up.
+     *
+     * @return {int} the bearing in degrees, from 0 to 359.
+     */
+    Line.prototype.getBearing = function() {
+        var bearing = Math.round(Math.atan2(this.centre2.x - this.centre1.x, this.centre1.y - this.centre2.y) * 180 / Math.PI);
+        return (bearing + 360) % 360;
+    };
+
+    /**
+     * Show, or stop showing, the length and the bearing of the line next to it.
+     *
+     * @param {Measure|null} measure the scale to measure the length in, or null to hide the measurements.
+     */
+    Line.prototype.setMeasure = function(measure) {
+        this.measure = measure;
+    };
+
+    /**
+     * Get the text that shows the length and the bearing of the line.
+     *
+     * @return {String} the text, or an empty string if the measurements are not shown.
+     */
+    Line.prototype.getMeasurementText = function() {
+        if (this.measure === null) {
+            return '';
+        }
+        return this.measure.format(this.getLength(), this.getBearing());
+    };
+
+    /**
+     * Show which lines are accepted, when the line is graded by its angle or its length instead of its position.
+     *
+     * This line is then the reference line, from the centre of the start zone to the centre of the end zone.
+     *
+     * @param {String} kind 'position', 'angle', 'length', 'parallel' or 'perpendicular'.
+     * @param {number} tolerance in degrees for the angle kinds, or in pixels for the length.
+     */
+    Line.prototype.setZoneKind = function(kind, tolerance) {
+        this.zoneKind = kind || 'position';
+        this.zoneTolerance = Math.max(0, parseFloat(tolerance) || 0);
+    };
+
+    /**
+     * Get the SVG path that shows which lines are accepted: wedges from the start of the line for the angle kinds,
+     * or a band around the start of the line for the length.
+     *
+     * @return {String} the path data, or an empty string when the line is graded by position.
+     */
+    Line.prototype.getToleranceZonePath = function() {
+        var length = this.getLength(),
+            direction = Math.atan2(this.centre2.y - this.centre1.y, this.centre2.x - this.centre1.x) * 180 / Math.PI,
+            tolerance = Math.min(this.zoneTolerance, 179.5);
+        if (length === 0) {
+            return '';
+        }
+        switch (this.zoneKind) {
+            case 'angle':
+                return this.getWedgePath(direction, tolerance, length);
+            case 'parallel':
+                return this.getWedgePath(direction, Math.min(tolerance, 90), length) + ' ' +
+                    this.getWedgePath(direction + 180, Math.min(tolerance, 90), length);
+            case 'perpendicular':
+                return this.getWedgePath(direction + 90, Math.min(tolerance, 90), length) + ' ' +
+                    this.getWedgePath(direction - 90, Math.min(tolerance, 90), length);
+            case 'length':
+                return getCirclePath(this.centre1, length + this.zoneTolerance) + ' ' +
+                    getCirclePath(this.centre1, Math.max(0, length - this.zoneTolerance));
+            default:
+                return '';
+        }
+    };
+
+    /**
+     * Get the SVG path of a wedge from the start of the line.
+     *
+     * @param {number} direction the direction of the middle of the wedge, in degrees clockwise on the screen from the x-axis.
+     * @param {number} tolerance the angle either side of the middle of the wedge, in degrees.
+     * @param {number} radius how far the wedge reaches.
+     * @return {String} the path data.
+     */
+    Line.prototype.getWedgePath = function(direction, tolerance, radius) {
+        var from = (direction - tolerance) * Math.PI / 180,
+            to = (direction + tolerance) * Math.PI / 180,
+            round = function(value) {
+                return Math.round(value * 10) / 10;
+            };
+        return 'M ' + this.centre1.x + ',' + this.centre1.y +
+            ' L ' + round(this.centre1.x + radius * Math.cos(from)) + ',' + round(this.centre1.y + radius * Math.sin(from)) +
+            ' A ' + round(radius) + ',' + round(radius) + ' 0 ' + (tolerance > 90 ? 1 : 0) + ' 1 ' +
+            round(this.centre1.x + radius * Math.cos(to)) + ',' + round(this.centre1.y + radius * Math.sin(to)) + ' Z';
+    };
+
+    /**
+     * Get where the handle that changes the tolerance goes: on the clockwise edge of the first wedge for the angle
+     * kinds, or on the outside of the band, in the direction of the line, for the length.
+     *
+     * @return {Point|null} the position of the handle, or null when the line is graded by position.
+     */
+    Line.prototype.getToleranceHandlePoint = function() {
+        var length = this.getLength(),
+            direction = Math.atan2(this.centre2.y - this.centre1.y, this.centre2.x - this.centre1.x) * 180 / Math.PI,
+            tolerance = Math.min(this.zoneTolerance, 179.5),
+            reach = length;
+        if (length === 0) {
+            return null;
+        }
+        switch (this.zoneKind) {
+            case 'angle':
+                direction += tolerance;
+                break;
+            case 'parallel':
+                direction += Math.min(tolerance, 90);
+                break;
+            case 'perpendicular':
+                direction += 90 + Math.min(tolerance, 90);
+                break;
+            case 'length':
+                reach += this.zoneTolerance;
+                break;
+            default:
+                return null;
+        }
+        return new Point(Math.round((this.centre1.x + reach * Math.cos(direction * Math.PI / 180)) * 10) / 10,
+            Math.round((this.centre1.y + reach * Math.sin(direction * Math.PI / 180)) * 10) / 10);
+    };
+
+    /**
+     * Change the tolerance, keeping it between 0 and the largest tolerance that makes sense for the zone kind.
+     *
+     * @param {number} tolerance in degrees for the angle kinds, or in pixels for the length.
+     * @return {number} the tolerance that was set.
+     */
+    Line.prototype.setTolerance = function(tolerance) {
+        var max = {angle: 180, parallel: 90, perpendicular: 90}[this.zoneKind];
+        this.zoneTolerance = Math.max(0, max === undefined ? tolerance : Math.min(tolerance, max));
+        return this.zoneTolerance;
+    };
+
+    /**
+     * Set the tolerance so that the edge of the wedge or the band goes through a point, while the tolerance
+     * handle is dragged.
+     *
+     * @param {Point} point where the handle is dragged to.
+     * @return {number} the new tolerance, in whole degrees or pixels.
+     */
+    Line.prototype.setToleranceFromPoint = function(point) {
+        var dx = point.x - this.centre1.x,
+            dy = point.y - this.centre1.y;
+        if (this.zoneKind === 'length') {
+            return this.setTolerance(Math.round(Math.abs(Math.sqrt(dx * dx + dy * dy) - this.getLength())));
+        }
+        // The angle between the line and the direction to the point, from 0 to 180 degrees.
+        var difference = (Math.atan2(dy, dx) - Math.atan2(this.centre2.y - this.centre1.y,
+                this.centre2.x - this.centre1.x)) * 180 / Math.PI;
+        difference = Math.abs((difference % 360 + 540) % 360 - 180);
+        if (this.zoneKind === 'parallel') {
+            difference = Math.min(difference, 180 - difference);
+        } else if (this.zoneKind === 'perpendicular') {
+            difference = Math.abs(90 - difference);
+        }
+        return this.setTolerance(Math.round(difference));
+    };
+
+    /**
+     * Get the point the line rotates about, half way between its start and its end.
+     *
+     * @return {Point} the pivot, which may not be a whole pixel.
+     */
+    Line.prototype.getPivot = function() {
+        return new Point((this.centre1.x + this.centre2.x) / 2, (this.centre1.y + this.centre2.y) / 2);
+    };
+
+    /**
+     * Get where the handle for rotating the line is, a little way from the middle of the line, to one side.
+     *
+     * @return {Point}
+     */
+    Line.prototype.getRotateHandlePoint = function() {
+        var pivot = this.getPivot(),
+            length = Math.sqrt(distanceSquared(this.centre1, this.centre2)),
+            normal = new Point(0, -1);
+        if (length > 0) {
+            normal = new Point((this.centre2.y - this.centre1.y) / length, (this.centre1.x - this.centre2.x) / length);
+        }
+        return new Point(Math.round(pivot.x + normal.x * ROTATE_HANDLE_DISTANCE),
+            Math.round(pivot.y + normal.y * ROTATE_HANDLE_DISTANCE));
+    };
+
+    /**
+     * Get the direction of a point from the middle of the line, for working out how far a drag rotates the line.
+     *
+     * @param {Point} point
+     * @return {number} the angle in degrees, clockwise on the screen from the x-axis.
+     */
+    Line.prototype.getAngleTo = function(point) {
+        var pivot = this.getPivot();
+        return Math.atan2(point.y - pivot.y, point.x - pivot.x) * 180 / Math.PI;
+    };
+
+    /**
+     * Work out how far a key press on the rotate handle should rotate the line.
+     *
+     * The arrow keys rotate by one degree, or 15 degrees with Shift held down, or half a degree with Alt.
+     *
+     * @param {KeyboardEvent} event the key press.
+     * @return {Object|null} with field degrees, clockwise on the screen, or null if it is not a rotate key.
+     */
+    Line.prototype.getKeyboardRotation = function(event) {
+        var direction = ROTATE_KEYS[event.code];
+        if (direction === undefined) {
+            return null;
+        }
+        var degrees = 1;
+        if (event.shiftKey) {
+            degrees = LARGE_ROTATE_STEP;
+        } else if (event.altKey) {
+            degrees = 0.5;
+        }
+        return {degrees: direction * degrees, steps: 1};
+    };
+
+    /**
+     * Rotate the whole line, including any middle handles, about the middle of the line.
+     *
+     * The line is not rotated at all if that would take any of the handles off the image.
+     *
+     * @param {number} degrees the angle to rotate by, clockwise on the screen.
+     * @param {int} maxX ensure that after rotating, the shape lies between 0 and maxX on the x-axis.
+     * @param {int} maxY ensure that after rotating, the shape lies between 0 and maxY on the y-axis.
+     * @return {boolean} whether the line was rotated.
+     */
+    Line.prototype.rotate = function(degrees, maxX, maxY) {
+        var pivot = this.getPivot(),
+            cos = Math.cos(degrees * Math.PI / 180),
+            sin = Math.sin(degrees * Math.PI / 180),
+            handles = this.getAllHandles();
+        var rotated = handles.map(function(handle) {
+            var x = handle.centre.x - pivot.x,
+                y = handle.centre.y - pivot.y;
+            return new Point(Math.round(pivot.x + x * cos - y * sin), Math.round(pivot.y + x * sin + y * cos));
+        });
+        var isOnImage = rotated.every(function(point, i) {
+            var radius = Math.abs(handles[i].radius);
+            return point.x >= radius && point.x <= maxX - radius && point.y >= radius && point.y <= maxY - radius;
+        });
+        if (!isOnImage) {
+            return false;
+        }
+        handles.forEach(function(handle, i) {
+            handle.centre.x = rotated[i].x;
+            handle.centre.y = rotated[i].y;
+        });
+        this.updateEndCoordinates();
+        return true;
+    };
+
+    /**
+     * Rotate the line while its rotate handle is dragged, by the angle the pointer has turned round the pivot.
+     *
+     * Always rotate from where the line started, so the rounding errors do not add up.
+     *
+     * @param {String[]} originalCoordinates the coordinates of the line when the drag started, from getCoordinates.
+     * @param {number} startAngle the angle of the pointer when the drag started, from getAngleTo.
+     * @param {Point} point where the pointer is now, on the image.
+     * @param {int} maxX ensure that after rotating, the shape lies between 0 and maxX on the x-axis.
+     * @param {int} maxY ensure that after rotating, the shape lies between 0 and maxY on the y-axis.
+     * @return {boolean} whether the line was rotated.
+     */
+    Line.prototype.rotateFrom = function(originalCoordinates, startAngle, point, maxX, maxY) {
+        this.parse(originalCoordinates[0], originalCoordinates[1], 1, originalCoordinates[2]);
+        return this.rotate(this.getAngleTo(point) - startAngle, maxX, maxY);
+    };
+
+    /**
+     * Get all the handles of the line, with their centres, radii and zone shapes.
+     *
+     * @return {Object[]} with fields centre {Point}, radius {int} and shape {Object|null}, the start and the end first.
+     */
+    Line.prototype.getAllHandles = function() {
+        return [
+            {centre: this.centre1, radius: this.startRadius, shape: this.startShape},
+            {centre: this.centre2, radius: this.endRadius, shape: this.endShape},
+        ].concat(this.middles.map(function(middle) {
+            return {centre: middle.centre, radius: middle.radius, shape: middle.shape || null};
+        }));
+    };
+
+    /**
+     * Keep x1, y1, x2 and y2 in step with the centres of the start and the end.
+     */
+    Line.prototype.updateEndCoordinates = function() {
+        this.x1 = this.centre1.x;
+        this.y1 = this.centre1.y;
+        this.x2 = this.centre2.x;
+        this.y2 = this.centre2.y;
+    };
+
+    /**
+     * Work out where the start or the end of a locked line can go, if it is dragged to a point.
+     *
+     * With the length locked, the end stays on a circle around the other end. With the angle locked,
+     * it stays on the line through the other end.
+     *
+     * @param {String} whichHandle startcircle or endcircle.
+     * @param {Point} point where the end would be, if the line was not locked.
+     * @return {Point} where the end can go.
+     */
+    Line.prototype.constrainEnd = function(whichHandle, point) {
+        var other = whichHandle === 'startcircle' ? this.centre2 : this.centre1,
+            current = this.getHandlePoint(whichHandle),
+            dx = point.x - other.x,
+            dy = point.y - other.y;
+        if (this.lockMode === 'length') {
+            var distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0) {
+                return current;
+            }
+            return new Point(Math.round(other.x + dx * this.lockedLength / distance),
+                Math.round(other.y + dy * this.lockedLength / distance));
+        }
+        if (this.lockMode === 'angle') {
+            // The direction from the other end to this one, which must not flip over.
+            var sign = whichHandle === 'startcircle' ? -1 : 1,
+                ux = this.lockedDirection.x * sign,
+                uy = this.lockedDirection.y * sign,
+                along = Math.max(1, dx * ux + dy * uy);
+            return new Point(Math.round(other.x + ux * along), Math.round(other.y + uy * along));
+        }
+        return point;
+    };
+
+    /**
+     * Move the start or the end of a locked line to a point, if the handle stays on the image.
+     *
+     * @param {String} whichHandle startcircle or endcircle.
+     * @param {Point} point the new position, which should already satisfy the lock.
+     * @param {int} maxX
+     * @param {int} maxY
+     * @return {boolean} whether the end was moved.
+     */
+    Line.prototype.setEndIfOnImage = function(whichHandle, point, maxX, maxY) {
+        var centre = whichHandle === 'startcircle' ? this.centre1 : this.centre2,
+            radius = Math.abs(this.getHandleRadius(whichHandle));
+        if (point.x < radius || point.x > maxX - radius || point.y < radius || point.y > maxY - radius) {
+            return false;
+        }
+        centre.x = point.x;
+        centre.y = point.y;
+        this.updateEndCoordinates();
+        return true;
+    };
+
+    /**
+     * Move the start or the end of a locked line by an offset, keeping its length or angle.
+     *
+     * Small moves could round back to where the end already is, so they are made bigger until the end moves.
+     *
+     * @param {String} whichHandle startcircle or endcircle.
+     * @param {int} dx x offset.
+     * @param {int} dy y offset.
+     * @param {int} maxX
+     * @param {int} maxY
+     */
+    Line.prototype.moveLockedEnd = function(whichHandle, dx, dy, maxX, maxY) {
+        var current = this.getHandlePoint(whichHandle),
+            target = this.constrainEnd(whichHandle, current.offset(dx, dy));
+        for (var scale = 2; scale <= 10 && target.x === current.x && target.y === current.y; scale++) {
+            target = this.constrainEnd(whichHandle, current.offset(dx * scale, dy * scale));
+        }
+        this.setEndIfOnImage(whichHandle, target, maxX, maxY);
+    };
+
+    /**
+     * Change a line that has just been placed on the image, so that it has the locked length or angle.
+     *
+     * The start stays where it is, unless the line has to move to fit on the image.
+     *
+     * @param {int} maxX
+     * @param {int} maxY
+     */
+    Line.prototype.applyLock = function(maxX, maxY) {
+        if (!this.isLocked()) {
+            return;
+        }
+        var length = Math.sqrt(distanceSquared(this.centre1, this.centre2)),
+            direction = this.lockedDirection;
+        if (this.lockMode === 'length') {
+            direction = length > 0 ? new Point((this.centre2.x - this.centre1.x) / length,
+                (this.centre2.y - this.centre1.y) / length) : new Point(1, 0);
+            length = this.lockedLength;
+        }
+        this.centre2.x = Math.round(this.centre1.x + direction.x * length);
+        this.centre2.y = Math.round(this.centre1.y + direction.y * length);
+        this.spaceMiddlesEvenly();
+
+        // Move the whole line back on to the image, if it has gone over the edge.
+        var handles = this.getAllHandles(),
+            shift = function(lower, upper) {
+                return lower > 0 ? lower : Math.min(0, upper);
+            };
+        var dx = shift(Math.max.apply(null, handles.map(function(handle) {
+                return Math.abs(handle.radius) - handle.centre.x;
+            })), Math.min.apply(null, handles.map(function(handle) {
+                return maxX - Math.abs(handle.radius) - handle.centre.x;
+            }))),
+            dy = shift(Math.max.apply(null, handles.map(function(handle) {
+                return Math.abs(handle.radius) - handle.centre.y;
+            })), Math.min.apply(null, handles.map(function(handle) {
+                return maxY - Math.abs(handle.radius) - handle.centre.y;
+            })));
+        handles.forEach(function(handle) {
+            handle.centre.move(dx, dy);
+        });
+        this.updateEndCoordinates();
+    };
+
+    /**
+     * Move the entire shape by this offset.
+     *
+     * @param {String} whichHandle which circle handle was moved, i.e., startcircle, endcircle or middlecircle.
+     * @param {int} dx x offset.
+     * @param {int} dy y offset.
+     * @param {int} maxX ensure that after editing, the shape lies between 0 and maxX on the x-axis.
+     * @param {int} maxY ensure that after editing, the shape lies between 0 and maxX on the y-axis.
+     * @param {int} [middleNo] which middle handle was moved, when whichHandle is middlecircle.
+     */
+    Line.prototype.move = function(whichHandle, dx, dy, maxX, maxY, middleNo) {
+        if (this.isLocked() && (whichHandle === 'startcircle' || whichHandle === 'endcircle')) {
+            this.moveLockedEnd(whichHandle, dx, dy, maxX, maxY);
+            return;
+        }
+        if (whichHandle === 'middlecircle') {
+            var middle = this.middles[middleNo];
+            if (middle) {
+                middle.centre.move(dx, dy);
+                clampPoint(middle.centre, middle.radius, maxX, maxY);
+            }
+        } else if (whichHandle === 'startcircle') {
+            this.centre1.move(dx, dy);
+            if (this.centre1.x < this.startRadius) {
+                this.centre1.x = this.startRadius;
+                this.x1 = this.startRadius;
+            }
+            if (this.centre1.x > maxX - this.startRadius) {
+                this.centre1.x = maxX - this.startRadius;
+                this.x1 = maxX - this.startRadius;
+            }
+            if (this.centre1.y < this.startRadius) {
+                this.centre1.y = this.startRadius;
+                this.y1 = this.startRadius;
+            }
+            if (this.centre1.y > maxY - this.startRadius) {
+                this.centre1.y = maxY - this.startRadius;
+                this.y1 = maxY - this.startRadius;
+            }
+        } else {
+            this.centre2.move(dx, dy);
+            if (this.centre2.x < this.endRadius) {
+                this.centre2.x = this.endRadius;
+                this.x2 = this.endRadius;
+            }
+            if (this.centre2.x > maxX - this.endRadius) {
+                this.centre2.x = maxX - this.endRadius;
+                this.x2 = maxX - this.endRadius;
+            }
+            if (this.centre2.y < this.endRadius) {
+                this.centre2.y = this.endRadius;
+                this.y2 = this.endRadius;
+            }
+            if (this.centre2.y > maxY - this.endRadius) {
+                this.centre2.y = maxY - this.endRadius;
+                this.y2 = maxY - this.endRadius;
+            }
+        }
+    };
+
+    /**
+     * Move the line end points by this offset.
+     *
+     * @param {int} dx x offset.
+     * @param {int} dy y offset.
+     * @param {int} maxX ensure that after editing, the shape lies between 0 and maxX on the x-axis.
+     * @param {int} maxY ensure that after editing, the shape lies between 0 and maxX on the y-axis.
+     */
+    Line.prototype.moveDrags = function(dx, dy, maxX, maxY) {
+        // Move the lines in the dropzones.
+        this.centre1.move(dx, dy);
+        this.centre2.move(dx, dy);
+        if (this.centre1.x < this.startRadius) {
+            this.centre1.x = this.startRadius;
+            this.x1 = this.startRadius;
+        }
+        if (this.centre1.x > maxX - this.startRadius) {
+            this.centre1.x = maxX - this.startRadius;
+            this.x1 = maxX - this.startRadius;
+        }
+        if (this.centre2.x < this.endRadius) {
+            this.centre2.x = this.endRadius;
+            this.x2 = this.endRadius;
+        }
+        if (this.centre2.x > maxX - this.endRadius) {
+            this.centre2.x = maxX - this.endRadius;
+            this.x2 = maxX - this.endRadius;
+        }
+        if (this.centre1.y < this.startRadius) {
+            this.centre1.y = this.startRadius;
+            this.y1 = this.startRadius;
+        }
+        if (this.centre1.y > maxY - this.startRadius) {
+            this.centre1.y = maxY - this.startRadius;
+            this.y1 = maxY - this.startRadius;
+        }
+        if (this.centre2.y < this.endRadius) {
+            this.centre2.y = this.endRadius;
+            this.y2 = this.endRadius;
+        }
+        if (this.centre2.y > maxY - this.endRadius) {
+            this.centre2.y = maxY - this.endRadius;
+            this.y2 = maxY - this.endRadius;
+        }
+        this.middles.forEach(function(middle) {
+            middle.centre.move(dx, dy);
+            clampPoint(middle.centre, middle.radius, maxX, maxY);
+        });
+    };
+
+    /**
+     * Move the g element between the dropzones and dragHomes.
+     *
+     * @param {String} eventType Whether it's a mouse event or a keyboard event.
      * @param {SVGElement} selectedElement The element selected for dragging.
      * @param {SVG} svgDropZones
      * @param {SVG} svgDragsHome
@@ -473,14 +1606,13 @@ define(function() {
      * @param {int|null} dropY
      * @param {int|null} bgImageHeight height of the background image, to decide the position of where to drop the line.
      * @param {String|null} whichSVG
+     * @param {int} [bgImageWidth] width of the background image, to keep a locked line on the image when it is dropped.
      */
     Line.prototype.addToDropZone = function(eventType, selectedElement, svgDropZones, svgDragsHome,
-            dropX, dropY, bgImageHeight, whichSVG) {
+            dropX, dropY, bgImageHeight, whichSVG, bgImageWidth) {
         let dropzoneNo = selectedElement.getAttribute('data-dropzone-no'),
             classattributes,
             dropZone = false;
-        const initiallinespacing = 25,
-            spacingbetweenlines = 50;
         if (eventType === 'mouse') {
             dropZone = this.isInsideSVG(svgDragsHome, dropX, dropY);
         } else {
@@ -492,14 +1624,19 @@ define(function() {
             selectedElement.getAttribute('data-dropzone-no');
 
             // Set tabindex to add keyevents to the circle movehandles.
-            selectedElement.childNodes[1].setAttribute('tabindex', '0');
-            selectedElement.childNodes[2].setAttribute('tabindex', '0');
+            setHandlesTabIndex(selectedElement, '0');
 
             // Caluculate the position of line drop.
             this.centre1.y = bgImageHeight - (2 * this.startRadius);
             this.y1 = bgImageHeight - (2 * this.startRadius);
             this.centre2.y = bgImageHeight - (2 * this.endRadius);
             this.y2 = bgImageHeight - (2 * this.endRadius);
+            this.middles.forEach(function(middle) {
+                middle.centre.y = bgImageHeight - (2 * middle.radius);
+            });
+            if (bgImageWidth) {
+                this.applyLock(bgImageWidth, bgImageHeight);
+            }
 
             // Update the class attributes to 'placed' if the line is in the svgDropZone.
             classattributes = selectedElement.getAttribute('class');
@@ -509,22 +1646,48 @@ define(function() {
             // Append the element to the draghomes SVG.
             svgDragsHome.appendChild(selectedElement);
 
-            // We want to drop the lines from the top, depending on the line number.
-            // Calculate the position of line drop.
-            this.centre1.x = 50;
-            this.centre1.y = initiallinespacing + (dropzoneNo * spacingbetweenlines);
-            this.y1 = initiallinespacing + (dropzoneNo * spacingbetweenlines);
-            this.centre2.x = 200;
-            this.centre2.y = initiallinespacing + (dropzoneNo * spacingbetweenlines);
-            this.y2 = initiallinespacing + (dropzoneNo * spacingbetweenlines);
+            // Put the line back where it started, or else drop the lines from the top, depending on the line number.
+            let home = this.home || {
+                start: new Point(50, HOME_ROW_HEIGHT / 2 + dropzoneNo * HOME_ROW_HEIGHT),
+                end: new Point(50 + HOME_LINE_LENGTH, HOME_ROW_HEIGHT / 2 + dropzoneNo * HOME_ROW_HEIGHT)
+            };
+            this.centre1.x = home.start.x;
+            this.x1 = home.start.x;
+            this.centre1.y = home.start.y;
+            this.y1 = home.start.y;
+            this.centre2.x = home.end.x;
+            this.x2 = home.end.x;
+            this.centre2.y = home.end.y;
+            this.y2 = home.end.y;
+            this.spaceMiddlesEvenly();
 
             // Update the class attributes to 'inactive' if the line is in the svg draghome.
             classattributes = selectedElement.getAttribute('class');
             classattributes = classattributes.replace('placed', 'inactive');
             selectedElement.setAttribute('class', classattributes);
             // Set tabindex = -1, so the circle movehandles aren't focusable when in draghomes svg.
-            selectedElement.childNodes[1].setAttribute('tabindex', '-1');
-            selectedElement.childNodes[2].setAttribute('tabindex', '-1');
+            setHandlesTabIndex(selectedElement, '-1');
+        }
+    };
+
+    /**
+     * Set where the line goes when it is returned to the drag home area.
+     *
+     * @param {Object} home with fields start {Point} and end {Point}, as returned by HomeLayout.getHome().
+     */
+    Line.prototype.setHome = function(home) {
+        this.home = home;
+    };
+
+    /**
+     * Place the middle handles evenly spaced on the straight line between the start and the end.
+     */
+    Line.prototype.spaceMiddlesEvenly = function() {
+        var count = this.middles.length;
+        for (var i = 0; i < count; i++) {
+            var fraction = (i + 1) / (count + 1);
+            this.middles[i].centre.x = Math.round(this.centre1.x + (this.centre2.x - this.centre1.x) * fraction);
+            this.middles[i].centre.y = Math.round(this.centre1.y + (this.centre2.y - this.centre1.y) * fraction);
         }
     };
 
@@ -544,45 +1707,77 @@ define(function() {
     /**
      * Move one of the edit handles by this offset.
      *
-     * @param {String} handleIndex which handle was moved.
+     * @param {String} handleIndex which handle was moved. '0' for start, '1' for end, '2', ... for the middle handles.
      * @param {int} dx x offset.
      * @param {int} dy y offset.
      * @param {int} maxX ensure that after editing, the shape lies between 0 and maxX on the x-axis.
      * @param {int} maxY ensure that after editing, the shape lies between 0 and maxX on the y-axis.
+     * @param {int} [cornerNo] which corner was moved, when the zone is a polygon.
      */
-    Line.prototype.edit = function(handleIndex, dx, dy, maxX, maxY) {
-        var limit = 0;
+    Line.prototype.edit = function(handleIndex, dx, dy, maxX, maxY, cornerNo) {
         if (handleIndex === '0') {
-            this.startRadius += dx;
-            limit = Math.min(this.centre1.x, this.centre1.y, maxX - this.centre1.x, maxY - this.centre1.y);
-            if (this.startRadius > limit) {
-                this.startRadius = limit;
-            }
-            if (this.startRadius < -limit) {
-                this.startRadius = -limit;
-            }
+            this.startRadius = resizeZone(this.centre1, this.startRadius, this.startShape, dx, dy, maxX, maxY, cornerNo);
+        } else if (handleIndex === '1') {
+            this.endRadius = resizeZone(this.centre2, this.endRadius, this.endShape, dx, dy, maxX, maxY, cornerNo);
         } else {
-            this.endRadius += dx;
-            limit = Math.min(this.centre2.x, this.centre2.y, maxX - this.centre2.x, maxY - this.centre2.y);
-            if (this.endRadius > limit) {
-                this.endRadius = limit;
-            }
-            if (this.endRadius < -limit) {
-                this.endRadius = -limit;
+            var middle = this.middles[parseInt(handleIndex) - 2];
+            if (!middle) {
+                return;
             }
+            middle.radius = resizeZone(middle.centre, middle.radius, middle.shape, dx, dy, maxX, maxY, cornerNo);
         }
     };
 
     /**
      * Get the handles that should be offered to edit this shape, or null if not appropriate.
      *
-     * @return {Object[]} with properties moveHandleStart {Point}, moveHandleEnd {Point} and editHandles {Point[]}.
+     * Each zone has one edit handle, except polygons, which have one on each corner.
+     *
+     * @return {Object[]} with properties moveHandles {Point[]}, editHandles {Point[]}, and for each edit handle,
+     *      zoneNos {int[]}, the zone it edits, zoneShapes {String[]}, the shape of that zone, and
+     *      cornerNos {Array}, the corner it moves, or null if the zone is not a polygon.
      */
     Line.prototype.getHandlePositions = function() {
-        return {
-            moveHandles: [new Point(this.centre1.x, this.centre1.y), new Point(this.centre2.x, this.centre2.y)],
-            editHandles: [this.centre1.offset(this.startRadius, 0), this.centre2.offset(this.endRadius, 0)]
+        var positions = {
+            moveHandles: [new Point(this.centre1.x, this.centre1.y), new Point(this.centre2.x, this.centre2.y)].concat(
+                this.middles.map(function(middle) {
+                    return new Point(middle.centre.x, middle.centre.y);
+                })),
+            editHandles: [],
+            zoneNos: [],
+            zoneShapes: [],
+            cornerNos: []
         };
+        this.getAllHandles().forEach(function(handle, zoneNo) {
+            var isPolygon = handle.shape !== null && handle.shape.kind === 'polygon';
+            getZoneEditHandles(handle.centre, handle.radius, handle.shape).forEach(function(point, cornerNo) {
+                positions.editHandles.push(point);
+                positions.zoneNos.push(zoneNo);
+                positions.zoneShapes.push(handle.shape ? handle.shape.kind : 'circle');
+                positions.cornerNos.push(isPolygon ? cornerNo : null);
+            });
+        });
+        return positions;
+    };
+
+    /**
+     * Make the zones of this line the same size and shape as the zones of another line.
+     *
+     * Any middle points that the other line does not have get the size of its last middle point,
+     * or of its start if it has none.
+     *
+     * @param {Line} other the line to copy the sizes from.
+     */
+    Line.prototype.copyRadii = function(other) {
+        this.startRadius = other.startRadius;
+        this.endRadius = other.endRadius;
+        this.startShape = copyZoneShape(other.startShape);
+        this.endShape = copyZoneShape(other.endShape);
+        this.middles.forEach(function(middle, middleNo) {
+            var otherMiddle = other.middles[Math.min(middleNo, other.middles.length - 1)];
+            middle.radius = otherMiddle ? otherMiddle.radius : other.startRadius;
+            middle.shape = copyZoneShape(otherMiddle ? otherMiddle.shape : other.startShape);
+        });
     };
 
     /**
@@ -593,32 +1788,707 @@ define(function() {
     Line.prototype.normalizeShape = function() {
         this.startRadius = Math.abs(this.startRadius);
         this.endRadius = Math.abs(this.endRadius);
+        normalizeZoneShape(this.startShape);
+        normalizeZoneShape(this.endShape);
+        this.middles.forEach(function(middle) {
+            middle.radius = Math.abs(middle.radius);
+            normalizeZoneShape(middle.shape);
+        });
     };
 
     /**
-     * Add a new arrow SVG DOM element as a child of svg.
+     * Add the arrowhead marker for a style and a colour to the defs of an svg, unless it is already there.
+     *
+     * Each style and colour has its own marker, so that the arrowheads match the lines. The marker ids start
+     * with the id of the svg, so that the markers of different questions on the same page do not clash.
      *
      * @param {SVGElement} svg the parent node.
+     * @param {String} arrowStyle 'filled', 'open' or 'bar'.
+     * @param {String} colour in '#rrggbb' format.
+     * @return {String} the id of the marker.
      */
-     function addLineArrow(svg) {
-        if (svg.getElementsByTagName('defs')[0]) {
-            return;
+    function addLineArrow(svg, arrowStyle, colour) {
+        var markerId = (svg.id ? svg.id + '-' : '') + 'arrow-' + arrowStyle + '-' + colour.substring(1).toLowerCase(),
+            style = ARROW_STYLES[arrowStyle],
+            svgdefsEl = svg.getElementsByTagName('defs')[0];
+        if (!svgdefsEl) {
+            svgdefsEl = svg.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'defs');
+            svg.appendChild(svgdefsEl);
+        }
+        if (svgdefsEl.querySelector('marker[id="' + markerId + '"]')) {
+            return markerId;
         }
-        var svgdefsEl = svg.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'defs');
         var svgmarkerEl = svg.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'marker');
-        svgmarkerEl.setAttribute('id', 'arrow');
+        svgmarkerEl.setAttribute('id', markerId);
         svgmarkerEl.setAttribute('viewBox', "0 0 10 10");
-        svgmarkerEl.setAttribute('refX', '7');
+        svgmarkerEl.setAttribute('refX', style.refX);
         svgmarkerEl.setAttribute('refY', '5');
         svgmarkerEl.setAttribute('markerWidth', '4');
         svgmarkerEl.setAttribute('markerHeight', '4');
         svgmarkerEl.setAttribute('orient', 'auto-start-reverse');
         var svgPathEl = svg.ownerDocument.createElementNS('http://www.w3.org/2000/svg', 'path');
-        svgPathEl.setAttribute('d', 'M 0 0 L 10 5 L 0 10 z');
+        svgPathEl.setAttribute('d', style.path);
+        svgPathEl.setAttribute('fill', style.filled ? colour : 'none');
+        svgPathEl.setAttribute('stroke', style.filled ? 'none' : colour);
+        svgPathEl.setAttribute('stroke-width', '2');
         svgmarkerEl.appendChild(svgPathEl);
         svgdefsEl.appendChild(svgmarkerEl);
+        return markerId;
+    }
+
+    /**
+     * Work out where the lines go in the drag home area, if there are the given number of rows in each column.
+     *
+     * @param {Object[]} sizes for each line, the startWidth, middleWidth, endWidth and height of its labels.
+     * @param {int} rowsPerColumn how many lines go in each column.
+     * @return {Object} with fields homes (for each line, start {Point} and end {Point}), width and height.
+     */
+    function arrangeHomes(sizes, rowsPerColumn) {
+        var rowHeights = [],
+            rowTops = [0],
+            homes = [],
+            x = 0;
+
+        // Each row is as tall as the tallest labels in it, in any column.
+        sizes.forEach(function(size, lineNo) {
+            var row = lineNo % rowsPerColumn;
+            rowHeights[row] = Math.max(rowHeights[row] || 0, HOME_ROW_HEIGHT + Math.max(0, size.height - HOME_LABEL_HEIGHT));
+        });
+        rowHeights.forEach(function(rowHeight, row) {
+            rowTops[row + 1] = rowTops[row] + rowHeight;
+        });
+
+        // Each column is as wide as the longest line in it, with room for the labels at either end.
+        for (var first = 0; first < sizes.length; first += rowsPerColumn) {
+            var column = sizes.slice(first, first + rowsPerColumn),
+                left = HOME_HANDLE_RADIUS,
+                right = HOME_HANDLE_RADIUS,
+                length = HOME_LINE_LENGTH;
+            column.forEach(function(size) {
+                left = Math.max(left, Math.ceil(size.startWidth / 2));
+                right = Math.max(right, Math.ceil(size.endWidth / 2));
+                length = Math.max(length, Math.ceil((size.startWidth + size.endWidth) / 2) + HOME_LABEL_GAP);
+                if (size.middleWidth > 0) {
+                    length = Math.max(length, Math.max(size.startWidth, size.endWidth) + size.middleWidth +
+                        2 * HOME_LABEL_GAP);
+                }
+            });
+            var startX = x + HOME_COLUMN_GAP + left;
+            column.forEach(function(size, row) {
+                var y = rowTops[row] + HOME_ROW_HEIGHT / 2;
+                homes.push({start: new Point(startX, y), end: new Point(startX + length, y)});
+            });
+            x = startX + length + right;
+        }
+
+        return {homes: homes, width: x, height: rowTops[rowTops.length - 1]};
+    }
+
+    /**
+     * Measure a label, as it would be shown on a line.
+     *
+     * @param {SVGElement} svg the svg the label will be shown in.
+     * @param {String} text the label.
+     * @param {String} [html] the label as HTML, if it is shown that way.
+     * @return {Object} with fields width and height.
+     */
+    function measureLabel(svg, text, html) {
+        if (!text) {
+            return {width: 0, height: 0};
+        }
+        var groupEl = createSvgElement(svg, 'g');
+        groupEl.setAttribute('class', 'dropzone');
+        var textEl = createSvgElement(groupEl, 'text');
+        textEl.setAttribute('class', 'shapeLabel');
+        var size = getLabelSize(setLabelContent(groupEl, 0, text, html || ''));
+        svg.removeChild(groupEl);
+        return {width: Math.ceil(size.width), height: Math.ceil(size.height)};
+    }
+
+    /**
+     * Put a label in the SVG, as text or, if it is shown as HTML, in a foreignObject.
+     *
+     * HTML labels are only replaced when they change, so that filters such as MathJax, which get to them
+     * after they are added, do not have to process them again each time the line moves.
+     *
+     * @param {SVGElement} svgEl the SVG representation of a line.
+     * @param {int} nodeNo the child of svgEl that is the label.
+     * @param {String} text the label.
+     * @param {String} html the label as HTML, or '' to show it as plain text.
+     * @return {SVGElement} the label element.
+     */
+    function setLabelContent(svgEl, nodeNo, text, html) {
+        var labelEl = svgEl.childNodes[nodeNo],
+            tagName = html ? 'foreignObject' : 'text';
+        if (labelEl.tagName !== tagName) {
+            var newLabelEl = svgEl.ownerDocument.createElementNS('http://www.w3.org/2000/svg', tagName);
+            newLabelEl.setAttribute('class', labelEl.getAttribute('class').replace(' richlabel', '') +
+                (html ? ' richlabel' : ''));
+            newLabelEl.setAttribute('aria-hidden', 'true');
+            svgEl.replaceChild(newLabelEl, labelEl);
+            labelEl = newLabelEl;
+        }
+        if (!html) {
+            labelEl.textContent = text;
+        } else if (labelEl.getAttribute('data-html') !== html) {
+            var contentEl = svgEl.ownerDocument.createElementNS('http://www.w3.org/1999/xhtml', 'div');
+            contentEl.setAttribute('class', 'richlabelcontent');
+            contentEl.innerHTML = html;
+            labelEl.textContent = '';
+            labelEl.appendChild(contentEl);
+            labelEl.setAttribute('data-html', html);
+            labelEl.classList.remove('filtered');
+        }
+        return labelEl;
+    }
+
+    /**
+     * Get the unit vector from one point to another.
+     *
+     * @param {Point} from
+     * @param {Point} to
+     * @param {Point} fallback the vector to use if the points are in the same place.
+     * @return {Point} the unit vector.
+     */
+    function getDirection(from, to, fallback) {
+        var dx = to.x - from.x,
+            dy = to.y - from.y,
+            length = Math.sqrt(dx * dx + dy * dy);
+        if (!length) {
+            return fallback;
+        }
+        return new Point(dx / length, dy / length);
+    }
+
+    /**
+     * Move the labels of all the lines in an svg so that they do not cover each other, or the lines.
+     *
+     * Each label starts next to the place it belongs to on its line, below or above it, and is moved
+     * further away, on either side of the line, or beyond the end of the line, until it is clear.
+     * If it cannot be made clear, it goes where it covers the fewest other things.
+     *
+     * @param {Line[]} lines the lines.
+     * @param {SVGElement[]} svgEls the svg g element of each line.
+     * @param {int} bgImageWidth
+     * @param {int} bgImageHeight
+     */
+    function placeLabels(lines, svgEls, bgImageWidth, bgImageHeight) {
+        var obstacles = [],
+            outlines = [];
+        lines.forEach(function(line) {
+            outlines.push(line.getOutline());
+            [line.centre1, line.centre2].concat(line.middles.map(function(middle) {
+                return middle.centre;
+            })).forEach(function(point) {
+                obstacles.push(getBox(point, 2 * LABEL_END_CLEARANCE, 2 * LABEL_END_CLEARANCE));
+            });
+        });
+
+        var placed = [];
+        lines.forEach(function(line, lineNo) {
+            line.getLabelAnchors().forEach(function(label) {
+                var textEl = svgEls[lineNo].childNodes[label.nodeNo];
+                if (!textEl.textContent) {
+                    return;
+                }
+                var size = getLabelSize(textEl),
+                    best = null;
+                getLabelCentres(label, size, bgImageWidth, bgImageHeight).some(function(centre) {
+                    var box = getBox(centre, size.width, size.height),
+                        overlaps = placed.concat(obstacles).filter(function(other) {
+                            return boxesOverlap(box, other);
+                        }).length + outlines.filter(function(outline) {
+                            return outlineCrossesBox(outline, box);
+                        }).length;
+                    if (best === null || overlaps < best.overlaps) {
+                        best = {centre: centre, box: box, overlaps: overlaps};
+                    }
+                    return overlaps === 0;
+                });
+                positionLabel(textEl, Math.round(best.centre.x), Math.round(best.centre.y + LABEL_BASELINE * size.height), size);
+                placed.push(best.box);
+            });
+        });
+    }
+
+    /**
+     * Get the places a label may go, in the order they are tried.
+     *
+     * @param {Object} label as returned by Line.getLabelAnchors().
+     * @param {Object} size of the label, with fields width and height.
+     * @param {int} bgImageWidth
+     * @param {int} bgImageHeight
+     * @return {Point[]} the centres of the label.
+     */
+    function getLabelCentres(label, size, bgImageWidth, bgImageHeight) {
+        // The normal to the line, pointing down the image, then the one pointing up.
+        var below = new Point(-label.direction.y, label.direction.x);
+        if (below.y < 0 || (below.y === 0 && below.x < 0)) {
+            below = new Point(-below.x, -below.y);
+        }
+        var sides = [below, new Point(-below.x, -below.y)];
+        if (label.outwards) {
+            sides.push(label.outwards);
+        }
+
+        var centres = [];
+        for (var step = 0; step <= LABEL_MAX_STEPS; step++) {
+            sides.forEach(function(side) {
+                // How far the middle of the label is from its edge, in the direction it is moved.
+                var halfSize = Math.abs(side.x) * size.width / 2 + Math.abs(side.y) * size.height / 2,
+                    distance = LABEL_GAP + halfSize + step * LABEL_STEP;
+                centres.push(new Point(
+                    Math.min(Math.max(label.anchor.x + side.x * distance, size.width / 2), bgImageWidth - size.width / 2),
+                    Math.min(Math.max(label.anchor.y + side.y * distance, size.height / 2), bgImageHeight - size.height / 2)));
+            });
+        }
+        return centres;
+    }
+
+    /**
+     * Get the size of a label, as it is shown.
+     *
+     * @param {SVGElement} textEl the label, a text element or, for labels shown as HTML, a foreignObject.
+     * @return {Object} with fields width and height.
+     */
+    function getLabelSize(textEl) {
+        var size;
+        if (textEl.tagName === 'foreignObject') {
+            var contentEl = textEl.firstChild;
+            size = {width: contentEl ? contentEl.offsetWidth : 0, height: contentEl ? contentEl.offsetHeight : 0};
+        } else {
+            size = textEl.getBBox();
+        }
+        if (!size.width) {
+            // The svg is not displayed, so the best we can do is guess.
+            return {width: textEl.textContent.length * HOME_CHARACTER_WIDTH, height: HOME_LABEL_HEIGHT};
+        }
+        return {width: size.width, height: size.height};
+    }
+
+    /**
+     * Move a label to a place.
+     *
+     * Text labels are centred on x, with their baseline at y. Labels shown as HTML are put in the same place,
+     * so their foreignObject, which is positioned by its top left corner, is moved up and left.
+     *
+     * @param {SVGElement} textEl the label, a text element or, for labels shown as HTML, a foreignObject.
+     * @param {Number} x the middle of the label.
+     * @param {Number} y the baseline of the label.
+     * @param {Object} size of the label, with fields width and height.
+     */
+    function positionLabel(textEl, x, y, size) {
+        if (textEl.tagName !== 'foreignObject') {
+            textEl.setAttribute('x', x);
+            textEl.setAttribute('y', y);
+            return;
+        }
+        textEl.setAttribute('x', Math.round(x - size.width / 2));
+        textEl.setAttribute('y', Math.round(y - (0.5 + LABEL_BASELINE) * size.height));
+        textEl.setAttribute('width', Math.ceil(size.width));
+        textEl.setAttribute('height', Math.ceil(size.height));
+    }
+
+    /**
+     * Get the box of the given size around a point.
+     *
+     * @param {Point} centre the middle of the box.
+     * @param {Number} width
+     * @param {Number} height
+     * @return {Object} with fields left, top, right and bottom.
+     */
+    function getBox(centre, width, height) {
+        return {
+            left: centre.x - width / 2,
+            top: centre.y - height / 2,
+            right: centre.x + width / 2,
+            bottom: centre.y + height / 2
+        };
+    }
+
+    /**
+     * Whether two boxes overlap.
+     *
+     * @param {Object} box as returned by getBox().
+     * @param {Object} other as returned by getBox().
+     * @return {boolean}
+     */
+    function boxesOverlap(box, other) {
+        return box.left < other.right && other.left < box.right && box.top < other.bottom && other.top < box.bottom;
+    }
+
+    /**
+     * Whether a line goes through a box.
+     *
+     * @param {Point[]} outline the points the line goes through.
+     * @param {Object} box as returned by getBox().
+     * @return {boolean}
+     */
+    function outlineCrossesBox(outline, box) {
+        for (var i = 1; i < outline.length; i++) {
+            if (segmentCrossesBox(outline[i - 1], outline[i], box)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Whether a straight line segment goes through a box, clipping it to the box (Liang-Barsky).
+     *
+     * @param {Point} from
+     * @param {Point} to
+     * @param {Object} box as returned by getBox().
+     * @return {boolean}
+     */
+    function segmentCrossesBox(from, to, box) {
+        var dx = to.x - from.x,
+            dy = to.y - from.y,
+            tMin = 0,
+            tMax = 1,
+            edges = [
+                [-dx, from.x - box.left],
+                [dx, box.right - from.x],
+                [-dy, from.y - box.top],
+                [dy, box.bottom - from.y]
+            ];
+        for (var i = 0; i < edges.length; i++) {
+            var p = edges[i][0],
+                q = edges[i][1];
+            if (p === 0) {
+                if (q < 0) {
+                    return false;
+                }
+            } else if (p < 0) {
+                tMin = Math.max(tMin, q / p);
+            } else {
+                tMax = Math.min(tMax, q / p);
+            }
+        }
+        return tMin <= tMax;
+    }
+
+    /**
+     * Whether lines of this type have handles between the start and the end of the line.
+     *
+     * @param {String} lineType the type of line.
+     * @return {boolean}
+     */
+    function hasMiddleHandles(lineType) {
+        return isCurvedType(lineType) || lineType === 'linepolyline';
+    }
+
+    /**
+     * Whether lines of this type are drawn as a quadratic Bézier curve.
+     *
+     * @param {String} lineType the type of line.
+     * @return {boolean}
+     */
+    function isCurvedType(lineType) {
+        return lineType === 'linecurved' || lineType === 'linecurvedarrow';
+    }
+
+    /**
+     * Parse the middle handles from the string representation.
+     *
+     * @param {String} coordinates "x1,y1;radius x2,y2;radius ...", may be empty.
+     * @return {Object[]} the middle handles, with fields centre {Point} and radius {int}.
+     */
+    function parseMiddles(coordinates) {
+        if (!coordinates || coordinates.trim() === '') {
+            return [];
+        }
+        return coordinates.trim().split(/\s+/).map(parseZone);
+    }
+
+    /**
+     * Parse one zone, in the format 'x,y;r' for a circle, or 'x,y;ellipse:rx,ry', 'x,y;rectangle:rx,ry' or
+     * 'x,y;polygon:x1,y1;x2,y2;x3,y3...' for the other shapes.
+     *
+     * The shape of an ellipse or a rectangle has fields kind, rx and ry, where rx and ry are half its width and height.
+     * The shape of a polygon has fields kind and points, the corners relative to the centre, so that the polygon
+     * moves with the centre. For these shapes the radius is how far the shape reaches from the centre, which keeps
+     * the whole zone on the image.
+     *
+     * @param {String} zone the zone coordinates.
+     * @return {Object} with fields centre {Point}, radius {int} and shape {Object|null}, which is null for circles.
+     */
+    function parseZone(zone) {
+        var bits = zone.trim().split(';'),
+            centre = parseZonePoint(bits[0]),
+            size = bits.slice(1).join(';').split(':'),
+            shape = null;
+        if (size[0] === 'ellipse' || size[0] === 'rectangle') {
+            var radii = parseZonePoint(size[1] || '');
+            shape = {kind: size[0], rx: radii.x, ry: radii.y};
+        } else if (size[0] === 'polygon') {
+            shape = {kind: size[0], points: (size[1] || '').split(';').map(function(point) {
+                point = parseZonePoint(point);
+                return new Point(point.x - centre.x, point.y - centre.y);
+            })};
+        }
+        return {centre: centre, radius: shape ? getZoneExtent(shape) : parseInt(size[0]), shape: shape};
+    }
+
+    /**
+     * Parse a point of a zone, without complaining if it is not valid yet, while it is being typed into the form.
+     *
+     * @param {String} coordinates "x,y".
+     * @return {Point}
+     */
+    function parseZonePoint(coordinates) {
+        var bits = coordinates.split(',');
+        return new Point(parseInt(bits[0]), parseInt(bits[1]));
+    }
+
+    /**
+     * Get the coordinates of a zone, in the format parseZone reads.
+     *
+     * @param {Point} centre
+     * @param {number} radius
+     * @param {Object|null} shape
+     * @return {String} the zone coordinates.
+     */
+    function formatZone(centre, radius, shape) {
+        var size = radius;
+        if (shape && shape.kind === 'polygon') {
+            size = 'polygon:' + shape.points.map(function(point) {
+                return Math.round(centre.x + point.x) + ',' + Math.round(centre.y + point.y);
+            }).join(';');
+        } else if (shape) {
+            size = shape.kind + ':' + Math.round(shape.rx) + ',' + Math.round(shape.ry);
+        }
+        return centre.x + ',' + centre.y + ';' + size;
+    }
+
+    /**
+     * How far a zone shape reaches from its centre, horizontally or vertically.
+     *
+     * @param {Object} shape
+     * @return {number}
+     */
+    function getZoneExtent(shape) {
+        if (shape.kind === 'polygon') {
+            return Math.max.apply(null, shape.points.map(function(point) {
+                return Math.max(Math.abs(point.x), Math.abs(point.y));
+            }));
+        }
+        return Math.max(Math.abs(shape.rx), Math.abs(shape.ry));
+    }
+
+    /**
+     * Make a copy of a zone shape, scaled about its centre.
+     *
+     * @param {Object|null} shape
+     * @param {number} [ratio] the scale factor, 1 by default.
+     * @return {Object|null} the new shape.
+     */
+    function scaleZoneShape(shape, ratio) {
+        if (!shape) {
+            return null;
+        }
+        ratio = ratio === undefined ? 1 : ratio;
+        if (shape.kind === 'polygon') {
+            return {kind: shape.kind, points: shape.points.map(function(point) {
+                return new Point(point.x * ratio, point.y * ratio);
+            })};
+        }
+        return {kind: shape.kind, rx: shape.rx * ratio, ry: shape.ry * ratio};
+    }
+
+    /**
+     * Make a copy of a zone shape.
+     *
+     * @param {Object|null} shape
+     * @return {Object|null} the copy.
+     */
+    function copyZoneShape(shape) {
+        return scaleZoneShape(shape);
+    }
+
+    /**
+     * Make the radii of an ellipse or a rectangle positive after a sequence of edits.
+     *
+     * @param {Object|null} shape
+     */
+    function normalizeZoneShape(shape) {
+        if (shape && shape.kind !== 'polygon') {
+            shape.rx = Math.abs(shape.rx);
+            shape.ry = Math.abs(shape.ry);
+        }
+    }
+
+    /**
+     * Get the positions of the handles that change a zone.
+     *
+     * Circles have one on the right of the circle, ellipses and rectangles one at the bottom right corner of
+     * the box round them, and polygons one on each corner.
+     *
+     * @param {Point} centre
+     * @param {number} radius
+     * @param {Object|null} shape
+     * @return {Point[]}
+     */
+    function getZoneEditHandles(centre, radius, shape) {
+        if (!shape) {
+            return [centre.offset(radius, 0)];
+        }
+        if (shape.kind === 'polygon') {
+            return shape.points.map(function(corner) {
+                return centre.offset(Math.round(corner.x), Math.round(corner.y));
+            });
+        }
+        return [centre.offset(Math.round(shape.rx), Math.round(shape.ry))];
+    }
+
+    /**
+     * Whether a point is inside a polygon, or on its edge, in the same way as the grading on the server.
+     *
+     * @param {Point} point
+     * @param {Point[]} corners the corners of the polygon.
+     * @return {boolean}
+     */
+    function isPointInPolygon(point, corners) {
+        var inside = false;
+        for (var i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+            var p1 = corners[j],
+                p2 = corners[i];
+            if ((point.x - p1.x) * (p2.y - p1.y) === (point.y - p1.y) * (p2.x - p1.x) &&
+                    Math.min(p1.x, p2.x) <= point.x && point.x <= Math.max(p1.x, p2.x) &&
+                    Math.min(p1.y, p2.y) <= point.y && point.y <= Math.max(p1.y, p2.y)) {
+                return true;
+            }
+            // Count the edges crossed by a ray from the point to the right.
+            if ((p1.y > point.y) !== (p2.y > point.y) &&
+                    point.x < p1.x + (point.y - p1.y) * (p2.x - p1.x) / (p2.y - p1.y)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Resize a zone by moving its edit handle, keeping the zone on the image.
+     *
+     * A circle only uses dx, like before. Ellipses and rectangles change their width by dx and height by dy.
+     * For polygons, the corner with the handle moves, unless that would leave the centre outside the polygon.
+     *
+     * @param {Point} centre
+     * @param {number} radius
+     * @param {Object|null} shape the shape, which is changed.
+     * @param {int} dx x offset.
+     * @param {int} dy y offset.
+     * @param {int} maxX the width of the image.
+     * @param {int} maxY the height of the image.
+     * @param {int} [cornerNo] the corner to move, for polygons.
+     * @return {number} the new radius.
+     */
+    function resizeZone(centre, radius, shape, dx, dy, maxX, maxY, cornerNo) {
+        var limit = Math.min(centre.x, centre.y, maxX - centre.x, maxY - centre.y),
+            clamp = function(value) {
+                return Math.min(Math.max(value, -limit), limit);
+            };
+        if (!shape) {
+            return clamp(radius + dx);
+        }
+        if (shape.kind === 'polygon') {
+            var corner = shape.points[cornerNo],
+                corners = shape.points.slice();
+            if (corner) {
+                corners[cornerNo] = new Point(clamp(corner.x + dx), clamp(corner.y + dy));
+                if (isPointInPolygon(new Point(0, 0), corners)) {
+                    shape.points = corners;
+                }
+            }
+        } else {
+            shape.rx = clamp(shape.rx + dx);
+            shape.ry = clamp(shape.ry + dy);
+        }
+        return getZoneExtent(shape);
+    }
+
+    /**
+     * The square of the distance between two points.
+     *
+     * @param {Point} p1
+     * @param {Point} p2
+     * @return {number}
+     */
+    function distanceSquared(p1, p2) {
+        return (p1.x - p2.x) * (p1.x - p2.x) + (p1.y - p2.y) * (p1.y - p2.y);
+    }
+
+    /**
+     * Keep a point inside the image, allowing for the radius of its circle.
+     *
+     * @param {Point} point the point to clamp.
+     * @param {int} radius the radius of the circle round the point.
+     * @param {int} maxX the width of the image.
+     * @param {int} maxY the height of the image.
+     */
+    function clampPoint(point, radius, maxX, maxY) {
+        point.x = Math.min(Math.max(point.x, radius), maxX - radius);
+        point.y = Math.min(Math.max(point.y, radius), maxY - radius);
+    }
+
+    /**
+     * Get the SVG path of a circle, which can be combined with others in one path.
+     *
+     * @param {Point} centre
+     * @param {number} radius
+     * @return {String} the path data, or an empty string if the radius is 0.
+     */
+    function getCirclePath(centre, radius) {
+        if (radius <= 0) {
+            return '';
+        }
+        radius = Math.round(radius * 10) / 10;
+        return 'M ' + (centre.x + radius) + ',' + centre.y +
+            ' A ' + radius + ',' + radius + ' 0 1 1 ' + (centre.x - radius) + ',' + centre.y +
+            ' A ' + radius + ',' + radius + ' 0 1 1 ' + (centre.x + radius) + ',' + centre.y + ' Z';
+    }
+
+    /**
+     * Get the SVG path of a zone, which can be combined with others in one path.
+     *
+     * @param {Point} centre
+     * @param {number} radius
+     * @param {Object|null} shape the shape of the zone, or null for a circle. See parseZone.
+     * @return {String} the path data.
+     */
+    function getZoneShapePath(centre, radius, shape) {
+        if (!shape) {
+            return getCirclePath(centre, radius);
+        }
+        if (shape.kind === 'polygon') {
+            return 'M ' + shape.points.map(function(point) {
+                return (centre.x + point.x) + ',' + (centre.y + point.y);
+            }).join(' L ') + ' Z';
+        }
+        var rx = Math.abs(shape.rx),
+            ry = Math.abs(shape.ry);
+        if (shape.kind === 'rectangle') {
+            return 'M ' + (centre.x - rx) + ',' + (centre.y - ry) + ' H ' + (centre.x + rx) +
+                ' V ' + (centre.y + ry) + ' H ' + (centre.x - rx) + ' Z';
+        }
+        return 'M ' + (centre.x + rx) + ',' + centre.y +
+            ' A ' + rx + ',' + ry + ' 0 1 1 ' + (centre.x - rx) + ',' + centre.y +
+            ' A ' + rx + ',' + ry + ' 0 1 1 ' + (centre.x + rx) + ',' + centre.y + ' Z';
+    }
 
-        svg.appendChild(svgdefsEl);
+    /**
+     * Set the tabindex of the circle movehandles of a line.
+     *
+     * @param {SVGElement} svgEl the SVG representation of the shape.
+     * @param {String} tabindex the tabindex to set.
+     */
+    function setHandlesTabIndex(svgEl, tabindex) {
+        svgEl.childNodes[1].setAttribute('tabindex', tabindex);
+        svgEl.childNodes[2].setAttribute('tabindex', tabindex);
+        svgEl.childNodes[6].childNodes.forEach(function(middleEl) {
+            middleEl.setAttribute('tabindex', tabindex);
+        });
+        svgEl.childNodes[7].setAttribute('tabindex', tabindex);
     }
 
     /**
@@ -636,7 +2506,9 @@ define(function() {
 
     /**
      * Make a group SVG DOM elements containing a polyline of the given linetype as first child,
-     * two circles to mark the allowed radius for grading and text labels for the line.
+     * two circles to mark the allowed radius for grading, text labels for the line,
+     * a group for the circles of any middle handles, the rotate handle, the measurement text,
+     * the path that shows which angles or lengths are accepted and the path of any zones that are not circles.
      *
      * @param {SVGElement} svg the parent node.
      * @param {String} tagName the tag name.
@@ -645,15 +2517,35 @@ define(function() {
     function createSvgShapeGroup(svg, tagName) {
         var svgEl = createSvgElement(svg, 'g');
         svgEl.setAttribute('tabindex', '0');
+        svgEl.setAttribute('role', 'group');
         var lineEl = createSvgElement(svgEl, tagName);
         lineEl.setAttribute('class', 'shape');
+        lineEl.setAttribute('aria-hidden', 'true');
         var startcircleEl = createSvgElement(svgEl, 'circle');
         startcircleEl.setAttribute('class', 'startcircle shape');
+        startcircleEl.setAttribute('role', 'button');
         var endcirleEl = createSvgElement(svgEl, 'circle');
         endcirleEl.setAttribute('class', 'endcircle shape');
-        createSvgElement(svgEl, 'text').setAttribute('class', 'labelstart shapeLabel');
-        createSvgElement(svgEl, 'text').setAttribute('class', 'labelmiddle shapeLabel');
-        createSvgElement(svgEl, 'text').setAttribute('class', 'labelend shapeLabel');
+        endcirleEl.setAttribute('role', 'button');
+        // The labels are included in the accessible names of the line and its handles, so hide the text itself.
+        ['labelstart', 'labelmiddle', 'labelend'].forEach(function(labelClass) {
+            var labelEl = createSvgElement(svgEl, 'text');
+            labelEl.setAttribute('class', labelClass + ' shapeLabel');
+            labelEl.setAttribute('aria-hidden', 'true');
+        });
+        createSvgElement(svgEl, 'g').setAttribute('class', 'middlecircles');
+        var rotateEl = createSvgElement(svgEl, 'circle');
+        rotateEl.setAttribute('class', 'rotatehandle');
+        rotateEl.setAttribute('role', 'button');
+        var measurementEl = createSvgElement(svgEl, 'text');
+        measurementEl.setAttribute('class', 'measurement shapeLabel');
+        measurementEl.setAttribute('aria-hidden', 'true');
+        var toleranceEl = createSvgElement(svgEl, 'path');
+        toleranceEl.setAttribute('class', 'tolerancezone');
+        toleranceEl.setAttribute('aria-hidden', 'true');
+        var zoneShapesEl = createSvgElement(svgEl, 'path');
+        zoneShapesEl.setAttribute('class', 'zoneshapes');
+        zoneShapesEl.setAttribute('aria-hidden', 'true');
         return svgEl;
     }
 
@@ -696,24 +2588,115 @@ define(function() {
          */
         createSvgElement: createSvgElement,
 
+        /**
+         * Get the SVG path of a zone, exactly as it is graded.
+         *
+         * @param {String} zone in the format 'x,y;r', 'x,y;ellipse:rx,ry', 'x,y;rectangle:rx,ry'
+         *      or 'x,y;polygon:x1,y1;x2,y2;x3,y3...'.
+         * @return {String} the path data.
+         */
+        getZonePath: function(zone) {
+            var parsed = parseZone(zone);
+            return getZoneShapePath(parsed.centre, parsed.radius, parsed.shape);
+        },
+
+        /**
+         * Whether lines of this type have handles between the start and the end of the line.
+         *
+         * @param {String} lineType the type of line.
+         * @return {boolean}
+         */
+        hasMiddleHandles: hasMiddleHandles,
+
+        /**
+         * Make the snapping settings for moving the line handles.
+         *
+         * @param {Object} [options] with fields mode ('none', 'grid' or 'anchors'), gridspacing,
+         *      gridorigin [x, y] and anchors [[x, y], ...].
+         * @return {Snap} the snapping settings.
+         */
+        makeSnap: function(options) {
+            if (!options) {
+                return new Snap('none');
+            }
+            var origin = options.gridorigin || [0, 0];
+            return new Snap(options.mode, parseInt(options.gridspacing) || 0,
+                new Point(parseInt(origin[0]), parseInt(origin[1])),
+                (options.anchors || []).map(function(anchor) {
+                    return new Point(parseInt(anchor[0]), parseInt(anchor[1]));
+                }));
+        },
+
+        /**
+         * Make the scale used to show how long the lines are.
+         *
+         * @param {Object} [options] with fields pixels, length and unit, as returned by
+         *      qtype_drawlines_question::get_measurement_options().
+         * @return {Measure} the scale. Without options, lengths are measured in pixels.
+         */
+        makeMeasure: function(options) {
+            if (!options) {
+                return new Measure(0, 0, '');
+            }
+            return new Measure(parseInt(options.pixels) || 0, parseFloat(options.length) || 0, options.unit);
+        },
+
+        /**
+         * Work out where the lines go in the drag home area, from the sizes of their labels.
+         *
+         * @param {SVGElement} svg the drag home area, used to measure the labels.
+         * @param {Array[]} labels for each line, its start, middle and end labels.
+         * @param {int} maxWidth the width of the drag home area.
+         * @param {int} maxHeight how tall one column of lines may be, while there is room for another column.
+         * @param {Array[]} [richLabels] for each line, its labels as HTML, or '' for those shown as plain text.
+         * @return {HomeLayout} the layout.
+         */
+        makeHomeLayout: function(svg, labels, maxWidth, maxHeight, richLabels) {
+            return new HomeLayout(labels.map(function(lineLabels, lineNo) {
+                var lineRichLabels = (richLabels && richLabels[lineNo]) || ['', '', ''],
+                    start = measureLabel(svg, lineLabels[0], lineRichLabels[0]),
+                    middle = measureLabel(svg, lineLabels[1], lineRichLabels[1]),
+                    end = measureLabel(svg, lineLabels[2], lineRichLabels[2]);
+                return {
+                    startWidth: start.width,
+                    middleWidth: middle.width,
+                    endWidth: end.width,
+                    height: Math.max(start.height, middle.height, end.height)
+                };
+            }), maxWidth, maxHeight);
+        },
+
+        /**
+         * Move the labels of all the lines in an svg so that they do not cover each other, or the lines.
+         *
+         * @param {Line[]} lines the lines.
+         * @param {SVGElement[]} svgEls the svg g element of each line.
+         * @param {int} bgImageWidth
+         * @param {int} bgImageHeight
+         */
+        placeLabels: placeLabels,
+
         /**
          * Make a line of the given type.
          *
-         * @param {Array} [linecoordinates] in the format (x,y;radius).
+         * @param {Array} [linecoordinates] in the format (x,y;radius), or another zone shape such as
+         *      (x,y;ellipse:rx,ry), the optional third element holds the middle handles in the format
+         *      (x,y;radius x,y;radius ...).
          * @param {String} [lineType] The linetype (e.g., linesinglearrow, linedoublearrows, ...).
          * @param {Array} [labels] Start, middle and end labels of a line.
          * @return {Line} the new line.
          */
         make: function(linecoordinates, lineType, labels) {
-            // Line coordinates are in the format (x,y;radius).
-            var startcoordinates = linecoordinates[0].split(';');
-            var endcoordinates = linecoordinates[1].split(';');
-            var linestartbits = startcoordinates[0].split(',');
-            var lineendbits = endcoordinates[0].split(',');
-
-            return new Line(parseInt(linestartbits[0]), parseInt(linestartbits[1]), parseInt(startcoordinates[1]),
-                parseInt(lineendbits[0]), parseInt(lineendbits[1]), parseInt(endcoordinates[1]), lineType,
-                labels[0], labels[1], labels[2]);
+            // Line coordinates are in the format (x,y;radius), or one of the other zone shapes.
+            var start = parseZone(linecoordinates[0]);
+            var end = parseZone(linecoordinates[1]);
+
+            var line = new Line(start.centre.x, start.centre.y, start.radius,
+                end.centre.x, end.centre.y, end.radius, lineType,
+                labels[0], labels[1], labels[2], parseMiddles(linecoordinates[2]));
+            line.startShape = start.shape;
+            line.endShape = end.shape;
+            return line;
         },
 
         /**
@@ -724,9 +2707,26 @@ define(function() {
          * @return {line} the similar line of a different linetype.
          */
         getSimilar: function(lineType, line) {
-            return new Line(parseInt(line.x1), parseInt(line.y1), parseInt(line.startRadius),
+            var middles = [];
+            if (hasMiddleHandles(lineType)) {
+                middles = line.middles.map(function(middle) {
+                    return {centre: new Point(middle.centre.x, middle.centre.y), radius: middle.radius,
+                        shape: copyZoneShape(middle.shape)};
+                });
+                if (isCurvedType(lineType)) {
+                    // Curves have exactly one control handle.
+                    middles = middles.slice(0, 1);
+                }
+                if (middles.length === 0) {
+                    middles.push({centre: line.getMiddlePoint(), radius: parseInt(line.startRadius)});
+                }
+            }
+            var similar = new Line(parseInt(line.x1), parseInt(line.y1), parseInt(line.startRadius),
                 parseInt(line.x2), parseInt(line.y2), parseInt(line.endRadius), lineType,
-                line.labelstart, line.labelmiddle, line.labelend);
+                line.labelstart, line.labelmiddle, line.labelend, middles);
+            similar.startShape = copyZoneShape(line.startShape);
+            similar.endShape = copyZoneShape(line.endShape);
+            return similar;
         }
     };
 });
@@ -25,16 +25,33 @@ define([
     'jquery',
     'core/dragdrop',
     'qtype_drawlines/line',
+    'core_filters/events',
     'core/key_codes',
     'core_form/changechecker',
 ], function(
     $,
     dragDrop,
     Line,
+    FilterEvents,
 ) {
 
     "use strict";
 
+    /** @var {int} how far the tick and cross icons are from the handles they belong to, in pixels. */
+    var RESULT_ICON_OFFSET = 10;
+
+    /** @var {Number} how far the image can be zoomed in. */
+    var ZOOM_MAX = 4;
+
+    /** @var {Number} how much each click on the zoom buttons, or each notch of the mouse wheel, zooms by. */
+    var ZOOM_STEP = 1.5;
+
+    /** @var {String[]} the events that start dragging. Without Pointer Events, only one pointer can drag at a time. */
+    var DRAG_START_EVENTS = window.PointerEvent ? ['pointerdown'] : ['mousedown', 'touchstart'];
+
+    /** @var {int} how close to the edge of the zoomed image a handle moved with the keyboard can go, in image pixels. */
+    var ZOOM_VIEW_MARGIN = 20;
+
     /**
      * Object to handle one drag-drop markers question.
      *
@@ -43,16 +60,51 @@ define([
      * @param {Object[]} visibleDropZones the geometry of any drop-zones to show.
      *      Objects have fields line, coords and markertext.
      * @param {line[]} questionLines
+     * @param {Object} [snapOptions] how the line handles snap while moved, see {@link Line.makeSnap}.
+     * @param {Object[]} [landmarks] named points on the image, with fields name, x and y.
+     * @param {Object} [measurementOptions] whether to show the length and the bearing of the lines, and the scale
+     *      to measure them in, see {@link Line.makeMeasure}.
+     * @param {Object} [lineResults] when reviewing, whether each placed line is right, indexed by line number,
+     *      as returned by qtype_drawlines_question::get_line_results().
+     * @param {boolean} [showZones] when reviewing, whether to show the zones where the lines should be.
+     * @param {Array[]} [dragHomes] the line numbers waiting in each place in the drag home area, in order,
+     *      as returned by qtype_drawlines_question::get_drag_homes(). Lines that share a place are copies
+     *      that can go in each other's zones. By default, each line has a place of its own.
+     * @param {Array[]} [richLabels] for each line, its start, middle and end labels as HTML, or '' for labels
+     *      shown as plain text.
      * @constructor
      */
-    function DrawlinesQuestion(containerId, readOnly, visibleDropZones, questionLines) {
+    function DrawlinesQuestion(containerId, readOnly, visibleDropZones, questionLines, snapOptions, landmarks,
+            measurementOptions, lineResults, showZones, dragHomes, richLabels) {
         var thisQ = this;
         this.containerId = containerId;
         this.visibleDropZones = visibleDropZones;
         this.questionLines = questionLines;
+        this.snap = Line.makeSnap(snapOptions);
+        this.landmarks = landmarks || [];
+        this.measure = measurementOptions && measurementOptions.show ? Line.makeMeasure(measurementOptions) : null;
+        this.lineResults = lineResults || {};
+        this.showZones = Boolean(showZones);
+        this.dragHomes = dragHomes || questionLines.map(function(questionLine, lineNo) {
+            return [lineNo];
+        });
+        this.richLabels = richLabels || [];
+        // Filters such as MathJax change the size of labels shown as HTML after they are drawn, so move them again.
+        this.labelResizeObserver = new ResizeObserver(function() {
+            thisQ.updateLabels();
+        });
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastKeyMove = null;
+        // How far the image is zoomed in, and the point on the natural image at the top left of what is shown.
+        this.zoom = {scale: 1, x: 0, y: 0};
+        this.pinch = null;
+        this.panning = false;
+        this.gesture = null;
         M.util.js_pending('qtype_drawlines-init-' + this.containerId);
         this.lineSVGs = [];
         this.lines = [];
+        this.homeLayout = null;
         this.svgEl = null;
         this.isPrinting = false;
         if (readOnly) {
@@ -69,7 +121,7 @@ define([
         // We don't need to scale the shape for editing form.
         for (var line = 0; line < this.lineSVGs.length; line++) {
             var coordinates = this.getSVGLineCoordinates(this.lineSVGs[line]);
-            if (!this.lines[line].parse(coordinates[0], coordinates[1], 1)) {
+            if (!this.lines[line].parse(coordinates[0], coordinates[1], 1, coordinates[2])) {
                 // Invalid coordinates. Don't update the preview.
                 return;
             }
@@ -84,7 +136,10 @@ define([
      *                             Except for infinite line type where it's in the format x1,y1 x2,y2, x3,y3, x4,y4.
      *                             Here, x1,y1 and x4,y4 are the two very end points of the infinite line and
      *                             x2,y2 and x3,y3 are the pints with the handles.
+     *                             For curved and polyline types it's in the format x1,y1 mx1,my1 ... x2,y2,
+     *                             where the points between the first and the last are the middle handles.
      * @param {String} lineType The type of the line.
+     * @return {String[]} the start point, the end point and the space separated middle points.
      */
     DrawlinesQuestion.prototype.parseCoordinates = function(coordinates, lineType) {
         var bits = coordinates.split(' ');
@@ -92,10 +147,36 @@ define([
             // Remove the first and last coordinates.
             bits = bits.slice(1, -1);
         }
+        if (Line.hasMiddleHandles(lineType) && bits.length > 2) {
+            return [bits[0], bits[bits.length - 1], bits.slice(1, -1).join(' ')];
+        }
         if (bits.length !== 2) {
             throw new Error(coordinates + ' is not a valid point');
         }
-        return bits;
+        return bits.concat(['']);
+    };
+
+    /**
+     * Get the initial middle handles for a line in the drag home area, spread evenly along the line.
+     *
+     * @param {Object} questionLine the question line.
+     * @param {Object} home where the line is in the drag home area, with fields start {Point} and end {Point}.
+     * @return {String} the middle handles in the format x,y;radius x,y;radius ...
+     */
+    DrawlinesQuestion.prototype.getInitialMiddleCoordinates = function(questionLine, home) {
+        if (!Line.hasMiddleHandles(questionLine.type)) {
+            return '';
+        }
+        var count = 1;
+        if (questionLine.type === 'linepolyline' && questionLine.zonemiddle) {
+            count = Math.max(1, questionLine.zonemiddle.trim().split(/\s+/).length);
+        }
+        var middles = [];
+        for (var i = 1; i <= count; i++) {
+            middles.push(Math.round(home.start.x + (home.end.x - home.start.x) * i / (count + 1)) + ',' +
+                Math.round(home.start.y + (home.end.y - home.start.y) * i / (count + 1)) + ';10');
+        }
+        return middles.join(' ');
     };
 
     /**
@@ -113,6 +194,7 @@ define([
             let dropZone = rootElement.querySelector('.que-dlines-dropzone');
             dropZone.innerHTML =
                 '<svg xmlns="http://www.w3.org/2000/svg" ' +
+                    'id="' + this.containerId + '-dropzones" ' +
                     'class= "dropzones" ' +
                     'width="' + bgImage.width + '" ' +
                     'height="' + bgImage.height + '" ' +
@@ -131,23 +213,41 @@ define([
     DrawlinesQuestion.prototype.drawSVGLines = function(questionLines) {
         let bgImage = this.bgImage(),
             rootElement = this.getRoot(),
-            height, startcoordinates, endcoordinates, draginitialcoords;
+            home, startcoordinates, endcoordinates, middlecoordinates, draginitialcoords;
 
         let drags = rootElement.querySelector('.draghomes');
         drags.innerHTML =
-            '<svg xmlns="http://www.w3.org/2000/svg" class="dragshome" ' +
-            'width="' + bgImage.width + '" ' +
-            'height="' + questionLines.length * 50 + '"' +
+            '<svg xmlns="http://www.w3.org/2000/svg" id="' + this.containerId + '-dragshome" class="dragshome" ' +
+            'width="' + bgImage.width + '"' +
             '></svg>';
 
         let draghomeSvg = rootElement.querySelector('.dragshome'),
             dropzoneSvg = rootElement.querySelector('.dropzones');
-        const initiallinespacing = 25,
-            spacingbetweenlines = 50;
-        for (let line = 0; line < this.questionLines.length; line++) {
-            height = initiallinespacing + (line * spacingbetweenlines);
-            startcoordinates = '50,' + height + ';10';
-            endcoordinates = '200,' + height + ';10';
+
+        // The drag home area is as wide as the image, and wraps into columns rather than grow taller than it.
+        this.homeLayout = Line.makeHomeLayout(draghomeSvg, this.dragHomes.map(function(lineNos) {
+            var questionLine = questionLines[lineNos[0]];
+            return [questionLine.labelstart, questionLine.labelmiddle, questionLine.labelend];
+        }), bgImage.naturalWidth, bgImage.naturalHeight, this.dragHomes.map(function(lineNos) {
+            return this.richLabels[lineNos[0]];
+        }, this));
+        draghomeSvg.setAttribute('height', parseInt(this.homeLayout.height * this.bgRatio()));
+
+        this.drawCorrectAnswer(dropzoneSvg);
+        this.drawCorrectZones(dropzoneSvg);
+        // Make the lines in the order of the drag home area, which is their order for the keyboard.
+        let homeNos = [], lineOrder = [];
+        this.dragHomes.forEach(function(lineNos, homeNo) {
+            lineNos.forEach(function(lineNo) {
+                homeNos[lineNo] = homeNo;
+                lineOrder.push(lineNo);
+            });
+        });
+        for (let line of lineOrder) {
+            home = this.homeLayout.getHome(homeNos[line]);
+            startcoordinates = home.start.x + ',' + home.start.y + ';10';
+            endcoordinates = home.end.x + ',' + home.end.y + ';10';
+            middlecoordinates = this.getInitialMiddleCoordinates(questionLines[line], home);
 
             // Check if the lines are to be set with initial coordinates.
             draginitialcoords = this.visibleDropZones['c' + line];
@@ -156,22 +256,39 @@ define([
                 var coords = this.parseCoordinates(draginitialcoords, questionLines[line].type);
                 startcoordinates = coords[0] + ';10';
                 endcoordinates = coords[1] + ';10';
+                middlecoordinates = coords[2] === '' ? '' : coords[2].split(' ').join(';10 ') + ';10';
                 this.lines[line] = Line.make(
-                    [startcoordinates, endcoordinates],
+                    [startcoordinates, endcoordinates, middlecoordinates],
                     questionLines[line].type,
                     [questionLines[line].labelstart, questionLines[line].labelmiddle, questionLines[line].labelend]
                 );
+                this.lines[line].setLock(questionLines[line].lockmode, questionLines[line].zonestart,
+                    questionLines[line].zoneend);
+                this.lines[line].setMeasure(this.measure);
+                this.lines[line].setStyle(questionLines[line].colour, questionLines[line].dashstyle,
+                    questionLines[line].arrowstyle);
+                this.lines[line].setRichLabels(this.richLabels[line]);
+                this.lines[line].setHome(home);
                 this.addToSvg(line, dropzoneSvg);
             } else {
                 // Need to be added to draghomeSvg.
                 this.lines[line] = Line.make(
-                    [startcoordinates, endcoordinates],
+                    [startcoordinates, endcoordinates, middlecoordinates],
                     questionLines[line].type,
                     [questionLines[line].labelstart, questionLines[line].labelmiddle, questionLines[line].labelend]
                 );
+                this.lines[line].setLock(questionLines[line].lockmode, questionLines[line].zonestart,
+                    questionLines[line].zoneend);
+                this.lines[line].setMeasure(this.measure);
+                this.lines[line].setStyle(questionLines[line].colour, questionLines[line].dashstyle,
+                    questionLines[line].arrowstyle);
+                this.lines[line].setRichLabels(this.richLabels[line]);
+                this.lines[line].setHome(home);
                 this.addToSvg(line, draghomeSvg);
             }
         }
+        this.updateHomeCopies();
+        this.updateToolbarButtons();
         M.util.js_complete('qtype_drawlines-init-' + this.containerId);
     };
 
@@ -195,13 +312,22 @@ define([
         svgdropzones.setAttribute("viewBox", '0 0 ' + bgImg.width + ' ' + bgImg.height);
 
         svgdraghomes.setAttribute("width", bgImg.width);
-        svgdraghomes.setAttribute("height", parseInt(thisQ.questionLines.length * 50 * bgRatio));
+        svgdraghomes.setAttribute("height", parseInt(thisQ.homeLayout.height * bgRatio));
 
         // Transform the svg lines to scale based on window size.
         for (let linenumber = 0; linenumber < thisQ.questionLines.length; linenumber++) {
             var svgline = thisQ.getRoot().querySelector('.dropzone.choice' + linenumber);
             thisQ.handleElementScale(svgline);
         }
+        svgdropzones.querySelectorAll('.correctanswer, .correctzones').forEach(function(layer) {
+            thisQ.handleElementScale(layer);
+        });
+
+        // Zoom and pan the background image in the same way as the lines on it.
+        bgImg.style.transformOrigin = '0 0';
+        bgImg.style.transform = this.isZoomed() ? 'scale(' + this.zoom.scale + ') ' +
+            'translate(' + (-this.zoom.x * bgRatio) + 'px, ' + (-this.zoom.y * bgRatio) + 'px)' : '';
+        this.getRoot().querySelector('.droparea').classList.toggle('zoomed', this.isZoomed());
     };
 
     /**
@@ -223,14 +349,188 @@ define([
     /**
      * Scale the drag if needed.
      *
+     * Things on the image are also zoomed and panned with it, so that their coordinates stay those
+     * of the natural image.
+     *
      * @param {SVGElement} element the line to place.
      */
     DrawlinesQuestion.prototype.handleElementScale = function(element) {
-        var bgRatio = this.bgRatio();
+        var bgRatio = this.bgRatio(),
+            transform;
         if (this.isPrinting) {
             bgRatio = 1;
         }
-        element.setAttribute('transform', 'scale(' + bgRatio + ')');
+        transform = 'scale(' + bgRatio + ')';
+        if (this.isZoomed() && element.closest('svg.dropzones')) {
+            transform += ' scale(' + this.zoom.scale + ') translate(' + (-this.zoom.x) + ' ' + (-this.zoom.y) + ')';
+        }
+        element.setAttribute('transform', transform);
+    };
+
+    /**
+     * Whether the image is zoomed in at the moment.
+     *
+     * @return {boolean}
+     */
+    DrawlinesQuestion.prototype.isZoomed = function() {
+        return !this.isPrinting && this.zoom.scale > 1;
+    };
+
+    /**
+     * How many pixels on the screen one pixel of the natural image takes up, where an element is now.
+     *
+     * @param {SVGElement} element a line, or part of one.
+     * @return {Number} the scale.
+     */
+    DrawlinesQuestion.prototype.getScreenScale = function(element) {
+        var scale = this.bgRatio();
+        if (this.isZoomed() && element.closest('svg.dropzones')) {
+            scale *= this.zoom.scale;
+        }
+        return scale;
+    };
+
+    /**
+     * Convert a position on the screen to the point it is over on the natural image.
+     *
+     * @param {Number} clientX
+     * @param {Number} clientY
+     * @return {Line.Point} the point on the image, which may be outside it.
+     */
+    DrawlinesQuestion.prototype.clientToImage = function(clientX, clientY) {
+        var svgRect = this.getRoot().querySelector('svg.dropzones').getBoundingClientRect(),
+            scale = this.bgRatio() * (this.isZoomed() ? this.zoom.scale : 1);
+        return new Line.Point((clientX - svgRect.left) / scale + this.zoom.x,
+            (clientY - svgRect.top) / scale + this.zoom.y);
+    };
+
+    /**
+     * Zoom the image, keeping one point of it in the same place on the screen.
+     *
+     * @param {Number} scale how far to zoom in, from 1 for the whole image up to ZOOM_MAX.
+     * @param {Line.Point} [centre] the point on the natural image to keep still. Defaults to the middle of what is shown.
+     */
+    DrawlinesQuestion.prototype.setZoom = function(scale, centre) {
+        var bgImage = this.bgImage(),
+            width = bgImage.naturalWidth,
+            height = bgImage.naturalHeight;
+        if (!centre) {
+            centre = new Line.Point(this.zoom.x + width / this.zoom.scale / 2, this.zoom.y + height / this.zoom.scale / 2);
+        }
+        // How far across and down what is shown the centre is, which stays the same.
+        var across = (centre.x - this.zoom.x) * this.zoom.scale / width,
+            down = (centre.y - this.zoom.y) * this.zoom.scale / height;
+        this.zoom.scale = Math.min(ZOOM_MAX, Math.max(1, scale));
+        this.panTo(centre.x - across * width / this.zoom.scale, centre.y - down * height / this.zoom.scale);
+    };
+
+    /**
+     * Pan the zoomed image, so that a point on the natural image is at the top left, as far as the image allows.
+     *
+     * @param {Number} x
+     * @param {Number} y
+     */
+    DrawlinesQuestion.prototype.panTo = function(x, y) {
+        var bgImage = this.bgImage();
+        this.zoom.x = Math.min(Math.max(0, x), bgImage.naturalWidth * (1 - 1 / this.zoom.scale));
+        this.zoom.y = Math.min(Math.max(0, y), bgImage.naturalHeight * (1 - 1 / this.zoom.scale));
+        this.handleResize();
+        this.updateZoomButtons();
+    };
+
+    /**
+     * Pan the zoomed image, if necessary, so that a point on it can be seen.
+     *
+     * @param {Line.Point} point on the natural image.
+     */
+    DrawlinesQuestion.prototype.keepInView = function(point) {
+        if (!this.isZoomed()) {
+            return;
+        }
+        var bgImage = this.bgImage(),
+            width = bgImage.naturalWidth / this.zoom.scale,
+            height = bgImage.naturalHeight / this.zoom.scale,
+            x = Math.max(Math.min(this.zoom.x, point.x - ZOOM_VIEW_MARGIN), point.x + ZOOM_VIEW_MARGIN - width),
+            y = Math.max(Math.min(this.zoom.y, point.y - ZOOM_VIEW_MARGIN), point.y + ZOOM_VIEW_MARGIN - height);
+        if (x !== this.zoom.x || y !== this.zoom.y) {
+            this.panTo(x, y);
+        }
+    };
+
+    /**
+     * Enable or disable the zoom buttons, depending on how far the image is zoomed.
+     */
+    DrawlinesQuestion.prototype.updateZoomButtons = function() {
+        var root = this.getRoot(),
+            buttons = {
+                zoomin: this.zoom.scale >= ZOOM_MAX,
+                zoomout: this.zoom.scale <= 1,
+                zoomreset: this.zoom.scale <= 1
+            };
+        Object.keys(buttons).forEach(function(name) {
+            var button = root.querySelector('.drawlines-zoom button.' + name);
+            if (button) {
+                button.disabled = buttons[name];
+            }
+        });
+    };
+
+    /**
+     * Start panning the zoomed image, by dragging its background.
+     *
+     * @param {Event} e Event object
+     */
+    DrawlinesQuestion.prototype.handlePanMove = function(e) {
+        var info = this.prepareDrag(e);
+        if (!info.start) {
+            return;
+        }
+        var panningQ = this,
+            pointer = makePointerTracker(info.x, info.y);
+
+        this.panning = true;
+        this.startDrag(e, info, function(pageX, pageY) {
+            var move = pointer(pageX, pageY, panningQ.bgRatio() * panningQ.zoom.scale);
+            if (panningQ.pinch === null) {
+                panningQ.panTo(panningQ.zoom.x - move.x, panningQ.zoom.y - move.y);
+            }
+        }, function() {
+            panningQ.panning = false;
+        });
+    };
+
+    /**
+     * Start zooming with two fingers.
+     *
+     * @param {TouchList} touches the two touches.
+     */
+    DrawlinesQuestion.prototype.startPinch = function(touches) {
+        var middleX = (touches[0].clientX + touches[1].clientX) / 2,
+            middleY = (touches[0].clientY + touches[1].clientY) / 2;
+        this.pinch = {
+            distance: Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY),
+            scale: this.zoom.scale,
+            point: this.clientToImage(middleX, middleY)
+        };
+    };
+
+    /**
+     * Zoom and pan as two fingers move, keeping the point on the image between them under them.
+     *
+     * @param {TouchList} touches the two touches.
+     */
+    DrawlinesQuestion.prototype.movePinch = function(touches) {
+        var distance = Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY),
+            middleX = (touches[0].clientX + touches[1].clientX) / 2,
+            middleY = (touches[0].clientY + touches[1].clientY) / 2,
+            svgRect = this.getRoot().querySelector('svg.dropzones').getBoundingClientRect();
+        if (this.pinch.distance === 0) {
+            return;
+        }
+        this.zoom.scale = Math.min(ZOOM_MAX, Math.max(1, this.pinch.scale * distance / this.pinch.distance));
+        var scale = this.bgRatio() * this.zoom.scale;
+        this.panTo(this.pinch.point.x - (middleX - svgRect.left) / scale,
+            this.pinch.point.y - (middleY - svgRect.top) / scale);
     };
 
     /**
@@ -264,8 +564,12 @@ define([
         var circleEndXCoords = svgEl.childNodes[2].getAttribute('cx');
         var circleEndYCoords = svgEl.childNodes[2].getAttribute('cy');
         var circleEndRCoords = svgEl.childNodes[2].getAttribute('r');
+        var middleCoords = Array.from(svgEl.querySelectorAll('.middlecircle')).map(function(circle) {
+            return circle.getAttribute('cx') + ',' + circle.getAttribute('cy') + ';' + circle.getAttribute('r');
+        });
         return [circleStartXCoords + ',' + circleStartYCoords + ';' + circleStartRCoords,
-            circleEndXCoords + ',' + circleEndYCoords + ';' + circleEndRCoords];
+            circleEndXCoords + ',' + circleEndYCoords + ';' + circleEndRCoords,
+            middleCoords.join(' ')];
     };
 
     /**
@@ -283,10 +587,162 @@ define([
         }
         this.lineSVGs[lineNumber].setAttribute('data-dropzone-no', lineNumber);
         if (svg.getAttribute('class') === 'dropzones') {
-            this.lineSVGs[lineNumber].setAttribute('class', 'dropzone choice' + lineNumber + ' placed');
+            this.lineSVGs[lineNumber].setAttribute('class', 'dropzone choice' + lineNumber + ' placed' +
+                (this.isLineReversed(lineNumber) ? ' reversed' : ''));
+            this.showLineResult(lineNumber);
         } else {
             this.lineSVGs[lineNumber].setAttribute('class', 'dropzone choice' + lineNumber + ' inactive');
         }
+        if (document.getElementById(this.containerId + '-instructions')) {
+            this.lineSVGs[lineNumber].setAttribute('aria-describedby', this.containerId + '-instructions');
+        }
+        this.updateAccessibility(lineNumber);
+    };
+
+    /**
+     * Whether the line is marked as drawn the wrong way round, when reviewing.
+     *
+     * @param {int} lineNo
+     * @return {boolean}
+     */
+    DrawlinesQuestion.prototype.isLineReversed = function(lineNo) {
+        var result = this.getLineResult(lineNo);
+        return result !== null && result.reversed;
+    };
+
+    /**
+     * Get whether a line, and each of its handles, is right, when reviewing.
+     *
+     * @param {int} lineNo
+     * @return {Object|null} with fields start, end, middles, reversed and state, or null if there is no result.
+     */
+    DrawlinesQuestion.prototype.getLineResult = function(lineNo) {
+        return this.lineResults[lineNo] || null;
+    };
+
+    /**
+     * Colour a placed line, and each of its handles, to show whether it is right, and add tick or cross icons.
+     *
+     * @param {int} lineNo
+     */
+    DrawlinesQuestion.prototype.showLineResult = function(lineNo) {
+        var result = this.getLineResult(lineNo),
+            svgEl = this.lineSVGs[lineNo];
+        if (result === null || !svgEl) {
+            return;
+        }
+        svgEl.classList.add('result-' + result.state);
+        var handles = [['startcircle', result.start], ['endcircle', result.end]];
+        svgEl.querySelectorAll('.middlecircle').forEach(function(middleEl) {
+            handles.push([middleEl, result.middles[middleEl.dataset.middleNo]]);
+        });
+        handles.forEach(function(handle) {
+            var handleEl = typeof handle[0] === 'string' ? svgEl.querySelector('.' + handle[0]) : handle[0],
+                iconEl = Line.createSvgElement(svgEl, 'text');
+            handleEl.classList.add(handle[1] ? 'result-correct' : 'result-incorrect');
+            iconEl.setAttribute('class', 'resulticon ' + (handle[1] ? 'result-correct' : 'result-incorrect'));
+            iconEl.setAttribute('aria-hidden', 'true');
+            iconEl.setAttribute('x', parseFloat(handleEl.getAttribute('cx')) + RESULT_ICON_OFFSET);
+            iconEl.setAttribute('y', parseFloat(handleEl.getAttribute('cy')) - RESULT_ICON_OFFSET);
+            iconEl.textContent = handle[1] ? '\u2713' : '\u2717';
+        });
+    };
+
+    /**
+     * Draw the correct lines, with their zones, as a faint layer under the response, when reviewing.
+     *
+     * This is only done if there are buttons to switch between the response, the correct answer and both.
+     *
+     * @param {SVGElement} svg the SVG element of the drop zones.
+     */
+    DrawlinesQuestion.prototype.drawCorrectAnswer = function(svg) {
+        var compare = this.getRoot().querySelector('.drawlines-compare'),
+            bgImage = this.bgImage();
+        if (!compare) {
+            return;
+        }
+        var layerEl = Line.createSvgElement(svg, 'g');
+        layerEl.setAttribute('class', 'correctanswer');
+        layerEl.setAttribute('aria-hidden', 'true');
+        svg.insertBefore(layerEl, svg.firstChild);
+        this.questionLines.forEach(function(questionLine, lineNo) {
+            var line = Line.make([questionLine.zonestart, questionLine.zoneend, questionLine.zonemiddle || ''],
+                    questionLine.type, [questionLine.labelstart, questionLine.labelmiddle, questionLine.labelend]);
+            line.setStyle(questionLine.colour, questionLine.dashstyle, questionLine.arrowstyle);
+            line.setRichLabels(this.richLabels[lineNo]);
+            var lineEl = line.makeSvg(svg, bgImage.naturalWidth, bgImage.naturalHeight);
+            if (!lineEl) {
+                return;
+            }
+            lineEl.removeAttribute('tabindex');
+            lineEl.removeAttribute('role');
+            lineEl.setAttribute('class', 'correctanswerline');
+            layerEl.appendChild(lineEl);
+            this.filterRichLabels(lineEl);
+        }, this);
+        var pressed = compare.querySelector('button[aria-pressed="true"]');
+        this.showComparison(pressed ? pressed.dataset.compare : 'response');
+    };
+
+    /**
+     * Show the response, the correct answer, or both on top of each other.
+     *
+     * @param {String} show 'response', 'correct' or 'both'.
+     */
+    DrawlinesQuestion.prototype.showComparison = function(show) {
+        var root = this.getRoot();
+        root.classList.remove('drawlines-compare-response', 'drawlines-compare-correct', 'drawlines-compare-both');
+        root.classList.add('drawlines-compare-' + show);
+        root.querySelectorAll('.drawlines-compare button').forEach(function(button) {
+            button.setAttribute('aria-pressed', button.dataset.compare === show ? 'true' : 'false');
+        });
+    };
+
+    /**
+     * Draw the zones where the lines should be, under the lines, when reviewing.
+     *
+     * Lines graded by position show their zones. Lines graded by angle or length show the line between
+     * their zones, and the angles or lengths that are accepted.
+     *
+     * @param {SVGElement} svg the SVG element of the drop zones.
+     */
+    DrawlinesQuestion.prototype.drawCorrectZones = function(svg) {
+        if (!this.showZones) {
+            return;
+        }
+        var zonesEl = Line.createSvgElement(svg, 'g');
+        zonesEl.setAttribute('class', 'correctzones');
+        zonesEl.setAttribute('aria-hidden', 'true');
+        svg.insertBefore(zonesEl, svg.firstChild);
+        this.questionLines.forEach(function(questionLine) {
+            var zones = [questionLine.zonestart, questionLine.zoneend].concat(
+                    (questionLine.zonemiddle || '').trim() === '' ? [] : questionLine.zonemiddle.trim().split(/\s+/)),
+                line = Line.make([questionLine.zonestart, questionLine.zoneend, ''], questionLine.type, ['', '', '']),
+                kind = questionLine.zonekind || 'position',
+                lineEl;
+            if (kind === 'position') {
+                zones.forEach(function(zone) {
+                    var zoneEl = Line.createSvgElement(zonesEl, 'path');
+                    zoneEl.setAttribute('class', 'correctzone');
+                    zoneEl.setAttribute('d', Line.getZonePath(zone));
+                });
+            } else {
+                line.setZoneKind(kind, questionLine.zonetolerance);
+                Line.createSvgElement(zonesEl, 'path').setAttribute('d', line.getToleranceZonePath());
+                zonesEl.lastChild.setAttribute('class', 'correctzone tolerancezone');
+            }
+            // Join the zones in order, from the start through the middle zones to the end.
+            lineEl = Line.createSvgElement(zonesEl, 'polyline');
+            lineEl.setAttribute('class', 'correctline');
+            lineEl.setAttribute('points', [zones[0]].concat(zones.slice(2), [zones[1]]).map(function(zone) {
+                return zone.split(';')[0];
+            }).join(' '));
+            var numberEl = Line.createSvgElement(zonesEl, 'text');
+            numberEl.setAttribute('class', 'correctzonenumber');
+            numberEl.setAttribute('x', line.centre1.x);
+            numberEl.setAttribute('y', line.centre1.y);
+            numberEl.textContent = questionLine.number;
+        });
     };
 
     /**
@@ -297,37 +753,472 @@ define([
     DrawlinesQuestion.prototype.updateSvgEl = function(dropzoneNo) {
         var bgimage = this.bgImage();
         this.lines[dropzoneNo].updateSvg(this.lineSVGs[dropzoneNo], bgimage.naturalWidth, bgimage.naturalHeight);
+        // The line may have moved between the drag homes and the image, which is zoomed.
+        this.handleElementScale(this.lineSVGs[dropzoneNo]);
+        this.updateAccessibility(dropzoneNo);
+        this.filterRichLabels(this.lineSVGs[dropzoneNo]);
+        this.placeLabels();
+    };
+
+    /**
+     * Let filters such as MathJax process the labels of a line shown as HTML, once they are on the page.
+     *
+     * @param {SVGElement} svgEl the svg g element of the line.
+     */
+    DrawlinesQuestion.prototype.filterRichLabels = function(svgEl) {
+        var labelEls = Array.from(svgEl.querySelectorAll('.richlabel:not(.filtered)'));
+        if (labelEls.length === 0) {
+            return;
+        }
+        labelEls.forEach(function(labelEl) {
+            labelEl.classList.add('filtered');
+            this.labelResizeObserver.observe(labelEl.firstChild);
+        }, this);
+        FilterEvents.notifyFilterContentUpdated(labelEls);
+    };
+
+    /**
+     * Move the labels of all the lines again, after their size has changed.
+     */
+    DrawlinesQuestion.prototype.updateLabels = function() {
+        var bgimage = this.bgImage();
+        this.lines.forEach(function(line, lineNo) {
+            if (this.lineSVGs[lineNo]) {
+                line.updateSvgLabels(this.lineSVGs[lineNo], bgimage.naturalWidth, bgimage.naturalHeight);
+            }
+        }, this);
+        this.placeLabels();
+    };
+
+    /**
+     * Move the labels of the lines placed on the image so that they do not cover each other.
+     */
+    DrawlinesQuestion.prototype.placeLabels = function() {
+        var bgimage = this.bgImage(),
+            lines = [],
+            svgEls = [];
+        for (var lineNo = 0; lineNo < this.lines.length; lineNo++) {
+            if (this.lineSVGs[lineNo] && this.isLinePlaced(lineNo)) {
+                lines.push(this.lines[lineNo]);
+                svgEls.push(this.lineSVGs[lineNo]);
+            }
+        }
+        Line.placeLabels(lines, svgEls, bgimage.naturalWidth, bgimage.naturalHeight);
+    };
+
+    /**
+     * Get the name of a line, including its labels, as read out by screen readers.
+     *
+     * @param {int} lineNo
+     * @return {String}
+     */
+    DrawlinesQuestion.prototype.getLineName = function(lineNo) {
+        var questionLine = this.questionLines[lineNo],
+            richLabels = this.richLabels[lineNo] || [],
+            labels = [questionLine.labelstart, questionLine.labelmiddle, questionLine.labelend].map(function(label, labelNo) {
+                if (!richLabels[labelNo]) {
+                    return label;
+                }
+                // Labels shown as HTML are read out as their text.
+                return new DOMParser().parseFromString(richLabels[labelNo], 'text/html').body.textContent;
+            }).filter(function(label) {
+                return label && label.trim() !== '';
+            });
+        if (labels.length === 0) {
+            return M.util.get_string('linename', 'qtype_drawlines', questionLine.number);
+        }
+        return M.util.get_string('linenamewithlabels', 'qtype_drawlines',
+            {number: questionLine.number, labels: labels.join(', ')});
+    };
+
+    /**
+     * Find the landmark at a point, if there is one.
+     *
+     * @param {Point} point
+     * @return {Object|null} the landmark, with fields name, x and y.
+     */
+    DrawlinesQuestion.prototype.getLandmarkAt = function(point) {
+        return this.landmarks.find(function(landmark) {
+            return landmark.x === point.x && landmark.y === point.y;
+        }) || null;
+    };
+
+    /**
+     * Describe a point on the image, using the name of the landmark there, if any.
+     *
+     * @param {Point} point
+     * @return {String}
+     */
+    DrawlinesQuestion.prototype.describePoint = function(point) {
+        var landmark = this.getLandmarkAt(point);
+        if (landmark) {
+            return M.util.get_string('ariapositionlandmark', 'qtype_drawlines', landmark);
+        }
+        return M.util.get_string('ariaposition', 'qtype_drawlines', {x: point.x, y: point.y});
+    };
+
+    /**
+     * Describe a line, or one of its handles, and where it is, as read out by screen readers.
+     *
+     * @param {int} lineNo
+     * @param {String} whichHandle startcircle, endcircle, middlecircle, rotatehandle or line.
+     * @param {int} [middleNo] which middle handle, when whichHandle is middlecircle.
+     * @return {String}
+     */
+    DrawlinesQuestion.prototype.describe = function(lineNo, whichHandle, middleNo) {
+        var line = this.lines[lineNo],
+            lineName = this.getLineName(lineNo);
+        if (!this.isLinePlaced(lineNo)) {
+            return M.util.get_string('arialinenotplaced', 'qtype_drawlines', lineName);
+        }
+        switch (whichHandle) {
+            case 'startcircle':
+            case 'endcircle':
+                return M.util.get_string(whichHandle === 'startcircle' ? 'ariastarthandle' : 'ariaendhandle', 'qtype_drawlines',
+                    {line: lineName, position: this.describePoint(line.getHandlePoint(whichHandle))});
+            case 'rotatehandle':
+                return M.util.get_string('ariarotatehandle', 'qtype_drawlines', {line: lineName, angle: line.getAngle()});
+            case 'middlecircle':
+                return M.util.get_string('ariamiddlehandle', 'qtype_drawlines', {line: lineName, point: parseInt(middleNo) + 1,
+                    position: this.describePoint(line.getHandlePoint(whichHandle, middleNo))});
+            default:
+                if (this.isLineReversed(lineNo)) {
+                    lineName = M.util.get_string('ariareversed', 'qtype_drawlines', lineName);
+                }
+                var result = this.getLineResult(lineNo);
+                return (M.util.get_string('arialine', 'qtype_drawlines', {line: lineName,
+                    start: this.describePoint(line.getHandlePoint('startcircle')),
+                    end: this.describePoint(line.getHandlePoint('endcircle'))}) + ' ' + line.getMeasurementText() +
+                    (result === null ? '' : ' ' + M.util.get_string(result.state, 'question'))).trim();
+        }
+    };
+
+    /**
+     * Update the accessible names of a line and its handles, and the landmark lists, after it has moved.
+     *
+     * @param {int} lineNo
+     */
+    DrawlinesQuestion.prototype.updateAccessibility = function(lineNo) {
+        var svgEl = this.lineSVGs[lineNo];
+        if (!svgEl) {
+            return;
+        }
+        svgEl.setAttribute('aria-label', this.describe(lineNo, 'line'));
+        svgEl.childNodes[1].setAttribute('aria-label', this.describe(lineNo, 'startcircle'));
+        svgEl.childNodes[2].setAttribute('aria-label', this.describe(lineNo, 'endcircle'));
+        svgEl.childNodes[7].setAttribute('aria-label', this.describe(lineNo, 'rotatehandle'));
+        svgEl.querySelectorAll('.middlecircle').forEach(function(middleEl) {
+            middleEl.setAttribute('aria-label', this.describe(lineNo, 'middlecircle', middleEl.dataset.middleNo));
+        }, this);
+
+        var isPlaced = this.isLinePlaced(lineNo);
+        this.getRoot().querySelectorAll('select.landmark[data-line-no="' + lineNo + '"]').forEach(function(select) {
+            var landmark = this.getLandmarkAt(this.lines[lineNo].getHandlePoint(select.dataset.handle));
+            if (!isPlaced) {
+                select.value = '';
+            } else if (landmark) {
+                select.value = landmark.x + ',' + landmark.y;
+            } else {
+                select.value = 'other';
+            }
+        }, this);
+    };
+
+    /**
+     * Read out a message to screen reader users, using the live region.
+     *
+     * @param {String} message
+     */
+    DrawlinesQuestion.prototype.announce = function(message) {
+        var announcer = this.getRoot().querySelector('.drawlines-announcer');
+        if (announcer) {
+            announcer.textContent = message;
+        }
+    };
+
+    /**
+     * Move the start or end of a line to the landmark chosen from a list, placing the line on the image if necessary.
+     *
+     * @param {int} lineNo
+     * @param {String} whichHandle startcircle or endcircle.
+     * @param {String} value the chosen option: 'x,y' for a landmark, or '' to return the line to the drag home area.
+     */
+    DrawlinesQuestion.prototype.moveToLandmark = function(lineNo, whichHandle, value) {
+        var stateBefore = this.getState(),
+            line = this.lines[lineNo],
+            svgEl = this.lineSVGs[lineNo],
+            bgImage = this.bgImage(),
+            wasPlaced = this.isLinePlaced(lineNo);
+        if (value === '') {
+            this.returnLineHome(lineNo);
+        } else {
+            var coords = value.split(',').map(Number),
+                target = new Line.Point(coords[0], coords[1]);
+            if (!wasPlaced) {
+                var closestSVGs = this.getSvgsClosestToElement(svgEl);
+                line.addToDropZone('keyboard', svgEl, closestSVGs.svgDropZone, closestSVGs.svgDragsHome,
+                    null, null, bgImage.naturalHeight, 'DragsSVG', bgImage.naturalWidth);
+            }
+            var current = line.getHandlePoint(whichHandle);
+            line.move(whichHandle, target.x - current.x, target.y - current.y, bgImage.naturalWidth, bgImage.naturalHeight);
+            line.spaceMiddlesEvenly();
+            this.updateSvgEl(lineNo);
+            this.saveCoordsForChoice(lineNo);
+        }
+        this.recordMove(stateBefore);
+        this.updateToolbarButtons();
+        this.announceMove(lineNo, wasPlaced, whichHandle);
+    };
+
+    /**
+     * Announce the new position of a line, or a handle, after it has been moved.
+     *
+     * @param {int} lineNo
+     * @param {boolean} wasPlaced whether the line was on the image before the move.
+     * @param {String} whichHandle startcircle, endcircle, middlecircle or line.
+     * @param {int} [middleNo] which middle handle, when whichHandle is middlecircle.
+     */
+    DrawlinesQuestion.prototype.announceMove = function(lineNo, wasPlaced, whichHandle, middleNo) {
+        var isPlaced = this.isLinePlaced(lineNo);
+        if (wasPlaced && !isPlaced) {
+            this.announce(M.util.get_string('ariareturnedhome', 'qtype_drawlines', this.getLineName(lineNo)));
+        } else if (!wasPlaced && isPlaced) {
+            this.announce(M.util.get_string('ariaplaced', 'qtype_drawlines', this.getLineName(lineNo)) + ' ' +
+                this.describe(lineNo, whichHandle, middleNo));
+        } else {
+            this.announce(this.describe(lineNo, whichHandle, middleNo));
+        }
+    };
+
+    /**
+     * Get the current state of all the lines, so that it can be restored by undo or redo.
+     *
+     * @return {Object[]} for each line, whether it is placed on the image and its coordinates.
+     */
+    DrawlinesQuestion.prototype.getState = function() {
+        return this.lines.map(function(line, lineNo) {
+            return {
+                placed: this.isLinePlaced(lineNo),
+                coordinates: line.getCoordinates()
+            };
+        }, this);
+    };
+
+    /**
+     * Whether a line is placed on the image, rather than in the drag home area.
+     *
+     * @param {int} lineNo
+     * @return {boolean}
+     */
+    DrawlinesQuestion.prototype.isLinePlaced = function(lineNo) {
+        return this.lineSVGs[lineNo].getAttribute('class').includes('placed');
+    };
+
+    /**
+     * Put all the lines back in a previous state, keeping the SVG and the saved responses in sync.
+     *
+     * @param {Object[]} state as returned by {@link getState}.
+     */
+    DrawlinesQuestion.prototype.restoreState = function(state) {
+        var bgImage = this.bgImage();
+        state.forEach(function(lineState, lineNo) {
+            var svgEl = this.lineSVGs[lineNo];
+            if (lineState.placed !== this.isLinePlaced(lineNo)) {
+                var closestSVGs = this.getSvgsClosestToElement(svgEl);
+                this.lines[lineNo].addToDropZone('keyboard', svgEl, closestSVGs.svgDropZone, closestSVGs.svgDragsHome,
+                    null, null, bgImage.naturalHeight, lineState.placed ? 'DragsSVG' : 'DropZonesSVG');
+            }
+            var coordinates = lineState.coordinates;
+            this.lines[lineNo].parse(coordinates[0], coordinates[1], 1, coordinates[2]);
+            this.updateSvgEl(lineNo);
+            this.saveCoordsForChoice(lineNo);
+        }, this);
+    };
+
+    /**
+     * Add the state before a move to the undo history, if the move changed anything.
+     *
+     * Repeated key presses on the same line or handle are recorded as a single move, so that they can be
+     * undone in one go.
+     *
+     * @param {Object[]} stateBefore as returned by {@link getState} before the move started.
+     * @param {String} [keyMove] identifies the line and handle, when the move was made using the keyboard.
+     */
+    DrawlinesQuestion.prototype.recordMove = function(stateBefore, keyMove) {
+        var now = Date.now(),
+            isSameKeyMove = keyMove !== undefined && this.lastKeyMove !== null &&
+                this.lastKeyMove.key === keyMove && now - this.lastKeyMove.time < 1000;
+        this.lastKeyMove = keyMove === undefined ? null : {key: keyMove, time: now};
+        if (JSON.stringify(stateBefore) === JSON.stringify(this.getState())) {
+            return;
+        }
+        if (!isSameKeyMove || this.undoStack.length === 0) {
+            this.undoStack.push(stateBefore);
+        }
+        this.redoStack = [];
+        this.updateToolbarButtons();
+    };
+
+    /**
+     * Undo the last move.
+     */
+    DrawlinesQuestion.prototype.undo = function() {
+        if (this.undoStack.length === 0) {
+            return;
+        }
+        this.redoStack.push(this.getState());
+        this.restoreState(this.undoStack.pop());
+        this.lastKeyMove = null;
+        this.updateToolbarButtons();
+    };
+
+    /**
+     * Redo the last move that was undone.
+     */
+    DrawlinesQuestion.prototype.redo = function() {
+        if (this.redoStack.length === 0) {
+            return;
+        }
+        this.undoStack.push(this.getState());
+        this.restoreState(this.redoStack.pop());
+        this.lastKeyMove = null;
+        this.updateToolbarButtons();
+    };
+
+    /**
+     * Return a line to the drag home area and clear its response.
+     *
+     * @param {int} lineNo
+     */
+    DrawlinesQuestion.prototype.returnLineHome = function(lineNo) {
+        var svgEl = this.lineSVGs[lineNo];
+        if (!svgEl || !this.isLinePlaced(lineNo)) {
+            return;
+        }
+        var closestSVGs = this.getSvgsClosestToElement(svgEl);
+        this.lines[lineNo].addToDropZone('keyboard', svgEl, closestSVGs.svgDropZone, closestSVGs.svgDragsHome,
+            null, null, this.bgImage().naturalHeight, 'DropZonesSVG');
+        this.updateSvgEl(lineNo);
+        this.saveCoordsForChoice(lineNo);
+    };
+
+    /**
+     * Return one line to the drag home area, as a move that can be undone, and keep the keyboard focus on it.
+     *
+     * @param {int} lineNo
+     */
+    DrawlinesQuestion.prototype.returnLineToHomeWithUndo = function(lineNo) {
+        var stateBefore = this.getState(),
+            wasPlaced = this.isLinePlaced(lineNo);
+        this.returnLineHome(lineNo);
+        this.recordMove(stateBefore);
+        this.updateToolbarButtons();
+        this.announceMove(lineNo, wasPlaced, 'line');
+        this.lineSVGs[this.getShownCopy(lineNo)].focus();
+    };
+
+    /**
+     * Return all the lines to the drag home area, as one move that can be undone.
+     */
+    DrawlinesQuestion.prototype.resetAllLines = function() {
+        var stateBefore = this.getState();
+        for (var lineNo = 0; lineNo < this.lines.length; lineNo++) {
+            this.returnLineHome(lineNo);
+        }
+        this.recordMove(stateBefore);
+        this.updateToolbarButtons();
+    };
+
+    /**
+     * Enable or disable the toolbar buttons, depending on whether there is anything to undo, redo or reset.
+     */
+    DrawlinesQuestion.prototype.updateToolbarButtons = function() {
+        var undoButton = this.getRoot().querySelector('.drawlines-toolbar .undo'),
+            redoButton = this.getRoot().querySelector('.drawlines-toolbar .redo'),
+            resetButton = this.getRoot().querySelector('.drawlines-toolbar .resetall');
+        if (undoButton) {
+            undoButton.disabled = this.undoStack.length === 0;
+        }
+        if (redoButton) {
+            redoButton.disabled = this.redoStack.length === 0;
+        }
+        if (resetButton) {
+            resetButton.disabled = !this.lineSVGs.some(function(svgEl, lineNo) {
+                return svgEl && this.isLinePlaced(lineNo);
+            }, this);
+        }
     };
 
     /**
      * Start responding to dragging the move handle attached to the line ends (circles).
      *
      * @param {Event} e Event object
-     * @param {String} whichHandle which circle handle was moved, i.e., startcircle or endcircle.
+     * @param {String} whichHandle which circle handle was moved, i.e., startcircle, endcircle or middlecircle.
      * @param {int} dropzoneNo
+     * @param {int} [middleNo] which middle handle was moved, when whichHandle is middlecircle.
      */
-    DrawlinesQuestion.prototype.handleCircleMove = function(e, whichHandle, dropzoneNo) {
-        var info = dragDrop.prepare(e);
+    DrawlinesQuestion.prototype.handleCircleMove = function(e, whichHandle, dropzoneNo, middleNo) {
+        var info = this.prepareDrag(e);
         if (!info.start) {
             return;
         }
         var movingDropZone = this,
-            lastX = info.x,
-            lastY = info.y,
-            dragProxy = this.makeDragProxy(info.x, info.y),
+            pointer = makePointerTracker(info.x, info.y),
             bgimage = this.bgImage(),
             maxX = bgimage.naturalWidth,
-            maxY = bgimage.naturalHeight;
-
-        dragDrop.start(e, $(dragProxy), function(pageX, pageY) {
-            movingDropZone.lines[dropzoneNo].move(whichHandle,
-                parseInt(pageX) - parseInt(lastX), parseInt(pageY) - parseInt(lastY), parseInt(maxX), parseInt(maxY));
-            lastX = pageX;
-            lastY = pageY;
+            maxY = bgimage.naturalHeight,
+            // Where the handle would be without snapping.
+            freePoint = this.lines[dropzoneNo].getHandlePoint(whichHandle, middleNo);
+
+        this.beginGesture();
+        this.startDrag(e, info, function(pageX, pageY) {
+            var move = pointer(pageX, pageY, movingDropZone.getScreenScale(movingDropZone.lineSVGs[dropzoneNo]));
+            if (movingDropZone.snap.isEnabled() ||
+                    (movingDropZone.lines[dropzoneNo].isLocked() && whichHandle !== 'middlecircle')) {
+                // Snapped, or locked, ends follow where the pointer is, rather than how far it has moved.
+                freePoint.move(move.x, move.y);
+                movingDropZone.lines[dropzoneNo].moveSnapped(movingDropZone.snap, whichHandle, freePoint,
+                    parseInt(maxX), parseInt(maxY), middleNo);
+            } else {
+                movingDropZone.lines[dropzoneNo].move(whichHandle, move.x, move.y, parseInt(maxX), parseInt(maxY),
+                    middleNo);
+            }
             movingDropZone.updateSvgEl(dropzoneNo);
             movingDropZone.saveCoordsForChoice(dropzoneNo);
         }, function() {
-            document.body.removeChild(dragProxy);
+            movingDropZone.endGesture();
+        });
+    };
+
+    /**
+     * Start responding to dragging the handle that rotates a line about its middle.
+     *
+     * @param {Event} e Event object
+     * @param {int} dropzoneNo
+     */
+    DrawlinesQuestion.prototype.handleRotateMove = function(e, dropzoneNo) {
+        var info = this.prepareDrag(e);
+        if (!info.start) {
+            return;
+        }
+        var rotatingDropZone = this,
+            line = this.lines[dropzoneNo],
+            bgimage = this.bgImage(),
+            // Where the pointer is on the image, unscaled.
+            toImagePoint = function(pageX, pageY) {
+                return rotatingDropZone.clientToImage(pageX - window.scrollX, pageY - window.scrollY);
+            },
+            startAngle = line.getAngleTo(toImagePoint(info.x, info.y)),
+            originalCoordinates = line.getCoordinates();
+
+        this.beginGesture();
+        this.startDrag(e, info, function(pageX, pageY) {
+            line.rotateFrom(originalCoordinates, startAngle, toImagePoint(pageX, pageY),
+                bgimage.naturalWidth, bgimage.naturalHeight);
+            rotatingDropZone.updateSvgEl(dropzoneNo);
+            rotatingDropZone.saveCoordsForChoice(dropzoneNo);
+        }, function() {
+            rotatingDropZone.endGesture();
         });
     };
 
@@ -338,33 +1229,34 @@ define([
      * @param {int} dropzoneNo
      */
     DrawlinesQuestion.prototype.handleLineMove = function(e, dropzoneNo) {
-        var info = dragDrop.prepare(e);
+        var info = this.prepareDrag(e);
         if (!info.start) {
             return;
         }
         var movingDrag = this,
-            lastX = info.x,
-            lastY = info.y,
-            dragProxy = this.makeDragProxy(info.x, info.y),
+            pointer = makePointerTracker(info.x, info.y),
             maxX,
             maxY,
             whichSVG = "",
             bgImage = this.bgImage(),
             isMoveFromDragsToDropzones,
             isMoveFromDropzonesToDrags,
-            svgClass;
+            svgClass,
+            // Where the start of the line would be without snapping.
+            freePoint = null;
 
         var selectedElement = this.lineSVGs[dropzoneNo];
 
         let dropX, dropY;
-        if (e.type === 'mousedown') {
+        if (e.type === 'pointerdown' || e.type === 'mousedown') {
             dropX = e.clientX;
             dropY = e.clientY;
         } else if (e.type === 'touchstart') {
-            dropX = e.touches[0].clientX;
-            dropY = e.touches[0].clientY;
+            dropX = e.changedTouches[0].clientX;
+            dropY = e.changedTouches[0].clientY;
         }
-        dragDrop.start(e, $(dragProxy), function(pageX, pageY) {
+        this.beginGesture();
+        this.startDrag(e, info, function(pageX, pageY) {
 
             // The svg's which are associated with this question.
             var closestSVGs = movingDrag.getSvgsClosestToElement(selectedElement);
@@ -383,7 +1275,12 @@ define([
 
             if (isMoveFromDragsToDropzones || isMoveFromDropzonesToDrags) {
                 movingDrag.lines[dropzoneNo].addToDropZone('mouse', selectedElement,
-                    closestSVGs.svgDropZone, closestSVGs.svgDragsHome, dropX, dropY, bgImage.naturalHeight);
+                    closestSVGs.svgDropZone, closestSVGs.svgDragsHome, dropX, dropY, bgImage.naturalHeight,
+                    null, bgImage.naturalWidth);
+                freePoint = null;
+                if (isMoveFromDragsToDropzones) {
+                    movingDrag.keepInView(movingDrag.lines[dropzoneNo].getHandlePoint('line'));
+                }
             }
 
             // Drag the lines within the SVG
@@ -395,21 +1292,87 @@ define([
             whichSVG = dimensions.whichSVG;
 
             // Move the lines if they are in the dropzones svg.
-            if (whichSVG === 'DropZonesSVG') {
-                movingDrag.lines[dropzoneNo].moveDrags(
-                    parseInt(pageX) - parseInt(lastX), parseInt(pageY) - parseInt(lastY),
+            if (whichSVG === 'DropZonesSVG' && movingDrag.snap.isEnabled()) {
+                if (freePoint === null) {
+                    freePoint = movingDrag.lines[dropzoneNo].getHandlePoint('line');
+                }
+                var snapMove = pointer(pageX, pageY, movingDrag.getScreenScale(selectedElement));
+                freePoint.move(snapMove.x, snapMove.y);
+                movingDrag.lines[dropzoneNo].moveSnapped(movingDrag.snap, 'line', freePoint,
                     parseInt(maxX), parseInt(maxY));
-                lastX = pageX;
-                lastY = pageY;
+            } else if (whichSVG === 'DropZonesSVG') {
+                var move = pointer(pageX, pageY, movingDrag.getScreenScale(selectedElement));
+                movingDrag.lines[dropzoneNo].moveDrags(move.x, move.y, parseInt(maxX), parseInt(maxY));
             }
 
             movingDrag.updateSvgEl(dropzoneNo);
             movingDrag.saveCoordsForChoice(dropzoneNo);
         }, function() {
+            movingDrag.endGesture();
+        });
+    };
+
+    /**
+     * Check whether an event starts dragging something, like core/dragdrop prepare does.
+     *
+     * @param {Event} e the pointerdown, mousedown or touchstart event.
+     * @return {{start: boolean, x: Number, y: Number}} whether to start dragging, and the page coordinates it starts at.
+     */
+    DrawlinesQuestion.prototype.prepareDrag = function(e) {
+        if (e.type !== 'pointerdown') {
+            return dragDrop.prepare(e);
+        }
+        e.preventDefault();
+        return {start: e.button === 0, x: e.pageX, y: e.pageY};
+    };
+
+    /**
+     * Follow the mouse, finger or pen that is dragging something, until it is released.
+     *
+     * With Pointer Events, each pointer is followed on its own, so that several things can be dragged
+     * at the same time, such as both ends of a line with two fingers. Otherwise core/dragdrop follows
+     * the one mouse or finger.
+     *
+     * @param {Event} e the event that started the drag.
+     * @param {Object} info returned by {@link prepareDrag}.
+     * @param {function(Number, Number)} onMove called with the page coordinates each time the pointer moves.
+     * @param {function()} onEnd called when the pointer is released.
+     */
+    DrawlinesQuestion.prototype.startDrag = function(e, info, onMove, onEnd) {
+        if (e.type === 'pointerdown') {
+            followPointer(e.pointerId, onMove, onEnd);
+            return;
+        }
+        var dragProxy = this.makeDragProxy(info.x, info.y);
+        dragDrop.start(e, $(dragProxy), onMove, function() {
             document.body.removeChild(dragProxy);
+            onEnd();
         });
     };
 
+    /**
+     * Start changing the lines with the mouse or with one or more fingers.
+     *
+     * Everything that is dragged at the same time is undone together.
+     */
+    DrawlinesQuestion.prototype.beginGesture = function() {
+        if (this.gesture === null) {
+            this.gesture = {stateBefore: this.getState(), pointers: 0};
+        }
+        this.gesture.pointers += 1;
+    };
+
+    /**
+     * Finish changing the lines with one pointer, and record the change for undo once all of them are released.
+     */
+    DrawlinesQuestion.prototype.endGesture = function() {
+        this.gesture.pointers -= 1;
+        if (this.gesture.pointers === 0) {
+            this.recordMove(this.gesture.stateBefore);
+            this.gesture = null;
+        }
+    };
+
     /**
      * Make an invisible drag proxy.
      *
@@ -438,7 +1401,7 @@ define([
         var items = this.getRoot().querySelector('svg g.choice' + choiceNo),
             gEleClassAttributes = '';
         if (items) {
-                imageCoords = items.querySelector('polyline').getAttribute('points');
+                imageCoords = this.lines[choiceNo].getResponseCoordinates(items);
                 gEleClassAttributes = items.getAttribute('class');
         }
         if (gEleClassAttributes !== '' && gEleClassAttributes.includes('placed')) {
@@ -446,6 +1409,68 @@ define([
         } else if (gEleClassAttributes !== '' && gEleClassAttributes.includes('inactive')) {
             this.getRoot().querySelector('input.choice' + choiceNo).value = '';
         }
+        // Placing a copy from the drag home area uncovers the next one, and returning a copy covers it again.
+        this.updateHomeCopies();
+    };
+
+    /**
+     * Show the first line that is not placed in each place in the drag home area, and hide the other copies there.
+     *
+     * This also puts the lines in the drag home area back in order for the keyboard, after they are returned.
+     */
+    DrawlinesQuestion.prototype.updateHomeCopies = function() {
+        var draghomeSvg = this.getRoot().querySelector('svg.dragshome'),
+            homeEls = [];
+        if (!draghomeSvg) {
+            return;
+        }
+        this.dragHomes.forEach(function(lineNos) {
+            var isCopyShown = false;
+            lineNos.forEach(function(lineNo) {
+                var svgEl = this.lineSVGs[lineNo];
+                if (!svgEl) {
+                    return;
+                }
+                if (this.isLinePlaced(lineNo)) {
+                    svgEl.classList.remove('hiddencopy');
+                    return;
+                }
+                svgEl.classList.toggle('hiddencopy', isCopyShown);
+                isCopyShown = true;
+                homeEls.push(svgEl);
+            }, this);
+        }, this);
+
+        var currentEls = Array.from(draghomeSvg.querySelectorAll('g.dropzone'));
+        if (homeEls.some(function(svgEl, i) {
+            return currentEls[i] !== svgEl;
+        })) {
+            var focusedEl = document.activeElement;
+            homeEls.forEach(function(svgEl) {
+                draghomeSvg.appendChild(svgEl);
+            });
+            if (homeEls.indexOf(focusedEl) !== -1) {
+                focusedEl.focus();
+            }
+        }
+    };
+
+    /**
+     * Get the line that is shown in the drag home area, in the place where a line waits.
+     *
+     * @param {int} lineNo
+     * @return {int} the line number of the copy that is not hidden, which is lineNo unless it is a hidden copy.
+     */
+    DrawlinesQuestion.prototype.getShownCopy = function(lineNo) {
+        if (!this.lineSVGs[lineNo].classList.contains('hiddencopy')) {
+            return lineNo;
+        }
+        var lineNos = this.dragHomes.find(function(lineNos) {
+            return lineNos.indexOf(Number(lineNo)) !== -1;
+        });
+        return lineNos.find(function(copyNo) {
+            return !this.isLinePlaced(copyNo) && !this.lineSVGs[copyNo].classList.contains('hiddencopy');
+        }, this);
     };
 
     /**
@@ -455,39 +1480,43 @@ define([
      * @param {SVGElement} drag SVG element being dragged.
      * @param {int} dropzoneNo
      * @param {String} activeElement The element being dragged, whether it is the line or the line endpoints.
+     * @param {int} [middleNo] which middle handle is being moved, when activeElement is middlecircle.
      */
-    DrawlinesQuestion.prototype.handleKeyPress = function(e, drag, dropzoneNo, activeElement) {
+    DrawlinesQuestion.prototype.handleKeyPress = function(e, drag, dropzoneNo, activeElement, middleNo) {
 
-        var x = 0,
-            y = 0,
-            dropzoneElement,
-            question = questionManager.getQuestionForEvent(e);
+        var dropzoneElement,
+            question = questionManager.getQuestionForEvent(e),
+            line = question.lines[dropzoneNo],
+            bgImage = this.bgImage();
 
-        dropzoneElement = drag.closest('g');
+        dropzoneElement = drag.closest('g.dropzone');
+        if (e.ctrlKey || e.metaKey) {
+            // Leave keyboard shortcuts, like undo and redo, alone.
+            return;
+        }
         switch (e.code) {
-            case 'ArrowLeft':
-            case 'KeyA': // A.
-                x = -1;
-                break;
-            case 'ArrowRight':
-            case 'KeyD': // D.
-                x = 1;
-                break;
-            case 'ArrowDown':
-            case 'KeyS': // S.
-                y = 1;
-                break;
-            case 'ArrowUp':
-            case 'KeyW': // W.
-                y = -1;
-                break;
-            case 'Space':
-            case 'Escape':
-                break;
-            default:
-                return; // Ingore other keys.
+            case 'Delete':
+            case 'Backspace':
+                // Send the line back to the drag home area.
+                e.preventDefault();
+                question.returnLineToHomeWithUndo(dropzoneNo);
+                return;
+            case 'KeyC':
+                // Move the focus between the whole line and its handles.
+                e.preventDefault();
+                question.cycleFocus(dropzoneNo, drag, e.shiftKey);
+                return;
+        }
+        if (activeElement === 'rotatehandle') {
+            question.rotateWithKeyboard(e, dropzoneNo, drag);
+            return;
+        }
+        if (line.getKeyboardMove(e, activeElement, middleNo, 1, bgImage.naturalWidth, bgImage.naturalHeight) === null) {
+            return; // Ingore other keys.
         }
         e.preventDefault();
+        var stateBefore = question.getState(),
+            wasPlaced = question.isLinePlaced(dropzoneNo);
 
         // Moving the drags between the SVG's.
         var closeTo = drag.closest('svg');
@@ -495,7 +1524,6 @@ define([
         var maxX,
             maxY,
             whichSVG;
-        var bgImage = this.bgImage();
         var closestSVGs = this.getSvgsClosestToElement(drag);
         var isMoveFromDragsToDropzones = (svgClass === "dragshome");
         var isMoveFromDropzonesToDrags = (svgClass === 'dropzones') &&
@@ -503,7 +1531,8 @@ define([
 
         if (isMoveFromDragsToDropzones) {
             question.lines[dropzoneNo].addToDropZone('keyboard', dropzoneElement,
-                closestSVGs.svgDropZone, closestSVGs.svgDragsHome, null, null, bgImage.naturalHeight, 'DragsSVG');
+                closestSVGs.svgDropZone, closestSVGs.svgDragsHome, null, null, bgImage.naturalHeight, 'DragsSVG',
+                bgImage.naturalWidth);
         } else if (isMoveFromDropzonesToDrags) {
             question.lines[dropzoneNo].addToDropZone('keyboard', dropzoneElement,
                 closestSVGs.svgDropZone, closestSVGs.svgDragsHome, null, null, null, 'DropZonesSVG');
@@ -516,18 +1545,77 @@ define([
         maxY = dimensions.maxY;
         whichSVG = dimensions.whichSVG;
 
-        if (activeElement === 'line' && whichSVG === 'DropZonesSVG') {
+        // Work out the move after the line has been placed, so jumps to the edge start from where it is now.
+        var keyMove = line.getKeyboardMove(e, activeElement, middleNo, question.getScreenScale(drag),
+            parseInt(maxX), parseInt(maxY));
+        if (question.snap.isEnabled() && (activeElement !== 'line' || whichSVG === 'DropZonesSVG')) {
+            // Move the line, or the handle with the focus, to the next grid or anchor point.
+            line.moveSnapped(question.snap, activeElement,
+                question.snap.keyboardTarget(line.getHandlePoint(activeElement, middleNo), keyMove),
+                parseInt(maxX), parseInt(maxY), middleNo);
+        } else if (activeElement === 'line' && whichSVG === 'DropZonesSVG') {
             // Move the entire line when the focus is on it.
-            question.lines[dropzoneNo].moveDrags(parseInt(x), parseInt(y), parseInt(maxX), parseInt(maxY));
+            line.moveDrags(keyMove.x, keyMove.y, parseInt(maxX), parseInt(maxY));
         } else {
             // Move the line endpoints.
-            question.lines[dropzoneNo].move(activeElement, parseInt(x), parseInt(y), parseInt(maxX), parseInt(maxY));
+            line.move(activeElement, keyMove.x, keyMove.y, parseInt(maxX), parseInt(maxY), middleNo);
         }
         question.updateSvgEl(dropzoneNo);
+        if (whichSVG === 'DropZonesSVG') {
+            question.keepInView(line.getHandlePoint(activeElement, middleNo));
+        }
         this.saveCoordsForChoice(dropzoneNo);
+        question.recordMove(stateBefore, dropzoneNo + ' ' + activeElement + ' ' + middleNo);
+        question.announceMove(dropzoneNo, wasPlaced, activeElement, middleNo);
         drag.focus();
     };
 
+    /**
+     * Rotate a line on the image, when a key is pressed on its rotate handle.
+     *
+     * @param {KeyboardEvent} e
+     * @param {int} lineNo
+     * @param {SVGElement} drag the rotate handle.
+     */
+    DrawlinesQuestion.prototype.rotateWithKeyboard = function(e, lineNo, drag) {
+        var line = this.lines[lineNo],
+            bgImage = this.bgImage(),
+            rotation = line.getKeyboardRotation(e);
+        if (rotation === null || !this.isLinePlaced(lineNo)) {
+            return;
+        }
+        e.preventDefault();
+        var stateBefore = this.getState();
+        line.rotate(rotation.degrees, bgImage.naturalWidth, bgImage.naturalHeight);
+        this.updateSvgEl(lineNo);
+        this.saveCoordsForChoice(lineNo);
+        this.recordMove(stateBefore, lineNo + ' rotatehandle');
+        this.announce(this.describe(lineNo, 'rotatehandle'));
+        drag.focus();
+    };
+
+    /**
+     * Move the keyboard focus on to the next part of a line on the image: the whole line, its start,
+     * any middle handles, its end, then the handle that rotates it, if the line can be rotated.
+     *
+     * @param {int} lineNo
+     * @param {SVGElement} current the part of the line that has the focus.
+     * @param {boolean} backwards whether to move to the previous part instead.
+     */
+    DrawlinesQuestion.prototype.cycleFocus = function(lineNo, current, backwards) {
+        var svgEl = this.lineSVGs[lineNo];
+        if (!this.isLinePlaced(lineNo)) {
+            return;
+        }
+        var parts = [svgEl, svgEl.childNodes[1]].concat(Array.from(svgEl.querySelectorAll('.middlecircle')),
+            [svgEl.childNodes[2]]);
+        if (this.lines[lineNo].canRotate()) {
+            parts.push(svgEl.childNodes[7]);
+        }
+        var index = parts.indexOf(current) + (backwards ? -1 : 1);
+        parts[(index + parts.length) % parts.length].focus();
+    };
+
     /**
      * Returns the dimensions of the SVG image to which the drag element belongs.
      *
@@ -590,6 +1678,62 @@ define([
         }
     };
 
+    /**
+     * Make a function that works out how far to move something on the image as the pointer is dragged.
+     *
+     * The pointer moves in screen pixels, but the lines are in pixels of the natural image, so the moves
+     * are scaled, and any part of a pixel left over is kept for the next move.
+     *
+     * @param {Number} x where the pointer started.
+     * @param {Number} y
+     * @return {function(Number, Number, Number): Line.Point} given where the pointer is now, and how many
+     *      screen pixels one image pixel takes up, returns the whole number of image pixels to move by.
+     */
+    function makePointerTracker(x, y) {
+        var lastX = x,
+            lastY = y,
+            leftX = 0,
+            leftY = 0;
+        return function(pageX, pageY, scale) {
+            leftX += (pageX - lastX) / scale;
+            leftY += (pageY - lastY) / scale;
+            lastX = pageX;
+            lastY = pageY;
+            var move = new Line.Point(Math.round(leftX), Math.round(leftY));
+            leftX -= move.x;
+            leftY -= move.y;
+            return move;
+        };
+    }
+
+    /**
+     * Follow one pointer, from Pointer Events, until it is released.
+     *
+     * @param {int} pointerId the pointer to follow, ignoring any others.
+     * @param {function(Number, Number)} onMove called with the page coordinates each time the pointer moves.
+     * @param {function()} onEnd called when the pointer is released, or the browser takes it over.
+     */
+    function followPointer(pointerId, onMove, onEnd) {
+        var move = function(e) {
+                if (e.pointerId === pointerId) {
+                    e.preventDefault();
+                    onMove(e.pageX, e.pageY);
+                }
+            },
+            end = function(e) {
+                if (e.pointerId !== pointerId) {
+                    return;
+                }
+                document.removeEventListener('pointermove', move);
+                document.removeEventListener('pointerup', end);
+                document.removeEventListener('pointercancel', end);
+                onEnd();
+            };
+        document.addEventListener('pointermove', move);
+        document.addEventListener('pointerup', end);
+        document.addEventListener('pointercancel', end);
+    }
+
     /**
      * Singleton that tracks all the DrawlinesQuestions on this page, and deals
      * with event dispatching.
@@ -646,10 +1790,18 @@ define([
          * @param {boolean} readOnly whether the question is read-only.
          * @param {Object[]} visibleDropZones data on any drop zones to draw as part of the feedback.
          * @param {Object[]} questionLines
+         * @param {Object} [snapOptions] how the line handles snap while moved.
+         * @param {Object[]} [landmarks] named points on the image, that can be chosen from a list instead of dragging.
+         * @param {Object} [measurementOptions] whether to show the length and the bearing of the lines, and the scale.
+         * @param {Object} [lineResults] whether each placed line is right, indexed by line number.
+         * @param {boolean} [showZones] whether to show the zones where the lines should be.
+         * @param {Array[]} [dragHomes] the line numbers waiting in each place in the drag home area, in order.
+         * @param {Array[]} [richLabels] for each line, its labels as HTML, or '' for labels shown as plain text.
          */
-        init: function(containerId, readOnly, visibleDropZones, questionLines) {
-            questionManager.questions[containerId] =
-                new DrawlinesQuestion(containerId, readOnly, visibleDropZones, questionLines);
+        init: function(containerId, readOnly, visibleDropZones, questionLines, snapOptions, landmarks, measurementOptions,
+                lineResults, showZones, dragHomes, richLabels) {
+            questionManager.questions[containerId] = new DrawlinesQuestion(containerId, readOnly, visibleDropZones,
+                questionLines, snapOptions, landmarks, measurementOptions, lineResults, showZones, dragHomes, richLabels);
 
             questionManager.questions[containerId].updateCoordinates();
             if (!questionManager.eventHandlersInitialised) {
@@ -676,9 +1828,10 @@ define([
                     // Add event listeners to the 'previewArea'.
                     // For dropzone SVG.
                     var dropArea = questionContainer.querySelector('.droparea');
-                    // Add event listener for mousedown and touchstart events.
-                    dropArea.addEventListener('mousedown', questionManager.handleDropZoneEventMove);
-                    dropArea.addEventListener('touchstart', questionManager.handleDropZoneEventMove);
+                    // Add event listener for pointerdown, or mousedown and touchstart, events.
+                    DRAG_START_EVENTS.forEach(function(type) {
+                        dropArea.addEventListener(type, questionManager.handleDropZoneEventMove);
+                    });
                     // Add event listener for keydown and keypress events.
                     dropArea.addEventListener('keydown', questionManager.handleKeyPress);
                     dropArea.addEventListener('keypress', questionManager.handleKeyPress);
@@ -692,9 +1845,10 @@ define([
 
                     // For draghomes SVG.
                     var drags = questionContainer.querySelector('.draghomes');
-                    // Add event listener for mousedown and touchstart events.
-                    drags.addEventListener('mousedown', questionManager.handleDragHomeEventMove);
-                    drags.addEventListener('touchstart', questionManager.handleDragHomeEventMove);
+                    // Add event listener for pointerdown, or mousedown and touchstart, events.
+                    DRAG_START_EVENTS.forEach(function(type) {
+                        drags.addEventListener(type, questionManager.handleDragHomeEventMove);
+                    });
                     // Add event listener for keydown and keypress events.
                     drags.addEventListener('keydown', questionManager.handleKeyPress);
                     drags.addEventListener('keypress', questionManager.handleKeyPress);
@@ -705,6 +1859,43 @@ define([
                     drags.addEventListener('focusout', function(e) {
                         questionManager.handleKeyboardFocus(e, false);
                     });
+
+                    // Undo, redo and reset, using the buttons or Ctrl+Z and Ctrl+Y.
+                    questionContainer.addEventListener('keydown', questionManager.handleHistoryKeys);
+                    var toolbar = questionContainer.querySelector('.drawlines-toolbar');
+                    if (toolbar) {
+                        toolbar.addEventListener('click', questionManager.handleToolbarClick);
+                    }
+
+                    // Right-click on a placed line to return it to the drag home area.
+                    dropArea.addEventListener('contextmenu', questionManager.handleDropZoneContextMenu);
+
+                    // Place the line ends by choosing landmarks from a list.
+                    var landmarks = questionContainer.querySelector('.drawlines-landmarks');
+                    if (landmarks) {
+                        landmarks.addEventListener('change', questionManager.handleLandmarkChange);
+                    }
+                }
+
+                // Zoom in and out with the buttons, two fingers or Ctrl and the mouse wheel, and pan the zoomed image.
+                var zoom = questionContainer.querySelector('.drawlines-zoom'),
+                    zoomArea = questionContainer.querySelector('.droparea');
+                if (zoom) {
+                    zoom.addEventListener('click', questionManager.handleZoomClick);
+                }
+                zoomArea.addEventListener('wheel', questionManager.handleZoomWheel, {passive: false});
+                zoomArea.addEventListener('touchstart', questionManager.handlePinch, {passive: false});
+                zoomArea.addEventListener('touchmove', questionManager.handlePinch, {passive: false});
+                zoomArea.addEventListener('touchend', questionManager.handlePinch);
+                zoomArea.addEventListener('touchcancel', questionManager.handlePinch);
+                DRAG_START_EVENTS.forEach(function(type) {
+                    zoomArea.addEventListener(type, questionManager.handlePanStart);
+                });
+
+                // Switch between the response and the correct answer, when reviewing.
+                var compare = questionContainer.querySelector('.drawlines-compare');
+                if (compare) {
+                    compare.addEventListener('click', questionManager.handleCompareClick);
                 }
             }
         },
@@ -782,7 +1973,18 @@ define([
                 dropzoneElement = event.target.closest('g');
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
                 question.handleCircleMove(event, 'endcircle', dropzoneNo);
-            } else if (event.target.closest('polyline.shape')) {
+            } else if (event.target.closest('.dropzone .middlecircle.shape')) {
+                // Dragging one of the move handle circles between the start and the end of the line.
+                dropzoneElement = event.target.closest('g.dropzone');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                question.handleCircleMove(event, 'middlecircle', dropzoneNo,
+                    event.target.closest('.middlecircle').dataset.middleNo);
+            } else if (event.target.closest('.dropzone .rotatehandle')) {
+                // Dragging the handle that rotates the line.
+                dropzoneElement = event.target.closest('g.dropzone');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                question.handleRotateMove(event, dropzoneNo);
+            } else if (event.target.closest('polyline.shape, path.shape')) {
                 // Dragging the entire line.
                 dropzoneElement = event.target.closest('g');
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
@@ -799,8 +2001,8 @@ define([
             let dropzoneElement, dropzoneNo,
                 question = questionManager.getQuestionForEvent(event);
 
-            if (event.target.closest('g')) {
-                dropzoneElement = event.target.closest('g');
+            if (event.target.closest('g.dropzone')) {
+                dropzoneElement = event.target.closest('g.dropzone');
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
                 question.handleLineMove(event, dropzoneNo);
                 question.saveCoordsForChoice(dropzoneNo);
@@ -814,7 +2016,7 @@ define([
          */
         handleKeyPress: function(e) {
             var question = questionManager.getQuestionForEvent(e);
-            var dropzoneElement, dropzoneNo, drag, activeElement;
+            var dropzoneElement, dropzoneNo, drag, activeElement, middleNo;
             if (e.target.closest('.dropzone circle.startcircle')) {
                 dropzoneElement = e.target.closest('.dropzone');
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
@@ -825,6 +2027,17 @@ define([
                 dropzoneElement = e.target.closest('.dropzone');
                 dropzoneNo = dropzoneElement.dataset.dropzoneNo;
                 activeElement = 'endcircle';
+            } else if (e.target.closest('.dropzone circle.middlecircle')) {
+                drag = e.target.closest('.dropzone circle.middlecircle');
+                dropzoneElement = e.target.closest('g.dropzone');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                activeElement = 'middlecircle';
+                middleNo = drag.dataset.middleNo;
+            } else if (e.target.closest('.dropzone circle.rotatehandle')) {
+                drag = e.target.closest('.dropzone circle.rotatehandle');
+                dropzoneElement = e.target.closest('g.dropzone');
+                dropzoneNo = dropzoneElement.dataset.dropzoneNo;
+                activeElement = 'rotatehandle';
             } else if (e.target.closest('g.dropzone')) {
                 drag = e.target.closest('g.dropzone');
                 dropzoneElement = e.target.closest('.dropzone');
@@ -832,8 +2045,169 @@ define([
                 activeElement = 'line';
             }
             if (question && dropzoneElement) {
-                question.handleKeyPress(e, drag, dropzoneNo, activeElement);
+                question.handleKeyPress(e, drag, dropzoneNo, activeElement, middleNo);
+            }
+        },
+
+        /**
+         * Handle the undo (Ctrl+Z) and redo (Ctrl+Y or Ctrl+Shift+Z) keyboard shortcuts.
+         *
+         * @param {KeyboardEvent} e
+         */
+        handleHistoryKeys: function(e) {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+                return;
+            }
+            var question = questionManager.getQuestionForEvent(e);
+            if (!question) {
+                return;
+            }
+            if (e.code === 'KeyZ' && !e.shiftKey) {
+                e.preventDefault();
+                question.undo();
+            } else if (e.code === 'KeyY' || (e.code === 'KeyZ' && e.shiftKey)) {
+                e.preventDefault();
+                question.redo();
+            }
+        },
+
+        /**
+         * Handle clicks on the undo, redo and reset buttons.
+         *
+         * @param {Event} e
+         */
+        handleToolbarClick: function(e) {
+            var question = questionManager.getQuestionForEvent(e);
+            if (!question) {
+                return;
+            }
+            if (e.target.closest('button.undo')) {
+                question.undo();
+            } else if (e.target.closest('button.redo')) {
+                question.redo();
+            } else if (e.target.closest('button.resetall')) {
+                question.resetAllLines();
+            }
+        },
+
+        /**
+         * Handle clicks on the zoom in, zoom out and reset zoom buttons.
+         *
+         * @param {Event} e
+         */
+        handleZoomClick: function(e) {
+            var question = questionManager.getQuestionForEvent(e);
+            if (!question) {
+                return;
+            }
+            if (e.target.closest('button.zoomin')) {
+                question.setZoom(question.zoom.scale * ZOOM_STEP);
+            } else if (e.target.closest('button.zoomout')) {
+                question.setZoom(question.zoom.scale / ZOOM_STEP);
+            } else if (e.target.closest('button.zoomreset')) {
+                question.setZoom(1);
+            }
+        },
+
+        /**
+         * Zoom in or out about the pointer, when the mouse wheel is turned with Ctrl held down,
+         * which is also how the browser reports pinching on a touchpad.
+         *
+         * @param {WheelEvent} e
+         */
+        handleZoomWheel: function(e) {
+            var question = questionManager.getQuestionForEvent(e);
+            if (!question || !(e.ctrlKey || e.metaKey)) {
+                return;
+            }
+            e.preventDefault();
+            question.setZoom(question.zoom.scale * Math.pow(ZOOM_STEP, -e.deltaY / 100),
+                question.clientToImage(e.clientX, e.clientY));
+        },
+
+        /**
+         * Zoom and pan with two fingers on the image.
+         *
+         * @param {TouchEvent} e
+         */
+        handlePinch: function(e) {
+            var question = questionManager.getQuestionForEvent(e);
+            if (!question) {
+                return;
+            }
+            if (e.touches.length !== 2) {
+                question.pinch = null;
+                return;
+            }
+            if (question.pinch === null && Array.from(e.touches).some(function(touch) {
+                return touch.target.closest && touch.target.closest('g.dropzone');
+            })) {
+                // Two fingers on the lines drag them, rather than zooming.
+                return;
+            }
+            e.preventDefault();
+            if (e.type === 'touchstart' || question.pinch === null) {
+                question.startPinch(e.touches);
+            } else {
+                question.movePinch(e.touches);
+            }
+        },
+
+        /**
+         * Start panning the zoomed image, when its background is dragged.
+         *
+         * @param {Event} e
+         */
+        handlePanStart: function(e) {
+            var question = questionManager.getQuestionForEvent(e);
+            if (!question || !question.isZoomed() || question.panning || e.target.closest('g.dropzone') ||
+                    (e.touches && e.touches.length > 1)) {
+                return;
+            }
+            question.handlePanMove(e);
+        },
+
+        /**
+         * Handle clicks on the buttons that switch between the response, the correct answer and both.
+         *
+         * @param {Event} e
+         */
+        handleCompareClick: function(e) {
+            var question = questionManager.getQuestionForEvent(e),
+                button = e.target.closest('button[data-compare]');
+            if (!question || !button) {
+                return;
+            }
+            question.showComparison(button.dataset.compare);
+        },
+
+        /**
+         * Handle choosing a landmark for the start or end of a line.
+         *
+         * @param {Event} e
+         */
+        handleLandmarkChange: function(e) {
+            var question = questionManager.getQuestionForEvent(e),
+                select = e.target.closest('select.landmark');
+            if (!question || !select || select.value === 'other') {
+                return;
+            }
+            question.moveToLandmark(select.dataset.lineNo, select.dataset.handle, select.value);
+        },
+
+        /**
+         * Handle the context menu (right-click or long press) on a placed line, by returning it to the drag home area.
+         *
+         * @param {Event} e
+         */
+        handleDropZoneContextMenu: function(e) {
+            var question = questionManager.getQuestionForEvent(e),
+                dropzoneElement = e.target.closest('g.dropzone');
+            if (!question || !dropzoneElement) {
+                return;
             }
+            e.preventDefault();
+            question.returnLineToHomeWithUndo(dropzoneElement.dataset.dropzoneNo);
         },
 
         /**
@@ -881,6 +2255,19 @@ define([
          * @param {boolean} readOnly whether the question is being displayed read-only.
          * @param {String[]} visibleDropZones the geometry of any drop-zones to show.
          * @param {Object[]} questionLines
+         * @param {Object} [snapOptions] how the line handles snap while moved, with fields mode ('none', 'grid' or
+         *      'anchors'), gridspacing, gridorigin [x, y] and anchors [[x, y], ...].
+         * @param {Object[]} [landmarks] named points on the image that can be chosen from a list instead of dragging,
+         *      with fields name, x and y.
+         * @param {Object} [measurementOptions] with fields show, pixels, length and unit, to show the length and
+         *      the bearing of the lines.
+         * @param {Object} [lineResults] when reviewing, whether each placed line and each of its handles is right,
+         *      indexed by line number, to colour them in the feedback.
+         * @param {boolean} [showZones] when reviewing, whether to show the zones where the lines should be.
+         * @param {Array[]} [dragHomes] the line numbers waiting in each place in the drag home area, in the shuffled
+         *      order if the lines are shuffled. Lines that share a place are copies that can go in each other's zones.
+         * @param {Array[]} [richLabels] for each line, its start, middle and end labels as HTML, for labels that use
+         *      formatting or equations, or '' for labels shown as plain text.
          */
         init: questionManager.init,
     };
@@ -48,12 +48,16 @@ class backup_qtype_drawlines_plugin extends backup_qtype_plugin {
                 'partiallycorrectfeedback', 'partiallycorrectfeedbackformat',
                 'incorrectfeedback', 'incorrectfeedbackformat',
                 'shownumcorrect', 'showmisplaced',
+                'snapmode', 'snapgridspacing', 'snapgridorigin', 'snapanchorpoints', 'landmarks',
+                'showmeasurements', 'scalepixels', 'scalelength', 'scaleunit', 'shufflelines',
         ]);
         $pluginwrapper->add_child($options);
 
         $lines = new backup_nested_element('lines');
         $line = new backup_nested_element('line', ['id'], ['number', 'type',
-                'labelstart', 'labelmiddle', 'labelend', 'zonestart', 'zoneend']);
+                'labelstart', 'labelmiddle', 'labelend', 'zonestart', 'zoneend', 'zonemiddle', 'lockmode',
+                'reversedfraction', 'zonekind', 'zonetolerance', 'colour', 'dashstyle', 'arrowstyle',
+                'sharehome']);
         $lines->add_child($line);
         $pluginwrapper->add_child($lines);
 
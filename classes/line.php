@@ -42,9 +42,77 @@ class line {
     /** @var string lineinfinite (Infinite line --o--o--). */
     const TYPE_LINE_INFINITE = 'lineinfinite';
 
+    /** @var string linecurved (Curved line ⌒, a quadratic Bézier curve with one control handle). */
+    const TYPE_LINE_CURVED = 'linecurved';
 
-    /** @var string validate-zone-coordinates for start and the end of the line */
-    const VALIDATE_ZONE_COORDINATES = "/^([0-9]+),([0-9]+);([0-9]+)$/";
+    /** @var string linecurvedarrow (Curved arrow ↷, a quadratic Bézier curve with an arrowhead at the end). */
+    const TYPE_LINE_CURVED_ARROW = 'linecurvedarrow';
+
+    /** @var string linepolyline (Polyline -/\-, a path through one or more intermediate vertices). */
+    const TYPE_LINE_POLYLINE = 'linepolyline';
+
+    /** @var string lock mode none (the student can change the length and the angle of the line). */
+    const LOCK_NONE = 'none';
+
+    /** @var string lock mode length (the line keeps the length from the start zone to the end zone). */
+    const LOCK_LENGTH = 'length';
+
+    /** @var string lock mode angle (the line keeps the direction from the start zone to the end zone). */
+    const LOCK_ANGLE = 'angle';
+
+    /** @var string zone kind position (the ends of the line must be in the start and end zones). */
+    const ZONE_POSITION = 'position';
+
+    /** @var string zone kind angle (the line must point in the direction from the start zone to the end zone). */
+    const ZONE_ANGLE = 'angle';
+
+    /** @var string zone kind length (the line must be as long as from the start zone to the end zone). */
+    const ZONE_LENGTH = 'length';
+
+    /** @var string zone kind parallel (the line must be parallel to the line from the start zone to the end zone). */
+    const ZONE_PARALLEL = 'parallel';
+
+    /** @var string zone kind perpendicular (the line must be at right angles to the line between the zones). */
+    const ZONE_PERPENDICULAR = 'perpendicular';
+
+    /** @var string zone shape circle, in 'x,y;r' format. */
+    const ZONE_SHAPE_CIRCLE = 'circle';
+
+    /** @var string zone shape ellipse, in 'x,y;ellipse:rx,ry' format, with the horizontal and vertical radius. */
+    const ZONE_SHAPE_ELLIPSE = 'ellipse';
+
+    /** @var string zone shape rectangle, in 'x,y;rectangle:rx,ry' format, with half the width and half the height. */
+    const ZONE_SHAPE_RECTANGLE = 'rectangle';
+
+    /** @var string zone shape polygon, in 'x,y;polygon:x1,y1;x2,y2;x3,y3...' format, with the corners in order. */
+    const ZONE_SHAPE_POLYGON = 'polygon';
+
+    /** @var string dash style solid. */
+    const DASH_SOLID = 'solid';
+
+    /** @var string dash style dashed (the default). */
+    const DASH_DASHED = 'dashed';
+
+    /** @var string dash style dotted. */
+    const DASH_DOTTED = 'dotted';
+
+    /** @var string arrowhead style filled triangle (the default). */
+    const ARROW_FILLED = 'filled';
+
+    /** @var string arrowhead style open (an outline of a triangle without its base). */
+    const ARROW_OPEN = 'open';
+
+    /** @var string arrowhead style bar (a line across the end). */
+    const ARROW_BAR = 'bar';
+
+    /** @var string validate-colour in '#rrggbb' format. */
+    const VALIDATE_COLOUR = "/^#[0-9a-f]{6}$/";
+
+    /** @var string validate-point-coordinates in 'x,y' format, used for the snapping grid and anchor points. */
+    const VALIDATE_POINT_COORDINATES = "/^\d+,\d+$/";
+
+    /** @var string validate-zone-coordinates for start and the end of the line, in any of the zone shape formats. */
+    const VALIDATE_ZONE_COORDINATES = "/^(\d+),(\d+);(\d+|(ellipse|rectangle):\d+,\d+|polygon:\d+,\d+(;\d+,\d+){2,})$/";
 
     /** @var string validate-response-coordinates for a line of type linesegment, linesinglearrow, linedoublearrows.
      * as the start(x1,y1) and the end(x2,y2) coordinates of the line in 'x1,y1 x2,y2' format.
@@ -56,6 +124,11 @@ class line {
      */
     const VALIDATE_INFINITE_RESPONSE_COORDINATES = "/^(-?\d+,-?\d+)( \d+,\d+)( \d+,\d+)( -?\d+,-?\d+)$/";
 
+    /** @var string validate-response-coordinates for curved lines and polylines.
+     * as the start(x1,y1), the middle handles and the end(x2,y2) coordinates in 'x1,y1 mx,my ... x2,y2' format.
+     */
+    const VALIDATE_MULTIPOINT_RESPONSE_COORDINATES = "/^(\d+,\d+)( \d+,\d+)+$/";
+
     /** @var int The line id. */
     public $id;
 
@@ -83,6 +156,35 @@ class line {
     /** @var string The line end zone position in 'xcenter,ycenter;radius' format.*/
     public $zoneend;
 
+    /** @var string The zones for the middle handles (curve control point or polyline vertices)
+     * in space separated 'xcenter,ycenter;radius' format.
+     */
+    public $zonemiddle;
+
+    /** @var string Whether the length or the angle of the line is locked, one of the LOCK_... constants. */
+    public $lockmode;
+
+    /** @var float The fraction of the credit for the line when it is drawn the wrong way round, from 0 to 1. */
+    public $reversedfraction;
+
+    /** @var string How the line is graded, one of the ZONE_... constants. */
+    public $zonekind;
+
+    /** @var float How far the line may be out, in degrees for the angle kinds or in pixels for the length kind. */
+    public $zonetolerance;
+
+    /** @var string The colour of the line in '#rrggbb' format, or '' for the default colour. */
+    public $colour;
+
+    /** @var string Whether the line is solid, dashed or dotted, one of the DASH_... constants. */
+    public $dashstyle;
+
+    /** @var string The shape of the arrowheads of arrow lines, one of the ARROW_... constants. */
+    public $arrowstyle;
+
+    /** @var bool Whether copies of this line can go in the zones of any of the lines that look the same. */
+    public $sharehome;
+
     /**
      * Construct the line object.
      *
@@ -95,10 +197,22 @@ class line {
      * @param string $labelend
      * @param string $zonestart
      * @param string $zoneend
+     * @param string $zonemiddle
+     * @param string $lockmode
+     * @param float $reversedfraction
+     * @param string $zonekind
+     * @param float $zonetolerance
+     * @param string $colour
+     * @param string $dashstyle
+     * @param string $arrowstyle
+     * @param bool $sharehome
      */
     public function __construct(int $id, int $questionid, int $number, string $type,
             string $labelstart, string $labelmiddle, string $labelend,
-            string $zonestart, string $zoneend) {
+            string $zonestart, string $zoneend, string $zonemiddle = '', string $lockmode = self::LOCK_NONE,
+            float $reversedfraction = 0, string $zonekind = self::ZONE_POSITION, float $zonetolerance = 0,
+            string $colour = '', string $dashstyle = self::DASH_DASHED, string $arrowstyle = self::ARROW_FILLED,
+            bool $sharehome = false) {
 
         $this->id = $id;
         $this->questionid = $questionid;
@@ -109,6 +223,33 @@ class line {
         $this->labelend = $labelend;
         $this->zonestart = $zonestart;
         $this->zoneend = $zoneend;
+        $this->zonemiddle = $zonemiddle;
+        $this->lockmode = $lockmode;
+        $this->reversedfraction = $reversedfraction;
+        $this->zonekind = $zonekind;
+        $this->zonetolerance = $zonetolerance;
+        $this->colour = $colour;
+        $this->dashstyle = $dashstyle;
+        $this->arrowstyle = $arrowstyle;
+        $this->sharehome = $sharehome;
+    }
+
+    /**
+     * Whether this line and another are interchangeable, so that a copy of either can go in the zones of the other.
+     *
+     * That is when both are set to share one drag home, and students cannot tell them apart, because they have
+     * the same type, labels, lock, style and number of middle handles.
+     *
+     * @param line $other the other line.
+     * @return bool
+     */
+    public function is_interchangeable_with(line $other): bool {
+        return $this->sharehome && $other->sharehome && $this->type === $other->type &&
+                $this->labelstart === $other->labelstart && $this->labelmiddle === $other->labelmiddle &&
+                $this->labelend === $other->labelend && $this->lockmode === $other->lockmode &&
+                $this->colour === $other->colour && $this->dashstyle === $other->dashstyle &&
+                $this->arrowstyle === $other->arrowstyle &&
+                count(self::get_middle_zones($this->zonemiddle)) === count(self::get_middle_zones($other->zonemiddle));
     }
 
     /**
@@ -123,60 +264,366 @@ class line {
             self::TYPE_LINE_SINGLE_ARROW => get_string(self::TYPE_LINE_SINGLE_ARROW , 'qtype_drawlines'),
             self::TYPE_LINE_DOUBLE_ARROW => get_string(self::TYPE_LINE_DOUBLE_ARROW, 'qtype_drawlines'),
             self::TYPE_LINE_INFINITE => get_string(self::TYPE_LINE_INFINITE, 'qtype_drawlines'),
+            self::TYPE_LINE_CURVED => get_string(self::TYPE_LINE_CURVED, 'qtype_drawlines'),
+            self::TYPE_LINE_CURVED_ARROW => get_string(self::TYPE_LINE_CURVED_ARROW, 'qtype_drawlines'),
+            self::TYPE_LINE_POLYLINE => get_string(self::TYPE_LINE_POLYLINE, 'qtype_drawlines'),
         ];
     }
 
     /**
-     * Return true or false
+     * Return an assosiative array of lock modes as key => value,
+     * where key is stored name in the database and Value is the displayed name in question form.
      *
-     * @param string $dragcoord 'cx,cy' format
-     * @param string $dropcood 'cx,cy;radius' format
+     * @return array
+     */
+    public static function get_lock_modes(): array {
+        return [
+            self::LOCK_NONE => get_string('lockmodenone', 'qtype_drawlines'),
+            self::LOCK_LENGTH => get_string('lockmodelength', 'qtype_drawlines'),
+            self::LOCK_ANGLE => get_string('lockmodeangle', 'qtype_drawlines'),
+        ];
+    }
+
+    /**
+     * Return an assosiative array of zone kinds as key => value,
+     * where key is stored name in the database and Value is the displayed name in question form.
+     *
+     * @return array
+     */
+    public static function get_zone_kinds(): array {
+        return [
+            self::ZONE_POSITION => get_string('zonekindposition', 'qtype_drawlines'),
+            self::ZONE_ANGLE => get_string('zonekindangle', 'qtype_drawlines'),
+            self::ZONE_LENGTH => get_string('zonekindlength', 'qtype_drawlines'),
+            self::ZONE_PARALLEL => get_string('zonekindparallel', 'qtype_drawlines'),
+            self::ZONE_PERPENDICULAR => get_string('zonekindperpendicular', 'qtype_drawlines'),
+        ];
+    }
+
+    /**
+     * Return an assosiative array of line colours as key => value,
+     * where key is the colour stored in the database and Value is the displayed name in question form.
+     *
+     * @return array
+     */
+    public static function get_colours(): array {
+        return [
+            '' => get_string('colourdefault', 'qtype_drawlines'),
+            '#000000' => get_string('colourblack', 'qtype_drawlines'),
+            '#d62728' => get_string('colourred', 'qtype_drawlines'),
+            '#2ca02c' => get_string('colourgreen', 'qtype_drawlines'),
+            '#1f77b4' => get_string('colourblue', 'qtype_drawlines'),
+            '#ff7f0e' => get_string('colourorange', 'qtype_drawlines'),
+            '#9467bd' => get_string('colourpurple', 'qtype_drawlines'),
+        ];
+    }
+
+    /**
+     * Return an assosiative array of dash styles as key => value,
+     * where key is stored name in the database and Value is the displayed name in question form.
+     *
+     * @return array
+     */
+    public static function get_dash_styles(): array {
+        return [
+            self::DASH_SOLID => get_string('dashstylesolid', 'qtype_drawlines'),
+            self::DASH_DASHED => get_string('dashstyledashed', 'qtype_drawlines'),
+            self::DASH_DOTTED => get_string('dashstyledotted', 'qtype_drawlines'),
+        ];
+    }
+
+    /**
+     * Return an assosiative array of arrowhead styles as key => value,
+     * where key is stored name in the database and Value is the displayed name in question form.
+     *
+     * @return array
+     */
+    public static function get_arrow_styles(): array {
+        return [
+            self::ARROW_FILLED => get_string('arrowstylefilled', 'qtype_drawlines'),
+            self::ARROW_OPEN => get_string('arrowstyleopen', 'qtype_drawlines'),
+            self::ARROW_BAR => get_string('arrowstylebar', 'qtype_drawlines'),
+        ];
+    }
+
+    /**
+     * Return true if the line type has arrowheads.
+     *
+     * @param string $linetype
      * @return bool
      */
-    public static function is_dragitem_in_the_right_place(string $dragcoord, string $dropcood): bool {
-        [$cx, $cy, $r] = self::parse_into_cx_cy_with_or_without_radius($dropcood, true);
-        [$rescx, $rescy] = self::parse_into_cx_cy_with_or_without_radius($dragcoord);
+    public static function has_arrows(string $linetype): bool {
+        return in_array($linetype, [self::TYPE_LINE_SINGLE_ARROW, self::TYPE_LINE_DOUBLE_ARROW, self::TYPE_LINE_CURVED_ARROW]);
+    }
 
-        $xcoord = false;
-        if ((($cx - $r) <= $rescx) && ($rescx <= ($cx + $r))) {
-            $xcoord = true;
-        }
-        $ycoord = false;
-        if ((($cy - $r) <= $rescy) && ($rescy <= ($cy + $r))) {
-            $ycoord = true;
+    /**
+     * Return true if the line type has handles between the start and the end of the line.
+     *
+     * @param string $linetype
+     * @return bool
+     */
+    public static function has_middle_handles(string $linetype): bool {
+        return in_array($linetype, [self::TYPE_LINE_CURVED, self::TYPE_LINE_CURVED_ARROW, self::TYPE_LINE_POLYLINE]);
+    }
+
+    /**
+     * Return true if the line type has a direction, shown by a single arrowhead at the end.
+     *
+     * @param string $linetype
+     * @return bool
+     */
+    public static function is_directed(string $linetype): bool {
+        return in_array($linetype, [self::TYPE_LINE_SINGLE_ARROW, self::TYPE_LINE_CURVED_ARROW]);
+    }
+
+    /**
+     * Return true if the line type is drawn as a quadratic Bézier curve.
+     *
+     * @param string $linetype
+     * @return bool
+     */
+    public static function is_curved(string $linetype): bool {
+        return in_array($linetype, [self::TYPE_LINE_CURVED, self::TYPE_LINE_CURVED_ARROW]);
+    }
+
+    /**
+     * Return true if a label has to be shown as HTML, because it has tags, entities or TeX in it.
+     *
+     * Other labels are shown as they are typed, so that for example 'a < b' stays as it is.
+     *
+     * @param string $label
+     * @return bool
+     */
+    public static function is_rich_label(string $label): bool {
+        return preg_match('~</?[a-z][a-z0-9]*(\s[^<>]*)?/?>|&#?[a-z0-9]+;|\\\\\(|\\\\\[|\$\$~i', $label) === 1;
+    }
+
+    /**
+     * Return the list of middle zones in 'cx,cy;radius' format.
+     *
+     * @param string|null $zonemiddle space separated list of zones.
+     * @return string[]
+     */
+    public static function get_middle_zones(?string $zonemiddle): array {
+        if ($zonemiddle === null || trim($zonemiddle) === '') {
+            return [];
         }
-        if ($xcoord && $ycoord) {
-            return true;
+        return preg_split('/\s+/', trim($zonemiddle));
+    }
+
+    /**
+     * Split a response into the start point, the end point and the points of any middle handles.
+     *
+     * The response is in the format 'x1,y1 x2,y2' for straight lines, 'x1,y1 mx,my ... x2,y2' for
+     * curves and polylines and 'x0,y0 x1,y1 x2,y2 x3,y3' for infinite lines (which include
+     * the two points where the line leaves the image).
+     *
+     * @param string $response the response coordinates.
+     * @param string $linetype the type of the line.
+     * @return array [start, end, middles[]] with points in 'x,y' format.
+     */
+    public static function get_response_points(string $response, string $linetype): array {
+        $coords = explode(' ', trim($response));
+        if ($linetype === self::TYPE_LINE_INFINITE && count($coords) === 4) {
+            return [$coords[1], $coords[2], []];
         }
-        return false;
+        $start = array_shift($coords);
+        $end = count($coords) ? array_pop($coords) : '';
+        return [$start, $end, $coords];
+    }
+
+    /**
+     * Return true if the point is inside the zone, including its edge.
+     *
+     * @param string $dragcoord 'cx,cy' format
+     * @param string $dropcood the zone, in any of the formats of {@see parse_zone()}.
+     * @return bool
+     */
+    public static function is_dragitem_in_the_right_place(string $dragcoord, string $dropcood): bool {
+        [$rescx, $rescy] = self::parse_into_cx_cy_with_or_without_radius($dragcoord);
+        return self::is_point_in_zone($rescx, $rescy, $dropcood);
     }
 
     /**
-     * Return true or false
+     * Return true if the point is no further from the line through the centres of the zones than the edge of the zone.
      *
      * @param string $responsecoord 'cx,cy' format
-     * @param string $linestart 'cx,cy;radius' format.
-     * @param string $lineend  'cx,cy;radius' format.
+     * @param string $linestart the start zone, in any of the formats of {@see parse_zone()}.
+     * @param string $lineend  the end zone, in any of the formats of {@see parse_zone()}.
      * @param string $which  which end of the line is being compared, start or end.
      * @return bool
      */
     public static function is_item_positioned_correctly_on_axis(string $responsecoord, string $linestart,
             string $lineend, string $which): bool {
-        [$scx, $scy, $sr] = self::parse_into_cx_cy_with_or_without_radius($linestart, true);
-        [$ecx, $ecy, $er] = self::parse_into_cx_cy_with_or_without_radius($lineend, true);
+        [$scx, $scy] = self::parse_into_cx_cy_with_or_without_radius($linestart, true);
+        [$ecx, $ecy] = self::parse_into_cx_cy_with_or_without_radius($lineend, true);
         [$rescx, $rescy] = self::parse_into_cx_cy_with_or_without_radius($responsecoord);
+        $zone = $which == 'start' ? $linestart : $lineend;
 
-        $distance = self::compute_distance_to_line($scx, $scy, $ecx, $ecy, $rescx, $rescy);
-        if ($which == 'start') {
-            return ((int)$distance <= $sr);
-        } else {
-            return ((int)$distance <= $er);
+        $length = sqrt(($ecx - $scx) ** 2 + ($ecy - $scy) ** 2);
+        if ($length == 0) {
+            // Without a line through the zones, the point must be in the zone itself.
+            return self::is_point_in_zone($rescx, $rescy, $zone);
+        }
+        // Compare the signed distance from the line with how far the zone reaches to either side of it.
+        $nx = ($scy - $ecy) / $length;
+        $ny = ($ecx - $scx) / $length;
+        [$min, $max] = self::get_zone_span($zone, $nx, $ny);
+        $distance = ($rescx - $scx) * $nx + ($rescy - $scy) * $ny;
+        return $min <= $distance && $distance <= $max;
+    }
+
+    /**
+     * Split a zone into its centre, its shape and the size of the shape.
+     *
+     * @param string $zone in 'x,y;r', 'x,y;ellipse:rx,ry', 'x,y;rectangle:rx,ry' or 'x,y;polygon:x1,y1;x2,y2;x3,y3...' format.
+     * @return array [cx, cy, shape, size], where shape is one of the ZONE_SHAPE_... constants, and size is [r]
+     *      for a circle, [rx, ry] for an ellipse or a rectangle, and the list of [x, y] corners of a polygon.
+     */
+    public static function parse_zone(string $zone): array {
+        [$centre, $size] = array_pad(explode(';', trim($zone), 2), 2, '');
+        [$cx, $cy] = self::parse_into_cx_cy_with_or_without_radius($centre);
+        if (!str_contains($size, ':')) {
+            return [$cx, $cy, self::ZONE_SHAPE_CIRCLE, [(int)$size]];
+        }
+        [$shape, $values] = explode(':', $size, 2);
+        if ($shape === self::ZONE_SHAPE_POLYGON) {
+            $points = array_map(fn($point) => self::parse_into_cx_cy_with_or_without_radius($point), explode(';', $values));
+            return [$cx, $cy, $shape, $points];
         }
+        return [$cx, $cy, $shape, self::parse_into_cx_cy_with_or_without_radius($values)];
+    }
+
+    /**
+     * Return true if the point is inside the zone, including its edge, exactly as the zone is drawn.
+     *
+     * @param float $x
+     * @param float $y
+     * @param string $zone in any of the formats of {@see parse_zone()}.
+     * @return bool
+     */
+    public static function is_point_in_zone(float $x, float $y, string $zone): bool {
+        [$cx, $cy, $shape, $size] = self::parse_zone($zone);
+        $dx = $x - $cx;
+        $dy = $y - $cy;
+        switch ($shape) {
+            case self::ZONE_SHAPE_ELLIPSE:
+                [$rx, $ry] = $size;
+                if ($rx == 0 || $ry == 0) {
+                    // A flat ellipse is just the line across its middle.
+                    return abs($dx) <= $rx && abs($dy) <= $ry;
+                }
+                return ($dx / $rx) ** 2 + ($dy / $ry) ** 2 <= 1;
+            case self::ZONE_SHAPE_RECTANGLE:
+                return abs($dx) <= $size[0] && abs($dy) <= $size[1];
+            case self::ZONE_SHAPE_POLYGON:
+                return self::is_point_in_polygon($x, $y, $size);
+            default:
+                return $dx ** 2 + $dy ** 2 <= $size[0] ** 2;
+        }
+    }
+
+    /**
+     * Return true if the point is inside the polygon, or on one of its edges.
+     *
+     * @param float $x
+     * @param float $y
+     * @param array $points the [x, y] corners of the polygon, in order.
+     * @return bool
+     */
+    private static function is_point_in_polygon(float $x, float $y, array $points): bool {
+        $inside = false;
+        $count = count($points);
+        for ($i = 0, $j = $count - 1; $i < $count; $j = $i++) {
+            [$x1, $y1] = $points[$j];
+            [$x2, $y2] = $points[$i];
+            if (($x - $x1) * ($y2 - $y1) == ($y - $y1) * ($x2 - $x1) &&
+                    min($x1, $x2) <= $x && $x <= max($x1, $x2) && min($y1, $y2) <= $y && $y <= max($y1, $y2)) {
+                return true;
+            }
+            // Count the edges crossed by a ray from the point to the right.
+            if (($y1 > $y) !== ($y2 > $y) && $x < $x1 + ($y - $y1) * ($x2 - $x1) / ($y2 - $y1)) {
+                $inside = !$inside;
+            }
+        }
+        return $inside;
+    }
+
+    /**
+     * Return how far a zone reaches from its centre in the direction of a unit vector, and in the opposite direction.
+     *
+     * @param string $zone in any of the formats of {@see parse_zone()}.
+     * @param float $nx
+     * @param float $ny
+     * @return float[] [min, max] of the distances of the points of the zone from the centre, along the vector.
+     */
+    private static function get_zone_span(string $zone, float $nx, float $ny): array {
+        [$cx, $cy, $shape, $size] = self::parse_zone($zone);
+        switch ($shape) {
+            case self::ZONE_SHAPE_ELLIPSE:
+                $span = sqrt(($size[0] * $nx) ** 2 + ($size[1] * $ny) ** 2);
+                break;
+            case self::ZONE_SHAPE_RECTANGLE:
+                $span = $size[0] * abs($nx) + $size[1] * abs($ny);
+                break;
+            case self::ZONE_SHAPE_POLYGON:
+                $distances = array_map(fn($point) => ($point[0] - $cx) * $nx + ($point[1] - $cy) * $ny, $size);
+                return [min($distances), max($distances)];
+            default:
+                $span = $size[0];
+        }
+        return [-$span, $span];
+    }
+
+    /**
+     * Return true if the line is within the tolerance of a zone kind other than position.
+     *
+     * The line from the centre of the start zone to the centre of the end zone is the reference line.
+     * For the angle, parallel and perpendicular kinds, the tolerance is in degrees, and only the angle
+     * kind cares which way the line points. For the length kind, the tolerance is in pixels.
+     *
+     * @param string $zonekind one of the ZONE_... constants.
+     * @param float $tolerance
+     * @param string $start the start of the response line in 'cx,cy' format.
+     * @param string $end the end of the response line in 'cx,cy' format.
+     * @param string $zonestart 'cx,cy;radius' format.
+     * @param string $zoneend 'cx,cy;radius' format.
+     * @return bool
+     */
+    public static function is_line_within_tolerance(string $zonekind, float $tolerance, string $start, string $end,
+            string $zonestart, string $zoneend): bool {
+        [$scx, $scy] = self::parse_into_cx_cy_with_or_without_radius($zonestart, true);
+        [$ecx, $ecy] = self::parse_into_cx_cy_with_or_without_radius($zoneend, true);
+        [$x1, $y1] = self::parse_into_cx_cy_with_or_without_radius($start);
+        [$x2, $y2] = self::parse_into_cx_cy_with_or_without_radius($end);
+
+        if ($zonekind === self::ZONE_LENGTH) {
+            return abs(sqrt(($x2 - $x1) ** 2 + ($y2 - $y1) ** 2) - sqrt(($ecx - $scx) ** 2 + ($ecy - $scy) ** 2)) <= $tolerance;
+        }
+        if (($x1 == $x2 && $y1 == $y2) || ($scx == $ecx && $scy == $ecy)) {
+            // A line without a length does not point anywhere.
+            return false;
+        }
+
+        // The difference between the angles, between -180 and 180 degrees.
+        $difference = rad2deg(atan2($y2 - $y1, $x2 - $x1) - atan2($ecy - $scy, $ecx - $scx));
+        $difference = fmod(fmod($difference, 360) + 540, 360) - 180;
+        switch ($zonekind) {
+            case self::ZONE_ANGLE:
+                return abs($difference) <= $tolerance;
+            case self::ZONE_PARALLEL:
+                return min(abs($difference), 180 - abs($difference)) <= $tolerance;
+            case self::ZONE_PERPENDICULAR:
+                return abs(90 - abs($difference)) <= $tolerance;
+        }
+        return false;
     }
 
     /**
      * Parse the input and return the parts in a list of 'cx', 'cy' with or without 'r'.
      *
+     * For zones that are not circles, the radius is 0. Use {@see parse_zone()} to get their size.
+     *
      * @param string $dropzone, the string in a given format with or without radius
      * @param bool $radius if set to true, return the list with radius, otherwise without radius
      * @return array a list of 'cx', 'cy' with or without 'r' [cx, xy, r] or [cx, xy].
@@ -232,9 +679,21 @@ class line {
         return (int)$zonestart[1];
     }
 
+    /**
+     * Validate the coordinates of a point.
+     * The correct format is x,y where x and y are positive whole numbers.
+     *
+     * @param string $point
+     * @return bool
+     */
+    public static function is_point_coordinates_valid(string $point): bool {
+        return preg_match(self::VALIDATE_POINT_COORDINATES, trim($point)) === 1;
+    }
+
     /**
      * Validate the zone coordinates for Start or End zone of a line.
-     * The correct format is x,y;r  where x,y are the coordinates of the centre of a circle and r is the radius.
+     * The correct format is x,y;r  where x,y are the coordinates of the centre of a circle and r is the radius,
+     * or one of the other shapes of {@see parse_zone()}. The centre of a polygon must be inside it.
      *
      * @param string $zone
      * @return bool
@@ -253,7 +712,35 @@ class line {
                 break;
             }
         }
-        // Match found.
+        // Match found. The correct answer puts the end of the line at the centre, so that must be in the zone.
+        [$cx, $cy] = self::parse_into_cx_cy_with_or_without_radius($zone, true);
+        return self::is_point_in_zone($cx, $cy, $zone);
+    }
+
+    /**
+     * Validate the zones for the middle handles of a line.
+     * The correct format is a space separated list of zones, in any of the formats of {@see parse_zone()}.
+     *
+     * @param string $zonemiddle
+     * @param string $linetype the type of the line.
+     * @return bool
+     */
+    public static function is_middle_zones_valid(string $zonemiddle, string $linetype): bool {
+        $zones = self::get_middle_zones($zonemiddle);
+        if (!self::has_middle_handles($linetype)) {
+            return empty($zones);
+        }
+        if ($linetype === self::TYPE_LINE_POLYLINE && empty($zones)) {
+            return false;
+        }
+        if (self::is_curved($linetype) && count($zones) > 1) {
+            return false;
+        }
+        foreach ($zones as $zone) {
+            if (!self::is_zone_coordinates_valid($zone)) {
+                return false;
+            }
+        }
         return true;
     }
 
@@ -279,6 +766,8 @@ class line {
             } else {
                 preg_match_all(self::VALIDATE_INFINITE_RESPONSE_COORDINATES, $linecoordinates, $matches, PREG_SPLIT_NO_EMPTY);
             }
+        } else if (self::has_middle_handles($linetype)) {
+            preg_match_all(self::VALIDATE_MULTIPOINT_RESPONSE_COORDINATES, $linecoordinates, $matches, PREG_SPLIT_NO_EMPTY);
         } else {
             preg_match_all(self::VALIDATE_RESPONSE_COORDINATES, $linecoordinates, $matches, PREG_SPLIT_NO_EMPTY);
         }
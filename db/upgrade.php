@@ -30,5 +30,180 @@
 function xmldb_qtype_drawlines_upgrade($oldversion) {
     global $DB;
     $dbman = $DB->get_manager();
+
+    if ($oldversion < 2026101900) {
+        // Define field zonemiddle to be added to qtype_drawlines_lines.
+        $table = new xmldb_table('qtype_drawlines_lines');
+        $field = new xmldb_field('zonemiddle', XMLDB_TYPE_TEXT, null, null, null, null, null, 'zoneend');
+
+        // Conditionally launch add field zonemiddle.
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Drawlines savepoint reached.
+        upgrade_plugin_savepoint(true, 2026101900, 'qtype', 'drawlines');
+    }
+
+    if ($oldversion < 2026101901) {
+        // Define the snapping fields to be added to qtype_drawlines_options.
+        $table = new xmldb_table('qtype_drawlines_options');
+        $fields = [
+            new xmldb_field('snapmode', XMLDB_TYPE_CHAR, '10', null, XMLDB_NOTNULL, null, 'none', 'showmisplaced'),
+            new xmldb_field('snapgridspacing', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '10', 'snapmode'),
+            new xmldb_field('snapgridorigin', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, '0,0', 'snapgridspacing'),
+            new xmldb_field('snapanchorpoints', XMLDB_TYPE_TEXT, null, null, null, null, null, 'snapgridorigin'),
+        ];
+
+        // Conditionally launch add the fields.
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        // Drawlines savepoint reached.
+        upgrade_plugin_savepoint(true, 2026101901, 'qtype', 'drawlines');
+    }
+
+    if ($oldversion < 2026101902) {
+        // Define field landmarks to be added to qtype_drawlines_options.
+        $table = new xmldb_table('qtype_drawlines_options');
+        $field = new xmldb_field('landmarks', XMLDB_TYPE_TEXT, null, null, null, null, null, 'snapanchorpoints');
+
+        // Conditionally launch add field landmarks.
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Drawlines savepoint reached.
+        upgrade_plugin_savepoint(true, 2026101902, 'qtype', 'drawlines');
+    }
+
+    if ($oldversion < 2026101903) {
+        // Define field lockmode to be added to qtype_drawlines_lines.
+        $table = new xmldb_table('qtype_drawlines_lines');
+        $field = new xmldb_field('lockmode', XMLDB_TYPE_CHAR, '10', null, XMLDB_NOTNULL, null, 'none', 'zonemiddle');
+
+        // Conditionally launch add field lockmode.
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Drawlines savepoint reached.
+        upgrade_plugin_savepoint(true, 2026101903, 'qtype', 'drawlines');
+    }
+
+    if ($oldversion < 2026101904) {
+        // Define fields showmeasurements, scalepixels, scalelength and scaleunit to be added to qtype_drawlines_options.
+        $table = new xmldb_table('qtype_drawlines_options');
+        $fields = [
+            new xmldb_field('showmeasurements', XMLDB_TYPE_INTEGER, '2', null, XMLDB_NOTNULL, null, '0', 'landmarks'),
+            new xmldb_field('scalepixels', XMLDB_TYPE_INTEGER, '10', null, XMLDB_NOTNULL, null, '0', 'showmeasurements'),
+            new xmldb_field('scalelength', XMLDB_TYPE_NUMBER, '12, 5', null, XMLDB_NOTNULL, null, '0', 'scalepixels'),
+            new xmldb_field('scaleunit', XMLDB_TYPE_CHAR, '20', null, XMLDB_NOTNULL, null, null, 'scalelength'),
+        ];
+
+        // Conditionally launch add the fields.
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        // Drawlines savepoint reached.
+        upgrade_plugin_savepoint(true, 2026101904, 'qtype', 'drawlines');
+    }
+
+    if ($oldversion < 2026101905) {
+        // Define field reversedfraction to be added to qtype_drawlines_lines.
+        $table = new xmldb_table('qtype_drawlines_lines');
+        $field = new xmldb_field('reversedfraction', XMLDB_TYPE_NUMBER, '12, 7', null, XMLDB_NOTNULL, null, '0', 'lockmode');
+
+        // Conditionally launch add field reversedfraction.
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Drawlines savepoint reached.
+        upgrade_plugin_savepoint(true, 2026101905, 'qtype', 'drawlines');
+    }
+
+    if ($oldversion < 2026101906) {
+        // Define fields zonekind and zonetolerance to be added to qtype_drawlines_lines.
+        $table = new xmldb_table('qtype_drawlines_lines');
+        $fields = [
+            new xmldb_field('zonekind', XMLDB_TYPE_CHAR, '15', null, XMLDB_NOTNULL, null, 'position', 'reversedfraction'),
+            new xmldb_field('zonetolerance', XMLDB_TYPE_NUMBER, '12, 5', null, XMLDB_NOTNULL, null, '0', 'zonekind'),
+        ];
+
+        // Conditionally launch add the fields.
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        // Drawlines savepoint reached.
+        upgrade_plugin_savepoint(true, 2026101906, 'qtype', 'drawlines');
+    }
+
+    if ($oldversion < 2026101907) {
+        // Define fields colour, dashstyle and arrowstyle to be added to qtype_drawlines_lines.
+        $table = new xmldb_table('qtype_drawlines_lines');
+        $fields = [
+            new xmldb_field('colour', XMLDB_TYPE_CHAR, '7', null, null, null, null, 'zonetolerance'),
+            new xmldb_field('dashstyle', XMLDB_TYPE_CHAR, '10', null, XMLDB_NOTNULL, null, 'dashed', 'colour'),
+            new xmldb_field('arrowstyle', XMLDB_TYPE_CHAR, '10', null, XMLDB_NOTNULL, null, 'filled', 'dashstyle'),
+        ];
+
+        // Conditionally launch add the fields.
+        foreach ($fields as $field) {
+            if (!$dbman->field_exists($table, $field)) {
+                $dbman->add_field($table, $field);
+            }
+        }
+
+        // Drawlines savepoint reached.
+        upgrade_plugin_savepoint(true, 2026101907, 'qtype', 'drawlines');
+    }
+
+    if ($oldversion < 2026101908) {
+        // Define field shufflelines to be added to qtype_drawlines_options.
+        $table = new xmldb_table('qtype_drawlines_options');
+        $field = new xmldb_field('shufflelines', XMLDB_TYPE_INTEGER, '2', null, XMLDB_NOTNULL, null, '0', 'scaleunit');
+
+        // Conditionally launch add field shufflelines.
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Define field unlimited to be added to qtype_drawlines_lines.
+        $table = new xmldb_table('qtype_drawlines_lines');
+        $field = new xmldb_field('unlimited', XMLDB_TYPE_INTEGER, '2', null, XMLDB_NOTNULL, null, '0', 'arrowstyle');
+
+        // Conditionally launch add field unlimited.
+        if (!$dbman->field_exists($table, $field)) {
+            $dbman->add_field($table, $field);
+        }
+
+        // Drawlines savepoint reached.
+        upgrade_plugin_savepoint(true, 2026101908, 'qtype', 'drawlines');
+    }
+
+    if ($oldversion < 2026101909) {
+        // Rename field unlimited on table qtype_drawlines_lines to sharehome, which is what it does.
+        $table = new xmldb_table('qtype_drawlines_lines');
+        $field = new xmldb_field('unlimited', XMLDB_TYPE_INTEGER, '2', null, XMLDB_NOTNULL, null, '0', 'arrowstyle');
+
+        // Conditionally launch rename field unlimited.
+        if ($dbman->field_exists($table, $field)) {
+            $dbman->rename_field($table, $field, 'sharehome');
+        }
+
+        // Drawlines savepoint reached.
+        upgrade_plugin_savepoint(true, 2026101909, 'qtype', 'drawlines');
+    }
+
     return true;
 }
@@ -32,6 +32,12 @@ class qtype_drawlines_edit_form extends question_edit_form {
     /** @var string grading method. */
     protected $grademethod;
 
+    /** @var array the default values of the fields of a line, for lines added in the browser. */
+    protected $linedefaults = [];
+
+    /** @var array the hideif rules of the fields of a line, for lines added in the browser. */
+    protected $linehideifs = [];
+
     /**
      * Returns the question type name.
      *
@@ -92,6 +98,64 @@ class qtype_drawlines_edit_form extends question_edit_form {
         $mform->setDefault('grademethod', $this->get_default_value('grademethod',
                 get_config('qtype_drawlines', 'grademethod')));
 
+        $mform->addElement('advcheckbox', 'shufflelines', get_string('shufflelines', 'qtype_' . $this->qtype()));
+        $mform->addHelpButton('shufflelines', 'shufflelines', 'qtype_' . $this->qtype());
+        $mform->setDefault('shufflelines', 0);
+
+        $snapmodemenu = [
+                qtype_drawlines_question::SNAP_NONE => get_string('snapmodenone', 'qtype_' . $this->qtype()),
+                qtype_drawlines_question::SNAP_GRID => get_string('snapmodegrid', 'qtype_' . $this->qtype()),
+                qtype_drawlines_question::SNAP_ANCHORS => get_string('snapmodeanchors', 'qtype_' . $this->qtype()),
+        ];
+        $mform->addElement('select', 'snapmode',
+                get_string('snapmode', 'qtype_' . $this->qtype()), $snapmodemenu);
+        $mform->addHelpButton('snapmode', 'snapmode', 'qtype_' . $this->qtype());
+        $mform->setDefault('snapmode', qtype_drawlines_question::SNAP_NONE);
+
+        $mform->addElement('text', 'snapgridspacing',
+                get_string('snapgridspacing', 'qtype_' . $this->qtype()), ['size' => 5]);
+        $mform->setType('snapgridspacing', PARAM_INT);
+        $mform->setDefault('snapgridspacing', 10);
+        $mform->hideIf('snapgridspacing', 'snapmode', 'neq', qtype_drawlines_question::SNAP_GRID);
+
+        $mform->addElement('text', 'snapgridorigin',
+                get_string('snapgridorigin', 'qtype_' . $this->qtype()), ['size' => 10]);
+        $mform->setType('snapgridorigin', PARAM_RAW_TRIMMED);
+        $mform->setDefault('snapgridorigin', '0,0');
+        $mform->addHelpButton('snapgridorigin', 'snapgridorigin', 'qtype_' . $this->qtype());
+        $mform->hideIf('snapgridorigin', 'snapmode', 'neq', qtype_drawlines_question::SNAP_GRID);
+
+        $mform->addElement('text', 'snapanchorpoints',
+                get_string('snapanchorpoints', 'qtype_' . $this->qtype()), ['size' => 40]);
+        $mform->setType('snapanchorpoints', PARAM_RAW_TRIMMED);
+        $mform->addHelpButton('snapanchorpoints', 'snapanchorpoints', 'qtype_' . $this->qtype());
+        $mform->hideIf('snapanchorpoints', 'snapmode', 'neq', qtype_drawlines_question::SNAP_ANCHORS);
+
+        $mform->addElement('textarea', 'landmarks',
+                get_string('landmarks', 'qtype_' . $this->qtype()), ['rows' => 4, 'cols' => 40]);
+        $mform->setType('landmarks', PARAM_RAW_TRIMMED);
+        $mform->addHelpButton('landmarks', 'landmarks', 'qtype_' . $this->qtype());
+
+        $mform->addElement('advcheckbox', 'showmeasurements', get_string('showmeasurements', 'qtype_' . $this->qtype()));
+        $mform->addHelpButton('showmeasurements', 'showmeasurements', 'qtype_' . $this->qtype());
+        $mform->setDefault('showmeasurements', 0);
+
+        $scale = [];
+        $scale[] = $mform->createElement('text', 'scalepixels',
+                get_string('scalepixels', 'qtype_' . $this->qtype()), ['size' => 5]);
+        $scale[] = $mform->createElement('static', 'scaleequals', '', get_string('scaleequals', 'qtype_' . $this->qtype()));
+        $scale[] = $mform->createElement('text', 'scalelength',
+                get_string('scalelength', 'qtype_' . $this->qtype()), ['size' => 5]);
+        $scale[] = $mform->createElement('text', 'scaleunit',
+                get_string('scaleunit', 'qtype_' . $this->qtype()), ['size' => 5]);
+        $mform->addGroup($scale, 'scalegroup', get_string('scale', 'qtype_' . $this->qtype()), ' ', false);
+        $mform->setType('scalepixels', PARAM_INT);
+        $mform->setType('scalelength', PARAM_FLOAT);
+        $mform->setType('scaleunit', PARAM_TEXT);
+        $mform->setDefault('scalepixels', 0);
+        $mform->setDefault('scalelength', 0);
+        $mform->addHelpButton('scalegroup', 'scale', 'qtype_' . $this->qtype());
+
         // Preview section.
         $mform->addElement('header', 'previewareaheader',
                 get_string('previewareaheader', 'qtype_' . $this->qtype()));
@@ -123,8 +187,16 @@ class qtype_drawlines_edit_form extends question_edit_form {
             $repeatsatstart = line::LINE_NUMBER_START;
         }
         $repeatedoptions = [];
-        $this->repeat_elements($this->get_per_line_fields($mform, $label, $repeatedoptions),
-                $repeatsatstart, $repeatedoptions,
+        $repeated = $this->get_per_line_fields($mform, $label, $repeatedoptions);
+        foreach ($repeatedoptions as $field => $options) {
+            if (array_key_exists('default', $options)) {
+                $this->linedefaults[$field] = $options['default'];
+            }
+            if (isset($options['hideif'])) {
+                $this->linehideifs[$field] = $options['hideif'];
+            }
+        }
+        $this->repeat_elements($repeated, $repeatsatstart, $repeatedoptions,
                 'numberoflines', 'addlines', line::LINE_NUMBER_ADD,
                 get_string('addmoreblanks', 'qtype_drawlines', 'lines'), true);
     }
@@ -150,6 +222,7 @@ class qtype_drawlines_edit_form extends question_edit_form {
         $repeated[] = $mform->createElement('text', 'labelstart',
                 get_string('labelstart', 'qtype_' . $this->qtype()), ['size' => 20]);
         $mform->setType('labelstart', PARAM_RAW_TRIMMED);
+        $repeatedoptions['labelstart']['helpbutton'] = ['labelstart', 'qtype_' . $this->qtype()];
 
         $repeated[] = $mform->createElement('text', 'labelmiddle',
                 get_string('labelmiddle', 'qtype_' . $this->qtype()), ['size' => 20]);
@@ -162,10 +235,59 @@ class qtype_drawlines_edit_form extends question_edit_form {
         $repeated[] = $mform->createElement('text', 'zonestart',
                 get_string('zonestart', 'qtype_' . $this->qtype()), ['size' => 20]);
         $mform->setType('zonestart', PARAM_RAW_TRIMMED);
+        $repeatedoptions['zonestart']['helpbutton'] = ['zonecoordinates', 'qtype_' . $this->qtype()];
 
         $repeated[] = $mform->createElement('text', 'zoneend',
                 get_string('zoneend', 'qtype_' . $this->qtype()), ['size' => 20]);
         $mform->setType('zoneend', PARAM_RAW_TRIMMED);
+        $repeatedoptions['zoneend']['helpbutton'] = ['zonecoordinates', 'qtype_' . $this->qtype()];
+
+        $repeated[] = $mform->createElement('text', 'zonemiddle',
+                get_string('zonemiddle', 'qtype_' . $this->qtype()), ['size' => 40]);
+        $mform->setType('zonemiddle', PARAM_RAW_TRIMMED);
+        $repeatedoptions['zonemiddle']['helpbutton'] = ['zonemiddle', 'qtype_' . $this->qtype()];
+
+        $repeated[] = $mform->createElement('select', 'zonekind',
+                get_string('zonekind', 'qtype_' . $this->qtype()), line::get_zone_kinds());
+        $repeatedoptions['zonekind']['default'] = line::ZONE_POSITION;
+        $repeatedoptions['zonekind']['helpbutton'] = ['zonekind', 'qtype_' . $this->qtype()];
+
+        $repeated[] = $mform->createElement('text', 'zonetolerance',
+                get_string('zonetolerance', 'qtype_' . $this->qtype()), ['size' => 5]);
+        $repeatedoptions['zonetolerance']['type'] = PARAM_FLOAT;
+        $repeatedoptions['zonetolerance']['default'] = 0;
+        $repeatedoptions['zonetolerance']['helpbutton'] = ['zonetolerance', 'qtype_' . $this->qtype()];
+        $repeatedoptions['zonetolerance']['hideif'] = ['zonekind', 'eq', line::ZONE_POSITION];
+
+        $repeated[] = $mform->createElement('select', 'lockmode',
+                get_string('lockmode', 'qtype_' . $this->qtype()), line::get_lock_modes());
+        $repeatedoptions['lockmode']['default'] = line::LOCK_NONE;
+        $repeatedoptions['lockmode']['helpbutton'] = ['lockmode', 'qtype_' . $this->qtype()];
+
+        $repeated[] = $mform->createElement('select', 'reversedfraction',
+                get_string('reversedfraction', 'qtype_' . $this->qtype()), question_bank::fraction_options());
+        $repeatedoptions['reversedfraction']['default'] = 0;
+        $repeatedoptions['reversedfraction']['helpbutton'] = ['reversedfraction', 'qtype_' . $this->qtype()];
+
+        $repeated[] = $mform->createElement('select', 'colour',
+                get_string('colour', 'qtype_' . $this->qtype()), line::get_colours());
+        $repeatedoptions['colour']['default'] = '';
+        $repeatedoptions['colour']['helpbutton'] = ['colour', 'qtype_' . $this->qtype()];
+
+        $repeated[] = $mform->createElement('select', 'dashstyle',
+                get_string('dashstyle', 'qtype_' . $this->qtype()), line::get_dash_styles());
+        $repeatedoptions['dashstyle']['default'] = line::DASH_DASHED;
+
+        $repeated[] = $mform->createElement('select', 'arrowstyle',
+                get_string('arrowstyle', 'qtype_' . $this->qtype()), line::get_arrow_styles());
+        $repeatedoptions['arrowstyle']['default'] = line::ARROW_FILLED;
+        $repeatedoptions['arrowstyle']['hideif'] = ['type', 'in', [line::TYPE_LINE_SEGMENT, line::TYPE_LINE_INFINITE,
+                line::TYPE_LINE_CURVED, line::TYPE_LINE_POLYLINE]];
+
+        $repeated[] = $mform->createElement('advcheckbox', 'sharehome',
+                get_string('sharehome', 'qtype_' . $this->qtype()));
+        $repeatedoptions['sharehome']['default'] = 0;
+        $repeatedoptions['sharehome']['helpbutton'] = ['sharehome', 'qtype_' . $this->qtype()];
         return $repeated;
     }
 
@@ -227,6 +349,16 @@ class qtype_drawlines_edit_form extends question_edit_form {
         $question->grademethod = $question->options->grademethod ?? get_config('qtype_drawlines', 'grademethod');
         $question->shownumcorrect = $question->options->shownumcorrect ?? 0;
         $question->showmisplaced = $question->options->showmisplaced ?? 0;
+        $question->snapmode = $question->options->snapmode ?? qtype_drawlines_question::SNAP_NONE;
+        $question->snapgridspacing = $question->options->snapgridspacing ?? 10;
+        $question->snapgridorigin = $question->options->snapgridorigin ?? '0,0';
+        $question->snapanchorpoints = $question->options->snapanchorpoints ?? '';
+        $question->landmarks = $question->options->landmarks ?? '';
+        $question->showmeasurements = $question->options->showmeasurements ?? 0;
+        $question->scalepixels = $question->options->scalepixels ?? 0;
+        $question->scalelength = (float)($question->options->scalelength ?? 0);
+        $question->scaleunit = $question->options->scaleunit ?? '';
+        $question->shufflelines = $question->options->shufflelines ?? 0;
         return $question;
     }
 
@@ -251,6 +383,15 @@ class qtype_drawlines_edit_form extends question_edit_form {
             $question->labelend[$line->number - 1] = $line->labelend;
             $question->zonestart[$line->number - 1] = $line->zonestart;
             $question->zoneend[$line->number - 1] = $line->zoneend;
+            $question->zonemiddle[$line->number - 1] = $line->zonemiddle ?? '';
+            $question->lockmode[$line->number - 1] = $line->lockmode ?? line::LOCK_NONE;
+            $question->reversedfraction[$line->number - 1] = 0 + ($line->reversedfraction ?? 0);
+            $question->zonekind[$line->number - 1] = $line->zonekind ?? line::ZONE_POSITION;
+            $question->zonetolerance[$line->number - 1] = 0 + ($line->zonetolerance ?? 0);
+            $question->colour[$line->number - 1] = $line->colour ?? '';
+            $question->dashstyle[$line->number - 1] = $line->dashstyle ?? line::DASH_DASHED;
+            $question->arrowstyle[$line->number - 1] = $line->arrowstyle ?? line::ARROW_FILLED;
+            $question->sharehome[$line->number - 1] = $line->sharehome ?? 0;
         }
         return $question;
     }
@@ -277,7 +418,12 @@ class qtype_drawlines_edit_form extends question_edit_form {
      */
     public function js_call() {
         global $PAGE;
-        $PAGE->requires->js_call_amd('qtype_drawlines/form', 'init');
+        $PAGE->requires->strings_for_js(['alignendshorizontally', 'alignendsvertically', 'alignstartshorizontally',
+                'alignstartsvertically', 'arrangelines', 'deleteline', 'distributehorizontally', 'distributevertically',
+                'duplicateline', 'equaliseradii', 'linexheader', 'measurement', 'measurementpixels', 'redo', 'undo'],
+                'qtype_drawlines');
+        $PAGE->requires->js_call_amd('qtype_drawlines/form', 'init',
+                [$this->linedefaults, $this->linehideifs, line::LINE_NUMBER_ADD]);
     }
 
     #[\Override]
@@ -291,6 +437,38 @@ class qtype_drawlines_edit_form extends question_edit_form {
             $errors["bgimage"] = get_string('formerror_invalidimagesize', 'qtype_' . $this->qtype(),
                     ['width' => $bgimagesize[0], 'height' => $bgimagesize[1]]);
         }
+        $snapmode = $data['snapmode'] ?? qtype_drawlines_question::SNAP_NONE;
+        if ($snapmode === qtype_drawlines_question::SNAP_GRID) {
+            if ((int)($data['snapgridspacing'] ?? 0) <= 0) {
+                $errors['snapgridspacing'] = get_string('formerror_snapgridspacing', 'qtype_' . $this->qtype());
+            }
+            if (!line::is_point_coordinates_valid($data['snapgridorigin'] ?? '')) {
+                $errors['snapgridorigin'] = get_string('formerror_snapgridorigin', 'qtype_' . $this->qtype());
+            }
+        }
+        if ($snapmode === qtype_drawlines_question::SNAP_ANCHORS) {
+            $anchorpoints = preg_split('/\s+/', trim($data['snapanchorpoints'] ?? ''), -1, PREG_SPLIT_NO_EMPTY);
+            if (!$anchorpoints || in_array(false, array_map([line::class, 'is_point_coordinates_valid'], $anchorpoints), true)) {
+                $errors['snapanchorpoints'] = get_string('formerror_snapanchorpoints', 'qtype_' . $this->qtype());
+            }
+        }
+
+        foreach (preg_split('/\R/', trim($data['landmarks'] ?? ''), -1, PREG_SPLIT_NO_EMPTY) as $landmark) {
+            $parts = preg_split('/\s+/', trim($landmark), 2);
+            if (count($parts) !== 2 || !line::is_point_coordinates_valid($parts[0])) {
+                $errors['landmarks'] = get_string('formerror_landmarks', 'qtype_' . $this->qtype(), s(trim($landmark)));
+                break;
+            }
+        }
+
+        // The scale is optional, but if one part of it is given, both lengths are needed.
+        $scalepixels = (int)($data['scalepixels'] ?? 0);
+        $scalelength = (float)($data['scalelength'] ?? 0);
+        if (($scalepixels !== 0 || $scalelength != 0 || trim($data['scaleunit'] ?? '') !== '') &&
+                ($scalepixels <= 0 || $scalelength <= 0)) {
+            $errors['scalegroup'] = get_string('formerror_scale', 'qtype_' . $this->qtype());
+        }
+
         $hasbothcoordinates = 0;
         // Validate whether the line type error needed to be displayed.
         for ($i = 0; $i < count($data["type"]); $i++) {
@@ -308,6 +486,35 @@ class qtype_drawlines_edit_form extends question_edit_form {
                     !line::is_zone_coordinates_valid($data["zoneend"][$i])) {
                 $errors["zoneend[$i]"] = get_string('formerror_zoneend', 'qtype_' . $this->qtype());
             }
+            if (in_array($data["type"][$i], array_keys(line::get_line_types())) &&
+                    !line::is_middle_zones_valid($data["zonemiddle"][$i] ?? '', $data["type"][$i])) {
+                $errors["zonemiddle[$i]"] = get_string('formerror_zonemiddle', 'qtype_' . $this->qtype());
+            }
+            // A locked line takes its length and angle from the zones, so they must not be in the same place.
+            if (($data['lockmode'][$i] ?? line::LOCK_NONE) !== line::LOCK_NONE &&
+                    line::is_zone_coordinates_valid($data['zonestart'][$i]) &&
+                    line::is_zone_coordinates_valid($data['zoneend'][$i]) &&
+                    explode(';', $data['zonestart'][$i])[0] === explode(';', $data['zoneend'][$i])[0]) {
+                $errors["lockmode[$i]"] = get_string('formerror_lockmode', 'qtype_' . $this->qtype());
+            }
+            // The other zone kinds compare with the line between the zones, and only work for straight lines.
+            $zonekind = $data['zonekind'][$i] ?? line::ZONE_POSITION;
+            if ($zonekind !== line::ZONE_POSITION && in_array($data['type'][$i], array_keys(line::get_line_types()))) {
+                $maxtolerance = $zonekind === line::ZONE_LENGTH ? null : ($zonekind === line::ZONE_ANGLE ? 180 : 90);
+                if (line::has_middle_handles($data['type'][$i])) {
+                    $errors["zonekind[$i]"] = get_string('formerror_zonekindtype', 'qtype_' . $this->qtype());
+                } else if (line::is_zone_coordinates_valid($data['zonestart'][$i]) &&
+                        line::is_zone_coordinates_valid($data['zoneend'][$i]) &&
+                        explode(';', $data['zonestart'][$i])[0] === explode(';', $data['zoneend'][$i])[0]) {
+                    $errors["zonekind[$i]"] = get_string('formerror_zonekindzones', 'qtype_' . $this->qtype());
+                } else if ($maxtolerance === null && (float)$data['zonetolerance'][$i] < 0) {
+                    $errors["zonetolerance[$i]"] = get_string('formerror_zonetolerancelength', 'qtype_' . $this->qtype());
+                } else if ($maxtolerance !== null &&
+                        ((float)$data['zonetolerance'][$i] < 0 || (float)$data['zonetolerance'][$i] > $maxtolerance)) {
+                    $errors["zonetolerance[$i]"] = get_string('formerror_zonetolerance', 'qtype_' . $this->qtype(),
+                            $maxtolerance);
+                }
+            }
             // Verify that there should be atleast one valid line.
             if (in_array($data["type"][$i], array_keys(line::get_line_types())) &&
                     line::is_zone_coordinates_valid($data["zonestart"][$i]) &&
@@ -22,21 +22,78 @@
  */
 
 $string['addmoreblanks'] = 'Blanks for {no} more {$a}';
+$string['alignendshorizontally'] = 'Line up ends across';
+$string['alignendsvertically'] = 'Line up ends down';
+$string['alignstartshorizontally'] = 'Line up starts across';
+$string['alignstartsvertically'] = 'Line up starts down';
 $string['alttext'] = 'Alt text';
 $string['answer'] = 'Answer';
+$string['ariaendhandle'] = 'End of {$a->line}, at {$a->position}';
+$string['arialine'] = '{$a->line}, from {$a->start} to {$a->end}';
+$string['arialinenotplaced'] = '{$a}, not placed yet';
+$string['ariamiddlehandle'] = 'Point {$a->point} of {$a->line}, at {$a->position}';
+$string['ariaplaced'] = '{$a} placed on the image.';
+$string['ariaposition'] = '{$a->x}, {$a->y}';
+$string['ariapositionlandmark'] = '{$a->name} ({$a->x}, {$a->y})';
+$string['ariareversed'] = '{$a}, drawn the wrong way round';
+$string['ariarotatehandle'] = 'Rotate {$a->line}, now at {$a->angle} degrees';
+$string['ariareturnedhome'] = '{$a} returned to the lines still to place.';
+$string['ariastarthandle'] = 'Start of {$a->line}, at {$a->position}';
+$string['arrangelines'] = 'Arrange the selected lines';
+$string['arrowstyle'] = 'Arrowheads';
+$string['arrowstylebar'] = 'Bar';
+$string['arrowstylefilled'] = 'Filled';
+$string['arrowstyleopen'] = 'Open';
 
 $string['bgimage'] = 'Background image';
 
+$string['colour'] = 'Colour';
+$string['colour_help'] = 'The colour of the line, so that students can tell the lines apart, for example "Draw the red wire and the black wire". Students see this colour while they draw the line, so mention it in the question text if it matters.';
+$string['colourblack'] = 'Black';
+$string['colourblue'] = 'Blue';
+$string['colourdefault'] = 'Default (dark blue)';
+$string['colourgreen'] = 'Green';
+$string['colourorange'] = 'Orange';
+$string['colourpurple'] = 'Purple';
+$string['colourred'] = 'Red';
+$string['compare'] = 'Compare your answer with the correct answer';
+$string['compareboth'] = 'Both';
+$string['comparecorrect'] = 'Correct answer';
+$string['compareresponse'] = 'Your answer';
 $string['correctansweris'] = 'The correct answer is: {$a}';
 $string['correctanswersare'] = 'The correct answers are: {$a}';
+$string['correctzoneangle'] = '(or any line at this angle, within {$a}°)';
+$string['correctzonelength'] = '(or any line this long, within {$a} px)';
+$string['correctzoneparallel'] = '(or any line parallel to this one, within {$a}°)';
+$string['correctzoneperpendicular'] = '(or any line at right angles to this one, within {$a}°)';
+$string['dashstyle'] = 'Line style';
+$string['dashstyledashed'] = 'Dashed';
+$string['dashstyledotted'] = 'Dotted';
+$string['dashstylesolid'] = 'Solid';
+$string['deleteline'] = 'Delete line';
+$string['distributehorizontally'] = 'Space out across';
+$string['distributevertically'] = 'Space out down';
 $string['dropbackground'] = 'Background image for Draw lines';
+$string['duplicateline'] = 'Duplicate line';
+$string['equaliseradii'] = 'Same size zones';
 
 $string['formerror_invalidimagesize'] = 'Image file should not be larger than 600x600 px. The uploaded image file size is {$a->width}x{$a->height} px.';
+$string['formerror_landmarks'] = 'Each landmark should be on a line of its own, in the format x,y followed by a name, for example \'120,45 London\'. This line is not valid: {$a}';
+$string['formerror_lockmode'] = 'To lock the length or the angle of a line, the start zone and the end zone must not be in the same place.';
 $string['formerror_nobgimage'] = 'You need to select an image to use as the background for the drag and drop area.';
 $string['formerror_nolines'] = 'You need to expand \'Line 1\' and fill the form for it';
 $string['formerror_notype'] = 'You have to select a type for Line {$a}';
-$string['formerror_zoneend'] = 'End zone coordinates should be in x,y;r format, where x,y are the coordinates of the centre of a circle and r is the radius.';
-$string['formerror_zonestart'] = 'Start zone coordinates should be in x,y;r format, where x,y are the coordinates of the centre of a circle and r is the radius.';
+$string['formerror_scale'] = 'To measure in real units, give the number of pixels and the length they represent, both greater than 0. To measure in pixels, leave the scale empty.';
+$string['formerror_snapanchorpoints'] = 'Anchor points should be a space separated list of points in x,y format.';
+$string['formerror_snapgridorigin'] = 'The grid origin should be in x,y format.';
+$string['formerror_snapgridspacing'] = 'The grid spacing should be a whole number of pixels greater than 0.';
+$string['formerror_zoneend'] = 'End zone coordinates should be in x,y;r format for a circle, or x,y;ellipse:rx,ry, x,y;rectangle:rx,ry or x,y;polygon:x1,y1;x2,y2;x3,y3 format for the other shapes, where x,y are the coordinates of the centre of the zone. The centre of a polygon must be inside it.';
+$string['formerror_zonekindtype'] = 'Only straight lines can be graded by their angle or their length. Curved lines and polylines must be graded by position.';
+$string['formerror_zonekindzones'] = 'To grade by angle or length, the start zone and the end zone must not be in the same place, because the line between them is the one the student\'s line is compared with.';
+$string['formerror_zonemiddle'] = 'Middle zone coordinates should be a space separated list of zones in the same formats as the start and end zones, such as x,y;r for a circle. Polylines need at least one zone, curved lines can have at most one zone for the control point, and the other line types must leave this empty.';
+$string['formerror_zonestart'] = 'Start zone coordinates should be in x,y;r format for a circle, or x,y;ellipse:rx,ry, x,y;rectangle:rx,ry or x,y;polygon:x1,y1;x2,y2;x3,y3 format for the other shapes, where x,y are the coordinates of the centre of the zone. The centre of a polygon must be inside it.';
+$string['formerror_zonetolerance'] = 'The tolerance should be a number of degrees from 0 to {$a}.';
+$string['formerror_zonetolerancelength'] = 'The tolerance should be a number of pixels, 0 or more.';
 
 $string['gradeallornothing'] = 'All-or-nothing';
 $string['grademethod'] = 'Grading type';
@@ -48,14 +105,48 @@ All or nothing: students must get every response correct, otherwise they score z
 $string['gradepartialcredit'] = 'Give partial credit';
 
 $string['incorrectresponse'] = 'Incorrect response';
+
+$string['keyboardinstructions'] = 'To place a line with the keyboard, tab to it and press Space. Use the arrow keys to move the whole line, or press C to move between the line, its start, its end and its rotate handle, and use the arrow keys to move just that point, or turn the line. Hold down Shift to move further, or Alt to move by the smallest amount. Home, End, Page up and Page down move as far as possible to the left, right, top or bottom. Press Delete to return a line to the lines still to place.';
+
 $string['labelend'] = 'End label';
 $string['labelmiddle'] = 'Mid label';
 $string['labelstart'] = 'Start label';
+$string['labelstart_help'] = 'The labels are shown next to the start, the middle and the end of the line. They can have HTML in them, for example `F<sub>1</sub>` for a subscript, entities such as `&theta;`, and TeX such as `\\(\\vec{v}\\)`, which is shown as an equation if the MathJax filter is enabled. Other labels are shown exactly as typed, as they are in the preview.';
+$string['landmarkend'] = 'End of {$a}';
+$string['landmarkinput'] = 'Place the lines by choosing landmarks';
+$string['landmarknotplaced'] = 'Not placed';
+$string['landmarkother'] = 'Somewhere else';
+$string['landmarks'] = 'Landmarks';
+$string['landmarks_help'] = 'Optionally, name points on the background image, one per line, as x,y coordinates followed by the name. For example:
+
+    120,45 London
+    310,220 Paris
+
+Students can then place the start and end of each line by choosing landmarks from a list, instead of dragging. This makes the question usable with a screen reader.';
+$string['landmarkstart'] = 'Start of {$a}';
+$string['linecurved'] = 'Curved line &frown;';
+$string['linecurvedarrow'] = 'Curved arrow &cularr;';
 $string['linedoublearrows'] = 'Double arrows &xharr;';
 $string['lineinfinite'] = 'Infinite line --o--o--';
+$string['linepolyline'] = 'Polyline -/\\-';
 $string['linesegment'] = 'Line segment ---';
 $string['linesinglearrow'] = 'Single arrow &xrarr;';
+$string['linename'] = 'Line {$a}';
+$string['linenamewithlabels'] = 'Line {$a->number} ({$a->labels})';
 $string['linexheader'] = 'Line {no}';
+$string['lockmode'] = 'Lock';
+$string['lockmode_help'] = 'Optionally, stop students changing the length or the angle of this line.
+
+* Lock length: the line always has the length from the centre of the start zone to the centre of the end zone. Moving one end swings it around the other end.
+* Lock angle: the line always points in the direction from the centre of the start zone to the centre of the end zone. Moving one end makes the line longer or shorter.
+
+Unless the angle is locked, students can also turn the line about its middle using the rotate handle.';
+$string['lockmodeangle'] = 'Lock angle';
+$string['lockmodelength'] = 'Lock length';
+$string['lockmodenone'] = 'No lock';
+
+$string['measurement'] = '{$a->length} {$a->unit}, bearing {$a->bearing}°';
+$string['measurementpixels'] = 'px';
 
 $string['pleasedragalllines'] = 'Your answer is not complete; you must place all lines on the image.';
 $string['pluginname'] = 'Draw lines';
@@ -65,20 +156,53 @@ $string['pluginnameadding'] = 'Adding a Draw lines question';
 $string['pluginnameediting'] = 'Editing a Draw lines question';
 $string['pluginnamesummary'] = 'Two markers that control a line are dragged and dropped onto a background image.
 
-Note: This question type is not accessible to users who are visually impaired.';
+To make the question usable with a screen reader, name landmarks on the background image that students can choose from a list.';
 $string['previewareaheader'] = 'Preview';
-$string['previewareamessage'] = 'Select a background image file (it is recommended not to be bigger than 600x600 px). When you add lines and define zones, they will appear here too.';
+$string['previewareamessage'] = 'Select a background image file (it is recommended not to be bigger than 600x600 px). When you add lines and define zones, they will appear here too. You can also drag across the image to draw a new line. Shift-click lines, or shift-drag a box around them, to select several lines, then move them together or arrange them with the buttons above the image.';
 $string['privacy:preference:defaultmark'] = 'The default mark set for a given question.';
 $string['privacy:preference:grademethod'] = 'The penalty for each incorrect try when questions are run using the \'Interactive with multiple tries\' or \'Adaptive mode\' behaviour.';
 $string['privacy:preference:penalty'] = 'The penalty for each incorrect try when questions are run using the \'Interactive with multiple tries\' or \'Adaptive mode\' behaviour.';
 
+$string['redo'] = 'Redo';
 $string['refresh'] = 'Refresh preview';
+$string['resetall'] = 'Reset all lines';
+$string['reversedfraction'] = 'Reversed line grade';
+$string['reversedfraction_help'] = 'The grade for this line if a student draws it the wrong way round, with the start in the end zone and the end in the start zone.
+
+* For a line segment or double arrows, where the direction does not matter, choose 100% to accept the line either way round.
+* For a single or curved arrow, choose a lower grade to give some credit for the right line pointing in the wrong direction.
+* Choose None to mark reversed lines as wrong.
 
+An infinite line is already accepted either way round, as long as it goes through both zones.';
+
+$string['scale'] = 'Scale';
+$string['scale_help'] = 'Optionally, say how many pixels on the background image are how long in real life, for example 50 pixels = 10 km. The lengths of the lines are then shown in these units, instead of in pixels.';
+$string['scaleequals'] = 'pixels =';
+$string['scalelength'] = 'Real length';
+$string['scalepixels'] = 'Pixels';
+$string['scaleunit'] = 'Unit';
+$string['sharehome'] = 'Share one drag home between alike lines';
+$string['sharehome_help'] = 'If checked for several lines that look the same, with the same type, labels and style, students drag copies of them from a single line below the image, and each copy can go in the zones of any of these lines. This is for questions where students draw several lines that are all alike, in any order. There is one copy for each of these lines, so to let students draw more of them, add more alike lines.';
+$string['showmeasurements'] = 'Show line measurements';
+$string['showmeasurements_help'] = 'If checked, students see the length and the bearing of each line while they place it. The bearing is measured clockwise from straight up, as on a compass. The measurements are always shown in the preview below.';
 $string['showmisplaced'] = 'State which zones are incorrectly placed';
 $string['showmisplacedcoordinate'] = 'The coordinate {$a} is placed incorrectly.';
 $string['showmisplacedcoordinates'] = 'The coordinates {$a} are placed incorrectly.';
 $string['showmisplacedline'] = 'The {$a} is placed incorrectly.';
 $string['showmisplacedlines'] = 'The {$a} are placed incorrectly.';
+$string['showreversedline'] = 'Line {$a} is drawn the wrong way round.';
+$string['shufflelines'] = 'Shuffle the lines';
+$string['shufflelines_help'] = 'If checked, the lines waiting below the image are in a different order for each attempt, so that their order does not give away the answer.';
+$string['snapanchorpoints'] = 'Anchor points';
+$string['snapanchorpoints_help'] = 'A space separated list of points in x,y format, for example \'100,100 200,150 300,100\'. While dragging, the line ends jump to the nearest of these points.';
+$string['snapgridorigin'] = 'Grid origin';
+$string['snapgridorigin_help'] = 'The x,y coordinates of one of the grid points, for example the origin of the axes on the background image. The other grid points are placed at multiples of the grid spacing from this point.';
+$string['snapgridspacing'] = 'Grid spacing (px)';
+$string['snapmode'] = 'Snap line ends';
+$string['snapmode_help'] = 'Whether the line ends can be placed anywhere on the background image, or jump to the nearest grid point or anchor point while they are being dragged. The same snapping is used when you move the lines in the preview below.';
+$string['snapmodeanchors'] = 'To anchor points';
+$string['snapmodegrid'] = 'To a grid';
+$string['snapmodenone'] = 'No snapping';
 $string['summarisechoice'] = '{$a->no}. {$a->text}';
 $string['summarisechoiceno'] = 'Item {$a}';
 $string['summariseplace'] = '{$a->no}. {$a->text}';
@@ -87,7 +211,10 @@ $string['summariseplaceno'] = 'Drop zone {$a}';
 $string['type'] = 'Type';
 $string['type_help'] = 'You can choose whether the line doesn’t have a beginning or end (line), has one or more ends (right, left, and double arrows), or it only matters that the line intersects specific points on the graph (intersect points).';
 
+$string['undo'] = 'Undo';
+
 $string['valid_endcoordinates'] = 'Valid end co-ordinates';
+$string['valid_reversedcoordinates'] = 'Valid start and end co-ordinates, the wrong way round';
 $string['valid_startandendcoordinates'] = 'Valid start and end co-ordinates';
 $string['valid_startcoordinates'] = 'Valid start co-ordinates';
 
@@ -99,6 +226,41 @@ $string['yougotnright'] = 'You have correctly selected {$a->num} coordinates.';
 $string['yougotnrightline'] = 'You have correctly selected {$a->num} lines.';
 $string['ytop'] = 'Top';
 
-$string['zonecoordinates'] = 'x,y;r (where x,y are the coordinates of the centre of the circle and r is the radius)';
+$string['zonecoordinates'] = 'Zone coordinates';
+$string['zonecoordinates_help'] = 'The zone is the area that this end of the line must be in. Enter the coordinates of its centre, followed by its shape:
+
+* x,y;r for a circle with radius r.
+* x,y;ellipse:rx,ry for an ellipse, rx wide and ry high either side of the centre.
+* x,y;rectangle:rx,ry for a rectangle, rx wide and ry high either side of the centre.
+* x,y;polygon:x1,y1;x2,y2;x3,y3 for a polygon with three or more corners, listed in order round its edge. The centre must be inside the polygon.
+
+The correct answer puts the end of the line at the centre of the zone. In the preview, drag the square handle of a zone to change its size. A polygon has a square handle on each corner, to move that corner, as long as the centre stays inside the polygon.';
 $string['zoneend'] = 'End zone coordinates';
+$string['zonekind'] = 'Grade by';
+$string['zonekind_help'] = 'How the line is graded.
+
+* Position: the start and the end of the line must be in the start and end zones.
+* Angle: the line can be anywhere, but must point in the direction from the centre of the start zone to the centre of the end zone.
+* Length: the line can be anywhere and point any way, but must be as long as from the centre of the start zone to the centre of the end zone.
+* Parallel: the line can be anywhere, but must be parallel to the line from the centre of the start zone to the centre of the end zone.
+* Perpendicular: the line can be anywhere, but must be at right angles to the line from the centre of the start zone to the centre of the end zone.
+
+Only straight lines can be graded by angle or length. The preview shows the angles or lengths that are accepted.';
+$string['zonekindangle'] = 'Angle';
+$string['zonekindlength'] = 'Length';
+$string['zonekindparallel'] = 'Parallel';
+$string['zonekindperpendicular'] = 'Perpendicular';
+$string['zonekindposition'] = 'Position';
+$string['zonemiddle'] = 'Middle zone coordinates';
+$string['zonemiddle_help'] = 'Only used by curved lines and polylines. Enter a space separated list of zones in x,y;r format, where x,y are the coordinates of the centre of a circle and r is the radius. The zones can also be ellipses, rectangles or polygons, in the same formats as the start and end zones.
+
+For a polyline, enter one zone for each intermediate vertex, in order from the start to the end of the line. The respondent will have one draggable vertex for each zone.
+
+For a curved line, you can enter one zone for the control point of the curve. If you leave it empty, only the start and end of the curve are graded.';
 $string['zonestart'] = 'Start zone coordinates';
+$string['zonetolerance'] = 'Tolerance';
+$string['zonetolerance_help'] = 'How far out the line can be and still be right. For angle, parallel and perpendicular, this is in degrees either side. For length, it is in pixels longer or shorter. You can also drag the green handle on the edge of the tolerance in the preview, or focus it and use the arrow keys.';
+$string['zoom'] = 'Zoom the image';
+$string['zoomin'] = 'Zoom in';
+$string['zoomout'] = 'Zoom out';
+$string['zoomreset'] = 'Show the whole image';
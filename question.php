@@ -25,6 +25,15 @@ use qtype_drawlines\line;
  */
 class qtype_drawlines_question extends question_graded_automatically {
 
+    /** @var string the line ends can be placed anywhere. */
+    const SNAP_NONE = 'none';
+
+    /** @var string the line ends snap to the nearest point of a grid. */
+    const SNAP_GRID = 'grid';
+
+    /** @var string the line ends snap to the nearest of the anchor points. */
+    const SNAP_ANCHORS = 'anchors';
+
     /** @var string feedback for any correct response. */
     public string $correctfeedback;
 
@@ -49,12 +58,267 @@ class qtype_drawlines_question extends question_graded_automatically {
     /** @var string 'allnone' (All-or-nothing) or 'partial' (Give partial credit) grading method. */
     public string $grademethod;
 
+    /** @var string 'none', 'grid' or 'anchors', how the line ends snap while being dragged. */
+    public string $snapmode = self::SNAP_NONE;
+
+    /** @var int the spacing of the snapping grid in pixels. */
+    public int $snapgridspacing = 10;
+
+    /** @var string the origin of the snapping grid in 'x,y' format. */
+    public string $snapgridorigin = '0,0';
+
+    /** @var string space separated list of anchor points in 'x,y' format. */
+    public string $snapanchorpoints = '';
+
+    /** @var string named points on the background image, one per line in 'x,y Name' format. */
+    public string $landmarks = '';
+
+    /** @var bool whether students see the length and the bearing of each line while they move it. */
+    public bool $showmeasurements = false;
+
+    /** @var int the number of pixels on the background image that are $scalelength $scaleunit in real life. */
+    public int $scalepixels = 0;
+
+    /** @var float the real length that $scalepixels on the background image represent. */
+    public float $scalelength = 0;
+
+    /** @var string the unit of $scalelength, for example 'km'. */
+    public string $scaleunit = '';
+
+    /** @var bool whether the order of the lines in the drag home area is shuffled for each attempt. */
+    public bool $shufflelines = false;
+
     /** @var line[], an array of line objects. */
     public $lines;
 
     /** @var int The number of lines. */
     public $numberoflines;
 
+    /** @var int[]|null the keys of the lines, in the order they are in the drag home area for this attempt. */
+    protected ?array $lineorder = null;
+
+    #[\Override]
+    public function start_attempt(question_attempt_step $step, $variant) {
+        $this->lineorder = array_keys($this->lines);
+        if ($this->shufflelines) {
+            shuffle($this->lineorder);
+        }
+        $step->set_qt_var('_lineorder', implode(',', $this->lineorder));
+    }
+
+    #[\Override]
+    public function apply_attempt_state(question_attempt_step $step) {
+        $this->lineorder = array_keys($this->lines);
+        $lineorder = $step->get_qt_var('_lineorder');
+        if ($lineorder === null || $lineorder === '') {
+            return;
+        }
+        // Keep the order of the attempt, unless the lines have changed since it was started.
+        $order = array_map('intval', explode(',', $lineorder));
+        $sortedorder = $order;
+        sort($sortedorder);
+        if ($sortedorder === $this->lineorder) {
+            $this->lineorder = $order;
+        }
+    }
+
+    /**
+     * Get the snapping settings, as passed to the JavaScript.
+     *
+     * @return array with keys mode, gridspacing, gridorigin [x, y] and anchors [[x, y], ...].
+     */
+    public function get_snap_options(): array {
+        $anchors = [];
+        foreach (preg_split('/\s+/', trim($this->snapanchorpoints), -1, PREG_SPLIT_NO_EMPTY) as $point) {
+            if (line::is_point_coordinates_valid($point)) {
+                $anchors[] = line::parse_into_cx_cy_with_or_without_radius($point);
+            }
+        }
+        $gridorigin = [0, 0];
+        if (line::is_point_coordinates_valid($this->snapgridorigin)) {
+            $gridorigin = line::parse_into_cx_cy_with_or_without_radius($this->snapgridorigin);
+        }
+        $mode = $this->snapmode;
+        if (($mode === self::SNAP_GRID && $this->snapgridspacing <= 0) || ($mode === self::SNAP_ANCHORS && !$anchors)) {
+            $mode = self::SNAP_NONE;
+        }
+        return [
+            'mode' => $mode,
+            'gridspacing' => $this->snapgridspacing,
+            'gridorigin' => $gridorigin,
+            'anchors' => $anchors,
+        ];
+    }
+
+    /**
+     * Get the settings for showing the length and the bearing of the lines, as passed to the JavaScript.
+     *
+     * Without a valid scale, lengths are measured in pixels.
+     *
+     * @return array with keys show, pixels, length and unit.
+     */
+    public function get_measurement_options(): array {
+        if ($this->scalepixels <= 0 || $this->scalelength <= 0) {
+            return ['show' => $this->showmeasurements, 'pixels' => 0, 'length' => 0, 'unit' => ''];
+        }
+        return [
+            'show' => $this->showmeasurements,
+            'pixels' => $this->scalepixels,
+            'length' => $this->scalelength,
+            'unit' => $this->scaleunit,
+        ];
+    }
+
+    /**
+     * Get the named landmarks that students can choose from, instead of dragging the line ends.
+     *
+     * Lines that are not in 'x,y Name' format are ignored.
+     *
+     * @return array of landmarks, each an array with keys name, x and y.
+     */
+    public function get_landmarks(): array {
+        $landmarks = [];
+        foreach (preg_split('/\R/', $this->landmarks) as $landmark) {
+            $parts = preg_split('/\s+/', trim($landmark), 2);
+            if (count($parts) !== 2 || !line::is_point_coordinates_valid($parts[0])) {
+                continue;
+            }
+            [$x, $y] = line::parse_into_cx_cy_with_or_without_radius($parts[0]);
+            $landmarks[] = ['name' => $parts[1], 'x' => $x, 'y' => $y];
+        }
+        return $landmarks;
+    }
+
+    /**
+     * Get the groups of lines that are interchangeable, see line::is_interchangeable_with().
+     *
+     * @return array of groups, each a list of line keys in order. Lines that are not interchangeable
+     *      with any other line are in a group of their own.
+     */
+    public function get_line_groups(): array {
+        $groups = [];
+        foreach ($this->lines as $key => $line) {
+            foreach ($groups as $groupno => $group) {
+                if ($line->is_interchangeable_with($this->lines[$group[0]])) {
+                    $groups[$groupno][] = $key;
+                    continue 2;
+                }
+            }
+            $groups[] = [$key];
+        }
+        return $groups;
+    }
+
+    /**
+     * Get the lines that wait in each place in the drag home area, in the order of this attempt.
+     *
+     * Interchangeable lines share a place, so that students drag copies of them from a single line.
+     * There is still one copy for each line in the place, because each line has one response field.
+     *
+     * @return array of places, each a list of line keys.
+     */
+    public function get_drag_homes(): array {
+        $groupof = [];
+        foreach ($this->get_line_groups() as $group) {
+            foreach ($group as $key) {
+                $groupof[$key] = $group[0];
+            }
+        }
+        $homes = [];
+        foreach ($this->lineorder ?? array_keys($this->lines) as $key) {
+            $homes[$groupof[$key]][] = $key;
+        }
+        return array_values($homes);
+    }
+
+    /**
+     * Work out which placed line is graded against the zones of each line.
+     *
+     * Each line is graded against its own zones, except that copies of interchangeable lines can be placed
+     * in any order, so they are matched with the zones of their group in the way that gives the most credit.
+     *
+     * @param array $response the response.
+     * @return array key of the line whose zones are used => key of the placed line graded against them.
+     *      Zones without a placed line are left out.
+     */
+    public function get_zone_matches(array $response): array {
+        $matches = [];
+        foreach ($this->get_line_groups() as $group) {
+            $placed = array_values(array_filter($group,
+                    fn($key) => ($response[$this->field($key)] ?? '') !== ''));
+            if (count($group) === 1) {
+                if ($placed) {
+                    $matches[$group[0]] = $group[0];
+                }
+                continue;
+            }
+            $credit = [];
+            foreach ($placed as $copy) {
+                foreach ($group as $zone) {
+                    $credit[$copy][$zone] = $this->get_line_credit($response[$this->field($copy)], $zone);
+                }
+            }
+            $memo = [];
+            [, $assignment] = $this->match_copies_to_zones($placed, $group, $credit, $memo);
+            foreach ($assignment as $copy => $zone) {
+                $matches[$zone] = $copy;
+            }
+        }
+        ksort($matches);
+        return $matches;
+    }
+
+    /**
+     * Find the way to put the placed copies of interchangeable lines in their zones that gives the most credit.
+     *
+     * @param array $copies keys of the placed copies still to match.
+     * @param array $zones keys of the lines whose zones are still free.
+     * @param array $credit copy key => zone key => credit for the copy in those zones, see get_line_credit().
+     * @param array $memo the best matches already worked out for the free zones, to save working them out again.
+     * @return array the total credit, and an array copy key => zone key.
+     */
+    protected function match_copies_to_zones(array $copies, array $zones, array $credit, array &$memo): array {
+        if (!$copies || !$zones) {
+            return [0, []];
+        }
+        $memokey = implode(',', $zones);
+        if (isset($memo[$memokey])) {
+            return $memo[$memokey];
+        }
+        $copy = array_shift($copies);
+        // Try the copy in its own zones first, so that it stays there unless that gives less credit.
+        $tryzones = in_array($copy, $zones) ? array_merge([$copy], array_diff($zones, [$copy])) : $zones;
+        $best = null;
+        foreach ($tryzones as $zone) {
+            [$total, $assignment] = $this->match_copies_to_zones($copies,
+                    array_values(array_diff($zones, [$zone])), $credit, $memo);
+            $total += $credit[$copy][$zone];
+            if ($best === null || $total > $best[0]) {
+                $best = [$total, [$copy => $zone] + $assignment];
+            }
+        }
+        $memo[$memokey] = $best;
+        return $best;
+    }
+
+    /**
+     * Get the credit for a placed line, if it is graded against the zones of a line.
+     *
+     * @param string $response the response coordinates of the placed line.
+     * @param int $key the key of the line whose zones are used.
+     * @return float the fraction of the line that is right, using the grade method, or the reversed grade
+     *      if that is more.
+     */
+    public function get_line_credit(string $response, int $key): float {
+        [$isstartrightplace, $isendrightplace, $middlesrightplace] = $this->is_line_correctly_placed($response, $key);
+        $parts = array_merge([$isstartrightplace, $isendrightplace], $middlesrightplace);
+        $fraction = count(array_filter($parts)) / count($parts);
+        if ($this->grademethod != 'partial' && $fraction < 1) {
+            $fraction = 0;
+        }
+        return max($fraction, $this->get_reversed_fraction($response, $key));
+    }
+
     #[\Override]
     public function get_expected_data() {
         $expecteddata = [];
@@ -87,8 +351,18 @@ class qtype_drawlines_question extends question_graded_automatically {
     public function get_correct_response() {
         $response = [];
         foreach ($this->lines as $key => $line) {
-            $response[$this->field($key)] = line::get_coordinates($line->zonestart) . ' '
-                    . line::get_coordinates($line->zoneend);
+            $points = [line::get_coordinates($line->zonestart)];
+            foreach (line::get_middle_zones($line->zonemiddle) as $zone) {
+                $points[] = line::get_coordinates($zone);
+            }
+            if (line::is_curved($line->type) && count($points) === 1) {
+                // Curves without a control zone are drawn with the control handle in the middle.
+                [$scx, $scy] = line::parse_into_cx_cy_with_or_without_radius($line->zonestart, true);
+                [$ecx, $ecy] = line::parse_into_cx_cy_with_or_without_radius($line->zoneend, true);
+                $points[] = (int)(($scx + $ecx) / 2) . ',' . (int)(($scy + $ecy) / 2);
+            }
+            $points[] = line::get_coordinates($line->zoneend);
+            $response[$this->field($key)] = implode(' ', $points);
         }
         return $response;
     }
@@ -149,18 +423,28 @@ class qtype_drawlines_question extends question_graded_automatically {
             return [0, 0];
         }
         $numpartright = 0;
+        $matches = $this->get_zone_matches($response);
         foreach ($this->lines as $key => $line) {
-            if (array_key_exists($this->field($key), $response) && $response[$this->field($key)] !== '') {
-                [$isstartrightplace, $isendrightplace] = $this->is_line_correctly_placed($response[$this->field($key)], $key);
+            if (isset($matches[$key])) {
+                $lineresponse = $response[$this->field($matches[$key])];
+                [$isstartrightplace, $isendrightplace, $middlesrightplace] =
+                        $this->is_line_correctly_placed($lineresponse, $key);
+                $linepartsright = count(array_filter($middlesrightplace));
                 if ($isstartrightplace) {
-                    $numpartright++;
+                    $linepartsright++;
                 }
                 if ($isendrightplace) {
-                    $numpartright++;
+                    $linepartsright++;
                 }
+                // A line drawn the wrong way round may get some credit for all its parts.
+                $reversedfraction = $this->get_reversed_fraction($lineresponse, $key);
+                $numpartright += max($linepartsright, $reversedfraction * (2 + count($middlesrightplace)));
             }
         }
-        $total = count($this->lines) * 2;
+        $total = 0;
+        foreach ($this->lines as $line) {
+            $total += 2 + count(line::get_middle_zones($line->zonemiddle));
+        }
         return [$numpartright, $total];
     }
 
@@ -175,11 +459,16 @@ class qtype_drawlines_question extends question_graded_automatically {
             return [0, 0];
         }
         $numright = 0;
+        $matches = $this->get_zone_matches($response);
         foreach ($this->lines as $key => $line) {
-            if (array_key_exists($this->field($key), $response) && $response[$this->field($key)] !== '') {
-                [$isstartrightplace, $isendrightplace] = $this->is_line_correctly_placed($response[$this->field($key)], $key);
-                if ($isstartrightplace && $isendrightplace) {
+            if (isset($matches[$key])) {
+                $lineresponse = $response[$this->field($matches[$key])];
+                [$isstartrightplace, $isendrightplace, $middlesrightplace] =
+                        $this->is_line_correctly_placed($lineresponse, $key);
+                if ($isstartrightplace && $isendrightplace && !in_array(false, $middlesrightplace, true)) {
                     $numright++;
+                } else {
+                    $numright += $this->get_reversed_fraction($lineresponse, $key);
                 }
             }
         }
@@ -192,35 +481,112 @@ class qtype_drawlines_question extends question_graded_automatically {
      *
      * @param string $response The response string.
      * @param int $key the question line number to compare with.
-     * @return array Returns an array of bools true if the line end points are correctly answered.
+     * @param bool $reversed if true, check the line the wrong way round: the start against the end zone,
+     *      the end against the start zone, and the middle handles against the middle zones in reverse order.
+     * @return array Returns an array of bools true if the line end points are correctly answered,
+     *      followed by an array of bools for the middle handles (curve control point or polyline vertices).
      */
-    public function is_line_correctly_placed(string $response, $key): array {
-        $coords = explode(' ', $response);
+    public function is_line_correctly_placed(string $response, $key, bool $reversed = false): array {
         $line = $this->lines[$key];
+        [$start, $end, $middles] = line::get_response_points($response, $line->type);
+        $zonestart = $line->zonestart;
+        $zoneend = $line->zoneend;
+        $middlezones = line::get_middle_zones($line->zonemiddle);
+        if ($reversed) {
+            [$zonestart, $zoneend] = [$zoneend, $zonestart];
+            $middlezones = array_reverse($middlezones);
+        }
+        if (($line->zonekind ?? line::ZONE_POSITION) !== line::ZONE_POSITION) {
+            // The line can be anywhere, as long as its angle or length is within the tolerance.
+            $iswithintolerance = $start !== '' && $end !== '' && line::is_line_within_tolerance(
+                    $line->zonekind, (float)$line->zonetolerance, $start, $end, $zonestart, $zoneend
+            );
+            return [$iswithintolerance, $iswithintolerance, array_fill(0, count($middlezones), $iswithintolerance)];
+        }
         if ($line->type == line::TYPE_LINE_INFINITE) {
-            if (count($coords) == 2) {
-                // Response with 2 coordinates (x1,y1 x2,y2 x3,y3 x4,y4).
-                $isstartrightplace = line::is_item_positioned_correctly_on_axis(
-                        $coords[0], $line->zonestart, $line->zoneend, 'start'
-                );
-                $isendrightplace = line::is_item_positioned_correctly_on_axis(
-                        $coords[1], $line->zonestart, $line->zoneend, 'end'
-                );
+            // For infinite lines the handles only need to be positioned on the axis of the line.
+            $isstartrightplace = line::is_item_positioned_correctly_on_axis(
+                    $start, $zonestart, $zoneend, 'start'
+            );
+            $isendrightplace = line::is_item_positioned_correctly_on_axis(
+                    $end, $zonestart, $zoneend, 'end'
+            );
+        } else {
+            $isstartrightplace = line::is_dragitem_in_the_right_place($start, $zonestart);
+            $isendrightplace = line::is_dragitem_in_the_right_place($end, $zoneend);
+        }
+        $middlesrightplace = [];
+        foreach ($middlezones as $i => $zone) {
+            $middlesrightplace[] = isset($middles[$i]) && line::is_dragitem_in_the_right_place($middles[$i], $zone);
+        }
+        return [$isstartrightplace, $isendrightplace, $middlesrightplace];
+    }
+
+    /**
+     * Whether a line is drawn the wrong way round: not in the right place, but it would be if it was reversed.
+     *
+     * @param string $response The response string.
+     * @param int $key the question line number to compare with.
+     * @return bool
+     */
+    public function is_line_reversed(string $response, $key): bool {
+        [$isstartrightplace, $isendrightplace, $middlesrightplace] = $this->is_line_correctly_placed($response, $key);
+        if ($isstartrightplace && $isendrightplace && !in_array(false, $middlesrightplace, true)) {
+            return false;
+        }
+        [$isstartrightplace, $isendrightplace, $middlesrightplace] = $this->is_line_correctly_placed($response, $key, true);
+        return $isstartrightplace && $isendrightplace && !in_array(false, $middlesrightplace, true);
+    }
+
+    /**
+     * Get the fraction of the credit for a line, if it is drawn the wrong way round.
+     *
+     * @param string $response The response string.
+     * @param int $key the question line number to compare with.
+     * @return float the fraction set for the line, or 0 if the line is not drawn the wrong way round.
+     */
+    public function get_reversed_fraction(string $response, $key): float {
+        if (!$this->is_line_reversed($response, $key)) {
+            return 0;
+        }
+        return (float)$this->lines[$key]->reversedfraction;
+    }
+
+    /**
+     * Get whether each placed line, and each of its handles, is right, to show in the feedback.
+     *
+     * Copies of interchangeable lines are shown against the zones they are graded against.
+     *
+     * @param array $response the response.
+     * @return array placed line key => array with keys start, end and middles (bools for each handle), reversed (bool)
+     *      and state ('correct', 'partiallycorrect' or 'incorrect' for the line as a whole).
+     *      Lines that have not been placed are left out.
+     */
+    public function get_line_results(array $response): array {
+        $results = [];
+        foreach ($this->get_zone_matches($response) as $key => $placedkey) {
+            $lineresponse = $response[$this->field($placedkey)];
+            [$isstartrightplace, $isendrightplace, $middlesrightplace] =
+                    $this->is_line_correctly_placed($lineresponse, $key);
+            $reversedfraction = $this->get_reversed_fraction($lineresponse, $key);
+            $parts = array_merge([$isstartrightplace, $isendrightplace], $middlesrightplace);
+            if (!in_array(false, $parts, true) || $reversedfraction == 1) {
+                $state = 'correct';
+            } else if ($reversedfraction > 0 || ($this->grademethod === 'partial' && in_array(true, $parts, true))) {
+                $state = 'partiallycorrect';
             } else {
-                // Response has 4 coordinates(x1,y1 x2,y2 x3,y3 x4,y4).
-                // Here we need to consider x2,y2 x3,y3 for calculation.
-                $isstartrightplace = line::is_item_positioned_correctly_on_axis(
-                        $coords[1], $line->zonestart, $line->zoneend, 'start'
-                );
-                $isendrightplace = line::is_item_positioned_correctly_on_axis(
-                        $coords[2], $line->zonestart, $line->zoneend, 'end'
-                );
+                $state = 'incorrect';
             }
-        } else {
-            $isstartrightplace = line::is_dragitem_in_the_right_place($coords[0], $line->zonestart);
-            $isendrightplace = line::is_dragitem_in_the_right_place($coords[1], $line->zoneend);
+            $results[$placedkey] = [
+                'start' => $isstartrightplace,
+                'end' => $isendrightplace,
+                'middles' => $middlesrightplace,
+                'reversed' => $this->is_line_reversed($lineresponse, $key),
+                'state' => $state,
+            ];
         }
-        return [$isstartrightplace, $isendrightplace];
+        ksort($results);
+        return $results;
     }
 
     #[\Override]
@@ -254,15 +620,24 @@ class qtype_drawlines_question extends question_graded_automatically {
         } else {
             $partialcredit = 0;
         }
+        $matches = $this->get_zone_matches($response);
         foreach ($this->lines as $key => $line) {
             $quelinecoordsstart = explode(';', $line->zonestart);
             $quelinecoordsend = explode(';', $line->zoneend);
-            if (array_key_exists($this->field($key), $response) && $response[$this->field($key)] !== '') {
-                [$startcoordsmatched, $endcoordsmatched] = $this->is_line_correctly_placed($response[$this->field($key)], $key);
-                if ($startcoordsmatched && $endcoordsmatched) {
+            if (isset($matches[$key])) {
+                $lineresponse = $response[$this->field($matches[$key])];
+                [$startcoordsmatched, $endcoordsmatched, $middlesmatched] =
+                        $this->is_line_correctly_placed($lineresponse, $key);
+                $reversedfraction = $this->get_reversed_fraction($lineresponse, $key);
+                if ($startcoordsmatched && $endcoordsmatched && !in_array(false, $middlesmatched, true)) {
                     $classifiedresponse['Line ' . $line->number . ' (' . $quelinecoordsstart[0] . ') (' .
                             $quelinecoordsend[0] . ')'] =
                         new question_classified_response(1, get_string('valid_startandendcoordinates', 'qtype_drawlines'), 1);
+                } else if ($reversedfraction > 0) {
+                    $classifiedresponse['Line ' . $line->number . ' (' . $quelinecoordsend[0] . ') (' .
+                            $quelinecoordsstart[0] . ')'] =
+                        new question_classified_response(5, get_string('valid_reversedcoordinates', 'qtype_drawlines'),
+                                $reversedfraction);
                 } else if ($startcoordsmatched) {
                     $classifiedresponse['Line ' . $line->number . ' (' . $quelinecoordsstart[0] . ')'] =
                         new question_classified_response(2, get_string('valid_startcoordinates', 'qtype_drawlines'),
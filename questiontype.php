@@ -27,6 +27,7 @@ use qtype_drawlines\line;
 
 defined('MOODLE_INTERNAL') || die();
 require_once($CFG->libdir.'/questionlib.php');
+require_once($CFG->dirroot . '/question/type/drawlines/question.php');
 
 /**
  * The Draw lines question type class.
@@ -78,6 +79,16 @@ class qtype_drawlines extends question_type {
         $options->grademethod = $fromform->grademethod ?? get_config('qtype_drawlines', 'grademethod');
         $options->shownumcorrect = !empty($formdata->shownumcorrect) ? 1 : 0;
         $options->showmisplaced = !empty($formdata->showmisplaced);
+        $options->snapmode = $fromform->snapmode ?? qtype_drawlines_question::SNAP_NONE;
+        $options->snapgridspacing = (int)($fromform->snapgridspacing ?? 10);
+        $options->snapgridorigin = trim($fromform->snapgridorigin ?? '') !== '' ? trim($fromform->snapgridorigin) : '0,0';
+        $options->snapanchorpoints = trim($fromform->snapanchorpoints ?? '');
+        $options->landmarks = trim($fromform->landmarks ?? '');
+        $options->showmeasurements = !empty($fromform->showmeasurements) ? 1 : 0;
+        $options->scalepixels = max(0, (int)($fromform->scalepixels ?? 0));
+        $options->scalelength = (float)($fromform->scalelength ?? 0);
+        $options->scaleunit = trim($fromform->scaleunit ?? '');
+        $options->shufflelines = !empty($fromform->shufflelines) ? 1 : 0;
         $options = $this->save_combined_feedback_helper($options, $fromform, $context, true);
         $DB->insert_record('qtype_drawlines_options', $options);
 
@@ -109,6 +120,15 @@ class qtype_drawlines extends question_type {
             $line->labelend = $fromform->labelend[$i];
             $line->zonestart = $fromform->zonestart[$i];
             $line->zoneend = $fromform->zoneend[$i];
+            $line->zonemiddle = $fromform->zonemiddle[$i] ?? '';
+            $line->lockmode = $fromform->lockmode[$i] ?? line::LOCK_NONE;
+            $line->reversedfraction = (float)($fromform->reversedfraction[$i] ?? 0);
+            $line->zonekind = $fromform->zonekind[$i] ?? line::ZONE_POSITION;
+            $line->zonetolerance = (float)($fromform->zonetolerance[$i] ?? 0);
+            $line->colour = $fromform->colour[$i] ?? '';
+            $line->dashstyle = $fromform->dashstyle[$i] ?? line::DASH_DASHED;
+            $line->arrowstyle = $fromform->arrowstyle[$i] ?? line::ARROW_FILLED;
+            $line->sharehome = !empty($fromform->sharehome[$i]) ? 1 : 0;
             $line->id = $DB->insert_record('qtype_drawlines_lines', $line);
         }
     }
@@ -183,6 +203,16 @@ class qtype_drawlines extends question_type {
     protected function initialise_question_instance(question_definition $question, $questiondata): void {
         parent::initialise_question_instance($question, $questiondata);
         $question->grademethod = $questiondata->options->grademethod;
+        $question->snapmode = $questiondata->options->snapmode ?? qtype_drawlines_question::SNAP_NONE;
+        $question->snapgridspacing = (int)($questiondata->options->snapgridspacing ?? 10);
+        $question->snapgridorigin = $questiondata->options->snapgridorigin ?? '0,0';
+        $question->snapanchorpoints = $questiondata->options->snapanchorpoints ?? '';
+        $question->landmarks = $questiondata->options->landmarks ?? '';
+        $question->showmeasurements = (bool)($questiondata->options->showmeasurements ?? 0);
+        $question->scalepixels = (int)($questiondata->options->scalepixels ?? 0);
+        $question->scalelength = (float)($questiondata->options->scalelength ?? 0);
+        $question->scaleunit = $questiondata->options->scaleunit ?? '';
+        $question->shufflelines = (bool)($questiondata->options->shufflelines ?? 0);
         $this->initialise_question_lines($question, $questiondata);
         $this->initialise_combined_feedback($question, $questiondata, true);
     }
@@ -215,7 +245,10 @@ class qtype_drawlines extends question_type {
     public function make_line(stdClass $line): line {
         return new line($line->id, $line->questionid, $line->number, $line->type,
                 $line->labelstart, $line->labelmiddle, $line->labelend,
-                $line->zonestart, $line->zoneend);
+                $line->zonestart, $line->zoneend, $line->zonemiddle ?? '', $line->lockmode ?? line::LOCK_NONE,
+                (float)($line->reversedfraction ?? 0), $line->zonekind ?? line::ZONE_POSITION,
+                (float)($line->zonetolerance ?? 0), $line->colour ?? '', $line->dashstyle ?? line::DASH_DASHED,
+                $line->arrowstyle ?? line::ARROW_FILLED, !empty($line->sharehome));
     }
 
     #[\Override]
@@ -265,6 +298,25 @@ class qtype_drawlines extends question_type {
         $output = '';
         $output .= '    <grademethod>' . $format->xml_escape($question->options->grademethod) .
                 "</grademethod>\n";
+        $output .= '    <snapmode>' . $format->xml_escape($question->options->snapmode ?? 'none') .
+                "</snapmode>\n";
+        $output .= '    <snapgridspacing>' . (int)($question->options->snapgridspacing ?? 10) .
+                "</snapgridspacing>\n";
+        $output .= '    <snapgridorigin>' . $format->xml_escape($question->options->snapgridorigin ?? '0,0') .
+                "</snapgridorigin>\n";
+        $output .= '    <snapanchorpoints>' . $format->xml_escape($question->options->snapanchorpoints ?? '') .
+                "</snapanchorpoints>\n";
+        $output .= '    <landmarks>' . $format->xml_escape($question->options->landmarks ?? '') .
+                "</landmarks>\n";
+        if (!empty($question->options->showmeasurements)) {
+            $output .= "    <showmeasurements/>\n";
+        }
+        $output .= '    <scalepixels>' . (int)($question->options->scalepixels ?? 0) . "</scalepixels>\n";
+        $output .= '    <scalelength>' . (float)($question->options->scalelength ?? 0) . "</scalelength>\n";
+        $output .= '    <scaleunit>' . $format->xml_escape($question->options->scaleunit ?? '') . "</scaleunit>\n";
+        if (!empty($question->options->shufflelines)) {
+            $output .= "    <shufflelines/>\n";
+        }
         $output .= $format->write_combined_feedback($question->options,
                                                     $question->id,
                                                     $question->contextid);
@@ -296,6 +348,22 @@ class qtype_drawlines extends question_type {
             $output .= "        <zoneend>\n";
             $output .= $format->writetext($line->zoneend, $indent);
             $output .= "        </zoneend>\n";
+            $output .= "        <zonemiddle>\n";
+            $output .= $format->writetext($line->zonemiddle ?? '', $indent);
+            $output .= "        </zonemiddle>\n";
+            $output .= "        <lockmode>\n";
+            $output .= $format->writetext($line->lockmode ?? line::LOCK_NONE, $indent);
+            $output .= "        </lockmode>\n";
+            $output .= "        <reversedfraction>" . (float)($line->reversedfraction ?? 0) . "</reversedfraction>\n";
+            $output .= "        <zonekind>\n";
+            $output .= $format->writetext($line->zonekind ?? line::ZONE_POSITION, $indent);
+            $output .= "        </zonekind>\n";
+            $output .= "        <zonetolerance>" . (float)($line->zonetolerance ?? 0) . "</zonetolerance>\n";
+            $output .= "        <colour>" . $format->xml_escape($line->colour ?? '') . "</colour>\n";
+            $output .= "        <dashstyle>" . $format->xml_escape($line->dashstyle ?? line::DASH_DASHED) . "</dashstyle>\n";
+            $output .= "        <arrowstyle>" . $format->xml_escape($line->arrowstyle ?? line::ARROW_FILLED) .
+                    "</arrowstyle>\n";
+            $output .= "        <sharehome>" . (int)!empty($line->sharehome) . "</sharehome>\n";
             $output .= "      </line>\n";
         }
         $output .= "    </lines>\n";
@@ -318,6 +386,18 @@ class qtype_drawlines extends question_type {
                 $format->getpath($data, ['#', 'grademethod'], 'partial'));
         $question->showmisplaced = array_key_exists('showmisplaced',
                 $format->getpath($data, ['#'], []));
+        $question->snapmode = trim($format->getpath($data, ['#', 'snapmode', 0, '#'], 'none'));
+        $question->snapgridspacing = (int)$format->getpath($data, ['#', 'snapgridspacing', 0, '#'], 10);
+        $question->snapgridorigin = trim($format->getpath($data, ['#', 'snapgridorigin', 0, '#'], '0,0'));
+        $question->snapanchorpoints = trim($format->getpath($data, ['#', 'snapanchorpoints', 0, '#'], ''));
+        $question->landmarks = trim($format->getpath($data, ['#', 'landmarks', 0, '#'], ''));
+        $question->showmeasurements = array_key_exists('showmeasurements',
+                $format->getpath($data, ['#'], []));
+        $question->scalepixels = (int)$format->getpath($data, ['#', 'scalepixels', 0, '#'], 0);
+        $question->scalelength = (float)$format->getpath($data, ['#', 'scalelength', 0, '#'], 0);
+        $question->scaleunit = trim($format->getpath($data, ['#', 'scaleunit', 0, '#'], ''));
+        $question->shufflelines = array_key_exists('shufflelines',
+                $format->getpath($data, ['#'], []));
 
         $lines = $format->getpath($data, ['#', 'lines', 0, '#', 'line'], false);
         if ($lines) {
@@ -336,6 +416,24 @@ class qtype_drawlines extends question_type {
                         ['#', 'zonestart', 0, '#', 'text', 0, '#'],  '');
                 $question->zoneend[$index] = $format->getpath($line,
                         ['#', 'zoneend', 0, '#', 'text', 0, '#'],  '');
+                $question->zonemiddle[$index] = $format->getpath($line,
+                        ['#', 'zonemiddle', 0, '#', 'text', 0, '#'],  '');
+                $question->lockmode[$index] = $this->import_option($format->getpath($line,
+                        ['#', 'lockmode', 0, '#', 'text', 0, '#'], ''), line::get_lock_modes(), line::LOCK_NONE);
+                $question->reversedfraction[$index] = (float)$format->getpath($line,
+                        ['#', 'reversedfraction', 0, '#'], 0);
+                $question->zonekind[$index] = $this->import_option($format->getpath($line,
+                        ['#', 'zonekind', 0, '#', 'text', 0, '#'], ''), line::get_zone_kinds(), line::ZONE_POSITION);
+                $question->zonetolerance[$index] = (float)$format->getpath($line,
+                        ['#', 'zonetolerance', 0, '#'], 0);
+                $colour = strtolower($format->getpath($line, ['#', 'colour', 0, '#'], ''));
+                $question->colour[$index] = preg_match(line::VALIDATE_COLOUR, $colour) ? $colour : '';
+                $question->dashstyle[$index] = $this->import_option($format->getpath($line,
+                        ['#', 'dashstyle', 0, '#'], ''), line::get_dash_styles(), line::DASH_DASHED);
+                $question->arrowstyle[$index] = $this->import_option($format->getpath($line,
+                        ['#', 'arrowstyle', 0, '#'], ''), line::get_arrow_styles(), line::ARROW_FILLED);
+                $question->sharehome[$index] = (int)$format->getpath($line,
+                        ['#', 'sharehome', 0, '#'], 0);
                 $index++;
             }
         }
@@ -348,6 +446,19 @@ class qtype_drawlines extends question_type {
         return $question;
     }
 
+    /**
+     * Get an imported value of a line option, or the default if it is not one of the options.
+     *
+     * @param string $value the value from the import file.
+     * @param array $options the options, with the values as keys, e.g. from {@see line::get_dash_styles()}.
+     * @param string $default the value to use instead of one that is not valid.
+     * @return string
+     */
+    protected function import_option(string $value, array $options, string $default): string {
+        $value = trim($value);
+        return array_key_exists($value, $options) ? $value : $default;
+    }
+
     /**
      * Convert files into text output in the given format.
      * This method is copied from qformat_default as a quick fix, as the method there is protected.
@@ -392,6 +503,12 @@ class qtype_drawlines extends question_type {
             $parts['Line ' . $place->number . ' (' . $coordsstart[0] . ') (' . $coordsend[0] . ')'] = [
                 1 => new question_possible_response(get_string('valid_startandendcoordinates', 'qtype_drawlines'), 1),
             ];
+            if ($place->reversedfraction > 0) {
+                $parts['Line ' . $place->number . ' (' . $coordsend[0] . ') (' . $coordsstart[0] . ')'] = [
+                    5 => new question_possible_response(get_string('valid_reversedcoordinates', 'qtype_drawlines'),
+                            $place->reversedfraction),
+                ];
+            }
             $parts['Line ' . $place->number . ' (' .$coordsstart[0] . ')'] = [
                 2 => new question_possible_response(get_string('valid_startcoordinates', 'qtype_drawlines'), $partialcredit),
             ];
@@ -137,6 +137,16 @@ class qtype_drawlines_renderer extends qtype_with_combined_feedback_renderer {
         $output .= html_writer::end_div();
         $output .= html_writer::end_div();
 
+        // Zoom in on the image, to see the details and place the lines precisely.
+        $output .= html_writer::div(
+                html_writer::tag('button', get_string('zoomin', 'qtype_drawlines'), ['type' => 'button',
+                        'class' => 'btn btn-secondary zoomin']) .
+                html_writer::tag('button', get_string('zoomout', 'qtype_drawlines'), ['type' => 'button',
+                        'class' => 'btn btn-secondary zoomout', 'disabled' => 'disabled']) .
+                html_writer::tag('button', get_string('zoomreset', 'qtype_drawlines'), ['type' => 'button',
+                        'class' => 'btn btn-secondary zoomreset', 'disabled' => 'disabled']),
+                'drawlines-zoom btn-group', ['role' => 'group', 'aria-label' => get_string('zoom', 'qtype_drawlines')]);
+
         $output .= html_writer::start_div($draghomesclass);
 
         if (!$options->readonly) {
@@ -148,21 +158,144 @@ class qtype_drawlines_renderer extends qtype_with_combined_feedback_renderer {
         }
         $output .= html_writer::end_div();
 
+        if (!$options->readonly) {
+            $output .= html_writer::div(
+                    html_writer::tag('button', get_string('undo', 'qtype_drawlines'), ['type' => 'button',
+                            'class' => 'btn btn-secondary undo', 'disabled' => 'disabled', 'aria-keyshortcuts' => 'Control+Z']) .
+                    html_writer::tag('button', get_string('redo', 'qtype_drawlines'), ['type' => 'button',
+                            'class' => 'btn btn-secondary redo', 'disabled' => 'disabled', 'aria-keyshortcuts' => 'Control+Y']) .
+                    html_writer::tag('button', get_string('resetall', 'qtype_drawlines'), ['type' => 'button',
+                            'class' => 'btn btn-secondary resetall', 'disabled' => 'disabled']),
+                    'drawlines-toolbar');
+        }
+
+        // When reviewing, switch between the response, the correct answer and both on top of each other.
+        if ($options->readonly && $options->rightanswer) {
+            $buttons = '';
+            foreach (['response', 'correct', 'both'] as $show) {
+                $buttons .= html_writer::tag('button', get_string('compare' . $show, 'qtype_drawlines'), ['type' => 'button',
+                        'class' => 'btn btn-secondary', 'data-compare' => $show,
+                        'aria-pressed' => $show === 'response' ? 'true' : 'false']);
+            }
+            $output .= html_writer::div($buttons, 'drawlines-compare btn-group',
+                    ['role' => 'group', 'aria-label' => get_string('compare', 'qtype_drawlines')]);
+        }
+
         $hiddenfields = '';
         foreach ($question->lines as $line) {
             $hiddenfields .= $this->hidden_field_choice($qa, $line->number - 1);
         }
         $output .= html_writer::div($hiddenfields, 'dragchoices');
 
+        // Screen reader support: instructions, announcements while moving, and choosing landmarks from a list.
+        $containerid = $qa->get_outer_question_div_unique_id();
+        if (!$options->readonly) {
+            $output .= html_writer::div(get_string('keyboardinstructions', 'qtype_drawlines'), 'accesshide',
+                    ['id' => $containerid . '-instructions']);
+            $output .= $this->landmark_inputs($question, $containerid);
+        }
+        $output .= html_writer::div('', 'accesshide drawlines-announcer', ['aria-live' => 'polite', 'aria-atomic' => 'true']);
+        $this->page->requires->strings_for_js(['ariaendhandle', 'arialine', 'arialinenotplaced', 'ariamiddlehandle',
+                'ariaplaced', 'ariaposition', 'ariapositionlandmark', 'ariareversed', 'ariarotatehandle', 'ariareturnedhome',
+                'ariastarthandle', 'linename', 'linenamewithlabels', 'measurement', 'measurementpixels'], 'qtype_drawlines');
+        $this->page->requires->strings_for_js(['correct', 'incorrect', 'partiallycorrect'], 'question');
+
+        // When reviewing, show whether each line is right, and where the zones are if misplaced lines are shown.
+        $lineresults = [];
+        $showzones = false;
+        if ($options->readonly && $options->correctness) {
+            $lineresults = (object) $question->get_line_results($response);
+            $hint = $qa->get_applicable_hint();
+            $showzones = !empty($question->showmisplaced) || ($hint && !empty($hint->showmisplaced));
+        }
+
         // Call to js.
         $this->page->requires->js_call_amd('qtype_drawlines/question', 'init',
-                [$qa->get_outer_question_div_unique_id(), $options->readonly, $visibilityzones, $question->lines]);
+                [$containerid, $options->readonly, $visibilityzones, $question->lines,
+                        $question->get_snap_options(), $question->get_landmarks(), $question->get_measurement_options(),
+                        $lineresults, $showzones, $question->get_drag_homes(), $this->get_rich_labels($question, $options)]);
 
         $output .= html_writer::end_div();
 
         return $output;
     }
 
+    /**
+     * Generate the lists of landmarks, for placing the start and end of each line without dragging.
+     *
+     * The selects have no name, so they are not submitted. The JavaScript moves the line when one is changed,
+     * and keeps them in sync when the lines are dragged.
+     *
+     * @param qtype_drawlines_question $question the question being displayed.
+     * @param string $containerid id of the outer div of the question, used to make the element ids unique.
+     * @return string HTML, or an empty string if the question has no landmarks.
+     */
+    protected function landmark_inputs(qtype_drawlines_question $question, string $containerid): string {
+        $landmarks = $question->get_landmarks();
+        if (!$landmarks) {
+            return '';
+        }
+
+        $options = html_writer::tag('option', get_string('landmarknotplaced', 'qtype_drawlines'), ['value' => '']);
+        foreach ($landmarks as $landmark) {
+            $options .= html_writer::tag('option', s($landmark['name']), ['value' => $landmark['x'] . ',' . $landmark['y']]);
+        }
+        $options .= html_writer::tag('option', get_string('landmarkother', 'qtype_drawlines'),
+                ['value' => 'other', 'disabled' => 'disabled', 'hidden' => 'hidden']);
+
+        $output = html_writer::tag('legend', get_string('landmarkinput', 'qtype_drawlines'));
+        foreach ($question->lines as $line) {
+            $linename = $this->get_line_name($line);
+            $selects = '';
+            foreach (['start', 'end'] as $which) {
+                $id = $containerid . '-landmark-' . ($line->number - 1) . '-' . $which;
+                $selects .= html_writer::label(get_string('landmark' . $which, 'qtype_drawlines', $linename), $id,
+                        false, ['class' => 'mr-2']);
+                $selects .= html_writer::tag('select', $options, ['id' => $id, 'class' => 'custom-select mr-3 landmark',
+                        'data-line-no' => $line->number - 1, 'data-handle' => $which . 'circle']);
+            }
+            $output .= html_writer::div($selects, 'form-inline mb-2');
+        }
+        return html_writer::tag('fieldset', $output, ['class' => 'drawlines-landmarks']);
+    }
+
+    /**
+     * Get the labels of the lines that are shown as HTML, formatted so that filters such as MathJax work on them.
+     *
+     * @param qtype_drawlines_question $question the question being displayed.
+     * @param question_display_options $options controls what should and should not be displayed.
+     * @return array line key => the start, middle and end labels as HTML, or '' for labels shown as plain text.
+     */
+    protected function get_rich_labels(qtype_drawlines_question $question, question_display_options $options): array {
+        $richlabels = [];
+        foreach ($question->lines as $key => $line) {
+            $richlabels[$key] = [];
+            foreach ([$line->labelstart, $line->labelmiddle, $line->labelend] as $label) {
+                $richlabels[$key][] = line::is_rich_label((string) $label) ?
+                        format_text($label, FORMAT_HTML, ['context' => $options->context, 'para' => false]) : '';
+            }
+        }
+        return $richlabels;
+    }
+
+    /**
+     * Get the name of a line, including its labels, as read out by screen readers.
+     *
+     * @param line $line
+     * @return string the name.
+     */
+    protected function get_line_name(line $line): string {
+        $labels = array_filter([$line->labelstart, $line->labelmiddle, $line->labelend],
+                fn($label) => trim((string) $label) !== '');
+        if (!$labels) {
+            return get_string('linename', 'qtype_drawlines', $line->number);
+        }
+        // Screen readers read the text of labels shown as HTML, not their tags.
+        $labels = array_map(fn($label) => line::is_rich_label($label) ? html_entity_decode(strip_tags($label)) : $label, $labels);
+        return get_string('linenamewithlabels', 'qtype_drawlines',
+                ['number' => $line->number, 'labels' => s(implode(', ', $labels))]);
+    }
+
     #[\Override]
     public function specific_feedback(question_attempt $qa) {
         $output = '';
@@ -185,14 +318,30 @@ class qtype_drawlines_renderer extends qtype_with_combined_feedback_renderer {
                     $lineindicator = ' &xharr; ';
                     break;
                 case 'linesegment':
+                case 'linepolyline':
                     $lineindicator = ' --- ';
                     break;
                 case 'lineinfinite':
                     $lineindicator = ' --o--o-- ';
                     break;
+                case 'linecurved':
+                    $lineindicator = ' &frown; ';
+                    break;
+                case 'linecurvedarrow':
+                    $lineindicator = ' &cularr; ';
+                    break;
             }
-            $rightanswers[] = "Line " . $line->number . ': ' . line::get_coordinates($line->zonestart)
-                    . $lineindicator . line::get_coordinates($line->zoneend);
+            $points = [line::get_coordinates($line->zonestart)];
+            foreach (line::get_middle_zones($line->zonemiddle) as $zone) {
+                $points[] = line::get_coordinates($zone);
+            }
+            $points[] = line::get_coordinates($line->zoneend);
+            $rightanswer = "Line " . $line->number . ': ' . implode($lineindicator, $points);
+            if (($line->zonekind ?? line::ZONE_POSITION) !== line::ZONE_POSITION) {
+                $rightanswer .= ' ' . get_string('correctzone' . $line->zonekind, 'qtype_drawlines',
+                        format_float($line->zonetolerance, -1));
+            }
+            $rightanswers[] = $rightanswer;
         }
         return $this->correct_choices($rightanswers);
     }
@@ -206,19 +355,43 @@ class qtype_drawlines_renderer extends qtype_with_combined_feedback_renderer {
         // Accumulate the wrong coords for each lines to be displayed and hint options.
         $wrongcoords = [];
         if ($hint->showmisplaced) {
+            // Copies of alike lines are checked against the zones they are graded against, as in grading.
+            $matches = $question->get_zone_matches($response);
             foreach ($question->lines as $key => $line) {
-                if (in_array($question->field($key), array_keys($response))) {
-                    $coords = explode(' ', $response[$question->field($key)]);
+                if (isset($matches[$key])) {
+                    $lineresponse = $response[$question->field($matches[$key])];
+                    if ($question->is_line_reversed($lineresponse, $key)) {
+                        // Rather than list both ends as misplaced, say that the line is the wrong way round.
+                        $output .= html_writer::tag('div',
+                            get_string('showreversedline', 'qtype_drawlines', $line->number),
+                            ['class' => 'misplacedinfo']);
+                        continue;
+                    }
+                    $coords = line::get_response_points($lineresponse, $line->type);
+                    [$isstartrightplace, $isendrightplace, $middlesrightplace] =
+                            $question->is_line_correctly_placed($lineresponse, $key);
                     if ($question->grademethod === 'partial') {
                         // Label the line.
                         $linelabelstart = null;
                         $linelabelend = null;
-                        if (!line::is_dragitem_in_the_right_place($coords[0], $line->zonestart)) {
+                        if (!$isstartrightplace) {
                             $linelabelstart = ' Line ' . $line->number;
                             $wrongcoords[] = html_writer::tag('span', $linelabelstart .
                                 ' start(' . $coords[0] . ')', ['class' => 'misplaced']);
                         }
-                        if (!line::is_dragitem_in_the_right_place($coords[1], $line->zoneend)) {
+                        foreach ($middlesrightplace as $i => $ismiddlerightplace) {
+                            if (!$ismiddlerightplace) {
+                                $linelabelmiddle = null;
+                                if (is_null($linelabelstart)) {
+                                    // Only label the line number once.
+                                    $linelabelstart = ' Line ' . $line->number;
+                                    $linelabelmiddle = $linelabelstart;
+                                }
+                                $wrongcoords[] = html_writer::tag('span', $linelabelmiddle .
+                                    ' point ' . ($i + 1) . '(' . ($coords[2][$i] ?? '') . ')', ['class' => 'misplaced']);
+                            }
+                        }
+                        if (!$isendrightplace) {
                             if (is_null($linelabelstart)) {
                                 // Do not repeat the line number for the end-prt of the line coordinates.
                                 $linelabelend = ' Line ' . $line->number;
@@ -227,8 +400,7 @@ class qtype_drawlines_renderer extends qtype_with_combined_feedback_renderer {
                                 ' end(' . $coords[1] . ')', ['class' => 'misplaced']);
                         }
                     } else {
-                        if (!(line::is_dragitem_in_the_right_place($coords[0], $line->zonestart) &&
-                            line::is_dragitem_in_the_right_place($coords[1], $line->zoneend))) {
+                        if (!($isstartrightplace && $isendrightplace && !in_array(false, $middlesrightplace, true))) {
                             $wrongcoords[] = html_writer::tag('span', ' Line ' . $line->number .
                                 ' start(' . $coords[0] . ') end(' . $coords[1] . ')', ['class' => 'misplaced']);
                         }
@@ -290,7 +462,7 @@ class qtype_drawlines_renderer extends qtype_with_combined_feedback_renderer {
         } else {
             [$a->num, $a->outof] = $qa->get_question()->get_num_parts_right_grade_allornone($qa->get_last_qt_data());
         }
-        if ($a->num === 0 || is_null($a->outof)) {
+        if ($a->num == 0 || is_null($a->outof)) {
             return '';
         }
         if ($a->num == 1) {
@@ -91,6 +91,7 @@ final class backup_and_restore_test extends \restore_date_testcase {
         $questionata = question_bank::load_question_data($newdrawlines->id);
 
         $this->assertSame('partial', $questionata->options->grademethod);
+        $this->assertEquals(0, $questionata->options->shufflelines);
 
         $questionlines = array_values((array) $questionata->lines);
         $this->assertSame($newdrawlines->id, $questionlines[0]->questionid);
@@ -101,6 +102,12 @@ final class backup_and_restore_test extends \restore_date_testcase {
         $this->assertSame('', $questionlines[0]->labelend);
         $this->assertSame('10,10;12', $questionlines[0]->zonestart);
         $this->assertSame('10,200;12', $questionlines[0]->zoneend);
+        $this->assertSame(line::LOCK_NONE, $questionlines[0]->lockmode);
+        $this->assertEquals(0, $questionlines[0]->reversedfraction);
+        $this->assertSame(line::ZONE_POSITION, $questionlines[0]->zonekind);
+        $this->assertSame(line::DASH_DASHED, $questionlines[0]->dashstyle);
+        $this->assertSame(line::ARROW_FILLED, $questionlines[0]->arrowstyle);
+        $this->assertEquals(0, $questionlines[0]->sharehome);
 
         $this->assertSame($newdrawlines->id, $questionlines[1]->questionid);
         $this->assertSame('2', $questionlines[1]->number);
@@ -110,5 +117,8 @@ final class backup_and_restore_test extends \restore_date_testcase {
         $this->assertSame('End 2', $questionlines[1]->labelend);
         $this->assertSame('300,10;12', $questionlines[1]->zonestart);
         $this->assertSame('300,200;12', $questionlines[1]->zoneend);
+        $this->assertSame(line::LOCK_NONE, $questionlines[1]->lockmode);
+        $this->assertEquals(0, $questionlines[1]->reversedfraction);
+        $this->assertSame(line::ZONE_POSITION, $questionlines[1]->zonekind);
     }
 }
@@ -130,3 +130,30 @@ Feature: Test creating a draw lines question
     And I upload "question/type/drawlines/tests/fixtures/mkmap.png" file to "Background image" filemanager
     When I select "linesegment" from the "id_type_0" singleselect
     Then "//*[name()='svg']/*[name()='g' and @data-dropzone-no='0']/*[name()='polyline' and @points='15,15 30,30']" "xpath_element" should exist
+
+  @javascript @_file_upload
+  Scenario: Lines can be duplicated and deleted on the form without reloading it
+    Given I am on the "Course 1" "core_question > course question bank" page logged in as teacher
+    And I press "Create a new question ..."
+    And I set the field "Draw lines" to "1"
+    And I click on "Add" "button" in the "Choose a question type to add" "dialogue"
+    And I should see "Adding a Draw lines question"
+    And I expand all fieldsets
+    And I upload "question/type/drawlines/tests/fixtures/mkmap.png" file to "Background image" filemanager
+    And I set the following fields to these values:
+      | id_type_0      | linesegment |
+      | id_zonestart_0 | 50,90;10    |
+      | id_zoneend_0   | 180,20;10   |
+    When I click on "Duplicate line" "button" in the "#id_linexheader_0" "css_element"
+    Then the following fields match these values:
+      | id_type_1      | linesegment |
+      | id_zonestart_1 | 60,100;10   |
+      | id_zoneend_1   | 190,30;10   |
+    And "//*[name()='svg']/*[name()='g' and @data-dropzone-no='1']/*[name()='polyline' and @points='60,100 190,30']" "xpath_element" should exist
+    And I click on "Delete line" "button" in the "#id_linexheader_0" "css_element"
+    And the following fields match these values:
+      | id_type_0      | linesegment |
+      | id_zonestart_0 | 60,100;10   |
+      | id_zoneend_0   | 190,30;10   |
+    And "//*[name()='svg']/*[name()='g' and @data-dropzone-no='0']/*[name()='polyline' and @points='60,100 190,30']" "xpath_element" should exist
+    And "#id_linexheader_1" "css_element" should not exist
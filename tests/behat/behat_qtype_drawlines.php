@@ -54,7 +54,7 @@ class behat_qtype_drawlines extends behat_base {
      * @param string $line the line to drag. The label, optionally followed by ,<instance number> (int) if relevant.
      * @param string $part the part of the line to move.
      *
-     * @Given /^I type "(?P<direction>up|down|left|right)" "(?P<repeats>\d+)" times on line "(?P<line>\d+)" "(?P<endpoint>line|startcircle|endcircle)" in the drawlines question$/
+     * @Given /^I type "(?P<direction>up|down|left|right|home|end|page_up|page_down)" "(?P<repeats>\d+)" times on line "(?P<line>\d+)" "(?P<endpoint>line|startcircle|endcircle)" in the drawlines question$/
      */
     public function i_type_on_line_in_the_drawlines_question(string $direction, int $repeats, string $line, string $part): void {
         $node = $this->get_selected_node('xpath_element', $this->line_xpath($line, $part, true));
@@ -64,4 +64,36 @@ class behat_qtype_drawlines extends behat_base {
             $this->execute('behat_general::i_press_named_key', ['', $direction]);
         }
     }
+
+    /**
+     * Check that the ids in the SVG images are unique on the page, and that the arrowheads of each question
+     * use the markers of that question.
+     *
+     * @Then /^the SVG ids in the drawlines questions should not clash$/
+     */
+    public function the_svg_ids_in_the_drawlines_questions_should_not_clash(): void {
+        $problems = $this->evaluate_script('(function() {
+            var problems = [], ids = {};
+            document.querySelectorAll(".que.drawlines").forEach(function(question) {
+                question.querySelectorAll("svg[id], svg [id]").forEach(function(el) {
+                    if (ids[el.id]) {
+                        problems.push("duplicate id " + el.id);
+                    }
+                    ids[el.id] = true;
+                });
+                question.querySelectorAll("svg .shape").forEach(function(el) {
+                    [el.style.markerStart, el.style.markerEnd].forEach(function(marker) {
+                        var match = /url\\("?#([^")]+)"?\\)/.exec(marker || "");
+                        if (match && !question.querySelector("[id=\\"" + match[1] + "\\"]")) {
+                            problems.push(question.id + " uses " + match[1]);
+                        }
+                    });
+                });
+            });
+            return problems.join(", ");
+        })()');
+        if ($problems !== '') {
+            throw new \Behat\Mink\Exception\ExpectationException('The SVG ids clash: ' . $problems, $this->getSession());
+        }
+    }
 }
@@ -31,7 +31,7 @@ Feature: Test editing an draw lines question
     And I should see "Line segment ---"
     When I set the field "id_zonestart_0" to "10,10,12"
     And I press "id_submitbutton"
-    Then I should see "Start zone coordinates should be in x,y;r format, where x,y are the coordinates of the centre of a circle and r is the radius."
+    Then I should see "Start zone coordinates should be in x,y;r format for a circle"
     # Correct the input for end zone coordinates.
     And I set the field "id_zonestart_0" to "10,10;12"
 
@@ -69,6 +69,38 @@ Feature: Test editing an draw lines question
     And "//*[name()='svg']/*[name()='g' and @data-dropzone-no='0']/*[name()='text'][2][contains(text(), 'new label middle')]" "xpath_element" should exist
     And "//*[name()='svg']/*[name()='g' and @data-dropzone-no='0']/*[name()='text'][3][contains(text(), 'new label end')]" "xpath_element" should exist
 
+  @javascript
+  Scenario: Undo and redo changes to the lines on the editing form
+    Given I am on the "Drawlines to edit" "core_question > edit" page logged in as teacher
+    And I expand all fieldsets
+    And the "Undo" "button" should be disabled
+    When I set the field "id_type_0" to "Single arrow ⟶"
+    Then "//*[name()='svg']/*[name()='g' and @data-dropzone-no='0']/*[1][contains(@style, 'marker-end')]" "xpath_element" should exist
+    And I press "Undo"
+    And the field "id_type_0" matches value "Line segment ---"
+    And "//*[name()='svg']/*[name()='g' and @data-dropzone-no='0']/*[1][contains(@style, 'marker-end')]" "xpath_element" should not exist
+    And the "Undo" "button" should be disabled
+    And I press "Redo"
+    And the field "id_type_0" matches value "Single arrow ⟶"
+    And "//*[name()='svg']/*[name()='g' and @data-dropzone-no='0']/*[1][contains(@style, 'marker-end')]" "xpath_element" should exist
+    # The keyboard shortcuts work while the preview has the focus.
+    And I press the ctrl z key
+    And the field "id_type_0" matches value "Line segment ---"
+    And I press the ctrl y key
+    And the field "id_type_0" matches value "Single arrow ⟶"
+
+    # Adding and deleting lines can be undone, and the lines come back in the form and the preview.
+    And I click on "id_addlines" "button"
+    And "#id_linexheader_2" "css_element" should exist
+    And I press "Undo"
+    And "#id_linexheader_2" "css_element" should not exist
+    And I click on "Delete line" "button" in the "#id_linexheader_1" "css_element"
+    And "#id_linexheader_1" "css_element" should not exist
+    And "//*[name()='svg']/*[name()='g' and @data-dropzone-no='1']" "xpath_element" should not exist
+    And I press "Undo"
+    And the field "id_zonestart_1" matches value "300,10;12"
+    And "//*[name()='svg']/*[name()='g' and @data-dropzone-no='1']" "xpath_element" should exist
+
   @javascript @_file_upload
   Scenario: Validate the background image size for Draw lines question
     Given I am on the "Drawlines to edit" "core_question > edit" page logged in as teacher
@@ -0,0 +1,38 @@
+@qtype @qtype_drawlines
+Feature: Several DrawLines questions on the same page
+  As a student
+  In order to answer a quiz with several DrawLines questions on one page
+  I need the lines of each question to be drawn independently
+
+  Background:
+    Given the following "users" exist:
+      | username |
+      | student  |
+    And the following "courses" exist:
+      | fullname | shortname | category |
+      | Course 1 | C1        | 0        |
+    And the following "course enrolments" exist:
+      | user    | course | role    |
+      | student | C1     | student |
+    And the following "question categories" exist:
+      | contextlevel | reference | name           |
+      | Course       | C1        | Test questions |
+    And the following "questions" exist:
+      | questioncategory | qtype     | name               | template        |
+      | Test questions   | drawlines | Drawlines arrows   | mkmap_twoarrows |
+      | Test questions   | drawlines | Drawlines segments | mkmap_twolines  |
+      | Test questions   | drawlines | Drawlines arrows 2 | mkmap_twoarrows |
+    And the following "activities" exist:
+      | activity | name   | course |
+      | quiz     | Quiz 1 | C1     |
+    And quiz "Quiz 1" contains the following questions:
+      | question           | page |
+      | Drawlines arrows   | 1    |
+      | Drawlines segments | 1    |
+      | Drawlines arrows 2 | 1    |
+
+  @javascript
+  Scenario: The arrowheads of each question use the markers of that question
+    Given I am on the "Quiz 1" "mod_quiz > View" page logged in as "student"
+    When I press "Attempt quiz"
+    Then the SVG ids in the drawlines questions should not clash
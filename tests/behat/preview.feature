@@ -33,6 +33,21 @@ Feature: Preview a DrawLines question
     Then the state of "Draw 2 lines on the map" question is shown as "Partially correct"
     And I should see "Mark 0.50 out of 1.00"
 
+  @javascript
+  Scenario: Zooming in on the image does not change the response
+    Given I am on the "Drawlines to preview partial" "core_question > preview" page logged in as teacher
+    And the "Zoom out" "button" should be disabled
+    When I press "Zoom in"
+    And I press "Zoom in"
+    And I type "up" "360" times on line "1" "line" in the drawlines question
+    And I type "left" "40" times on line "1" "line" in the drawlines question
+    And I type "down" "190" times on line "1" "endcircle" in the drawlines question
+    And I type "left" "200" times on line "1" "endcircle" in the drawlines question
+    And I press "Show the whole image"
+    And I press "Submit and finish"
+    Then the state of "Draw 2 lines on the map" question is shown as "Partially correct"
+    And I should see "Mark 0.50 out of 1.00"
+
   @javascript
   Scenario: Preview a question with partial grading using the keyboard with correct answers
     Given I am on the "Drawlines to preview partial" "core_question > preview" page logged in as teacher
@@ -139,3 +154,67 @@ Feature: Preview a DrawLines question
     And I should see "Mark 0.33 out of 1.00"
     And I should see "Well done!"
     And I should see "We draw lines from a starting to an end point."
+
+  @javascript
+  Scenario: Undo and redo moving the lines in a question preview
+    Given I am on the "Drawlines to preview partial" "core_question > preview" page logged in as teacher
+    And the "Undo" "button" should be disabled
+    And I type "up" "360" times on line "1" "line" in the drawlines question
+    And I type "left" "40" times on line "1" "line" in the drawlines question
+    And I type "down" "190" times on line "1" "endcircle" in the drawlines question
+    And I type "left" "200" times on line "1" "endcircle" in the drawlines question
+    And I press "Undo"
+    And I press "Undo"
+    And I press "Redo"
+    When I press "Submit and finish"
+    Then I should see "Mark 0.25 out of 1.00"
+
+  @javascript
+  Scenario: Reset all the lines in a question preview
+    Given I am on the "Drawlines to preview partial" "core_question > preview" page logged in as teacher
+    And the "Reset all lines" "button" should be disabled
+    And I type "up" "360" times on line "1" "line" in the drawlines question
+    And I type "left" "40" times on line "1" "line" in the drawlines question
+    And the "Reset all lines" "button" should be enabled
+    And I press "Reset all lines"
+    Then the "Reset all lines" "button" should be disabled
+    And the "Undo" "button" should be enabled
+
+  @javascript
+  Scenario: Place a line by choosing landmarks in a question preview
+    Given I am on the "Drawlines to preview partial" "core_question > preview" page logged in as teacher
+    When I set the field "Start of Line 1 (Start 1, Mid 1)" to "Top left corner"
+    And I set the field "End of Line 1 (Start 1, Mid 1)" to "Bottom left corner"
+    And I press "Submit and finish"
+    Then I should see "Mark 0.50 out of 1.00"
+
+  @javascript
+  Scenario: Jump the lines to the edges of the image using the keyboard
+    Given I am on the "Drawlines to preview partial" "core_question > preview" page logged in as teacher
+    And I type "up" "1" times on line "1" "line" in the drawlines question
+    And I type "page_up" "1" times on line "1" "line" in the drawlines question
+    And I type "home" "1" times on line "1" "startcircle" in the drawlines question
+    When I press "Submit and finish"
+    Then I should see "Mark 0.25 out of 1.00"
+
+  @javascript
+  Scenario: See the length and the bearing of a line while moving it
+    Given the following "questions" exist:
+      | questioncategory | qtype     | name                        | template       | showmeasurements | scalepixels | scalelength | scaleunit |
+      | Test questions   | drawlines | Drawlines with measurements | mkmap_twolines | 1                | 50          | 10          | km        |
+    And I am on the "Drawlines with measurements" "core_question > preview" page logged in as teacher
+    When I type "up" "100" times on line "1" "line" in the drawlines question
+    Then I should see "km, bearing 090°"
+
+  @javascript
+  Scenario: Compare the response with the correct answer when reviewing
+    Given I am on the "Drawlines to preview partial" "core_question > preview" page logged in as teacher
+    And I type "up" "60" times on line "1" "line" in the drawlines question
+    And I press "Submit and finish"
+    And "Your answer" "button" should exist
+    And ".correctanswer" "css_element" should not be visible
+    When I press "Both"
+    Then ".correctanswer" "css_element" should be visible
+    And ".dropzones .dropzone.placed" "css_element" should be visible
+    And I press "Correct answer"
+    And ".dropzones .dropzone.placed" "css_element" should not be visible
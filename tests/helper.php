@@ -28,7 +28,7 @@ class qtype_drawlines_test_helper extends question_test_helper {
 
     #[\Override]
     public function get_test_questions(): array {
-        return ['mkmap_twolines', 'mkmap_twolines_allornone'];
+        return ['mkmap_twolines', 'mkmap_twolines_allornone', 'mkmap_twoarrows'];
     }
 
     /**
@@ -230,6 +230,8 @@ class qtype_drawlines_test_helper extends question_test_helper {
         $fromform->labelend = ['0' => '', '1' => 'End 2'];
         $fromform->zonestart = ['0' => '10,10;12', '1' => '300,10;12'];
         $fromform->zoneend = ['0' => '10,200;12', '1' => '300,200;12'];
+        $fromform->landmarks = "10,10 Top left corner\n10,200 Bottom left corner\n300,10 Top right corner\n" .
+                "300,200 Bottom right corner";
 
         test_question_maker::set_standard_combined_feedback_form_data($fromform);
 
@@ -322,6 +324,22 @@ class qtype_drawlines_test_helper extends question_test_helper {
         return $fromform;
     }
 
+    /**
+     * Return the form data for a DrawLines with 2 arrows in different colours and styles.
+     *
+     * @return stdClass data to create a drawliness question.
+     */
+    public function get_drawlines_question_form_data_mkmap_twoarrows(): stdClass {
+        $fromform = $this->get_drawlines_question_form_data_mkmap_twolines();
+        $fromform->name = 'MK landmarks_twoarrows';
+        $fromform->type = ['0' => line::TYPE_LINE_SINGLE_ARROW, '1' => line::TYPE_LINE_DOUBLE_ARROW];
+        $fromform->colour = ['0' => '#d62728', '1' => ''];
+        $fromform->dashstyle = ['0' => line::DASH_SOLID, '1' => line::DASH_DASHED];
+        $fromform->arrowstyle = ['0' => line::ARROW_FILLED, '1' => line::ARROW_OPEN];
+
+        return $fromform;
+    }
+
     /**
      * Returns a qtype_drawlines question.
      *
@@ -52,6 +52,13 @@ final class line_test extends \advanced_testcase {
                 'ycenter is missing' => ['200,;12', false],
                 'numbers must be positive' => ['-200,150;12', false],
                 'zone coordinate is valid' => ['300,200;12', true],
+                'ellipse' => ['100,50;ellipse:40,10', true],
+                'rectangle' => ['100,50;rectangle:40,10', true],
+                'polygon' => ['100,50;polygon:60,40;140,40;100,70', true],
+                'ellipse needs two radii' => ['100,50;ellipse:40', false],
+                'unknown shape' => ['100,50;square:40,10', false],
+                'polygon needs three corners' => ['100,50;polygon:60,40;140,40', false],
+                'polygon must contain its centre' => ['10,10;polygon:60,40;140,40;100,70', false],
         ];
     }
 
@@ -77,6 +84,33 @@ final class line_test extends \advanced_testcase {
         return [
                 'Coords with radius' => ['10,100;15', [10, 100, 15], true],
                 'Coords without radiust' => ['10,100', [10, 100], false],
+                'Ellipse has no radius' => ['100,50;ellipse:40,10', [100, 50, 0], true],
+        ];
+    }
+
+    /**
+     * Test parse_zone.
+     *
+     * @dataProvider parse_zone_provider
+     * @param string $zone
+     * @param array $expected
+     */
+    public function test_parse_zone(string $zone, array $expected): void {
+        $this->assertEquals($expected, line::parse_zone($zone));
+    }
+
+    /**
+     * Data provider for {@see test_parse_zone}.
+     *
+     * @return array[]
+     */
+    public static function parse_zone_provider(): array {
+        return [
+                'Circle' => ['10,100;15', [10, 100, line::ZONE_SHAPE_CIRCLE, [15]]],
+                'Ellipse' => ['100,50;ellipse:40,10', [100, 50, line::ZONE_SHAPE_ELLIPSE, [40, 10]]],
+                'Rectangle' => ['100,50;rectangle:40,10', [100, 50, line::ZONE_SHAPE_RECTANGLE, [40, 10]]],
+                'Polygon' => ['100,50;polygon:60,40;140,40;100,70',
+                        [100, 50, line::ZONE_SHAPE_POLYGON, [[60, 40], [140, 40], [100, 70]]]],
         ];
     }
 
@@ -111,6 +145,17 @@ final class line_test extends \advanced_testcase {
                 'incorrect match y+6' => ['10,106', $dropcoord, false],
                 'correct match y-5' => ['10,95', $dropcoord, true],
                 'correct match y+5' => ['10,105', $dropcoord, true],
+                'incorrect match outside the circle, inside its square' => ['14,104', $dropcoord, false],
+
+                'ellipse along its long axis' => ['135,50', '100,50;ellipse:40,10', true],
+                'ellipse edge' => ['60,50', '100,50;ellipse:40,10', true],
+                'ellipse outside its short axis' => ['100,61', '100,50;ellipse:40,10', false],
+                'ellipse outside, inside its box' => ['135,58', '100,50;ellipse:40,10', false],
+                'rectangle corner' => ['140,60', '100,50;rectangle:40,10', true],
+                'rectangle outside' => ['141,50', '100,50;rectangle:40,10', false],
+                'polygon inside' => ['100,60', '100,50;polygon:60,40;140,40;100,70', true],
+                'polygon edge' => ['80,40', '100,50;polygon:60,40;140,40;100,70', true],
+                'polygon outside, inside its box' => ['70,60', '100,50;polygon:60,40;140,40;100,70', false],
         ];
     }
 
@@ -156,6 +201,13 @@ final class line_test extends \advanced_testcase {
                 'end incorrect match' => ['110,190', $linestartcoord, $lineendcoord, 'end', false],
                 'end correct match y-10' => ['100,190', $linestartcoord, $lineendcoord, 'end', true],
                 'end correct match' => ['105,195', $linestartcoord, $lineendcoord, 'end', true],
+
+                'ellipse across the line' => ['500,125', '100,100;ellipse:10,30', '300,100;rectangle:10,5', 'start', true],
+                'ellipse too far across the line' => ['500,131', '100,100;ellipse:10,30', '300,100;rectangle:10,5', 'start', false],
+                'rectangle across the line' => ['0,105', '100,100;ellipse:10,30', '300,100;rectangle:10,5', 'end', true],
+                'rectangle too far across the line' => ['0,94', '100,100;ellipse:10,30', '300,100;rectangle:10,5', 'end', false],
+                'polygon on its longer side' => ['50,115', '100,100;polygon:90,90;110,90;100,120', '300,100;5', 'start', true],
+                'polygon on its shorter side' => ['50,85', '100,100;polygon:90,90;110,90;100,120', '300,100;5', 'start', false],
         ];
     }
 
@@ -201,4 +253,192 @@ final class line_test extends \advanced_testcase {
                 'diagonal case flipped other way' => [12, [0, 15], [20, 0], [20, 15]],
         ];
     }
+
+    /**
+     * Test get_response_points.
+     *
+     * @dataProvider get_response_points_provider
+     * @param string $response
+     * @param string $linetype
+     * @param array $expected
+     */
+    public function test_get_response_points(string $response, string $linetype, array $expected): void {
+        $this->assertEquals($expected, line::get_response_points($response, $linetype));
+    }
+
+    /**
+     * Data provider for {@see test_get_response_points}.
+     *
+     * @return array[]
+     */
+    public static function get_response_points_provider(): array {
+        return [
+                'Line segment' => ['10,10 300,10', line::TYPE_LINE_SEGMENT, ['10,10', '300,10', []]],
+                'Infinite line' => ['-5,10 10,10 300,10 320,10', line::TYPE_LINE_INFINITE, ['10,10', '300,10', []]],
+                'Curved line' => ['10,10 150,80 300,10', line::TYPE_LINE_CURVED, ['10,10', '300,10', ['150,80']]],
+                'Polyline' => ['10,10 100,80 200,10 300,80', line::TYPE_LINE_POLYLINE,
+                        ['10,10', '300,80', ['100,80', '200,10']]],
+        ];
+    }
+
+    /**
+     * Validate the zones of the middle handles.
+     *
+     * @dataProvider is_middle_zones_valid_provider
+     * @param string $zonemiddle
+     * @param string $linetype
+     * @param bool $expected
+     */
+    public function test_is_middle_zones_valid(string $zonemiddle, string $linetype, bool $expected): void {
+        $this->assertEquals($expected, line::is_middle_zones_valid($zonemiddle, $linetype));
+    }
+
+    /**
+     * Data provider for {@see test_is_middle_zones_valid}.
+     *
+     * @return array[]
+     */
+    public static function is_middle_zones_valid_provider(): array {
+        return [
+                'Line segment without middle zone' => ['', line::TYPE_LINE_SEGMENT, true],
+                'Line segment with middle zone' => ['150,80;10', line::TYPE_LINE_SEGMENT, false],
+                'Curved line without control zone' => ['', line::TYPE_LINE_CURVED, true],
+                'Curved line with control zone' => ['150,80;10', line::TYPE_LINE_CURVED_ARROW, true],
+                'Curved line with two control zones' => ['150,80;10 200,80;10', line::TYPE_LINE_CURVED, false],
+                'Polyline without vertex zone' => ['', line::TYPE_LINE_POLYLINE, false],
+                'Polyline with vertex zones' => ['100,80;10 200,10;12', line::TYPE_LINE_POLYLINE, true],
+                'Polyline with invalid vertex zone' => ['100,80;10 200,10', line::TYPE_LINE_POLYLINE, false],
+                'Polyline with shaped vertex zones' => ['100,80;ellipse:20,5 200,10;polygon:190,0;210,0;200,20',
+                        line::TYPE_LINE_POLYLINE, true],
+        ];
+    }
+
+    /**
+     * Validate the response coordinates.
+     *
+     * @dataProvider are_response_coordinates_valid_provider
+     * @param string $response
+     * @param string $linetype
+     * @param bool $expected
+     */
+    public function test_are_response_coordinates_valid(string $response, string $linetype, bool $expected): void {
+        $this->assertEquals($expected, line::are_response_coordinates_valid($response, $linetype));
+    }
+
+    /**
+     * Data provider for {@see test_are_response_coordinates_valid}.
+     *
+     * @return array[]
+     */
+    public static function are_response_coordinates_valid_provider(): array {
+        return [
+                'Line segment' => ['10,10 300,10', line::TYPE_LINE_SEGMENT, true],
+                'Line segment with middle point' => ['10,10 150,80 300,10', line::TYPE_LINE_SEGMENT, false],
+                'Curved line' => ['10,10 150,80 300,10', line::TYPE_LINE_CURVED, true],
+                'Curved line missing end' => ['10,10', line::TYPE_LINE_CURVED, false],
+                'Polyline' => ['10,10 100,80 200,10 300,80', line::TYPE_LINE_POLYLINE, true],
+                'Polyline with invalid point' => ['10,10 100, 300,80', line::TYPE_LINE_POLYLINE, false],
+        ];
+    }
+
+    /**
+     * Validate point coordinates input format.
+     *
+     * @dataProvider point_coordinates_provider
+     * @param string $point
+     * @param bool $expected
+     */
+    public function test_is_point_coordinates_valid(string $point, bool $expected): void {
+        $this->assertEquals($expected, line::is_point_coordinates_valid($point));
+    }
+
+    /**
+     * Data provider for {@see test_is_point_coordinates_valid}.
+     *
+     * @return array[]
+     */
+    public static function point_coordinates_provider(): array {
+        return [
+                '10,100 is in correct format' => ['10,100', true],
+                'Surrounding spaces are ignored' => [' 10,100 ', true],
+                'Radius is not allowed' => ['10,100;15', false],
+                'y is missing' => ['10,', false],
+                'numbers must be positive' => ['-10,100', false],
+                'empty point' => ['', false],
+        ];
+    }
+
+    /**
+     * Test grading lines by their angle or length, compared with the line from (100,100) to (200,100).
+     *
+     * @dataProvider is_line_within_tolerance_provider
+     * @param string $zonekind
+     * @param float $tolerance
+     * @param string $start
+     * @param string $end
+     * @param bool $expected
+     */
+    public function test_is_line_within_tolerance(string $zonekind, float $tolerance, string $start, string $end,
+            bool $expected): void {
+        $this->assertEquals($expected,
+                line::is_line_within_tolerance($zonekind, $tolerance, $start, $end, '100,100;10', '200,100;10'));
+    }
+
+    /**
+     * Data provider for {@see test_is_line_within_tolerance}.
+     *
+     * @return array[]
+     */
+    public static function is_line_within_tolerance_provider(): array {
+        return [
+                'Same angle elsewhere' => [line::ZONE_ANGLE, 5, '10,300 60,300', true],
+                'Angle just within' => [line::ZONE_ANGLE, 5, '0,0 100,8', true],
+                'Angle too steep' => [line::ZONE_ANGLE, 5, '0,0 100,10', false],
+                'Angle the wrong way round' => [line::ZONE_ANGLE, 5, '60,300 10,300', false],
+                'Parallel the wrong way round' => [line::ZONE_PARALLEL, 5, '60,300 10,300', true],
+                'Parallel just within' => [line::ZONE_PARALLEL, 5, '100,8 0,0', true],
+                'Not parallel' => [line::ZONE_PARALLEL, 5, '0,0 100,100', false],
+                'Perpendicular up' => [line::ZONE_PERPENDICULAR, 2, '50,200 50,20', true],
+                'Perpendicular down' => [line::ZONE_PERPENDICULAR, 2, '50,20 52,200', true],
+                'Not perpendicular' => [line::ZONE_PERPENDICULAR, 2, '50,20 70,200', false],
+                'Line without length has no angle' => [line::ZONE_PARALLEL, 90, '50,20 50,20', false],
+                'Same length, other direction' => [line::ZONE_LENGTH, 0, '0,0 60,80', true],
+                'Length just within' => [line::ZONE_LENGTH, 10, '0,0 0,110', true],
+                'Too short' => [line::ZONE_LENGTH, 10, '0,0 0,89', false],
+                'Position is not a tolerance kind' => [line::ZONE_POSITION, 10, '100,100 200,100', false],
+        ];
+    }
+
+    /**
+     * Test which labels are shown as HTML.
+     *
+     * @dataProvider is_rich_label_provider
+     * @param string $label
+     * @param bool $expected
+     */
+    public function test_is_rich_label(string $label, bool $expected): void {
+        $this->assertEquals($expected, line::is_rich_label($label));
+    }
+
+    /**
+     * Data provider for {@see test_is_rich_label}.
+     *
+     * @return array[]
+     */
+    public static function is_rich_label_provider(): array {
+        return [
+                'Plain text' => ['Start 1', false],
+                'Unicode is plain text' => ['θ', false],
+                'Less than is not a tag' => ['a < b', false],
+                'Less than without spaces is not a tag' => ['x<y', false],
+                'Ampersand is not an entity' => ['AT&T', false],
+                'Subscript' => ['F<sub>1</sub>', true],
+                'Tag with attributes' => ['<span lang="el">θ</span>', true],
+                'Entity' => ['&theta;', true],
+                'Numeric entity' => ['&#952;', true],
+                'Inline TeX' => ['\(\vec{v}\)', true],
+                'Display TeX' => ['\[x^2\]', true],
+                'Dollar TeX' => ['$$x^2$$', true],
+        ];
+    }
 }
@@ -611,4 +611,266 @@ final class question_test extends \advanced_testcase {
                 null, '[No response]', 0),
         ], $question->classify_response($response));
     }
+
+    /**
+     * Test grading of the middle handles of curved lines and polylines.
+     */
+    public function test_get_num_parts_right_with_middle_handles(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $question->lines = [
+            0 => new line(11, $question->id, 1, line::TYPE_LINE_CURVED,
+                '', '', '', '10,10;12', '300,10;12', '150,80;12'),
+            1 => new line(12, $question->id, 2, line::TYPE_LINE_POLYLINE,
+                '', '', '', '10,200;12', '300,200;12', '100,250;12 200,150;12'),
+        ];
+        $question->start_attempt(new question_attempt_step(), 1);
+
+        $this->assertEquals([
+            'c0' => '10,10 150,80 300,10',
+            'c1' => '10,200 100,250 200,150 300,200',
+        ], $question->get_correct_response());
+
+        $response = ['c0' => '10,10 150,10 300,10', 'c1' => '10,200 100,250 200,150 300,200'];
+        [$numpartright, $total] = $question->get_num_parts_right_grade_partial($response);
+        $this->assertEquals(6, $numpartright);
+        $this->assertEquals(7, $total);
+
+        [$numright, $total] = $question->get_num_parts_right_grade_allornone($response);
+        $this->assertEquals(1, $numright);
+        $this->assertEquals(2, $total);
+    }
+
+    /**
+     * Test the grading and classification of lines drawn the wrong way round.
+     */
+    public function test_grade_reversed_lines(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $question->lines = [
+            0 => new line(11, $question->id, 1, line::TYPE_LINE_SINGLE_ARROW,
+                '', '', '', '10,10;12', '300,10;12', '', line::LOCK_NONE, 0.5),
+            1 => new line(12, $question->id, 2, line::TYPE_LINE_SEGMENT,
+                '', '', '', '10,200;12', '300,200;12', '', line::LOCK_NONE, 1),
+        ];
+        $question->start_attempt(new question_attempt_step(), 1);
+
+        $response = ['c0' => '300,10 10,10', 'c1' => '300,200 10,200'];
+        $this->assertTrue($question->is_line_reversed($response['c0'], 0));
+        $this->assertEquals([true, true, []], $question->is_line_correctly_placed($response['c0'], 0, true));
+        $this->assertEquals(0.5, $question->get_reversed_fraction($response['c0'], 0));
+        $this->assertEquals(1, $question->get_reversed_fraction($response['c1'], 1));
+
+        [$numpartright, $total] = $question->get_num_parts_right_grade_partial($response);
+        $this->assertEquals(3, $numpartright);
+        $this->assertEquals(4, $total);
+        $this->assertEquals([0.75, question_state::$gradedpartial], $question->grade_response($response));
+
+        $this->assertEquals([
+            'Line 1 (300,10) (10,10)' => new question_classified_response(
+                5, get_string('valid_reversedcoordinates', 'qtype_drawlines'), 0.5),
+            'Line 2 (300,200) (10,200)' => new question_classified_response(
+                5, get_string('valid_reversedcoordinates', 'qtype_drawlines'), 1),
+        ], $question->classify_response($response));
+
+        $question->grademethod = 'allornone';
+        [$numright, $total] = $question->get_num_parts_right_grade_allornone($response);
+        $this->assertEquals(1.5, $numright);
+        $this->assertEquals(2, $total);
+
+        // A line the right way round is not reversed, and without a fraction reversed lines get nothing.
+        $this->assertFalse($question->is_line_reversed('10,10 300,10', 0));
+        $question->lines[0]->reversedfraction = 0;
+        $this->assertEquals(0, $question->get_reversed_fraction($response['c0'], 0));
+        $this->assertEquals('Line 1', array_key_first($question->classify_response($response)));
+    }
+
+    /**
+     * Test the results for each line, shown in the feedback.
+     */
+    public function test_get_line_results(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $question->lines[] = new line(13, $question->id, 3, line::TYPE_LINE_SINGLE_ARROW,
+                '', '', '', '10,100;12', '300,100;12', '', line::LOCK_NONE, 0.5);
+        $question->start_attempt(new question_attempt_step(), 1);
+
+        $response = ['c0' => '10,10 300,10', 'c1' => '10,200 250,250', 'c2' => '300,100 10,100'];
+        $this->assertEquals([
+            0 => ['start' => true, 'end' => true, 'middles' => [], 'reversed' => false, 'state' => 'correct'],
+            1 => ['start' => true, 'end' => false, 'middles' => [], 'reversed' => false, 'state' => 'partiallycorrect'],
+            2 => ['start' => false, 'end' => false, 'middles' => [], 'reversed' => true, 'state' => 'partiallycorrect'],
+        ], $question->get_line_results($response));
+
+        // With all-or-nothing grading, a line with one end right is wrong. Lines not placed are left out.
+        $question->grademethod = 'allornone';
+        $this->assertEquals([
+            1 => ['start' => true, 'end' => false, 'middles' => [], 'reversed' => false, 'state' => 'incorrect'],
+        ], $question->get_line_results(['c0' => '', 'c1' => '10,200 250,250']));
+    }
+
+    /**
+     * Test the groups of interchangeable lines, and the drag home area they share.
+     */
+    public function test_get_drag_homes(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $question->start_attempt(new question_attempt_step(), 1);
+        $this->assertEquals([[0], [1]], $question->get_line_groups());
+        $this->assertEquals([[0], [1]], $question->get_drag_homes());
+
+        // Alike lines share a place, but only if all of them are set to share one.
+        $question->lines[] = new line(13, $question->id, 3, line::TYPE_LINE_SEGMENT,
+                'Start2', '', 'End2', '10,100;12', '300,100;12');
+        $question->lines[1]->sharehome = true;
+        $this->assertEquals([[0], [1], [2]], $question->get_line_groups());
+        $question->lines[2]->sharehome = true;
+        $question->start_attempt(new question_attempt_step(), 1);
+        $this->assertEquals([[0], [1, 2]], $question->get_line_groups());
+        $this->assertEquals([[0], [1, 2]], $question->get_drag_homes());
+    }
+
+    /**
+     * Test the shuffled order of the drag home area is kept for the whole attempt.
+     */
+    public function test_shuffled_line_order(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $question->lines[] = new line(13, $question->id, 3, line::TYPE_LINE_SEGMENT,
+                'Start3', '', 'End3', '10,100;12', '300,100;12');
+        $question->shufflelines = true;
+        $step = new question_attempt_step();
+        $question->start_attempt($step, 1);
+        $homes = $question->get_drag_homes();
+        $this->assertEqualsCanonicalizing([[0], [1], [2]], $homes);
+        $this->assertEquals(implode(',', array_merge(...$homes)), $step->get_qt_var('_lineorder'));
+
+        $step = new question_attempt_step(['_lineorder' => '2,0,1']);
+        $question->apply_attempt_state($step);
+        $this->assertEquals([[2], [0], [1]], $question->get_drag_homes());
+
+        // An order that no longer fits the lines of the question is ignored.
+        $step = new question_attempt_step(['_lineorder' => '1,0']);
+        $question->apply_attempt_state($step);
+        $this->assertEquals([[0], [1], [2]], $question->get_drag_homes());
+    }
+
+    /**
+     * Test the grading of copies of interchangeable lines, which may be placed in each other's zones.
+     */
+    public function test_grade_interchangeable_lines(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $question->lines[1]->labelstart = 'Start1';
+        $question->lines[1]->labelmiddle = 'Mid1';
+        $question->lines[1]->labelend = 'End1';
+        $question->lines[0]->sharehome = true;
+        $question->lines[1]->sharehome = true;
+        $question->start_attempt(new question_attempt_step(), 1);
+
+        // The copies are swapped over, but each of them is in the zones of one of the lines.
+        $response = ['c0' => '10,200 300,200', 'c1' => '10,10 300,10'];
+        $this->assertEquals([0 => 1, 1 => 0], $question->get_zone_matches($response));
+        $this->assertEquals([4, 4], $question->get_num_parts_right_grade_partial($response));
+        $this->assertEquals([1, question_state::$gradedright], $question->grade_response($response));
+        $this->assertEquals([
+            0 => ['start' => true, 'end' => true, 'middles' => [], 'reversed' => false, 'state' => 'correct'],
+            1 => ['start' => true, 'end' => true, 'middles' => [], 'reversed' => false, 'state' => 'correct'],
+        ], $question->get_line_results($response));
+
+        // A copy on its own stays in its own zones, and copies are swapped when that gives more credit.
+        $response = ['c0' => '', 'c1' => '10,200 300,200'];
+        $this->assertEquals([1 => 1], $question->get_zone_matches($response));
+        $response = ['c0' => '10,200 250,250', 'c1' => '10,10 300,10'];
+        $this->assertEquals([0 => 1, 1 => 0], $question->get_zone_matches($response));
+        $this->assertEquals([3, 4], $question->get_num_parts_right_grade_partial($response));
+    }
+
+    /**
+     * Test grading lines by their angle or their length, rather than the positions of their ends.
+     */
+    public function test_grade_lines_by_angle_and_length(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $question->lines = [
+            0 => new line(11, $question->id, 1, line::TYPE_LINE_SEGMENT,
+                '', '', '', '10,10;12', '300,10;12', '', line::LOCK_NONE, 0, line::ZONE_PARALLEL, 5),
+            1 => new line(12, $question->id, 2, line::TYPE_LINE_SINGLE_ARROW,
+                '', '', '', '10,200;12', '110,200;12', '', line::LOCK_NONE, 0.5, line::ZONE_LENGTH, 10),
+        ];
+        $question->start_attempt(new question_attempt_step(), 1);
+
+        $this->assertEquals([
+            'c0' => '10,10 300,10',
+            'c1' => '10,200 110,200',
+        ], $question->get_correct_response());
+
+        // Both lines are far from the zones, but have the right angle and length.
+        $response = ['c0' => '300,150 50,160', 'c1' => '200,50 260,130'];
+        $this->assertEquals([true, true, []], $question->is_line_correctly_placed($response['c0'], 0));
+        $this->assertEquals([true, true, []], $question->is_line_correctly_placed($response['c1'], 1));
+        $this->assertFalse($question->is_line_reversed($response['c1'], 1));
+        $this->assertEquals([1, question_state::$gradedright], $question->grade_response($response));
+
+        $response = ['c0' => '300,150 50,200', 'c1' => '200,50 200,200'];
+        $this->assertEquals([false, false, []], $question->is_line_correctly_placed($response['c0'], 0));
+        [$numpartright, $total] = $question->get_num_parts_right_grade_partial($response);
+        $this->assertEquals(0, $numpartright);
+        $this->assertEquals(4, $total);
+    }
+
+    /**
+     * Test the snapping settings passed to the JavaScript.
+     */
+    public function test_get_snap_options(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $this->assertEquals(
+            ['mode' => 'none', 'gridspacing' => 10, 'gridorigin' => [0, 0], 'anchors' => []],
+            $question->get_snap_options());
+
+        $question->snapmode = 'grid';
+        $question->snapgridspacing = 25;
+        $question->snapgridorigin = '50,75';
+        $this->assertEquals(
+            ['mode' => 'grid', 'gridspacing' => 25, 'gridorigin' => [50, 75], 'anchors' => []],
+            $question->get_snap_options());
+
+        $question->snapmode = 'anchors';
+        $question->snapanchorpoints = '10,10  300,10 invalid 10,200';
+        $this->assertEquals(
+            ['mode' => 'anchors', 'gridspacing' => 25, 'gridorigin' => [50, 75], 'anchors' => [[10, 10], [300, 10], [10, 200]]],
+            $question->get_snap_options());
+
+        // Without any anchor points there is nothing to snap to.
+        $question->snapanchorpoints = '';
+        $this->assertEquals('none', $question->get_snap_options()['mode']);
+    }
+
+    /**
+     * Test the landmarks passed to the JavaScript.
+     */
+    public function test_get_landmarks(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $this->assertEquals([], $question->get_landmarks());
+
+        $question->landmarks = "10,10 Milton Keynes\r\n\n  300,200   The Open University \ninvalid\n50,50\n";
+        $this->assertEquals([
+                ['name' => 'Milton Keynes', 'x' => 10, 'y' => 10],
+                ['name' => 'The Open University', 'x' => 300, 'y' => 200],
+        ], $question->get_landmarks());
+    }
+
+    /**
+     * Test the measurement settings passed to the JavaScript.
+     */
+    public function test_get_measurement_options(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $this->assertEquals(['show' => false, 'pixels' => 0, 'length' => 0, 'unit' => ''],
+                $question->get_measurement_options());
+
+        $question->showmeasurements = true;
+        $question->scalepixels = 50;
+        $question->scalelength = 2.5;
+        $question->scaleunit = 'km';
+        $this->assertEquals(['show' => true, 'pixels' => 50, 'length' => 2.5, 'unit' => 'km'],
+                $question->get_measurement_options());
+
+        // Without a real length, the lines are measured in pixels.
+        $question->scalelength = 0;
+        $this->assertEquals(['show' => true, 'pixels' => 0, 'length' => 0, 'unit' => ''],
+                $question->get_measurement_options());
+    }
 }
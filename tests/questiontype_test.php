@@ -85,6 +85,15 @@ final class questiontype_test extends \advanced_testcase {
         $line->labelend = 'e-label';
         $line->zonestart = '10,10;12';
         $line->zoneend = '200,10;12';
+        $line->zonemiddle = '';
+        $line->lockmode = line::LOCK_LENGTH;
+        $line->reversedfraction = 0.5;
+        $line->zonekind = line::ZONE_ANGLE;
+        $line->zonetolerance = 7.5;
+        $line->colour = '#d62728';
+        $line->dashstyle = line::DASH_DOTTED;
+        $line->arrowstyle = line::ARROW_OPEN;
+        $line->sharehome = true;
 
         $expected = (array)$line;
         $actual = (array)$this->qtype->make_line($line);
@@ -122,6 +131,15 @@ final class questiontype_test extends \advanced_testcase {
         $this->assertEquals(FORMAT_HTML, $options->incorrectfeedbackformat);
         $this->assertEquals(1, $options->shownumcorrect);
         $this->assertEquals(0, $options->showmisplaced);
+        $this->assertEquals('none', $options->snapmode);
+        $this->assertEquals(10, $options->snapgridspacing);
+        $this->assertEquals('0,0', $options->snapgridorigin);
+        $this->assertEquals("10,10 Top left corner\n10,200 Bottom left corner\n300,10 Top right corner\n" .
+                "300,200 Bottom right corner", $options->landmarks);
+        $this->assertEquals(0, $options->showmeasurements);
+        $this->assertEquals(0, $options->scalepixels);
+        $this->assertEquals('', $options->scaleunit);
+        $this->assertEquals(0, $options->shufflelines);
 
         $this->assertEquals($options->id, $questiondata->options->id);
         $this->assertEquals($options->questionid, $questiondata->options->questionid);
@@ -181,6 +199,180 @@ final class questiontype_test extends \advanced_testcase {
         }
     }
 
+    /**
+     * Save lines with their length or angle locked, and check the lock modes in the database table.
+     *
+     * @covers \qtype_drawlines::save_lines
+     */
+    public function test_save_lines_with_lock_modes(): void {
+        global $DB;
+
+        $this->resetAfterTest(true);
+        $this->setAdminUser();
+        $questiongenerator = $this->getDataGenerator()->get_plugin_generator('core_question');
+        $cat = $questiongenerator->create_question_category([]);
+        $q = $questiongenerator->create_question('drawlines', 'mkmap_twolines',
+                ['category' => $cat->id, 'lockmode' => [line::LOCK_LENGTH, line::LOCK_ANGLE]]);
+
+        $lines = array_values($DB->get_records('qtype_drawlines_lines', ['questionid' => $q->id], 'number'));
+        $this->assertEquals(line::LOCK_LENGTH, $lines[0]->lockmode);
+        $this->assertEquals(line::LOCK_ANGLE, $lines[1]->lockmode);
+
+        $questiondata = question_bank::load_question_data($q->id);
+        $question = question_bank::make_question($questiondata);
+        $this->assertEquals(line::LOCK_LENGTH, $question->lines[0]->lockmode);
+        $this->assertEquals(line::LOCK_ANGLE, $question->lines[1]->lockmode);
+    }
+
+    /**
+     * Save lines with their own colours and styles, and check them in the database table and the question.
+     *
+     * @covers \qtype_drawlines::save_lines
+     */
+    public function test_save_lines_with_styles(): void {
+        global $DB;
+
+        $this->resetAfterTest(true);
+        $this->setAdminUser();
+        $questiongenerator = $this->getDataGenerator()->get_plugin_generator('core_question');
+        $cat = $questiongenerator->create_question_category([]);
+        $q = $questiongenerator->create_question('drawlines', 'mkmap_twolines', [
+            'category' => $cat->id,
+            'colour' => ['#d62728', ''],
+            'dashstyle' => [line::DASH_SOLID, line::DASH_DASHED],
+            'arrowstyle' => [line::ARROW_BAR, line::ARROW_FILLED],
+        ]);
+
+        $lines = array_values($DB->get_records('qtype_drawlines_lines', ['questionid' => $q->id], 'number'));
+        $this->assertEquals('#d62728', $lines[0]->colour);
+        $this->assertEquals(line::DASH_SOLID, $lines[0]->dashstyle);
+        $this->assertEquals(line::ARROW_BAR, $lines[0]->arrowstyle);
+        $this->assertEmpty($lines[1]->colour);
+        $this->assertEquals(line::DASH_DASHED, $lines[1]->dashstyle);
+
+        $questiondata = question_bank::load_question_data($q->id);
+        $question = question_bank::make_question($questiondata);
+        $this->assertEquals('#d62728', $question->lines[0]->colour);
+        $this->assertEquals(line::DASH_SOLID, $question->lines[0]->dashstyle);
+        $this->assertEquals(line::ARROW_BAR, $question->lines[0]->arrowstyle);
+        $this->assertSame('', $question->lines[1]->colour);
+    }
+
+    /**
+     * Import lines with options that are not valid, which fall back to the defaults, next to a line with valid ones.
+     *
+     * @covers \qtype_drawlines::import_from_xml
+     */
+    public function test_import_invalid_line_options(): void {
+        global $CFG;
+        require_once($CFG->libdir . '/xmlize.php');
+        require_once($CFG->dirroot . '/question/format/xml/format.php');
+
+        $this->resetAfterTest(true);
+        $this->setAdminUser();
+        $xml = '<question type="drawlines">
+    <name><text>Invalid options</text></name>
+    <questiontext format="html"><text>Draw the lines.</text></questiontext>
+    <generalfeedback format="html"><text></text></generalfeedback>
+    <defaultgrade>1</defaultgrade>
+    <penalty>0.3333333</penalty>
+    <hidden>0</hidden>
+    <grademethod>partial</grademethod>
+    <lines>
+    <line number="1">
+        <type><text>linesegment</text></type>
+        <zonestart><text>10,10;12</text></zonestart>
+        <zoneend><text>300,10;12</text></zoneend>
+        <lockmode><text>sideways</text></lockmode>
+        <zonekind><text>&lt;b&gt;</text></zonekind>
+        <colour>red</colour>
+        <dashstyle>wavy</dashstyle>
+        <arrowstyle>curly</arrowstyle>
+    </line>
+    <line number="2">
+        <type><text>linesinglearrow</text></type>
+        <zonestart><text>10,200;12</text></zonestart>
+        <zoneend><text>300,200;12</text></zoneend>
+        <lockmode><text>angle</text></lockmode>
+        <zonekind><text>length</text></zonekind>
+        <colour>#1F77B4</colour>
+        <dashstyle> dotted </dashstyle>
+        <arrowstyle>open</arrowstyle>
+    </line>
+    </lines>
+</question>';
+        $importer = new \qformat_xml();
+        $question = $importer->try_importing_using_qtypes(xmlize($xml)['question'], null, null, 'drawlines');
+
+        $this->assertEquals(line::LOCK_NONE, $question->lockmode[0]);
+        $this->assertEquals(line::ZONE_POSITION, $question->zonekind[0]);
+        $this->assertSame('', $question->colour[0]);
+        $this->assertEquals(line::DASH_DASHED, $question->dashstyle[0]);
+        $this->assertEquals(line::ARROW_FILLED, $question->arrowstyle[0]);
+
+        $this->assertEquals(line::LOCK_ANGLE, $question->lockmode[1]);
+        $this->assertEquals(line::ZONE_LENGTH, $question->zonekind[1]);
+        $this->assertEquals('#1f77b4', $question->colour[1]);
+        $this->assertEquals(line::DASH_DOTTED, $question->dashstyle[1]);
+        $this->assertEquals(line::ARROW_OPEN, $question->arrowstyle[1]);
+    }
+
+    /**
+     * Save a question which shuffles its lines, with alike lines that share one drag home.
+     *
+     * @covers \qtype_drawlines::save_lines
+     * @covers \qtype_drawlines::save_question_options
+     */
+    public function test_save_shuffled_lines_sharing_a_home(): void {
+        global $DB;
+
+        $this->resetAfterTest(true);
+        $this->setAdminUser();
+        $questiongenerator = $this->getDataGenerator()->get_plugin_generator('core_question');
+        $cat = $questiongenerator->create_question_category([]);
+        $q = $questiongenerator->create_question('drawlines', 'mkmap_twolines',
+                ['category' => $cat->id, 'shufflelines' => 1, 'sharehome' => [1, 0]]);
+
+        $this->assertEquals(1, $DB->get_field('qtype_drawlines_options', 'shufflelines', ['questionid' => $q->id]));
+        $lines = array_values($DB->get_records('qtype_drawlines_lines', ['questionid' => $q->id], 'number'));
+        $this->assertEquals(1, $lines[0]->sharehome);
+        $this->assertEquals(0, $lines[1]->sharehome);
+
+        $questiondata = question_bank::load_question_data($q->id);
+        $question = question_bank::make_question($questiondata);
+        $this->assertTrue($question->shufflelines);
+        $this->assertTrue($question->lines[0]->sharehome);
+        $this->assertFalse($question->lines[1]->sharehome);
+    }
+
+    /**
+     * Save lines which get credit when drawn the wrong way round, and check the possible responses.
+     *
+     * @covers \qtype_drawlines::save_lines
+     * @covers \qtype_drawlines::get_possible_responses
+     */
+    public function test_save_lines_with_reversed_fractions(): void {
+        global $DB;
+
+        $this->resetAfterTest(true);
+        $this->setAdminUser();
+        $questiongenerator = $this->getDataGenerator()->get_plugin_generator('core_question');
+        $cat = $questiongenerator->create_question_category([]);
+        $q = $questiongenerator->create_question('drawlines', 'mkmap_twolines',
+                ['category' => $cat->id, 'reversedfraction' => ['0.5', '0.0']]);
+
+        $lines = array_values($DB->get_records('qtype_drawlines_lines', ['questionid' => $q->id], 'number'));
+        $this->assertEquals(0.5, $lines[0]->reversedfraction);
+        $this->assertEquals(0, $lines[1]->reversedfraction);
+
+        $questiondata = question_bank::load_question_data($q->id);
+        $responses = $this->qtype->get_possible_responses($questiondata);
+        $this->assertEquals([
+            5 => new question_possible_response(get_string('valid_reversedcoordinates', 'qtype_drawlines'), 0.5),
+        ], $responses['Line 1 (300,10) (10,10)']);
+        $this->assertArrayNotHasKey('Line 2 (300,200) (10,200)', $responses);
+    }
+
     /**
      * Test get_possible_responses for 'partial' grading method.
      *
@@ -0,0 +1,67 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+namespace qtype_drawlines;
+
+use question_hint_drawlines;
+use question_state;
+
+defined('MOODLE_INTERNAL') || die();
+
+global $CFG;
+require_once($CFG->dirroot . '/question/engine/tests/helpers.php');
+require_once($CFG->dirroot . '/question/type/drawlines/tests/helper.php');
+require_once($CFG->dirroot . '/question/type/drawlines/questiontype.php');
+
+/**
+ * Walk-through tests for the draw lines question type.
+ *
+ * @package   qtype_drawlines
+ * @copyright 2024 The Open University
+ * @license   http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers \qtype_drawlines_renderer
+ */
+final class walkthrough_test extends \qbehaviour_walkthrough_test_base {
+
+    /**
+     * Test that the hint lists misplaced lines in the same way as they are graded, when copies of alike lines are swapped.
+     */
+    public function test_interactive_hint_with_swapped_alike_lines(): void {
+        $question = \test_question_maker::make_question('drawlines');
+        $question->lines[1]->labelstart = 'Start1';
+        $question->lines[1]->labelmiddle = 'Mid1';
+        $question->lines[1]->labelend = 'End1';
+        $question->lines[0]->sharehome = true;
+        $question->lines[1]->sharehome = true;
+        $question->lines[] = new line(13, $question->id, 3, line::TYPE_LINE_SEGMENT,
+                'Start3', '', 'End3', '10,100;12', '300,100;12');
+        $question->hints = [
+            new question_hint_drawlines(1, 'Hint 1.', FORMAT_HTML, true, false, true),
+            new question_hint_drawlines(2, 'Hint 2.', FORMAT_HTML, true, false, true),
+        ];
+        $this->start_attempt_at_question($question, 'interactive', 3);
+
+        // The copies of the alike lines are swapped over, which is right, but the third line is not.
+        $this->process_submission(['c0' => '10,200 300,200', 'c1' => '10,10 300,10', 'c2' => '100,250 200,250',
+                '-submit' => 1]);
+
+        $this->check_current_state(question_state::$todo);
+        $this->check_current_output(
+                new \question_pattern_expectation('~<span class="misplaced"> Line 3 start\(100,250\)</span>~'),
+                new \question_no_pattern_expectation('~<span class="misplaced"> Line [12] ~'),
+                new \question_no_pattern_expectation('~Line [12] is drawn the wrong way round~'));
+    }
+}
@@ -24,7 +24,7 @@
 
 defined('MOODLE_INTERNAL') || die();
 
-$plugin->version   = 2024043001;
+$plugin->version   = 2026101909;
 $plugin->requires  = 2023100900;
 $plugin->component = 'qtype_drawlines';
 $plugin->maturity  = MATURITY_STABLE;